@@ -1,113 +1,452 @@
+/**
+ * Offline importer for Strava activity exports.
+ *
+ * Usage:
+ *   node import-activities.js --user-id <id> [--file <path>] [--format json|csv] [--report <path>]
+ *                             [--batch-size <n>] [--delay <ms>] [--checkpoint <path>]
+ *                             [--restart] [--dry-run] [--duplicates reject|flag|merge]
+ *
+ * `--format` defaults to the file extension. JSON files use the Strava API
+ * activity format; CSV files use the `activities.csv` of a Strava account
+ * export. Every row is assigned to the user given with `--user-id`. A per-row report of rejected records is printed at the end and,
+ * with `--report`, also written to a JSON file.
+ *
+ * Rows are upserted on `external_id` in batches, so re-running an import
+ * updates activities instead of duplicating them. Progress is saved to a
+ * checkpoint file after every batch; an interrupted run of the same export
+ * resumes from there. `--dry-run` reports new, changed and unchanged records
+ * without writing.
+ *
+ * Records new to the database that record the same workout as a stored
+ * activity (e.g. one uploaded as a GPX file) are handled by `--duplicates`,
+ * which defaults to DUPLICATE_POLICY: `reject` reports them as rejected,
+ * `flag` imports them with `duplicate_of` set and `merge` merges them with
+ * the stored activity.
+ *
+ * Writes go to the storage backend selected by STORAGE_BACKEND. With
+ * `memory`, point STORAGE_FILE at the server's file and restart the server
+ * afterwards, since it only reads the file at start.
+ *
+ * Progress is logged as JSON lines with the server's logger (LOG_LEVEL,
+ * LOG_REDACT); every line of one run carries the same `run_id`.
+ */
+
+const crypto = require('crypto');
 const fs = require('fs');
 const dotenv = require('dotenv');
-const { createClient } = require('@supabase/supabase-js');
 const path = require('path');
+const { createRepositories } = require('./src/storage');
+const { transformData, transformMap } = require('./src/strava/transform');
+const { saveActivityMap } = require('./src/strava/maps');
+const { changedFields } = require('./src/storage/changes');
+const { parseActivitiesCsv } = require('./src/strava/csv-export');
+const { createStatsService } = require('./src/stats/athlete-stats');
+const { createGearService } = require('./src/gear/gear');
+const { createRoutesService } = require('./src/routes/routes');
+const { createRecordsService } = require('./src/stats/personal-records');
+const { createActivityLifecycle } = require('./src/activities/lifecycle');
+const { DuplicateActivityError, createDuplicateService } = require('./src/activities/duplicates');
+const { loggerFromEnv } = require('./src/logging/logger');
 
 // Load environment variables
 dotenv.config();
 
-// Initialize Supabase client
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_KEY
-);
-
-// Function to transform JSON data to table format
-function transformData(record) {
-    const transformedData = {
-        external_id: record.id?.toString(),
-        upload_id: record.upload_id,
-        name: record.name,
-        type: record.type,
-        detail: record.description,
-        distance: record.distance,
-        moving_time: record.moving_time,
-        elapsed_time: record.elapsed_time,
-        high_elevation: record.elev_high,
-        low_elevation: record.elev_low,
-        total_elevation_gain: record.total_elevation_gain,
-        start_date: record.start_date,
-        start_date_local: record.start_date_local,
-        time_zone: record.timezone,
-        achievement_count: record.achievement_count || 0,
-        kudos_count: record.kudos_count || 0,
-        comment_count: record.comment_count || 0,
-        athlete_count: record.athlete_count || 1,
-        photo_count: record.photo_count || 0,
-        total_photo_count: record.total_photo_count || 0,
-        trainer: record.trainer || false,
-        commute: record.commute || false,
-        manual: record.manual || false,
-        private: record.private || false,
-        flagged: record.flagged || false,
-        average_speed: record.average_speed,
-        max_speed: record.max_speed,
-        calories: record.calories,
-        has_kudoed: record.has_kudoed || false,
-        kilo_joules: record.kilojoules,
-        average_power: record.average_watts,
-        max_power: record.max_watts,
-        device_watts: record.device_watts || false,
-        has_heart_rate: record.has_heartrate || false,
-        average_heart_rate: record.average_heartrate,
-        max_heart_rate: record.max_heartrate
-    };
+const logger = loggerFromEnv(process.env).child({ run_id: crypto.randomUUID() });
+
+const repositories = createRepositories(process.env);
 
-    // Convert any undefined values to null
-    Object.keys(transformedData).forEach(key => {
-        if (transformedData[key] === undefined) {
-            transformedData[key] = null;
+/**
+ * Parse `--name value` style command line options.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options keyed by name
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
         }
+        const [name, inlineValue] = arg.slice(2).split('=');
+        if (inlineValue !== undefined) {
+            options[name] = inlineValue;
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            options[name] = argv[++i];
+        } else {
+            options[name] = true;
+        }
+    }
+    return options;
+}
+
+
+/**
+ * Map the content of an export file to activity rows. Rows of JSON records
+ * with a route also carry its map id and summary polyline in `map`; records
+ * that cannot be mapped are rejected with their index.
+ * @param {string} content - Raw file content
+ * @param {string} format - "json" or "csv"
+ * @returns {{rows: Array<{line: ?number, data: Object, map: ?Object}>, rejected: Array<Object>}}
+ */
+function loadRecords(content, format) {
+    if (format === 'csv') {
+        return parseActivitiesCsv(content);
+    }
+
+    if (format === 'json') {
+        const jsonData = JSON.parse(content);
+        const rows = [];
+        const rejected = [];
+        jsonData.forEach((record, index) => {
+            try {
+                rows.push({ line: null, index, data: transformData(record), map: transformMap(record) });
+            } catch (error) {
+                const externalId = record && record.id !== undefined && record.id !== null ? String(record.id) : null;
+                rejected.push({ line: null, index, external_id: externalId, reason: error.message });
+            }
+        });
+        return { rows, rejected };
+    }
+
+    throw new Error(`Unsupported format: ${format}`);
+}
+
+/**
+ * Drop rows that cannot be upserted: rows without an external_id, and
+ * repeats of an external_id already seen earlier in the same file.
+ * @param {Array<Object>} rows - Rows returned by loadRecords
+ * @param {Array<Object>} rejected - Rejections to append to
+ * @returns {Array<Object>} Rows that can be written
+ */
+function keyedRows(rows, rejected) {
+    const seen = new Set();
+    return rows.filter(row => {
+        const id = row.data.external_id;
+        if (!id) {
+            rejected.push({ line: row.line, index: row.index, external_id: null, reason: 'missing external_id' });
+            return false;
+        }
+        if (seen.has(id)) {
+            rejected.push({ line: row.line, index: row.index, external_id: id, reason: `duplicate external_id ${id} in file` });
+            return false;
+        }
+        seen.add(id);
+        return true;
     });
+}
+
+/**
+ * Checkpoint of an interrupted import, stored as JSON next to the working
+ * directory. `source` is a hash of the owner and the export so a checkpoint
+ * is only resumed against the same file content imported for the same user.
+ * @typedef {Object} Checkpoint
+ * @property {string} source - SHA-256 of the user id and the export content
+ * @property {number} next - Index of the next row to write
+ * @property {number} successCount - Rows written so far
+ * @property {Array<Object>} rejected - Rows rejected so far
+ */
 
-    return transformedData;
+function loadCheckpoint(file, source) {
+    if (!fs.existsSync(file)) return null;
+
+    const checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (checkpoint.source !== source) {
+        logger.warn('Ignoring checkpoint of a different export', { checkpoint: file });
+        return null;
+    }
+    return checkpoint;
+}
+
+function saveCheckpoint(file, checkpoint) {
+    // Write then rename so a crash never leaves a truncated checkpoint
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(checkpoint));
+    fs.renameSync(tmp, file);
 }
 
-async function importActivities() {
-    console.log('Starting import process...');
-    let successCount = 0;
-    let errorCount = 0;
+/**
+ * Fetch the stored activities for a set of external ids.
+ * @param {string[]} ids - External ids
+ * @returns {Promise<Map<string, Object>>} Stored rows keyed by external_id
+ */
+async function fetchExisting(ids) {
+    const data = await repositories.activities.findByExternalIds(ids);
+    return new Map(data.map(row => [row.external_id, row]));
+}
 
+/**
+ * Upsert a batch keyed on external_id. When the batch as a whole fails the
+ * rows are retried one by one so a single bad row only rejects itself.
+ * @param {Array<Object>} batch - Rows to write
+ * @returns {Promise<{written: number, rejected: Array<Object>}>}
+ */
+async function upsertBatch(batch) {
     try {
-        // Read and parse the JSON file
-        const jsonData = JSON.parse(
-            fs.readFileSync(path.join(__dirname, 'assets', 'activities.json'), 'utf8')
-        );
+        await repositories.activities.upsertByExternalId(batch.map(row => row.data));
+        return { written: batch.length, rejected: [] };
+    } catch (error) {
+        logger.warn('Batch upsert failed, retrying rows individually', { error });
+    }
 
-        for (const record of jsonData) {
-            const transformedData = transformData(record);
+    let written = 0;
+    const rejected = [];
+    for (const row of batch) {
+        try {
+            await repositories.activities.upsertByExternalId([row.data]);
+            written++;
+        } catch (rowError) {
+            logger.error('Error upserting record', { line: row.line, external_id: row.data.external_id, error: rowError });
+            rejected.push({ line: row.line, index: row.index, external_id: row.data.external_id, reason: rowError.message });
+        }
+    }
+    return { written, rejected };
+}
 
-            try {
-                const { data, error } = await supabase
-                    .from('activities')
-                    .insert([transformedData])
-                    .select();
-
-                if (error) {
-                    console.error('Error inserting record:', error);
-                    console.error('Data:', transformedData);
-                    errorCount++;
+/**
+ * Store the routes of the rows of a batch that were upserted.
+ * @param {Array<Object>} rows - Upserted rows
+ * @param {Array<Object>} rejected - Rows of the batch that were not written
+ */
+async function saveMaps(rows, rejected) {
+    const failed = new Set(rejected.map(entry => entry.external_id));
+    const routed = rows.filter(row => row.map && !failed.has(row.data.external_id));
+    if (routed.length === 0) return;
+
+    const stored = await fetchExisting(routed.map(row => row.data.external_id));
+    for (const row of routed) {
+        const activity = stored.get(row.data.external_id);
+        if (activity && !activity.deleted_at) await saveActivityMap(repositories.maps, activity, row.map);
+    }
+}
+
+/**
+ * Whether a stored activity with the row's external_id belongs to another
+ * user. Such rows are rejected: importing never moves activities between users.
+ */
+function ownedByOtherUser(current, row) {
+    return Boolean(current) && String(current.user_id) !== String(row.data.user_id);
+}
+
+/**
+ * Write the rows of a batch that are new to the database and duplicate a
+ * stored activity one by one under the duplicate policy, and upsert the
+ * others as a batch. Rows whose external_id belongs to another user are
+ * rejected.
+ * @param {Array<Object>} batch - Rows to write
+ * @param {Object} duplicates - Service from {@link module:activities/duplicates}
+ * @param {Array<Object>} stored - The user's activities before the import
+ * @returns {Promise<{written: number, rejected: Array<Object>}>}
+ */
+async function writeBatch(batch, duplicates, stored) {
+    const existing = await fetchExisting(batch.map(row => row.data.external_id));
+    const plain = [];
+    const duplicated = [];
+    const foreign = [];
+    for (const row of batch) {
+        if (ownedByOtherUser(existing.get(row.data.external_id), row)) {
+            foreign.push({ line: row.line, index: row.index, external_id: row.data.external_id, reason: 'external_id belongs to another user' });
+            continue;
+        }
+        const isDuplicate = !existing.has(row.data.external_id) && await duplicates.findDuplicate(row.data, stored);
+        (isDuplicate ? duplicated : plain).push(row);
+    }
+
+    const result = plain.length > 0 ? await upsertBatch(plain) : { written: 0, rejected: [] };
+    await saveMaps(plain, result.rejected);
+    result.rejected.push(...foreign);
+    for (const row of duplicated) {
+        try {
+            const { duplicate, merged } = await duplicates.admit(row.data, async data => {
+                await repositories.activities.upsertByExternalId([data]);
+                const activity = (await fetchExisting([data.external_id])).get(data.external_id);
+                // Before a merge, so the route moves along with the rest
+                if (row.map) await saveActivityMap(repositories.maps, activity, row.map);
+                return activity;
+            }, { candidates: stored });
+            logger.info(merged ? 'Merged duplicate record' : 'Imported duplicate record', {
+                line: row.line,
+                external_id: row.data.external_id,
+                duplicate_of: duplicate.id
+            });
+            result.written++;
+        } catch (error) {
+            const reason = error instanceof DuplicateActivityError
+                ? `duplicate of activity ${error.activity.id}`
+                : error.message;
+            if (!(error instanceof DuplicateActivityError)) {
+                logger.error('Error writing duplicate record', { line: row.line, external_id: row.data.external_id, error });
+            }
+            result.rejected.push({ line: row.line, index: row.index, external_id: row.data.external_id, reason });
+        }
+    }
+    return result;
+}
+
+/**
+ * Print the rejected rows and optionally write them to a JSON report.
+ * @param {Array<Object>} rejected - Rejected rows
+ * @param {string} [reportFile] - Where to write the JSON report
+ */
+function reportRejected(rejected, reportFile) {
+    for (const entry of rejected) {
+        logger.warn('Rejected record', entry);
+    }
+
+    if (reportFile) {
+        fs.writeFileSync(reportFile, JSON.stringify({ rejected }, null, 2));
+        logger.info('Rejection report written', { report: reportFile, rejected: rejected.length });
+    }
+}
+
+/**
+ * Compare the export with the database without writing anything.
+ * @param {Array<Object>} rows - Rows to compare
+ * @param {number} batchSize - Rows per lookup query
+ * @param {Object} duplicates - Service from {@link module:activities/duplicates}
+ * @param {Array<Object>} stored - The user's activities
+ */
+async function dryRun(rows, batchSize, duplicates, stored) {
+    const summary = { new: 0, changed: 0, unchanged: 0, duplicates: 0, other_user: 0 };
+
+    for (let i = 0; i < rows.length; i += batchSize) {
+        const batch = rows.slice(i, i + batchSize);
+        const existing = await fetchExisting(batch.map(row => row.data.external_id));
+
+        for (const row of batch) {
+            const current = existing.get(row.data.external_id);
+            if (ownedByOtherUser(current, row)) {
+                summary.other_user++;
+                logger.warn('Record belongs to another user and would be rejected', { external_id: row.data.external_id, name: row.data.name });
+                continue;
+            }
+            if (!current) {
+                summary.new++;
+                const duplicate = await duplicates.findDuplicate(row.data, stored);
+                if (duplicate) {
+                    summary.duplicates++;
+                    logger.info('New record duplicating a stored activity', {
+                        external_id: row.data.external_id,
+                        name: row.data.name,
+                        duplicate_of: duplicate.id,
+                        policy: duplicates.policy
+                    });
                 } else {
-                    console.log('Successfully inserted activity:', transformedData.name);
-                    successCount++;
+                    logger.info('New record', { external_id: row.data.external_id, name: row.data.name });
                 }
-
-                // Add a small delay to avoid overwhelming the API
-                await new Promise(resolve => setTimeout(resolve, 100));
-            } catch (error) {
-                console.error('Error processing record:', error);
-                errorCount++;
+                continue;
+            }
+            const changed = changedFields(current, row.data);
+            if (changed.length > 0) {
+                summary.changed++;
+                logger.info('Changed record', { external_id: row.data.external_id, name: row.data.name, changed });
+            } else {
+                summary.unchanged++;
             }
         }
+    }
+
+    logger.info('Dry run completed, nothing was written', summary);
+}
+
+async function importActivities(options = {}) {
+    const file = options.file || path.join(__dirname, 'assets', 'activities.json');
+    const format = options.format || path.extname(file).slice(1).toLowerCase();
+    const batchSize = Number(options['batch-size'] || 100);
+    const delay = Number(options.delay ?? 100);
+    const checkpointFile = options.checkpoint || '.import-checkpoint.json';
+
+    if (!options['user-id'] || options['user-id'] === true) {
+        throw new Error('--user-id is required');
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new Error(`--batch-size must be a positive integer, got ${options['batch-size']}`);
+    }
+
+    logger.info('Starting import', { file, format, dry_run: Boolean(options['dry-run']) });
+
+    let content;
+    let rows;
+    let rejected;
+    try {
+        content = fs.readFileSync(file, 'utf8');
+        ({ rows, rejected } = loadRecords(content, format));
     } catch (error) {
-        console.error('Error reading or parsing JSON file:', error);
+        logger.error('Error reading or parsing the export', { file, format, error });
         process.exit(1);
     }
+    rows = keyedRows(rows, rejected);
+    const userId = String(options['user-id']);
+    for (const row of rows) {
+        row.data.user_id = userId;
+    }
+
+    const duplicates = createDuplicateService({
+        activities: repositories.activities,
+        maps: repositories.maps,
+        activityLifecycle: createActivityLifecycle({ activities: repositories.activities, maps: repositories.maps }),
+        policy: options.duplicates || process.env.DUPLICATE_POLICY || 'reject'
+    });
+    const stored = await repositories.activities.listForUser(userId, '*');
+
+    if (options['dry-run']) {
+        await dryRun(rows, batchSize, duplicates, stored);
+        reportRejected(rejected, options.report);
+        return;
+    }
+
+    const source = crypto.createHash('sha256').update(`${userId}\n`).update(content).digest('hex');
+    if (options.restart && fs.existsSync(checkpointFile)) {
+        fs.unlinkSync(checkpointFile);
+    }
+    const checkpoint = loadCheckpoint(checkpointFile, source) || {
+        source,
+        next: 0,
+        successCount: 0,
+        rejected
+    };
+    if (checkpoint.next > 0) {
+        logger.info('Resuming from checkpoint', { next: checkpoint.next, total: rows.length });
+    }
+
+    for (let i = checkpoint.next; i < rows.length; i += batchSize) {
+        const batch = rows.slice(i, i + batchSize);
+        const result = await writeBatch(batch, duplicates, stored);
+
+        checkpoint.next = i + batch.length;
+        checkpoint.successCount += result.written;
+        checkpoint.rejected.push(...result.rejected);
+        saveCheckpoint(checkpointFile, checkpoint);
+        logger.info('Batch imported', { imported: checkpoint.next, total: rows.length });
+
+        // Add a small delay between batches to avoid overwhelming the API
+        if (delay > 0 && checkpoint.next < rows.length) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    fs.rmSync(checkpointFile, { force: true });
+
+    logger.info('Linking gear, recalculating athlete stats and personal records and matching routes');
+    await createGearService({ gear: repositories.gear, activities: repositories.activities, logger }).recalculate(userId);
+    await createStatsService({
+        activities: repositories.activities,
+        athletes: repositories.athletes,
+        athleteStats: repositories.athleteStats
+    }).recalculate(userId);
+    await createRecordsService({ activities: repositories.activities, personalRecords: repositories.personalRecords }).recalculate(userId);
+    await createRoutesService({
+        routes: repositories.routes,
+        activities: repositories.activities,
+        maps: repositories.maps,
+        logger
+    }).match(userId);
 
-    console.log(`Import completed!`);
-    console.log(`Successfully imported: ${successCount} records`);
-    console.log(`Failed to import: ${errorCount} records`);
+    logger.info('Import completed', { imported: checkpoint.successCount, failed: checkpoint.rejected.length });
+    reportRejected(checkpoint.rejected, options.report);
 }
 
 // Run the import
-importActivities().catch(console.error); 
\ No newline at end of file
+importActivities(parseArgs(process.argv.slice(2))).catch(error => {
+    logger.error('Import failed', { error });
+    process.exitCode = 1;
+});
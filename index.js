@@ -2,435 +2,2458 @@
  * Express server with Supabase integration for activity and refresh token management.
  * @module index
  * @requires express
- * @requires @supabase/supabase-js
  * @requires dotenv
  * @requires cors
  */
 
+const { Readable } = require('stream');
 const express = require('express');
-const { createClient } = require('@supabase/supabase-js');
 const dotenv = require('dotenv');
 const cors = require('cors');
+const multer = require('multer');
+const { activityQuery, toPage } = require('./src/activities/query');
+const { createRepositories } = require('./src/storage');
+const { createAuth } = require('./src/auth/middleware');
+const { SESSION_TTL, SessionError, createSessionService } = require('./src/auth/sessions');
+const { tokenCipherFromEnv } = require('./src/tokens/encryption');
+const { createTokenStore } = require('./src/tokens/store');
+const {
+    TokenRevokedError,
+    TokenRefreshError,
+    createTokenRefresher
+} = require('./src/tokens/refresh');
+const { createJobQueue } = require('./src/jobs/queue');
+const { createStravaApi } = require('./src/strava/api');
+const { isWebhookEvent, createWebhookProcessor } = require('./src/strava/webhook');
+const { decodePolyline } = require('./src/geo/polyline');
+const { describeRoute, toGeoJson, toGpx } = require('./src/geo/route');
+const { createStatsService, statsWithDisplay, breakdownWithDisplay } = require('./src/stats/athlete-stats');
+const { createRecordsService } = require('./src/stats/personal-records');
+const { createTrainingLoadService } = require('./src/stats/training-load');
+const {
+    etagOf,
+    ifMatchSatisfied,
+    createActivityLifecycle
+} = require('./src/activities/lifecycle');
+const { DuplicateActivityError, createDuplicateService } = require('./src/activities/duplicates');
+const { sendError, handleError, errorHandler, notFoundHandler } = require('./src/http/errors');
+const { validate } = require('./src/http/validation');
+const { requestLogger, REQUEST_ID_HEADER } = require('./src/http/request-log');
+const { TrackFileError } = require('./src/uploads/track-file');
+const { createUploadService } = require('./src/uploads/upload');
+const { GearError, createGearService } = require('./src/gear/gear');
+const { EXPORT_FORMATS, createExportService } = require('./src/export/export');
+const { GoalError, createGoalsService } = require('./src/goals/goals');
+const { HeatmapError, createHeatmapService } = require('./src/heatmap/heatmap');
+const { createCalendarService } = require('./src/calendar/calendar');
+const { createRoutesService } = require('./src/routes/routes');
+const { parseTimeZone, normalizeActivityTimes } = require('./src/time/zones');
+const { resolveUnits, withDisplay } = require('./src/units/units');
+const { loggerFromEnv } = require('./src/logging/logger');
+const schemas = require('./src/http/schemas');
 
 // Load environment variables
 dotenv.config();
 
+/**
+ * Structured JSON logger, configured by LOG_LEVEL and LOG_REDACT
+ * @constant {Object}
+ */
+const logger = loggerFromEnv(process.env);
+
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(requestLogger(logger));
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] }));
 app.use(express.json());
 
 /**
- * Supabase client instance
+ * Data access, backed by Supabase or in-process storage (STORAGE_BACKEND)
+ * @constant {Object}
+ */
+const repositories = createRepositories(process.env);
+
+/**
+ * Store for OAuth tokens, encrypted at rest with the TOKEN_ENCRYPTION_KEYS keyring
+ * @constant {Object}
+ */
+const tokenStore = createTokenStore({
+    tokens: repositories.tokens,
+    cipher: tokenCipherFromEnv(process.env)
+});
+
+/**
+ * Refreshes expired access tokens on read
+ * @constant {Object}
+ */
+const tokenRefresher = createTokenRefresher({
+    tokenStore,
+    tokenUrl: process.env.STRAVA_TOKEN_URL || 'https://www.strava.com/oauth/token',
+    clientId: process.env.STRAVA_CLIENT_ID,
+    clientSecret: process.env.STRAVA_CLIENT_SECRET,
+    refreshMargin: Number(process.env.TOKEN_REFRESH_MARGIN || 300),
+    logger
+});
+
+/**
+ * Activity updates and soft deletion with optimistic concurrency
+ * @constant {Object}
+ */
+const activityLifecycle = createActivityLifecycle({
+    activities: repositories.activities,
+    maps: repositories.maps
+});
+
+/**
+ * Duplicate detection and merging, with the policy for new duplicates
+ * from DUPLICATE_POLICY (reject, flag or merge)
+ * @constant {Object}
+ */
+const duplicateService = createDuplicateService({
+    activities: repositories.activities,
+    maps: repositories.maps,
+    activityLifecycle,
+    policy: process.env.DUPLICATE_POLICY || 'reject'
+});
+
+/**
+ * Athlete statistics computed from activities
+ * @constant {Object}
+ */
+const statsService = createStatsService({
+    activities: repositories.activities,
+    athletes: repositories.athletes,
+    athleteStats: repositories.athleteStats
+});
+
+/**
+ * Personal records derived from activities
+ * @constant {Object}
+ */
+const recordsService = createRecordsService({
+    activities: repositories.activities,
+    personalRecords: repositories.personalRecords
+});
+
+/**
+ * Training load analytics
+ * @constant {Object}
+ */
+const trainingLoadService = createTrainingLoadService({
+    activities: repositories.activities,
+    athletes: repositories.athletes
+});
+
+/**
+ * Gear with mileage totals and retirement alerts
+ * @constant {Object}
+ */
+const gearService = createGearService({
+    gear: repositories.gear,
+    activities: repositories.activities,
+    logger
+});
+
+/**
+ * Creates activities from uploaded GPX and TCX files
+ * @constant {Object}
+ */
+const uploadService = createUploadService({
+    activities: repositories.activities,
+    maps: repositories.maps,
+    duplicates: duplicateService,
+    gearService
+});
+
+/**
+ * Goals and their progress
+ * @constant {Object}
+ */
+const goalsService = createGoalsService({
+    goals: repositories.goals,
+    activities: repositories.activities,
+    athletes: repositories.athletes
+});
+
+/**
+ * Local-time calendar, streaks and rest days
+ * @constant {Object}
+ */
+const calendarService = createCalendarService({
+    activities: repositories.activities,
+    athletes: repositories.athletes
+});
+
+/**
+ * Streams activity exports
+ * @constant {Object}
+ */
+const exportService = createExportService({
+    activities: repositories.activities,
+    athletes: repositories.athletes
+});
+
+/**
+ * Renders route heatmaps, caching routes and tiles for HEATMAP_CACHE_TTL seconds
+ * @constant {Object}
+ */
+const heatmapService = createHeatmapService({
+    activities: repositories.activities,
+    maps: repositories.maps,
+    cacheTtl: process.env.HEATMAP_CACHE_TTL ? Number(process.env.HEATMAP_CACHE_TTL) : undefined,
+    logger
+});
+
+/**
+ * Groups activities repeating the same course into routes
+ * @constant {Object}
+ */
+const routesService = createRoutesService({
+    routes: repositories.routes,
+    activities: repositories.activities,
+    maps: repositories.maps,
+    logger
+});
+
+/**
+ * Multipart parser for activity file uploads, keeping the single `file` part
+ * in memory. 25 MB matches Strava's upload limit.
+ * @constant {Function}
+ */
+const uploadFile = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 25 * 1024 * 1024, files: 1 }
+}).single('file');
+
+/**
+ * Recompute everything derived from a user's activities and maps.
+ * @param {string} userId - Owner of the changed activities
+ */
+async function refreshDerivedData(userId) {
+    heatmapService.invalidate(userId);
+    await gearService.recalculate(userId);
+    await statsService.recalculate(userId);
+    await recordsService.recalculate(userId);
+    await routesService.match(userId);
+}
+
+/**
+ * Strava webhook event processor
+ * @constant {Object}
+ */
+const webhookProcessor = createWebhookProcessor({
+    athletes: repositories.athletes,
+    activities: repositories.activities,
+    maps: repositories.maps,
+    tokens: repositories.tokens,
+    tokenRefresher,
+    stravaApi: createStravaApi({ baseUrl: process.env.STRAVA_API_URL }),
+    activityLifecycle,
+    duplicates: duplicateService,
+    onActivitiesChanged: refreshDerivedData,
+    logger
+});
+
+/**
+ * Sessions expiring SESSION_TTL seconds after their last use, and the
+ * auth id to user id mapping
+ * @constant {Object}
+ */
+const sessionService = createSessionService({
+    sessions: repositories.sessions,
+    profiles: repositories.profiles,
+    ttl: Number(process.env.SESSION_TTL || SESSION_TTL)
+});
+
+/**
+ * Delete expired sessions and old done jobs, as the `sessions_cleanup` job.
+ */
+async function cleanUp() {
+    const purged = await sessionService.purgeExpired();
+    if (purged > 0) logger.info('Purged expired sessions', { purged });
+
+    const purgedJobs = await jobQueue.purgeDone();
+    if (purgedJobs > 0) logger.info('Purged done jobs', { purged: purgedJobs });
+}
+
+/**
+ * Durable background job queue
+ * @constant {Object}
+ */
+const jobQueue = createJobQueue({
+    jobs: repositories.jobs,
+    handlers: {
+        strava_event: webhookProcessor.processEvent,
+        activities_changed: ({ user_id }) => refreshDerivedData(user_id),
+        sessions_cleanup: cleanUp
+    },
+    pollInterval: Number(process.env.JOB_POLL_INTERVAL || 5000),
+    maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS || 5),
+    logger
+});
+
+/**
+ * Queue a refresh of a user's gear, stats, records and routes after their
+ * activities or maps changed, and drop their cached heatmap. A refresh still
+ * pending for the user covers the change, so none is added then. Failures
+ * are logged only: the change itself has been stored.
+ * @param {string} userId - Owner of the changed activities
+ */
+function scheduleDerivedDataRefresh(userId) {
+    heatmapService.invalidate(userId);
+    jobQueue.enqueueOnce('activities_changed', { user_id: String(userId) }).catch(error => {
+        logger.error('Error queueing derived data refresh', { user_id: userId, error });
+    });
+}
+
+/**
+ * @api {get} /webhooks/strava Validate webhook subscription
+ * @apiName ValidateStravaWebhook
+ * @apiGroup Webhooks
+ * @apiDescription Answers the Strava subscription validation handshake. Does not
+ * require authentication; the verify token must match STRAVA_WEBHOOK_VERIFY_TOKEN.
+ *
+ * @apiQuery {String} hub.mode Always "subscribe"
+ * @apiQuery {String} hub.challenge Value to echo back
+ * @apiQuery {String} hub.verify_token Token chosen when creating the subscription
+ *
+ * @apiSuccess {String} hub.challenge The challenge from the request
+ * @apiError (403) {Object} error Verify token mismatch
+ *
+ * @example
+ * GET /webhooks/strava?hub.mode=subscribe&hub.challenge=15f7d1a91c1f40f8a748fd134752feb3&hub.verify_token=STRAVA
+ */
+app.get('/webhooks/strava', (req, res) => {
+    const mode = req.query['hub.mode'];
+    const challenge = req.query['hub.challenge'];
+    const verifyToken = req.query['hub.verify_token'];
+    const expected = process.env.STRAVA_WEBHOOK_VERIFY_TOKEN;
+
+    if (mode !== 'subscribe' || !challenge || !expected || verifyToken !== expected) {
+        return sendError(res, 403, 'forbidden', 'Webhook verification failed');
+    }
+
+    res.status(200).json({ 'hub.challenge': challenge });
+});
+
+/**
+ * @api {post} /webhooks/strava Receive webhook event
+ * @apiName ReceiveStravaWebhook
+ * @apiGroup Webhooks
+ * @apiDescription Accepts a Strava event (activity create/update/delete, athlete
+ * deauthorization) and queues it for processing. Strava expects an answer within
+ * two seconds, so nothing is processed inline. Does not require authentication;
+ * the subscription id must match STRAVA_SUBSCRIPTION_ID, and all events are
+ * rejected while it is not set.
+ *
+ * @apiBody {String} object_type "activity" or "athlete"
+ * @apiBody {Number} object_id Activity or athlete id
+ * @apiBody {String} aspect_type "create", "update" or "delete"
+ * @apiBody {Number} owner_id Strava athlete id
+ * @apiBody {Number} subscription_id Push subscription id
+ * @apiBody {Object} [updates] Changed fields, e.g. { "authorized": "false" }
+ *
+ * @apiSuccess {Object} data Queued job id
+ * @apiError (400) {Object} error Not a webhook event
+ * @apiError (403) {Object} error Unknown subscription, or STRAVA_SUBSCRIPTION_ID not set
+ * @apiError (500) {Object} error Server error
+ */
+app.post('/webhooks/strava', async (req, res) => {
+    req.log.info('Received Strava webhook event', {
+        object_type: req.body.object_type,
+        aspect_type: req.body.aspect_type
+    });
+    try {
+        const event = req.body;
+
+        if (!isWebhookEvent(event)) {
+            return sendError(res, 400, 'validation_failed', 'Invalid webhook event');
+        }
+
+        const subscriptionId = process.env.STRAVA_SUBSCRIPTION_ID;
+        if (!subscriptionId) {
+            req.log.warn('Rejected webhook event, STRAVA_SUBSCRIPTION_ID is not set');
+        }
+        if (!subscriptionId || String(event.subscription_id) !== subscriptionId) {
+            return sendError(res, 403, 'forbidden', 'Unknown webhook subscription');
+        }
+
+        const job = await jobQueue.enqueue('strava_event', event);
+
+        res.status(200).json({ id: job.id });
+    } catch (error) {
+        handleError(res, error, 'Error queueing webhook event');
+    }
+});
+
+/**
+ * Authentication middleware and authorization helpers
  * @constant {Object}
  */
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_KEY
-);
+const { authenticate, requireSameUser, canAccessUser } = createAuth({
+    sessions: sessionService,
+    jwtSecret: process.env.SUPABASE_JWT_SECRET,
+    jwksFile: process.env.SUPABASE_JWKS_FILE,
+    audience: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated',
+    issuer: process.env.SUPABASE_JWT_ISSUER,
+    serviceKey: process.env.SERVICE_API_KEY
+});
+
+// Every route below requires an authenticated caller
+app.use(authenticate);
+
+/**
+ * Reject the request with 403 unless the caller may act on the given user.
+ * @param {Object} req - Authenticated request
+ * @param {Object} res - Response
+ * @param {string|number} userId - Owner of the data being accessed
+ * @returns {boolean} true when the request was rejected
+ */
+function rejectOtherUser(req, res, userId) {
+    if (canAccessUser(req, userId)) return false;
+    sendError(res, 403, 'forbidden', 'Access to this user is not allowed');
+    return true;
+}
+
+/**
+ * Unit system of a response: the `units` asked for, else the athlete's
+ * preference, else metric.
+ * @param {?string} requested - Value of `?units=`
+ * @param {?string} userId - Athlete the data belongs to
+ * @returns {Promise<string>}
+ */
+async function unitsFor(requested, userId) {
+    if (requested || !userId) return resolveUnits(requested, null);
+    return resolveUnits(null, await repositories.athletes.findByUserId(userId));
+}
+
+/**
+ * @api {get} /activities List activities
+ * @apiName GetActivities
+ * @apiGroup Activities
+ * @apiDescription Lists activities, newest first by default, one page at a time.
+ * Pass the returned `next` cursor as `cursor` to fetch the following page.
+ *
+ * @apiQuery {String} [after] Only activities starting at or after this date (ISO 8601 or epoch seconds)
+ * @apiQuery {String} [before] Only activities starting before this date (ISO 8601 or epoch seconds)
+ * @apiQuery {String} [type] Activity type, or a comma-separated list of types
+ * @apiQuery {Number} [min_distance] Minimum distance in meters
+ * @apiQuery {Number} [max_distance] Maximum distance in meters
+ * @apiQuery {Number} [min_duration] Minimum moving time in seconds
+ * @apiQuery {Number} [max_duration] Maximum moving time in seconds
+ * @apiQuery {Boolean} [commute] Only commutes (true) or non-commutes (false)
+ * @apiQuery {Boolean} [trainer] Only trainer (true) or outdoor (false) activities
+ * @apiQuery {String} [q] Case-insensitive search on the activity name
+ * @apiQuery {String} [sort=-start_date] Sort column, prefixed with - for descending
+ * @apiQuery {Number} [limit=50] Page size, at most 200
+ * @apiQuery {String} [cursor] Cursor from a previous page
+ * @apiQuery {String} [fields] Comma-separated list of columns to return
+ * @apiQuery {String} [units] metric or imperial for the display values; defaults to the athlete's units
+ *
+ * @apiSuccess {Object[]} data Activities in this page, each with `display` values computed
+ * from the returned columns (see GET /activities/:id)
+ * @apiSuccess {String} next Cursor for the next page, null on the last page
+ * @apiError (400) {Object} error Invalid query parameter
+ * @apiError {Object} error Error message
+ *
+ * @example
+ * GET /activities?type=Run&after=2024-01-01&min_distance=5000&sort=-distance&limit=20&fields=id,name,distance
+ */
+app.get('/activities', validate(schemas.listActivities), async (req, res) => {
+    req.log.debug('Fetching activities', { filters: Object.keys(req.query) });
+    try {
+        const parsed = activityQuery(req.query);
+
+        // Users only see their own activities; the service may filter by user_id
+        parsed.userId = req.auth.service ? req.query.user_id : req.auth.userId;
+        if (!req.auth.service && !parsed.userId) {
+            return sendError(res, 403, 'forbidden', 'Access to this user is not allowed');
+        }
+
+        const data = await repositories.activities.query(parsed);
+        const units = await unitsFor(req.query.units, parsed.userId);
+        const page = toPage(data, parsed);
+
+        res.json({ ...page, data: page.data.map(row => withDisplay(row, units)) });
+    } catch (error) {
+        handleError(res, error, 'Error fetching activities');
+    }
+});
+
+/**
+ * @api {get} /activities/:id Get activity by ID
+ * @apiName GetActivityById
+ * @apiGroup Activities
+ * @apiDescription Returns the activity with its version in the ETag header; send it
+ * back as If-Match when updating or deleting. Values stay in meters, seconds and
+ * meters per second; `display` repeats them in the athlete's unit system.
+ * @apiParam {String} id Activity ID
+ * @apiQuery {String} [units] metric or imperial; defaults to the athlete's units
+ * @apiSuccess {Object} activity Activity details
+ * @apiSuccess {Object} activity.display units, distance and distance_unit (km or mi),
+ * elevation_gain and elevation_unit (m or ft), moving_time and elapsed_time as "h:mm:ss"
+ * or "m:ss", and pace and pace_unit (runs, walks and hikes: per km or mi; swims: per
+ * 100 m or 100 yd) or speed, max_speed and speed_unit (km/h or mph) for other types
+ * @apiError (400) {Object} error Invalid units
+ * @apiError {Object} error Error message
+ * @apiError (404) {Object} error Activity not found
+ */
+app.get('/activities/:id', validate(schemas.showActivity), async (req, res) => {
+    req.log.debug('Fetching activity by ID', { activity_id: req.params.id });
+    try {
+        const { id } = req.params;
+        const data = await activityLifecycle.find({ id });
+
+        if (!data || data.deleted_at) {
+            return sendError(res, 404, 'not_found', 'Activity not found');
+        }
+
+        if (rejectOtherUser(req, res, data.user_id)) return;
+
+        const units = await unitsFor(req.query.units, data.user_id);
+
+        res.set('ETag', etagOf(data));
+        res.json(withDisplay(data, units));
+    } catch (error) {
+        handleError(res, error, 'Error fetching activity');
+    }
+});
+
+/**
+ * @api {get} /activities/:id/route Get activity route
+ * @apiName GetActivityRoute
+ * @apiGroup Activities
+ * @apiDescription Decodes the activity's summary polyline and returns it as a GeoJSON
+ * Feature (LineString with bbox) or as a GPX file. The GeoJSON properties carry the
+ * derived route facts: start and end points, distance along the route and point counts.
+ *
+ * @apiParam {String} id Activity ID
+ * @apiQuery {String} [format=geojson] "geojson" or "gpx"
+ * @apiQuery {Number} [tolerance=0] Simplification tolerance in meters (Douglas-Peucker)
+ *
+ * @apiSuccess {Object} feature GeoJSON Feature, or a GPX document for format=gpx
+ * @apiError (400) {Object} error Invalid format or tolerance
+ * @apiError (403) {Object} error Activity belongs to another user
+ * @apiError (404) {Object} error Activity not found or has no route
+ * @apiError (500) {Object} error Server error
+ *
+ * @example
+ * GET /activities/123/route?tolerance=10
+ * GET /activities/123/route?format=gpx
+ */
+app.get('/activities/:id/route', validate(schemas.activityRoute), async (req, res) => {
+    req.log.debug('Fetching route for activity', { activity_id: req.params.id });
+    try {
+        const { id } = req.params;
+        const { format, tolerance } = req.query;
+
+        const activity = await repositories.activities.find({ id });
+
+        if (!activity || activity.deleted_at) {
+            return sendError(res, 404, 'not_found', 'Activity not found');
+        }
+
+        if (rejectOtherUser(req, res, activity.user_id)) return;
+
+        const map = await repositories.maps.latestForActivity(activity);
+        if (!map || !map.summary_polyline) {
+            return sendError(res, 404, 'not_found', 'Activity has no route');
+        }
+
+        const route = describeRoute(decodePolyline(map.summary_polyline), tolerance);
+
+        if (format === 'gpx') {
+            res.set('Content-Type', 'application/gpx+xml');
+            res.set('Content-Disposition', `attachment; filename="activity-${activity.id}.gpx"`);
+            return res.status(200).send(toGpx(activity, route.points));
+        }
+
+        res.set('Content-Type', 'application/geo+json');
+        res.status(200).send(JSON.stringify(toGeoJson(activity, route, tolerance)));
+    } catch (error) {
+        handleError(res, error, 'Error fetching activity route');
+    }
+});
+
+/**
+ * @api {get} /activities/:id/records Get records set by an activity
+ * @apiName GetActivityRecords
+ * @apiGroup Records
+ * @apiDescription Lists the personal records the activity set when it happened,
+ * including those beaten since (current is false for those).
+ *
+ * @apiParam {String} id Activity ID
+ *
+ * @apiSuccess {Object[]} data { sport, record_type, value, unit, achieved_at, estimated, current }
+ * @apiError (403) {Object} error Activity belongs to another user
+ * @apiError (404) {Object} error Activity not found
+ * @apiError (500) {Object} error Server error
+ */
+app.get('/activities/:id/records', validate(schemas.getActivity), async (req, res) => {
+    req.log.debug('Fetching records for activity', { activity_id: req.params.id });
+    try {
+        const activity = await repositories.activities.find({ id: req.params.id });
+
+        if (!activity || activity.deleted_at) {
+            return sendError(res, 404, 'not_found', 'Activity not found');
+        }
+
+        if (rejectOtherUser(req, res, activity.user_id)) return;
+
+        const data = await recordsService.forActivity(activity.id);
+
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error fetching activity records');
+    }
+});
+
+/**
+ * Answer a new activity rejected as a duplicate.
+ * @param {Object} res - Response
+ * @param {module:activities/duplicates~DuplicateActivityError} error
+ * @param {string} field - Request field the details point at
+ */
+function duplicateActivity(res, error, field) {
+    return sendError(res, 409, 'conflict', error.message, [
+        { field, message: `Activity ${error.activity.id} records the same workout` }
+    ]);
+}
+
+/**
+ * Status of a create handled by the duplicate policy: 200 when the new
+ * activity was merged into the stored one, 201 otherwise.
+ * @param {{activity: Object, duplicate: ?Object, merged: boolean}} result
+ * @returns {number}
+ */
+function createdStatus({ activity, duplicate, merged }) {
+    return merged && String(activity.id) === String(duplicate.id) ? 200 : 201;
+}
+
+/**
+ * @api {post} /activities Create new activity
+ * @apiName CreateActivity
+ * @apiGroup Activities
+ * @apiDescription Creates an activity owned by the caller. Fields not listed are ignored;
+ * id, version, pr_count and the timestamps are set by the server.
+ * @apiBody {String} name Activity name
+ * @apiBody {String} type Activity type, e.g. Run
+ * @apiBody {String} start_date Start time (ISO 8601)
+ * @apiBody {String} [user_id] Owner, defaults to the caller (service callers must set it)
+ * @apiBody {String} [external_id] Strava activity id
+ * @apiBody {Number} [distance] Distance in meters
+ * @apiBody {Number} [moving_time] Moving time in seconds
+ * @apiBody {Number} [elapsed_time] Elapsed time in seconds
+ * @apiBody {Number} [total_elevation_gain] Elevation gain in meters
+ * @apiBody {Number} [gear_id] Gear used; defaults to the gear set as default for the type
+ * @apiBody {String} [time_zone] IANA time zone, or a Strava zone such as "(GMT+01:00) Europe/Berlin";
+ * stored as the IANA name, and used to derive start_date_local when it is left out
+ * @apiBody {Any} [...] Any other activities column, see the README schema
+ * @apiQuery {String} [units] metric or imperial for the display values; defaults to the athlete's units
+ * @apiSuccess (201) {Object} activity Created activity, with `display` values (see GET /activities/:id)
+ * @apiSuccess (200) {Object} activity With DUPLICATE_POLICY=merge, the stored activity the new
+ * one was merged into
+ * @apiError (400) {Object} error Invalid fields or unknown gear (code validation_failed)
+ * @apiError (409) {Object} error An activity with this external_id exists, or with
+ * DUPLICATE_POLICY=reject, an activity recording the same workout (code conflict)
+ */
+app.post('/activities', validate(schemas.createActivity), async (req, res) => {
+    req.log.debug('Creating activity', { fields: Object.keys(req.body) });
+    try {
+        const user_id = req.body.user_id ?? req.auth.userId;
+        if (rejectOtherUser(req, res, user_id)) return;
+
+        if (req.body.time_zone && !parseTimeZone(req.body.time_zone)) {
+            return sendError(res, 400, 'validation_failed', 'time_zone must be an IANA time zone', [
+                { field: 'time_zone', message: 'must be an IANA time zone, e.g. Europe/Berlin' }
+            ]);
+        }
+
+        let gear;
+        try {
+            gear = await gearService.linkFields(String(user_id), req.body, { useDefault: true });
+        } catch (error) {
+            if (error instanceof GearError) return invalidGear(res, error);
+            throw error;
+        }
+
+        let result;
+        try {
+            result = await duplicateService.admit(
+                { ...normalizeActivityTimes(req.body), ...gear, user_id, version: 1, deleted_at: null },
+                row => repositories.activities.insert(row)
+            );
+        } catch (error) {
+            if (error instanceof DuplicateActivityError) return duplicateActivity(res, error, 'start_date');
+            throw error;
+        }
+
+        scheduleDerivedDataRefresh(user_id);
+
+        const units = await unitsFor(req.query.units, user_id);
+        res.set('ETag', etagOf(result.activity));
+        res.status(createdStatus(result)).json(withDisplay(result.activity, units));
+    } catch (error) {
+        handleError(res, error, 'Error creating activity');
+    }
+});
+
+/**
+ * @api {post} /activities/upload Upload activity file
+ * @apiName UploadActivity
+ * @apiGroup Activities
+ * @apiDescription Creates an activity from a GPX or TCX file sent as multipart/form-data.
+ * Files may be gzipped (`.gpx.gz`, `.tcx.gz`). Distance, moving and elapsed time,
+ * elevation gain and loss, speeds and heart rate are computed from the trackpoints,
+ * and a map with the encoded route is stored when the file has positions.
+ * @apiBody {File} file The .gpx, .tcx, .gpx.gz or .tcx.gz file
+ * @apiBody {String} [user_id] Owner, defaults to the caller (service callers must set it)
+ * @apiBody {String} [name] Activity name, defaults to the name in the file or the type
+ * @apiBody {String} [type] Activity type, defaults to the sport in the file or Workout
+ * @apiBody {String} [detail] Description
+ * @apiBody {Boolean} [commute] Commute flag
+ * @apiBody {Boolean} [trainer] Indoor trainer flag
+ * @apiBody {Boolean} [private] Private flag
+ * @apiBody {Number} [gear_id] Gear used; defaults to the gear set as default for the type
+ * @apiQuery {String} [units] metric or imperial for the display values; defaults to the athlete's units
+ * @apiSuccess (201) {Object} activity Created activity, with `display` values (see GET /activities/:id)
+ * @apiSuccess (200) {Object} activity With DUPLICATE_POLICY=merge, the stored activity the upload
+ * was merged into
+ * @apiError (400) {Object} error Missing or unreadable file, or unknown gear (code validation_failed)
+ * @apiError (409) {Object} error With DUPLICATE_POLICY=reject, the user already has an activity
+ * recording the same workout (code conflict)
+ * @apiError (413) {Object} error File larger than 25 MB (code payload_too_large)
+ *
+ * @example
+ * curl -F file=@morning-run.gpx.gz -F commute=true -H "Authorization: Bearer $JWT" /activities/upload
+ */
+app.post('/activities/upload', uploadFile, validate(schemas.uploadActivity), async (req, res) => {
+    req.log.debug('Uploading activity file', { size: req.file ? req.file.size : null });
+    try {
+        const { user_id: requestedUserId, ...fields } = req.body;
+        const user_id = requestedUserId ?? req.auth.userId;
+        if (!user_id) {
+            return sendError(res, 400, 'validation_failed', 'user_id is required', [
+                { field: 'user_id', message: 'user_id is required' }
+            ]);
+        }
+        if (rejectOtherUser(req, res, user_id)) return;
+
+        if (!req.file) {
+            return sendError(res, 400, 'validation_failed', 'file is required', [
+                { field: 'file', message: 'file is required' }
+            ]);
+        }
+
+        let result;
+        try {
+            result = await uploadService.upload(String(user_id), req.file, fields);
+        } catch (error) {
+            if (error instanceof TrackFileError) {
+                return sendError(res, 400, 'validation_failed', error.message, [
+                    { field: 'file', message: error.message }
+                ]);
+            }
+            if (error instanceof GearError) return invalidGear(res, error);
+            if (error instanceof DuplicateActivityError) return duplicateActivity(res, error, 'file');
+            throw error;
+        }
+
+        scheduleDerivedDataRefresh(user_id);
+
+        const units = await unitsFor(req.query.units, user_id);
+        res.set('ETag', etagOf(result.activity));
+        res.status(createdStatus(result)).json(withDisplay(result.activity, units));
+    } catch (error) {
+        handleError(res, error, 'Error uploading activity');
+    }
+});
+
+/**
+ * Load an activity for a write, answering 404/403/428/412 itself.
+ * @param {Object} req - Authenticated request
+ * @param {Object} res - Response
+ * @param {Object} options
+ * @param {boolean} options.requireIfMatch - Whether If-Match must be present
+ * @param {boolean} [options.deleted=false] - Whether the activity must be soft-deleted
+ * @returns {Promise<?Object>} Activity row, or null when a response was sent
+ */
+async function activityForWrite(req, res, { requireIfMatch, deleted = false }) {
+    const activity = await activityLifecycle.find({ id: req.params.id });
+
+    if (!activity || Boolean(activity.deleted_at) !== deleted) {
+        sendError(res, 404, 'not_found', deleted ? 'Deleted activity not found' : 'Activity not found');
+        return null;
+    }
+
+    if (rejectOtherUser(req, res, activity.user_id)) return null;
+
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch && requireIfMatch) {
+        sendError(res, 428, 'precondition_required', 'If-Match header with the activity ETag is required');
+        return null;
+    }
+    if (ifMatch && !ifMatchSatisfied(ifMatch, activity)) {
+        res.set('ETag', etagOf(activity));
+        sendError(res, 412, 'precondition_failed', 'Activity has been modified since it was read');
+        return null;
+    }
+
+    return activity;
+}
+
+/**
+ * Answer a write that lost a race with another writer.
+ */
+function concurrentModification(res) {
+    return sendError(res, 412, 'precondition_failed', 'Activity has been modified since it was read');
+}
+
+/**
+ * Answer a request naming gear the user does not have.
+ */
+function invalidGear(res, error) {
+    return sendError(res, 400, 'validation_failed', error.message, [{ field: error.field, message: error.message }]);
+}
+
+/**
+ * Shared handler of PATCH and PUT /activities/:id. A PATCH changes the given
+ * fields only; a PUT replaces every editable field, clearing the ones it
+ * leaves out (false for flags, null otherwise).
+ * @param {boolean} replace - true for PUT
+ */
+function updateActivityHandler(replace) {
+    return async (req, res) => {
+        req.log.debug(replace ? 'Replacing activity' : 'Updating activity', { activity_id: req.params.id });
+        try {
+            const changes = { ...req.body };
+            if (replace) {
+                for (const [field, spec] of Object.entries(schemas.replaceActivity.body)) {
+                    if (changes[field] === undefined) changes[field] = spec.type === 'boolean' ? false : null;
+                }
+            } else if (Object.keys(changes).length === 0) {
+                return sendError(res, 400, 'validation_failed', 'No fields to change');
+            }
+            if (changes.time_zone) {
+                changes.time_zone = parseTimeZone(changes.time_zone);
+                if (!changes.time_zone) {
+                    return sendError(res, 400, 'validation_failed', 'time_zone must be an IANA time zone', [
+                        { field: 'time_zone', message: 'must be an IANA time zone, e.g. Europe/Berlin' }
+                    ]);
+                }
+            }
+
+            const activity = await activityForWrite(req, res, { requireIfMatch: true });
+            if (!activity) return;
+
+            if (changes.gear_id !== undefined || changes.gear !== undefined) {
+                const { gear_id, gear } = req.body;
+                try {
+                    Object.assign(
+                        changes,
+                        { gear_external_id: null },
+                        await gearService.linkFields(activity.user_id, { gear_id, gear })
+                    );
+                } catch (error) {
+                    if (error instanceof GearError) return invalidGear(res, error);
+                    throw error;
+                }
+            }
+
+            const data = await activityLifecycle.update(activity, changes);
+            if (!data) return concurrentModification(res);
+
+            scheduleDerivedDataRefresh(activity.user_id);
+
+            const units = await unitsFor(req.query.units, data.user_id);
+            res.set('ETag', etagOf(data));
+            res.status(200).json(withDisplay(data, units));
+        } catch (error) {
+            handleError(res, error, 'Error updating activity');
+        }
+    };
+}
+
+/**
+ * @api {patch} /activities/:id Update activity
+ * @apiName UpdateActivity
+ * @apiGroup Activities
+ * @apiDescription Changes the given fields of an activity. Requires the If-Match header
+ * with the ETag from a previous read, so concurrent edits are detected instead of lost.
+ * Fields other than the ones below are ignored. Stats and records are recalculated afterwards.
+ *
+ * @apiParam {String} id Activity ID
+ * @apiHeader {String} If-Match ETag of the version being edited
+ * @apiBody {String} [name] Activity name
+ * @apiBody {String} [type] Activity type
+ * @apiBody {String} [detail] Description
+ * @apiBody {Boolean} [commute] Commute flag
+ * @apiBody {Boolean} [trainer] Trainer flag
+ * @apiBody {Boolean} [private] Private flag
+ * @apiBody {Number} [distance] Distance in meters
+ * @apiBody {Number} [moving_time] Moving time in seconds
+ * @apiBody {Number} [elapsed_time] Elapsed time in seconds
+ * @apiBody {Number} [total_elevation_gain] Elevation gain in meters
+ * @apiBody {String} [start_date] Start time (ISO 8601)
+ * @apiBody {String} [start_date_local] Local start time (ISO 8601), derived from start_date and
+ * time_zone when a change to either leaves it out
+ * @apiBody {String} [time_zone] IANA time zone, or a Strava zone such as "(GMT+01:00) Europe/Berlin";
+ * stored as the IANA name
+ * @apiBody {String} [gear] Gear name, linked to the matching gear on the next recalculation
+ * @apiBody {Number} [gear_id] Gear used, null to unlink; takes precedence over gear
+ * @apiQuery {String} [units] metric or imperial for the display values; defaults to the athlete's units
+ *
+ * @apiSuccess {Object} activity Updated activity with `display` values, and its new ETag header
+ * @apiError (400) {Object} error Invalid fields, or none to change
+ * @apiError (403) {Object} error Activity belongs to another user
+ * @apiError (404) {Object} error Activity not found
+ * @apiError (412) {Object} error Activity changed since it was read; the ETag header holds the current version
+ * @apiError (428) {Object} error If-Match header missing
+ * @apiError (500) {Object} error Server error
+ *
+ * @example
+ * PATCH /activities/123
+ * If-Match: "123.4"
+ * { "name": "Ride to work", "type": "Ride", "commute": true }
+ */
+app.patch('/activities/:id', validate(schemas.updateActivity), updateActivityHandler(false));
+
+/**
+ * @api {put} /activities/:id Replace activity
+ * @apiName ReplaceActivity
+ * @apiGroup Activities
+ * @apiDescription Replaces all editable fields of an activity (see PATCH). name and type
+ * are required; omitted flags become false and other omitted fields null. Requires If-Match.
+ *
+ * @apiParam {String} id Activity ID
+ * @apiHeader {String} If-Match ETag of the version being replaced
+ * @apiQuery {String} [units] metric or imperial for the display values; defaults to the athlete's units
+ *
+ * @apiSuccess {Object} activity Updated activity with `display` values, and its new ETag header
+ * @apiError (400) {Object} error Invalid or missing fields
+ * @apiError (403) {Object} error Activity belongs to another user
+ * @apiError (404) {Object} error Activity not found
+ * @apiError (412) {Object} error Activity changed since it was read
+ * @apiError (428) {Object} error If-Match header missing
+ * @apiError (500) {Object} error Server error
+ */
+app.put('/activities/:id', validate(schemas.replaceActivity), updateActivityHandler(true));
+
+/**
+ * @api {delete} /activities/:id Delete activity
+ * @apiName DeleteActivity
+ * @apiGroup Activities
+ * @apiDescription Soft-deletes an activity and its maps. Deleted activities disappear from
+ * every endpoint and from stats and records, and can be brought back with
+ * POST /activities/:id/restore. If-Match is honoured when sent.
+ *
+ * @apiParam {String} id Activity ID
+ * @apiHeader {String} [If-Match] ETag of the version being deleted
+ *
+ * @apiSuccess (204) empty No content
+ * @apiError (403) {Object} error Activity belongs to another user
+ * @apiError (404) {Object} error Activity not found
+ * @apiError (412) {Object} error Activity changed since it was read
+ * @apiError (500) {Object} error Server error
+ */
+app.delete('/activities/:id', validate(schemas.getActivity), async (req, res) => {
+    req.log.debug('Deleting activity', { activity_id: req.params.id });
+    try {
+        const activity = await activityForWrite(req, res, { requireIfMatch: false });
+        if (!activity) return;
+
+        const data = await activityLifecycle.softDelete(activity);
+        if (!data) return concurrentModification(res);
+
+        scheduleDerivedDataRefresh(activity.user_id);
+
+        res.status(204).end();
+    } catch (error) {
+        handleError(res, error, 'Error deleting activity');
+    }
+});
+
+/**
+ * @api {post} /activities/:id/restore Restore activity
+ * @apiName RestoreActivity
+ * @apiGroup Activities
+ * @apiDescription Restores a soft-deleted activity and its maps. Activities merged into
+ * another one cannot be restored: the survivor holds their data now.
+ *
+ * @apiParam {String} id Activity ID
+ * @apiQuery {String} [units] metric or imperial for the display values; defaults to the athlete's units
+ *
+ * @apiSuccess {Object} activity Restored activity with `display` values, and its new ETag header
+ * @apiError (403) {Object} error Activity belongs to another user
+ * @apiError (404) {Object} error No deleted activity with this ID
+ * @apiError (409) {Object} error Activity was merged into another one
+ * @apiError (412) {Object} error Activity changed concurrently
+ * @apiError (500) {Object} error Server error
+ */
+app.post('/activities/:id/restore', validate(schemas.showActivity), async (req, res) => {
+    req.log.debug('Restoring activity', { activity_id: req.params.id });
+    try {
+        const activity = await activityForWrite(req, res, { requireIfMatch: false, deleted: true });
+        if (!activity) return;
+        if (activity.merged_into !== null && activity.merged_into !== undefined) {
+            return sendError(res, 409, 'conflict', 'Merged activities cannot be restored', [
+                { field: 'merged_into', message: `Activity was merged into activity ${activity.merged_into}` }
+            ]);
+        }
+
+        const data = await activityLifecycle.restore(activity);
+        if (!data) return concurrentModification(res);
+
+        scheduleDerivedDataRefresh(activity.user_id);
+
+        const units = await unitsFor(req.query.units, data.user_id);
+        res.set('ETag', etagOf(data));
+        res.status(200).json(withDisplay(data, units));
+    } catch (error) {
+        handleError(res, error, 'Error restoring activity');
+    }
+});
+
+/**
+ * Load the other activity of a duplicate pair, answering 400/404 itself.
+ * @param {Object} req - Request with `duplicate_id` in the body
+ * @param {Object} res - Response
+ * @param {Object} activity - Activity addressed by the route
+ * @returns {Promise<?Object>} Activity row, or null when a response was sent
+ */
+async function duplicateForRequest(req, res, activity) {
+    if (String(req.body.duplicate_id) === String(activity.id)) {
+        sendError(res, 400, 'validation_failed', 'duplicate_id must be another activity', [
+            { field: 'duplicate_id', message: 'must be another activity' }
+        ]);
+        return null;
+    }
+
+    const duplicate = await activityLifecycle.find({ id: req.body.duplicate_id });
+    if (!duplicate || duplicate.deleted_at || String(duplicate.user_id) !== String(activity.user_id)) {
+        sendError(res, 404, 'not_found', 'Duplicate activity not found');
+        return null;
+    }
+    return duplicate;
+}
+
+/**
+ * @api {post} /activities/:id/merge Merge duplicate activities
+ * @apiName MergeActivities
+ * @apiGroup Activities
+ * @apiDescription Merges two activities of the same athlete recording the same workout.
+ * The richer one (heart rate, power, map, then more filled fields) is kept, whichever of
+ * the two is in the path: it gets the other's values for its empty fields, its maps when
+ * it has none and its Strava id when it has none. The other is soft-deleted with
+ * `merged_into` set. Gear, stats and records are recalculated afterwards.
+ *
+ * @apiParam {String} id Activity ID
+ * @apiBody {Number} duplicate_id The other activity
+ * @apiQuery {String} [units] metric or imperial for the display values; defaults to the athlete's units
+ *
+ * @apiSuccess {Object} activity The kept activity with `display` values, and its new ETag header
+ * @apiError (400) {Object} error duplicate_id missing or the same activity
+ * @apiError (403) {Object} error Activity belongs to another user
+ * @apiError (404) {Object} error Either activity not found
+ * @apiError (412) {Object} error Either activity changed concurrently
+ * @apiError (500) {Object} error Server error
+ *
+ * @example
+ * POST /activities/123/merge
+ * { "duplicate_id": 456 }
+ */
+app.post('/activities/:id/merge', validate(schemas.duplicatePair), async (req, res) => {
+    req.log.debug('Merging activities', { activity_id: req.params.id, duplicate_id: req.body.duplicate_id });
+    try {
+        const activity = await activityForWrite(req, res, { requireIfMatch: false });
+        if (!activity) return;
+
+        const duplicate = await duplicateForRequest(req, res, activity);
+        if (!duplicate) return;
+
+        const result = await duplicateService.merge(activity, duplicate);
+        if (!result) return concurrentModification(res);
+
+        req.log.info('Merged duplicate activities', { kept: result.activity.id, merged: result.merged.id });
+        scheduleDerivedDataRefresh(activity.user_id);
+
+        const units = await unitsFor(req.query.units, result.activity.user_id);
+        res.set('ETag', etagOf(result.activity));
+        res.status(200).json(withDisplay(result.activity, units));
+    } catch (error) {
+        handleError(res, error, 'Error merging activities');
+    }
+});
+
+/**
+ * @api {post} /activities/:id/dismiss-duplicate Dismiss duplicate
+ * @apiName DismissDuplicate
+ * @apiGroup Activities
+ * @apiDescription Records that two activities are different workouts: the pair is no
+ * longer listed by GET /athletes/:id/duplicates or matched when activities are created,
+ * and `duplicate_of` flags between them are cleared.
+ *
+ * @apiParam {String} id Activity ID
+ * @apiBody {Number} duplicate_id The other activity
+ * @apiQuery {String} [units] metric or imperial for the display values; defaults to the athlete's units
+ *
+ * @apiSuccess {Object} activity Updated activity with `display` values, and its new ETag header
+ * @apiError (400) {Object} error duplicate_id missing or the same activity
+ * @apiError (403) {Object} error Activity belongs to another user
+ * @apiError (404) {Object} error Either activity not found
+ * @apiError (412) {Object} error Either activity changed concurrently
+ * @apiError (500) {Object} error Server error
+ */
+app.post('/activities/:id/dismiss-duplicate', validate(schemas.duplicatePair), async (req, res) => {
+    req.log.debug('Dismissing duplicate', { activity_id: req.params.id, duplicate_id: req.body.duplicate_id });
+    try {
+        const activity = await activityForWrite(req, res, { requireIfMatch: false });
+        if (!activity) return;
+
+        const duplicate = await duplicateForRequest(req, res, activity);
+        if (!duplicate) return;
+
+        const data = await duplicateService.dismiss(activity, duplicate);
+        if (!data) return concurrentModification(res);
+
+        const units = await unitsFor(req.query.units, data.user_id);
+        res.set('ETag', etagOf(data));
+        res.status(200).json(withDisplay(data, units));
+    } catch (error) {
+        handleError(res, error, 'Error dismissing duplicate');
+    }
+});
+
+/**
+ * @api {post} /tokens Upsert refresh token
+ * @apiName UpsertRefreshToken
+ * @apiGroup RefreshTokens
+ * @apiDescription Updates an existing refresh token or creates a new one if it doesn't exist.
+ * Both tokens are encrypted before they are stored; the response carries them decrypted.
+ * 
+ * @apiBody {String} user_id User's unique identifier
+ * @apiBody {String} refresh_token OAuth refresh token
+ * @apiBody {String} access_token OAuth access token
+ * @apiBody {Number} expires_at Token expiration timestamp
+ * 
+ * @apiSuccess {Object} data Upserted refresh token record
+ * @apiSuccess {String} data.user_id User ID
+ * @apiSuccess {String} data.refresh_token Refresh token
+ * @apiSuccess {String} data.updated_at Last update timestamp
+ * 
+ * @apiError (400) {Object} error Missing or invalid fields (code validation_failed)
+ * @apiError (403) {Object} error Tokens of another user (code forbidden)
+ * @apiError (500) {Object} error Server error
+ * 
+ * @example
+ * POST /tokens
+ * {
+ *   "user_id": "user123",
+ *   "refresh_token": "abc123xyz",
+ *   "access_token": "def456uvw",
+ *   "expires_at": 1640995200
+ * }
+ */
+app.post('/tokens', validate(schemas.upsertTokens), async (req, res) => {
+    req.log.debug('Upserting tokens');
+    try {
+        const { user_id, refresh_token, access_token, expires_at } = req.body;
+
+        if (rejectOtherUser(req, res, user_id)) return;
+
+        const data = await tokenStore.save({ user_id, refresh_token, access_token, expires_at });
+
+        if (!data) {
+            return sendError(res, 500, 'internal_error', 'Failed to upsert token');
+        }
+
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error upserting refresh token');
+    }
+});
+
+/**
+ * @api {get} /refresh-tokens/:user_id Get refresh token
+ * @apiName GetRefreshToken
+ * @apiGroup RefreshTokens
+ * @apiDescription Retrieves a refresh token for a specific user
+ * 
+ * @apiParam {String} user_id User's unique identifier
+ * 
+ * @apiSuccess {Object} data Refresh token record
+ * @apiSuccess {String} data.refresh_token Refresh token
+ * @apiSuccess {String} data.updated_at Last update timestamp
+ * 
+ * @apiError (400) {Object} error Invalid user_id
+ * @apiError (404) {Object} error Refresh token not found
+ * @apiError (500) {Object} error Server error
+ * 
+ * @example
+ * GET /refresh-tokens/user123
+ */
+app.get('/refresh-tokens/:user_id', validate(schemas.userTokens), requireSameUser('user_id'), async (req, res) => {
+    req.log.debug('Fetching refresh token');
+    try {
+        const { user_id } = req.params;
+
+        const data = await tokenStore.find(user_id, ['refresh_token', 'expires_at']);
+
+        if (!data) {
+            return sendError(res, 404, 'not_found', 'Refresh token not found');
+        }
+
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error fetching refresh token');
+    }
+});
+
+/**
+ * @api {get} /tokens/:user_id Get access token
+ * @apiName GetAccessToken
+ * @apiGroup Tokens
+ * @apiDescription Retrieves a valid access token for a specific user. A token that has
+ * expired or expires within TOKEN_REFRESH_MARGIN seconds is first exchanged at the
+ * OAuth token endpoint and the new pair is stored as through POST /tokens.
+ * 
+ * @apiParam {String} user_id User's unique identifier
+ * 
+ * @apiSuccess {Object} data Access token record
+ * @apiSuccess {String} data.access_token Access token
+ * @apiSuccess {String} data.expires_at Expiry timestamp
+ * 
+ * @apiError (400) {Object} error Invalid user_id
+ * @apiError (404) {Object} error Access token not found
+ * @apiError (409) {Object} error Refresh token revoked, the user must reconnect (code token_revoked)
+ * @apiError (500) {Object} error Server error
+ * @apiError (502) {Object} error Expired token could not be refreshed
+ * 
+ * @example
+ * GET /tokens/user123
+ */
+app.get('/tokens/:user_id', validate(schemas.userTokens), requireSameUser('user_id'), async (req, res) => {
+    req.log.debug('Fetching access token');
+    try {
+        const { user_id } = req.params;
+
+        let data;
+        try {
+            data = await tokenRefresher.getAccessToken(user_id);
+        } catch (error) {
+            if (error instanceof TokenRevokedError) {
+                return sendError(res, 409, 'token_revoked', 'Refresh token has been revoked, the user must reconnect');
+            }
+            if (error instanceof TokenRefreshError) {
+                req.log.warn('Error refreshing access token', { user_id, error });
+                return sendError(res, 502, 'token_refresh_failed', 'Access token expired and could not be refreshed');
+            }
+            throw error;
+        }
+
+        if (!data) {
+            return sendError(res, 404, 'not_found', 'Access token not found');
+        }
+
+        if (!data.access_token) {
+            return sendError(res, 404, 'not_found', 'Access token not found for this user');
+        }
+
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error fetching access token');
+    }
+});
+
+/**
+ * @api {post} /athletes/:id Update athlete
+ * @apiName UpdateAthlete
+ * @apiGroup Athletes
+ * @apiDescription Updates an athlete's profile by user ID. Fields not listed are ignored;
+ * the Strava athlete id cannot be changed.
+ * 
+ * @apiParam {String} id Athlete's user ID
+ * @apiBody {String} [username] Strava username
+ * @apiBody {String} [firstname] First name
+ * @apiBody {String} [lastname] Last name
+ * @apiBody {String} [bio] Bio
+ * @apiBody {String} [city] City
+ * @apiBody {String} [state] State
+ * @apiBody {String} [country] Country
+ * @apiBody {String} [sex] "M" or "F"
+ * @apiBody {Number} [weight] Weight in kilograms
+ * @apiBody {String} [profile] Profile picture URL
+ * @apiBody {String} [profile_medium] Medium profile picture URL
+ * @apiBody {Number} [ftp] Functional threshold power in watts
+ * @apiBody {Number} [max_heart_rate] Maximum heart rate in bpm
+ * @apiBody {Number} [resting_heart_rate] Resting heart rate in bpm
+ * @apiBody {String} [time_zone] IANA time zone, e.g. Europe/Berlin, used for goals
+ * @apiBody {String} [units] metric or imperial, for the display values of responses
+ * 
+ * @apiSuccess {Object[]} data Updated athlete record
+ * @apiError (400) {Object} error No or invalid fields (code validation_failed)
+ * @apiError (404) {Object} error Athlete not found
+ * @apiError (500) {Object} error Server error
+ */
+app.post('/athletes/:id', validate(schemas.updateAthlete), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Updating athlete', { user_id: req.params.id });
+    try {
+        const { id } = req.params;
+        const athleteData = req.body;
+
+        if (Object.keys(athleteData).length === 0) {
+            return sendError(res, 400, 'validation_failed', 'No athlete fields to update');
+        }
+        if (athleteData.time_zone) {
+            athleteData.time_zone = parseTimeZone(athleteData.time_zone);
+            if (!athleteData.time_zone) {
+                return sendError(res, 400, 'validation_failed', 'time_zone must be an IANA time zone', [
+                    { field: 'time_zone', message: 'must be an IANA time zone, e.g. Europe/Berlin' }
+                ]);
+            }
+        }
+
+        const data = await repositories.athletes.updateByUserId(id, {
+            ...athleteData,
+            updated_at: new Date().toISOString()
+        });
+
+        if (data.length === 0) {
+            return sendError(res, 404, 'not_found', 'Athlete not found');
+        }
+        // Year-to-date totals follow the athlete's zone
+        if (athleteData.time_zone !== undefined) scheduleDerivedDataRefresh(id);
+
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error updating athlete');
+    }
+});
+
+/**
+ * @api {get} /athletes/:id/stats Get athlete stats
+ * @apiName GetAthleteStats
+ * @apiGroup Athletes
+ * @apiDescription Returns the athlete's statistics, computed from their activities:
+ * recent (last 4 weeks), year-to-date and all-time totals of count, distance, moving
+ * time, elapsed time, elevation gain and achievement count, per activity type and overall.
+ * Every totals object has `display` values in the athlete's unit system, as activities do;
+ * totals of one type also have their average pace or speed.
+ * 
+ * @apiParam {String} id Athlete's user ID
+ * @apiQuery {String} [units] metric or imperial for the display values; defaults to the athlete's units
+ * 
+ * @apiSuccess {Object} data Athlete stats record
+ * @apiSuccess {Object} data.by_type Totals per activity type: { Run: { recent, ytd, all }, ... }
+ * @apiSuccess {Object} data.overall Totals over all types: { recent, ytd, all }
+ * @apiSuccess {String} data.time_zone Time zone of the year-to-date totals
+ * @apiSuccess {String} data.calculated_at When the stats were computed
+ * @apiError (400) {Object} error Invalid units
+ * @apiError (500) {Object} error Server error
+ */
+app.get('/athletes/:id/stats', validate(schemas.stats), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching athlete stats', { user_id: req.params.id });
+    try {
+        const [data, units] = await Promise.all([
+            statsService.get(req.params.id),
+            unitsFor(req.query.units, req.params.id)
+        ]);
+
+        res.status(200).json(statsWithDisplay(data, units));
+    } catch (error) {
+        handleError(res, error, 'Error fetching athlete stats');
+    }
+});
+
+/**
+ * @api {get} /athletes/:id/stats/breakdown Get weekly or monthly totals
+ * @apiName GetAthleteStatsBreakdown
+ * @apiGroup Athletes
+ * @apiDescription Returns totals per week (Monday-based) or month over a date range,
+ * by the athletes' local activity dates. Periods without activities are included with
+ * zero totals.
+ * 
+ * @apiParam {String} id Athlete's user ID
+ * @apiQuery {String} [period=week] "week" or "month"
+ * @apiQuery {String} [after] Start of the range (default: 12 periods ago)
+ * @apiQuery {String} [before] End of the range (default: today)
+ * @apiQuery {String} [type] Activity type, or a comma-separated list of types
+ * @apiQuery {String} [units] metric or imperial for the display values; defaults to the athlete's units
+ * 
+ * @apiSuccess {String} period Period used
+ * @apiSuccess {Object[]} periods { start, totals, by_type } per period; every totals object
+ * has `display` values as in GET /athletes/:id/stats
+ * @apiError (400) {Object} error Invalid query parameter
+ * @apiError (500) {Object} error Server error
+ *
+ * @example
+ * GET /athletes/user123/stats/breakdown?period=month&after=2024-01-01&type=Run
+ */
+app.get('/athletes/:id/stats/breakdown', validate(schemas.statsBreakdown), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching athlete stats breakdown', { user_id: req.params.id });
+    try {
+        const { period } = req.query;
+
+        const to = req.query.before ? new Date(req.query.before) : new Date();
+        let from;
+        if (req.query.after) {
+            from = new Date(req.query.after);
+        } else {
+            from = new Date(to);
+            if (period === 'month') {
+                from.setUTCMonth(from.getUTCMonth() - 11, 1);
+            } else {
+                from.setUTCDate(from.getUTCDate() - 7 * 11);
+            }
+        }
+        if (from > to) {
+            return sendError(res, 400, 'validation_failed', 'after must not be later than before', [{ field: 'query.after', message: 'must not be later than before' }]);
+        }
+        const maxPeriods = period === 'month' ? 120 : 520;
+        if ((to - from) / (period === 'month' ? 28 : 7) / 86400000 > maxPeriods) {
+            return sendError(res, 400, 'validation_failed', `At most ${maxPeriods} ${period}s can be requested`);
+        }
+
+        const [periods, units] = await Promise.all([
+            statsService.breakdown(req.params.id, { period, from, to, types: req.query.type }),
+            unitsFor(req.query.units, req.params.id)
+        ]);
+
+        res.status(200).json({ period, periods: breakdownWithDisplay(periods, units) });
+    } catch (error) {
+        handleError(res, error, 'Error fetching athlete stats breakdown');
+    }
+});
+
+/**
+ * @api {post} /athletes/:id/stats Recalculate athlete stats
+ * @apiName UpdateAthleteStats
+ * @apiGroup Athletes
+ * @apiDescription Recomputes the athlete's statistics from their activities. Totals sent
+ * by the client are ignored: stats are always derived from the activities table, and are
+ * also recalculated automatically whenever activities are created, updated, deleted or imported.
+ * 
+ * @apiParam {String} id Athlete's user ID
+ * 
+ * @apiSuccess {Object} data Recalculated athlete stats record
+ * @apiError (500) {Object} error Server error
+ */
+app.post('/athletes/:id/stats', validate(schemas.athlete), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Recalculating athlete stats', { user_id: req.params.id });
+    try {
+        const data = await statsService.recalculate(req.params.id);
+
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error updating athlete stats');
+    }
+});
+
+/**
+ * @api {get} /athletes/:id/records Get personal records
+ * @apiName GetPersonalRecords
+ * @apiGroup Records
+ * @apiDescription Returns the athlete's current personal records per sport: fastest 1k,
+ * 1 mile, 5k, 10k, half and full marathon (estimated at the activity's average moving
+ * pace), longest distance, most elevation gain and highest average power.
+ * 
+ * @apiParam {String} id Athlete's user ID
+ * 
+ * @apiSuccess {Object} data { sport: { record_type: { value, unit, activity_id, achieved_at, estimated } } }
+ * @apiError (500) {Object} error Server error
+ */
+app.get('/athletes/:id/records', validate(schemas.athlete), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching personal records', { user_id: req.params.id });
+    try {
+        const data = await recordsService.current(req.params.id);
+
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error fetching personal records');
+    }
+});
+
+/**
+ * @api {get} /athletes/:id/records/:sport/:recordType Get record history
+ * @apiName GetPersonalRecordHistory
+ * @apiGroup Records
+ * @apiDescription Returns every previous best of one record, oldest first.
+ * 
+ * @apiParam {String} id Athlete's user ID
+ * @apiParam {String} sport Activity type, e.g. Run
+ * @apiParam {String} recordType 1k, 1mile, 5k, 10k, half_marathon, marathon,
+ * longest_distance, most_elevation_gain or highest_average_power
+ * 
+ * @apiSuccess {Object[]} data { value, unit, activity_id, achieved_at, estimated, current }
+ * @apiError (400) {Object} error Unknown record type
+ * @apiError (500) {Object} error Server error
+ *
+ * @example
+ * GET /athletes/user123/records/Run/5k
+ */
+app.get('/athletes/:id/records/:sport/:recordType', validate(schemas.recordHistory), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching personal record history', { user_id: req.params.id });
+    try {
+        const { id, sport, recordType } = req.params;
+
+        const data = await recordsService.history(id, sport, recordType);
+
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error fetching personal record history');
+    }
+});
+
+/**
+ * @api {post} /athletes/:id/records Recalculate personal records
+ * @apiName RecalculatePersonalRecords
+ * @apiGroup Records
+ * @apiDescription Rescans all of the athlete's activities, rebuilds their records and
+ * record history and updates each activity's pr_count. This also happens automatically
+ * whenever activities change.
+ * 
+ * @apiParam {String} id Athlete's user ID
+ * 
+ * @apiSuccess {Object} data Current records, as in GET /athletes/:id/records
+ * @apiError (500) {Object} error Server error
+ */
+app.post('/athletes/:id/records', validate(schemas.athlete), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Recalculating personal records', { user_id: req.params.id });
+    try {
+        await recordsService.recalculate(req.params.id);
+        const data = await recordsService.current(req.params.id);
+
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error recalculating personal records');
+    }
+});
+
+/**
+ * @api {get} /athletes/:id/training-load Get training load
+ * @apiName GetTrainingLoad
+ * @apiGroup Athletes
+ * @apiDescription Scores each activity's training load and derives the daily acute
+ * load (ATL, 7-day), chronic load (CTL, 42-day) and balance (TSB = yesterday's CTL - ATL).
+ * Activities are scored with power-based TSS when they have power and the athlete has
+ * an `ftp`, heart-rate TRIMP otherwise (using the athlete's `max_heart_rate`,
+ * `resting_heart_rate` and `sex`), then Strava's Relative Effort, then duration.
+ * Warnings flag periods where CTL rises faster than `ramp_limit` per week or ATL
+ * exceeds 1.5x CTL.
+ * 
+ * @apiParam {String} id Athlete's user ID
+ * @apiQuery {String} [after] First day (default: 90 days ago)
+ * @apiQuery {String} [before] Last day (default: today)
+ * @apiQuery {Number} [ramp_limit=8] Weekly CTL gain that raises a warning
+ * 
+ * @apiSuccess {Object} settings Physiology values used for scoring
+ * @apiSuccess {Object[]} activities { activity_id, name, type, date, load, method }
+ * @apiSuccess {Object[]} days { date, load, atl, ctl, tsb, ramp_rate }
+ * @apiSuccess {Object[]} warnings { type, start, end, peak, message }
+ * @apiError (400) {Object} error Invalid query parameter
+ * @apiError (500) {Object} error Server error
+ *
+ * @example
+ * GET /athletes/user123/training-load?after=2024-01-01&before=2024-06-30
+ */
+app.get('/athletes/:id/training-load', validate(schemas.trainingLoad), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching training load', { user_id: req.params.id });
+    try {
+        const to = req.query.before ? new Date(req.query.before) : new Date();
+        const from = req.query.after
+            ? new Date(req.query.after)
+            : new Date(to.getTime() - 89 * 24 * 60 * 60 * 1000);
+        const rampLimit = req.query.ramp_limit;
+
+        if (from > to) {
+            return sendError(res, 400, 'validation_failed', 'after must not be later than before', [{ field: 'query.after', message: 'must not be later than before' }]);
+        }
+        if ((to - from) / 86400000 > 366 * 5) {
+            return sendError(res, 400, 'validation_failed', 'At most five years can be requested');
+        }
+
+        const data = await trainingLoadService.compute(req.params.id, { from, to, rampLimit });
+
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error fetching training load');
+    }
+});
+
+/**
+ * Load one of the athlete's goals, answering 404 itself.
+ * @returns {Promise<?Object>} Goal row, or null when a response was sent
+ */
+async function goalForRequest(req, res) {
+    const goal = await goalsService.get(req.params.id, req.params.goalId);
+    if (!goal) sendError(res, 404, 'not_found', 'Goal not found');
+    return goal;
+}
+
+/**
+ * Answer a request with inconsistent goal fields.
+ */
+function invalidGoal(res, error) {
+    return sendError(res, 400, 'validation_failed', error.message, [{ field: error.field, message: error.message }]);
+}
+
+/**
+ * @api {get} /athletes/:id/goals List goals
+ * @apiName GetGoals
+ * @apiGroup Goals
+ * @apiDescription Returns the athlete's goals, each with its progress in the current
+ * period. Periods follow the athlete's local calendar (see the README).
+ *
+ * @apiParam {String} id Athlete's user ID
+ *
+ * @apiSuccess {Object[]} data Goals with `progress`: period_start, period_end, status
+ * (upcoming, active or ended), value, target, percent, remaining, completed, completed_on,
+ * expected, on_track, projected_total, projected_completion, days_left, required_per_day
+ * @apiError (500) {Object} error Server error
+ */
+app.get('/athletes/:id/goals', validate(schemas.athlete), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching goals', { user_id: req.params.id });
+    try {
+        const data = await goalsService.list(req.params.id);
+
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error fetching goals');
+    }
+});
+
+/**
+ * @api {post} /athletes/:id/goals Add goal
+ * @apiName CreateGoal
+ * @apiGroup Goals
+ * @apiDescription Adds a goal: a target for a metric summed over a week, month, year or
+ * custom date range, optionally counting only some activity types.
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiBody {String} metric distance (meters), time (moving time, seconds), elevation
+ * (meters) or count (activities)
+ * @apiBody {String} period week (Monday to Sunday), month, year or custom
+ * @apiBody {Number} target Value to reach in each period
+ * @apiBody {String[]} [types] Only count these activity types
+ * @apiBody {String} [name] Name, e.g. "40 km per week"
+ * @apiBody {String} [start_date] First day (YYYY-MM-DD); required for custom
+ * @apiBody {String} [end_date] Last day (YYYY-MM-DD); required for custom
+ *
+ * @apiSuccess (201) {Object} data Created goal with its progress
+ * @apiError (400) {Object} error Invalid fields (code validation_failed)
+ * @apiError (500) {Object} error Server error
+ *
+ * @example
+ * POST /athletes/user123/goals
+ * { "name": "Climb 10,000 m in March", "metric": "elevation", "period": "custom",
+ *   "target": 10000, "start_date": "2025-03-01", "end_date": "2025-03-31" }
+ */
+app.post('/athletes/:id/goals', validate(schemas.createGoal), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Creating goal', { user_id: req.params.id });
+    try {
+        let data;
+        try {
+            data = await goalsService.create(req.params.id, req.body);
+        } catch (error) {
+            if (error instanceof GoalError) return invalidGoal(res, error);
+            throw error;
+        }
+
+        res.status(201).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error creating goal');
+    }
+});
+
+/**
+ * @api {get} /athletes/:id/goals/:goalId Get goal
+ * @apiName GetGoal
+ * @apiGroup Goals
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiParam {Number} goalId Goal ID
+ *
+ * @apiSuccess {Object} data Goal with its progress, as in GET /athletes/:id/goals
+ * @apiError (404) {Object} error Goal not found
+ * @apiError (500) {Object} error Server error
+ */
+app.get('/athletes/:id/goals/:goalId', validate(schemas.goal), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching goal', { user_id: req.params.id, goal_id: req.params.goalId });
+    try {
+        const goal = await goalForRequest(req, res);
+        if (!goal) return;
+
+        const data = await goalsService.withProgress(goal);
+
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error fetching goal');
+    }
+});
+
+/**
+ * @api {get} /athletes/:id/goals/:goalId/history Get goal history
+ * @apiName GetGoalHistory
+ * @apiGroup Goals
+ * @apiDescription Returns the results of the periods before the current one, newest
+ * first, back to the period of the goal's start_date (or creation date).
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiParam {Number} goalId Goal ID
+ * @apiQuery {Number} [limit=12] Most periods to return, at most 520
+ *
+ * @apiSuccess {Object[]} data { period_start, period_end, value, target, hit, completed_on }
+ * @apiError (404) {Object} error Goal not found
+ * @apiError (500) {Object} error Server error
+ */
+app.get('/athletes/:id/goals/:goalId/history', validate(schemas.goalHistory), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching goal history', { user_id: req.params.id, goal_id: req.params.goalId });
+    try {
+        const goal = await goalForRequest(req, res);
+        if (!goal) return;
+
+        const data = await goalsService.history(goal, { limit: req.query.limit });
+
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error fetching goal history');
+    }
+});
+
+/**
+ * @api {patch} /athletes/:id/goals/:goalId Update goal
+ * @apiName UpdateGoal
+ * @apiGroup Goals
+ * @apiDescription Changes the given fields, see POST /athletes/:id/goals.
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiParam {Number} goalId Goal ID
+ *
+ * @apiSuccess {Object} data Updated goal with its progress
+ * @apiError (400) {Object} error No or invalid fields (code validation_failed)
+ * @apiError (404) {Object} error Goal not found
+ * @apiError (500) {Object} error Server error
+ */
+app.patch('/athletes/:id/goals/:goalId', validate(schemas.updateGoal), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Updating goal', { user_id: req.params.id, goal_id: req.params.goalId });
+    try {
+        if (Object.keys(req.body).length === 0) {
+            return sendError(res, 400, 'validation_failed', 'No goal fields to update');
+        }
+
+        const goal = await goalForRequest(req, res);
+        if (!goal) return;
+
+        let data;
+        try {
+            data = await goalsService.update(goal, req.body);
+        } catch (error) {
+            if (error instanceof GoalError) return invalidGoal(res, error);
+            throw error;
+        }
+
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error updating goal');
+    }
+});
 
 /**
- * @api {get} /activities Get all activities
- * @apiName GetActivities
- * @apiGroup Activities
- * @apiSuccess {Object[]} activities List of activities
- * @apiError {Object} error Error message
+ * @api {delete} /athletes/:id/goals/:goalId Delete goal
+ * @apiName DeleteGoal
+ * @apiGroup Goals
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiParam {Number} goalId Goal ID
+ *
+ * @apiSuccess (204) empty No content
+ * @apiError (404) {Object} error Goal not found
+ * @apiError (500) {Object} error Server error
  */
-app.get('/activities', async (req, res) => {
-    console.log('Fetching all activities');
+app.delete('/athletes/:id/goals/:goalId', validate(schemas.goal), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Deleting goal', { user_id: req.params.id, goal_id: req.params.goalId });
     try {
-        const { data, error } = await supabase
-            .from('activities')
-            .select('*');
+        const goal = await goalForRequest(req, res);
+        if (!goal) return;
 
-        if (error) throw error;
+        await goalsService.remove(goal);
 
-        res.json(data);
+        res.status(204).end();
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        handleError(res, error, 'Error deleting goal');
     }
 });
 
 /**
- * @api {get} /activities/:id Get activity by ID
- * @apiName GetActivityById
- * @apiGroup Activities
- * @apiParam {String} id Activity ID
- * @apiSuccess {Object} activity Activity details
- * @apiError {Object} error Error message
- * @apiError (404) {Object} error Activity not found
+ * @api {get} /athletes/:id/calendar Get activity calendar
+ * @apiName GetCalendar
+ * @apiGroup Calendar
+ * @apiDescription Summarizes the athlete's activities per day of a month or year. Days are
+ * the athlete's local days (see the README): an activity counts on the day it started on
+ * in its own time zone. Days up to today without activities are rest days.
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiQuery {Number} [year] Year, defaults to the current year
+ * @apiQuery {Number} [month] Month 1 to 12; the whole year when omitted
+ * @apiQuery {String[]} [type] Only count these activity types (comma-separated)
+ *
+ * @apiSuccess {String} time_zone Time zone the calendar is computed in
+ * @apiSuccess {String} today Today's local date
+ * @apiSuccess {String} start First day (YYYY-MM-DD)
+ * @apiSuccess {String} end Last day (YYYY-MM-DD)
+ * @apiSuccess {Object} totals activity_count, distance, moving_time, elevation_gain,
+ * active_days and rest_days
+ * @apiSuccess {Object[]} days One entry per day: date, activity_count, distance,
+ * moving_time, elevation_gain, types (activities per type), activity_ids and rest_day
+ * @apiError (400) {Object} error Invalid year, month or type
+ * @apiError (500) {Object} error Server error
+ *
+ * @apiExample {curl} Example usage:
+ * GET /athletes/user123/calendar?year=2024&month=3&type=Run
  */
-app.get('/activities/:id', async (req, res) => {
-    console.log('Fetching activity by ID:', req.params.id);
+app.get('/athletes/:id/calendar', validate(schemas.calendar), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching calendar', { user_id: req.params.id, year: req.query.year, month: req.query.month });
     try {
-        const { id } = req.params;
-        const { data, error } = await supabase
-            .from('activities')
-            .select('*')
-            .eq('id', id)
-            .single();
+        const { year, month, type } = req.query;
+        const data = await calendarService.calendar(req.params.id, { year, month, types: type });
 
-        if (error) throw error;
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error fetching calendar');
+    }
+});
 
-        if (!data) {
-            return res.status(404).json({ error: 'Activity not found' });
-        }
+/**
+ * @api {get} /athletes/:id/streaks Get streaks
+ * @apiName GetStreaks
+ * @apiGroup Calendar
+ * @apiDescription Returns the athlete's current and longest streaks of consecutive local
+ * days and of consecutive weeks (Monday to Sunday) with at least one activity, and their
+ * recent rest days. A current streak stays alive until a whole day (or week) has passed
+ * without activity, so today without a workout yet does not break it.
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiQuery {String[]} [type] Only count these activity types (comma-separated)
+ *
+ * @apiSuccess {String} time_zone Time zone the streaks are computed in
+ * @apiSuccess {String} today Today's local date
+ * @apiSuccess {Object} daily current and longest streak of days, each with length, start and end
+ * @apiSuccess {Object} weekly current and longest streak of weeks, each with length (weeks),
+ * start (a Monday) and end (a Sunday)
+ * @apiSuccess {Object} rest last_active_day, days_since_last_activity, rest_days_last_7 and
+ * rest_days_last_28 (days without activity, today included)
+ * @apiError (400) {Object} error Invalid type
+ * @apiError (500) {Object} error Server error
+ */
+app.get('/athletes/:id/streaks', validate(schemas.streaks), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching streaks', { user_id: req.params.id });
+    try {
+        const data = await calendarService.streaks(req.params.id, { types: req.query.type });
 
-        res.json(data);
+        res.status(200).json(data);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        handleError(res, error, 'Error fetching streaks');
     }
 });
 
 /**
- * @api {post} /activities Create new activity
- * @apiName CreateActivity
+ * @api {get} /athletes/:id/duplicates List duplicate candidates
+ * @apiName GetDuplicates
  * @apiGroup Activities
- * @apiBody {Object} activity Activity data
- * @apiSuccess {Object} activity Created activity
- * @apiError {Object} error Error message
+ * @apiDescription Lists pairs of the athlete's activities that look like the same workout:
+ * same type, overlapping time ranges, and distance and moving time within 10%. Pairs
+ * dismissed with POST /activities/:id/dismiss-duplicate are left out.
+ *
+ * @apiParam {String} id Athlete's user ID
+ *
+ * @apiSuccess {Object[]} data Pairs, oldest first: activities (two summaries with id, name,
+ * type, start_date, distance, moving_time, external_id, heart_rate, power, map and
+ * duplicate_of), start_gap (seconds), distance_difference (meters), duration_difference
+ * (seconds), flagged (one is marked duplicate_of the other) and keep (the id a merge keeps)
+ * @apiError (500) {Object} error Server error
  */
-app.post('/activities', async (req, res) => {
-    console.log('Creating new activity:', req.body);
+app.get('/athletes/:id/duplicates', validate(schemas.athlete), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching duplicate candidates', { user_id: req.params.id });
     try {
-        const { data, error } = await supabase
-            .from('activities')
-            .insert([req.body])
-            .select();
-
-        if (error) throw error;
+        const data = await duplicateService.candidates(req.params.id);
 
-        res.status(201).json(data[0]);
+        res.status(200).json(data);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        handleError(res, error, 'Error fetching duplicate candidates');
     }
 });
 
 /**
- * @api {post} /tokens Upsert refresh token
- * @apiName UpsertRefreshToken
- * @apiGroup RefreshTokens
- * @apiDescription Updates an existing refresh token or creates a new one if it doesn't exist
- * 
- * @apiBody {String} user_id User's unique identifier
- * @apiBody {String} refresh_token OAuth refresh token
- * @apiBody {String} access_token OAuth access token
- * @apiBody {Number} expires_at Token expiration timestamp
- * 
- * @apiSuccess {Object} data Upserted refresh token record
- * @apiSuccess {String} data.user_id User ID
- * @apiSuccess {String} data.refresh_token Refresh token
- * @apiSuccess {String} data.updated_at Last update timestamp
- * 
- * @apiError (400) {Object} error Missing required fields
+ * Activity filters of a heatmap request, answering 400 itself when the
+ * date range is reversed.
+ * @returns {?Object} types, after and before, or null when a response was sent
+ */
+function heatmapFilters(req, res) {
+    const { after, before, type } = req.query;
+    if (after && before && new Date(after) > new Date(before)) {
+        sendError(res, 400, 'validation_failed', 'after must not be later than before', [{ field: 'query.after', message: 'must not be later than before' }]);
+        return null;
+    }
+    return {
+        types: type,
+        after: after && new Date(after).toISOString(),
+        before: before && new Date(before).toISOString()
+    };
+}
+
+/**
+ * @api {get} /athletes/:id/heatmap Get heatmap cells
+ * @apiName GetHeatmap
+ * @apiGroup Heatmap
+ * @apiDescription Aggregates the routes of all the athlete's activities into a density
+ * grid, returned as a GeoJSON FeatureCollection of square cells. Cells are the Web
+ * Mercator tiles of `zoom`; each has `count`, the number of activities passing through
+ * it (an activity counts once however often it crosses the cell), and `intensity`, the
+ * count on a logarithmic scale from 0 to 1 that reaches 1 at `saturation` activities.
+ * Only cells with at least one activity are listed.
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiQuery {String} [type] Activity type, or a comma-separated list of types
+ * @apiQuery {String} [after] Only activities starting at or after this date
+ * @apiQuery {String} [before] Only activities starting before this date
+ * @apiQuery {Number} [zoom=16] Cell zoom, 0 to 18
+ * @apiQuery {String} [bbox] Only cells within west,south,east,north (degrees)
+ *
+ * @apiSuccess {Object} data FeatureCollection with zoom, activity_count and saturation
+ * @apiError (400) {Object} error Invalid query parameter, or more than 50000 cells (code validation_failed)
  * @apiError (500) {Object} error Server error
- * 
+ *
  * @example
- * POST /tokens
- * {
- *   "user_id": "user123",
- *   "refresh_token": "abc123xyz",
- *   "access_token": "def456uvw",
- *   "expires_at": 1640995200
- * }
+ * GET /athletes/user123/heatmap?type=Run&zoom=15&bbox=13.3,52.45,13.5,52.55
  */
-app.post('/tokens', async (req, res) => {
-    console.log('Upserting refresh token for user:', req.body.user_id);
+app.get('/athletes/:id/heatmap', validate(schemas.heatmap), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching heatmap', { user_id: req.params.id, zoom: req.query.zoom });
     try {
-        const { user_id, refresh_token, access_token, expires_at } = req.body;
+        const filters = heatmapFilters(req, res);
+        if (!filters) return;
 
-        if (!user_id || !refresh_token || !access_token || !expires_at) {
-            return res.status(400).json({
-                error: 'user_id, refresh_token, access_token, and expires_at are required'
-            });
+        const { zoom, bbox } = req.query;
+        if (bbox && (bbox.length !== 4 || bbox[0] >= bbox[2] || bbox[1] >= bbox[3])) {
+            return sendError(res, 400, 'validation_failed', 'bbox must be west,south,east,north', [{ field: 'query.bbox', message: 'must be west,south,east,north with west < east and south < north' }]);
         }
 
-        const { data, error } = await supabase
-            .from('tokens')
-            .upsert({
-                user_id,
-                refresh_token,
-                access_token,
-                expires_at: new Date(expires_at * 1000),
-                updated_at: new Date().toISOString()
-            })
-            .select();
-
-        if (error) {
-            console.error('Database error upserting token:', error);
-            if (error.code === '23505') {
-                return res.status(409).json({
-                    error: 'Token conflict occurred'
-                });
+        let data;
+        try {
+            data = await heatmapService.cells(req.params.id, { ...filters, zoom, bbox });
+        } catch (error) {
+            if (error instanceof HeatmapError) {
+                return sendError(res, 400, 'validation_failed', error.message, [{ field: error.field, message: error.message }]);
             }
             throw error;
         }
 
-        if (!data || data.length === 0) {
-            return res.status(500).json({
-                error: 'Failed to upsert token'
-            });
+        res.set('Cache-Control', 'private, no-cache');
+        res.set('Content-Type', 'application/geo+json');
+        res.status(200).send(JSON.stringify(data));
+    } catch (error) {
+        handleError(res, error, 'Error fetching heatmap');
+    }
+});
+
+/**
+ * @api {get} /athletes/:id/heatmap/:z/:x/:y.png Get heatmap tile
+ * @apiName GetHeatmapTile
+ * @apiGroup Heatmap
+ * @apiDescription Renders one 256x256 PNG tile of the athlete's heatmap in the standard
+ * `z/x/y` scheme of web maps (Web Mercator, y from the north), to be drawn over a base
+ * map. Pixels are colored by the number of activities through them on the same scale as
+ * the cells of GET /athletes/:id/heatmap, from dark red to white. Tiles without routes
+ * are transparent. Tiles are cached on the server until the athlete's activities or maps
+ * change; responses carry an ETag for conditional requests.
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiParam {Number} z Zoom, 0 to 18
+ * @apiParam {Number} x Tile column, 0 to 2^z - 1
+ * @apiParam {Number} y Tile row, 0 to 2^z - 1
+ * @apiQuery {String} [type] Activity type, or a comma-separated list of types
+ * @apiQuery {String} [after] Only activities starting at or after this date
+ * @apiQuery {String} [before] Only activities starting before this date
+ *
+ * @apiSuccess {File} tile image/png
+ * @apiError (400) {Object} error Invalid tile coordinates or query parameter (code validation_failed)
+ * @apiError (500) {Object} error Server error
+ *
+ * @example
+ * GET /athletes/user123/heatmap/14/8802/5373.png?type=Run,TrailRun
+ */
+app.get('/athletes/:id/heatmap/:z/:x/:y.png', validate(schemas.heatmapTile), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching heatmap tile', { user_id: req.params.id, tile: `${req.params.z}/${req.params.x}/${req.params.y}` });
+    try {
+        const filters = heatmapFilters(req, res);
+        if (!filters) return;
+
+        const { z, x, y } = req.params;
+        const tiles = 2 ** z;
+        const details = ['x', 'y']
+            .filter(field => req.params[field] >= tiles)
+            .map(field => ({ field: `params.${field}`, message: `must be less than ${tiles} at zoom ${z}` }));
+        if (details.length > 0) {
+            return sendError(res, 400, 'validation_failed', 'Tile is outside the map', details);
         }
 
-        res.status(200).json(data[0]);
+        const png = await heatmapService.tile(req.params.id, z, x, y, filters);
+
+        res.set('Cache-Control', 'private, no-cache');
+        res.type('png');
+        res.status(200).send(png);
     } catch (error) {
-        console.error('Error upserting refresh token:', error);
-        res.status(500).json({ error: error.message });
+        handleError(res, error, 'Error fetching heatmap tile');
     }
 });
 
 /**
- * @api {get} /refresh-tokens/:user_id Get refresh token
- * @apiName GetRefreshToken
- * @apiGroup RefreshTokens
- * @apiDescription Retrieves a refresh token for a specific user
- * 
- * @apiParam {String} user_id User's unique identifier
- * 
- * @apiSuccess {Object} data Refresh token record
- * @apiSuccess {String} data.refresh_token Refresh token
- * @apiSuccess {String} data.updated_at Last update timestamp
- * 
- * @apiError (400) {Object} error Missing user_id
- * @apiError (404) {Object} error Refresh token not found
+ * Load one of the athlete's routes, answering 404 itself.
+ * @returns {Promise<?Object>} Route row, or null when a response was sent
+ */
+async function routeForRequest(req, res) {
+    const route = await routesService.get(req.params.id, req.params.routeId);
+    if (!route) sendError(res, 404, 'not_found', 'Route not found');
+    return route;
+}
+
+/**
+ * @api {get} /athletes/:id/routes List repeated routes
+ * @apiName GetRoutes
+ * @apiGroup Routes
+ * @apiDescription Returns the courses the athlete has repeated, most recently run first.
+ * Activities are grouped into a route when they have the same type, start and end within
+ * 200 m of each other and their paths overlap (at least 80% of each within 50 m of the
+ * other). Routes are found from the activities' maps after activities or maps are created,
+ * changed or imported.
+ *
+ * @apiParam {String} id Athlete's user ID
+ *
+ * @apiSuccess {Object[]} data Routes: id, name, type, distance, start_latlng, end_latlng,
+ * attempt_count, first_attempt_at, last_attempt_at, fastest (the attempt with the shortest
+ * moving time) and trend (null with fewer than three timed attempts)
  * @apiError (500) {Object} error Server error
- * 
- * @example
- * GET /refresh-tokens/user123
  */
-app.get('/refresh-tokens/:user_id', async (req, res) => {
-    console.log('Fetching refresh token for user:', req.params.user_id);
+app.get('/athletes/:id/routes', validate(schemas.athlete), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching routes', { user_id: req.params.id });
     try {
-        const { user_id } = req.params;
+        const data = await routesService.list(req.params.id);
 
-        if (!user_id) {
-            return res.status(400).json({
-                error: 'user_id is required'
-            });
-        }
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error fetching routes');
+    }
+});
 
-        const { data, error } = await supabase
-            .from('tokens')
-            .select('refresh_token, expires_at')
-            .eq('user_id', user_id)
-            .single();
+/**
+ * @api {post} /athletes/:id/routes/match Match activities to routes
+ * @apiName MatchRoutes
+ * @apiGroup Routes
+ * @apiDescription Matches the athlete's activities that are not on a route yet right away,
+ * instead of waiting for the background refresh after the next change.
+ *
+ * @apiParam {String} id Athlete's user ID
+ *
+ * @apiSuccess {Number} created Routes created
+ * @apiSuccess {Number} matched Activities newly linked to a route
+ * @apiError (500) {Object} error Server error
+ */
+app.post('/athletes/:id/routes/match', validate(schemas.athlete), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Matching routes', { user_id: req.params.id });
+    try {
+        const data = await routesService.match(req.params.id);
 
-        if (error) {
-            if (error.code === 'PGRST116') {
-                return res.status(404).json({
-                    error: 'Refresh token not found'
-                });
-            }
-            throw error;
-        }
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error matching routes');
+    }
+});
+
+/**
+ * @api {get} /athletes/:id/routes/:routeId Get route
+ * @apiName GetRoute
+ * @apiGroup Routes
+ * @apiDescription Returns a route with every attempt, oldest first. Each attempt has its
+ * activity_id, name, start_date, distance, moving_time, pace (seconds per kilometer),
+ * average_speed (meters per second), average_heart_rate and total_elevation_gain. The
+ * trend is a least-squares fit over the attempts: pace_change_per_month (seconds per
+ * kilometer per 30 days, negative when getting faster), heart_rate_change_per_month and
+ * direction (improving, steady or declining, by at least 1% of the pace per month).
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiParam {Number} routeId Route ID
+ *
+ * @apiSuccess {Object} data Route with attempts, fastest, trend and summary_polyline (the
+ * path of the reference activity)
+ * @apiError (404) {Object} error Route not found
+ * @apiError (500) {Object} error Server error
+ */
+app.get('/athletes/:id/routes/:routeId', validate(schemas.route), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching route', { user_id: req.params.id, route_id: req.params.routeId });
+    try {
+        const route = await routeForRequest(req, res);
+        if (!route) return;
+
+        const data = await routesService.detail(route);
 
         res.status(200).json(data);
     } catch (error) {
-        console.error('Error fetching refresh token:', error);
-        res.status(500).json({ error: error.message });
+        handleError(res, error, 'Error fetching route');
     }
 });
 
 /**
- * @api {get} /tokens/:user_id Get access token
- * @apiName GetAccessToken
- * @apiGroup Tokens
- * @apiDescription Retrieves an access token for a specific user
- * 
- * @apiParam {String} user_id User's unique identifier
- * 
- * @apiSuccess {Object} data Access token record
- * @apiSuccess {String} data.access_token Access token
- * @apiSuccess {String} data.updated_at Last update timestamp
- * 
- * @apiError (400) {Object} error Missing user_id
- * @apiError (404) {Object} error Access token not found
+ * @api {patch} /athletes/:id/routes/:routeId Rename route
+ * @apiName UpdateRoute
+ * @apiGroup Routes
+ * @apiDescription New routes are named after their distance and type, e.g. "5.2 km Run loop".
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiParam {Number} routeId Route ID
+ * @apiBody {String} name New name
+ *
+ * @apiSuccess {Object} data Updated route with attempts
+ * @apiError (400) {Object} error Missing or invalid name (code validation_failed)
+ * @apiError (404) {Object} error Route not found
  * @apiError (500) {Object} error Server error
- * 
+ *
  * @example
- * GET /tokens/user123
+ * PATCH /athletes/user123/routes/4
+ * { "name": "Park loop" }
  */
-app.get('/tokens/:user_id', async (req, res) => {
-    console.log('Fetching access token for user:', req.params.user_id);
+app.patch('/athletes/:id/routes/:routeId', validate(schemas.updateRoute), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Renaming route', { user_id: req.params.id, route_id: req.params.routeId });
     try {
-        const { user_id } = req.params;
+        const route = await routeForRequest(req, res);
+        if (!route) return;
 
-        if (!user_id || user_id.trim() === '') {
-            return res.status(400).json({
-                error: 'user_id is required'
-            });
+        const updated = await routesService.rename(route, req.body.name);
+        if (!updated) {
+            return sendError(res, 404, 'not_found', 'Route not found');
         }
 
-        const { data, error } = await supabase
-            .from('tokens')
-            .select('access_token, expires_at')
-            .eq('user_id', user_id)
-            .maybeSingle();
+        res.status(200).json(await routesService.detail(updated));
+    } catch (error) {
+        handleError(res, error, 'Error renaming route');
+    }
+});
 
-        if (error) {
-            console.error('Database error fetching access token:', error);
-            return res.status(500).json({
-                error: 'Database error occurred'
-            });
-        }
+/**
+ * @api {get} /athletes/:id/export Export activities
+ * @apiName ExportActivities
+ * @apiGroup Athletes
+ * @apiDescription Streams the athlete's activities, oldest first, as a file download:
+ * `csv` has the columns of the `activities.csv` in a Strava account export and can be
+ * imported again with import-activities.js; `jsonl` has one activity row per line, with
+ * `display` values as in GET /activities/:id; `ics` is an iCalendar file with one event
+ * per activity, for calendar applications. Display values (the first Distance column of
+ * `csv`, event descriptions of `ics`) follow the athlete's units or `units`.
+ * Deleted activities are left out. Activities are read from storage page by page, so
+ * exports of any size stream without being buffered.
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiQuery {String} [format=csv] csv, jsonl or ics
+ * @apiQuery {String} [after] Only activities starting at or after this date
+ * @apiQuery {String} [before] Only activities starting before this date
+ * @apiQuery {String} [type] Activity type, or a comma-separated list of types
+ * @apiQuery {String} [units] metric or imperial
+ *
+ * @apiSuccess {File} file The export, with a Content-Disposition attachment header
+ * @apiError (400) {Object} error Invalid query parameter (code validation_failed)
+ * @apiError (500) {Object} error Server error
+ *
+ * @example
+ * GET /athletes/user123/export?format=ics&after=2024-01-01
+ */
+app.get('/athletes/:id/export', validate(schemas.exportActivities), requireSameUser('id'), (req, res) => {
+    req.log.debug('Exporting activities', { user_id: req.params.id, format: req.query.format });
+    const { format, after, before, type, units } = req.query;
+    const { contentType, extension } = EXPORT_FORMATS[format];
 
-        if (!data) {
-            return res.status(404).json({
-                error: 'Access token not found'
-            });
-        }
+    if (after && before && new Date(after) > new Date(before)) {
+        return sendError(res, 400, 'validation_failed', 'after must not be later than before', [{ field: 'query.after', message: 'must not be later than before' }]);
+    }
 
-        if (!data.access_token) {
-            return res.status(404).json({
-                error: 'Access token not found for this user'
-            });
+    const chunks = Readable.from(exportService.stream(req.params.id, format, {
+        after: after && new Date(after).toISOString(),
+        before: before && new Date(before).toISOString(),
+        types: type,
+        units
+    }));
+
+    chunks.on('error', error => {
+        if (res.headersSent) {
+            // Part of the file is out; cut the response short so it is not mistaken for complete
+            req.log.error('Error streaming activity export', { error });
+            res.destroy(error);
+        } else {
+            // res.json keeps a Content-Type already set, so drop the file's headers first
+            res.removeHeader('Content-Type');
+            res.removeHeader('Content-Disposition');
+            handleError(res, error, 'Error exporting activities');
         }
+    });
+    // Stop reading pages when the client goes away
+    res.on('close', () => chunks.destroy());
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="activities.${extension}"`);
+    chunks.pipe(res);
+});
+
+/**
+ * Load one of the athlete's gear items, answering 404 itself.
+ * @returns {Promise<?Object>} Gear row, or null when a response was sent
+ */
+async function gearForRequest(req, res) {
+    const item = await gearService.get(req.params.id, req.params.gearId);
+    if (!item) sendError(res, 404, 'not_found', 'Gear not found');
+    return item;
+}
+
+/**
+ * @api {get} /athletes/:id/gear List gear
+ * @apiName GetGear
+ * @apiGroup Gear
+ * @apiDescription Returns the athlete's shoes, bikes and other gear with their totals:
+ * `distance` in meters (including `initial_distance`), `moving_time` in seconds and
+ * `activity_count`, over the activities linked to each item. Retired items are left out
+ * unless requested.
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiQuery {Boolean} [include_retired=false] Also list retired gear
+ *
+ * @apiSuccess {Object[]} data Gear items, active ones first
+ * @apiError (500) {Object} error Server error
+ */
+app.get('/athletes/:id/gear', validate(schemas.listGear), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching gear', { user_id: req.params.id });
+    try {
+        const data = await gearService.list(req.params.id, { includeRetired: req.query.include_retired });
 
         res.status(200).json(data);
     } catch (error) {
-        console.error('Error fetching access token:', error);
-        res.status(500).json({ error: error.message });
+        handleError(res, error, 'Error fetching gear');
     }
 });
 
 /**
- * @api {post} /athletes/:id Update athlete
- * @apiName UpdateAthlete
- * @apiGroup Athletes
- * @apiDescription Updates an athlete's information by ID
- * 
- * @apiParam {String} id Athlete's unique identifier
- * @apiBody {Object} athlete Athlete data
- * 
- * @apiSuccess {Object} data Updated athlete record
- * @apiError (400) {Object} error Missing required fields
- * @apiError (404) {Object} error Athlete not found
+ * @api {post} /athletes/:id/gear Add gear
+ * @apiName CreateGear
+ * @apiGroup Gear
+ * @apiDescription Adds a gear item. Activities whose gear name or Strava gear id matches
+ * are linked to it on the next recalculation.
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiBody {String} name Name, e.g. "Pegasus 40"
+ * @apiBody {String} [kind=other] shoe, bike or other
+ * @apiBody {String} [brand] Brand
+ * @apiBody {String} [model] Model
+ * @apiBody {String} [notes] Notes
+ * @apiBody {String} [external_id] Strava gear id, e.g. "g12345" or "b12345"
+ * @apiBody {Number} [initial_distance=0] Meters already covered before tracking started
+ * @apiBody {Number} [retire_distance] Distance in meters at which to raise a retirement alert
+ * @apiBody {Number} [retire_time] Moving time in seconds at which to raise a retirement alert
+ * @apiBody {String[]} [default_types] Activity types using this gear by default; each type
+ * can be the default of one item only, so they are removed from the athlete's other gear
+ * @apiBody {Boolean} [retired=false] Whether the item is retired
+ *
+ * @apiSuccess (201) {Object} data Created gear item
+ * @apiError (400) {Object} error Invalid fields (code validation_failed)
+ * @apiError (409) {Object} error The athlete already has gear with this external_id (code conflict)
  * @apiError (500) {Object} error Server error
+ *
+ * @example
+ * POST /athletes/user123/gear
+ * { "name": "Pegasus 40", "kind": "shoe", "retire_distance": 700000, "default_types": ["Run"] }
  */
-app.post('/athletes/:id', async (req, res) => {
-    console.log('Updating athlete:', req.params.id);
+app.post('/athletes/:id/gear', validate(schemas.createGear), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Creating gear', { user_id: req.params.id });
     try {
-        const { id } = req.params;
-        const athleteData = req.body;
-
-        if (!id || !athleteData) {
-            return res.status(400).json({
-                error: 'Athlete ID and update data are required'
-            });
-        }
+        const data = await gearService.create(req.params.id, req.body);
 
-        // Remove any id from the body to prevent overwriting
-        delete athleteData.id;
+        res.status(201).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error creating gear');
+    }
+});
 
+/**
+ * @api {get} /athletes/:id/gear/alerts Get gear alerts
+ * @apiName GetGearAlerts
+ * @apiGroup Gear
+ * @apiDescription Returns the gear items that reached their retirement distance or time
+ * and are not retired yet. `alerted_at` is when the threshold was crossed; the alert
+ * clears when the item is retired or its threshold raised.
+ *
+ * @apiParam {String} id Athlete's user ID
+ *
+ * @apiSuccess {Object[]} data Gear items due for retirement
+ * @apiError (500) {Object} error Server error
+ */
+app.get('/athletes/:id/gear/alerts', validate(schemas.athlete), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching gear alerts', { user_id: req.params.id });
+    try {
+        const data = await gearService.alerts(req.params.id);
 
-        const { data, error } = await supabase
-            .from('athletes')
-            .update({
-                ...athleteData,
-                updated_at: new Date().toISOString()
-            })
-            .eq('user_id', id)
-            .select();
+        res.status(200).json(data);
+    } catch (error) {
+        handleError(res, error, 'Error fetching gear alerts');
+    }
+});
 
-        if (error) throw error;
+/**
+ * @api {get} /athletes/:id/gear/:gearId Get gear item
+ * @apiName GetGearItem
+ * @apiGroup Gear
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiParam {Number} gearId Gear ID
+ *
+ * @apiSuccess {Object} data Gear item with its totals
+ * @apiError (404) {Object} error Gear not found
+ * @apiError (500) {Object} error Server error
+ */
+app.get('/athletes/:id/gear/:gearId', validate(schemas.gear), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Fetching gear item', { user_id: req.params.id, gear_id: req.params.gearId });
+    try {
+        const data = await gearForRequest(req, res);
+        if (!data) return;
 
         res.status(200).json(data);
     } catch (error) {
-        console.error('Error updating athlete:', error);
-        res.status(500).json({ error: error.message });
+        handleError(res, error, 'Error fetching gear item');
     }
 });
 
 /**
- * @api {post} /athletes/:id/stats Update athlete stats
- * @apiName UpdateAthleteStats
- * @apiGroup Athletes
- * @apiDescription Updates an athlete's statistics by athlete ID
- * 
- * @apiParam {String} id Athlete's unique identifier
- * @apiBody {Object} stats Athlete statistics data
- * 
- * @apiSuccess {Object} data Updated athlete stats record
- * @apiError (400) {Object} error Missing required fields
- * @apiError (404) {Object} error Athlete stats not found
+ * @api {patch} /athletes/:id/gear/:gearId Update gear item
+ * @apiName UpdateGearItem
+ * @apiGroup Gear
+ * @apiDescription Changes the given fields, see POST /athletes/:id/gear. Totals and alerts
+ * are recalculated, e.g. after changing `initial_distance` or a retirement threshold.
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiParam {Number} gearId Gear ID
+ *
+ * @apiSuccess {Object} data Updated gear item
+ * @apiError (400) {Object} error No or invalid fields (code validation_failed)
+ * @apiError (404) {Object} error Gear not found
+ * @apiError (409) {Object} error The athlete already has gear with this external_id (code conflict)
  * @apiError (500) {Object} error Server error
+ *
+ * @example
+ * PATCH /athletes/user123/gear/7
+ * { "retired": true }
  */
-app.post('/athletes/:id/stats', async (req, res) => {
-    console.log('Updating athlete stats:', req.params.id);
+app.patch('/athletes/:id/gear/:gearId', validate(schemas.updateGear), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Updating gear item', { user_id: req.params.id, gear_id: req.params.gearId });
     try {
-        const { id } = req.params;
-        const statsData = req.body;
-
-        if (!id || !statsData) {
-            return res.status(400).json({
-                error: 'Athlete ID and stats data are required'
-            });
+        if (Object.keys(req.body).length === 0) {
+            return sendError(res, 400, 'validation_failed', 'No gear fields to update');
         }
 
+        const item = await gearForRequest(req, res);
+        if (!item) return;
 
-        const { data, error } = await supabase
-            .from('athlete_stats')
-            .update({
-                ...statsData,
-                updated_at: new Date().toISOString()
-            })
-            .eq('user_id', id)
-            .select();
-
-        if (error) throw error;
+        const data = await gearService.update(item, req.body);
 
         res.status(200).json(data);
     } catch (error) {
-        console.error('Error updating athlete stats:', error);
-        res.status(500).json({ error: error.message });
+        handleError(res, error, 'Error updating gear item');
+    }
+});
+
+/**
+ * @api {delete} /athletes/:id/gear/:gearId Delete gear item
+ * @apiName DeleteGearItem
+ * @apiGroup Gear
+ * @apiDescription Deletes a gear item and unlinks its activities, which also lose their
+ * gear name and Strava gear id. To keep an item's history, retire it instead.
+ *
+ * @apiParam {String} id Athlete's user ID
+ * @apiParam {Number} gearId Gear ID
+ *
+ * @apiSuccess (204) empty No content
+ * @apiError (404) {Object} error Gear not found
+ * @apiError (500) {Object} error Server error
+ */
+app.delete('/athletes/:id/gear/:gearId', validate(schemas.gear), requireSameUser('id'), async (req, res) => {
+    req.log.debug('Deleting gear item', { user_id: req.params.id, gear_id: req.params.gearId });
+    try {
+        const item = await gearForRequest(req, res);
+        if (!item) return;
+
+        await gearService.remove(item);
+
+        res.status(204).end();
+    } catch (error) {
+        handleError(res, error, 'Error deleting gear item');
     }
 });
 
 /**
- * @api {post} /map Create new map entry
+ * @api {post} /maps Create new map entry
  * @apiName CreateMapEntry
  * @apiGroup Map
- * @apiDescription Creates a new entry in the map table
+ * @apiDescription Creates a new entry in the map table. The map is linked to its activity
+ * through activity_id or, as Strava names maps, a map_id of "a<external_id>".
  * 
- * @apiBody {Object} mapData Map entry data
+ * @apiBody {String} [map_id] Strava map id, e.g. "a123456789"
+ * @apiBody {Number} [activity_id] Activity ID
+ * @apiBody {String} [summary_polyline] Encoded polyline of the route
+ * @apiBody {String} [user_id] Owner, defaults to the caller
  * 
  * @apiSuccess {Object} data Created map entry
- * @apiError (400) {Object} error Missing required fields
+ * @apiError (400) {Object} error Missing or invalid fields (code validation_failed)
+ * @apiError (403) {Object} error The activity belongs to another user (code forbidden)
+ * @apiError (409) {Object} error activity_id does not exist (code conflict)
  * @apiError (500) {Object} error Server error
  * 
  * @example
- * POST /map
+ * POST /maps
  * {
- *   "map_id": "user123",
- *   "summary_polyline": 37.7749
+ *   "map_id": "a123456789",
+ *   "activity_id": 123,
+ *   "summary_polyline": "ki{eFvqfiVqAWQIGEEKAYJgBVqDJ{BHa@jAkNJw@Pw@V{APs@^aABQAOEQGKoJ_FuJkFqAo@{A}@sH{DiAs@Q]?WVy@`@oBt@_CB]KYMMkB{AQEI@WT{BlE{@zAQPI@ICsCqA_BcAeCmAaFmCqIoEcLeG}KcG}A}@cDaBiDsByAkAuBqBi@y@_@o@o@kB}BgIoA_EUkAMcACa@BeBBq@LaAJe@b@uA`@_AdBcD"
  * }
  */
-app.post('/maps', async (req, res) => {
-    console.log('Creating new map entry:', req.body);
+app.post('/maps', validate(schemas.createMap), async (req, res) => {
+    req.log.debug('Creating map entry', { fields: Object.keys(req.body) });
     try {
         const mapData = req.body;
 
-        if (!mapData) {
-            return res.status(400).json({
-                error: 'Map data is required'
-            });
+        if (!mapData.map_id && !mapData.activity_id) {
+            return sendError(res, 400, 'validation_failed', 'map_id or activity_id is required', [
+                { field: 'map_id', message: 'map_id or activity_id is required' },
+                { field: 'activity_id', message: 'map_id or activity_id is required' }
+            ]);
         }
 
-        const { data, error } = await supabase
-            .from('maps')
-            .insert([{
-                ...mapData,
-                created_at: new Date().toISOString()
-            }])
-            .select();
+        const user_id = mapData.user_id ?? req.auth.userId;
+        if (rejectOtherUser(req, res, user_id)) return;
+
+        // Maps may arrive before their activity, but never for another user's
+        const [byId, byMapId] = await Promise.all([
+            mapData.activity_id ? repositories.activities.find({ id: mapData.activity_id }) : null,
+            /^a\d+$/.test(mapData.map_id || '')
+                ? repositories.activities.find({ external_id: mapData.map_id.slice(1) })
+                : null
+        ]);
+        if ([byId, byMapId].some(activity => activity && String(activity.user_id) !== String(user_id))) {
+            return sendError(res, 403, 'forbidden', 'The activity belongs to another user');
+        }
 
-        if (error) throw error;
+        const map = await repositories.maps.insert({
+            ...mapData,
+            user_id,
+            created_at: new Date().toISOString()
+        });
+        scheduleDerivedDataRefresh(user_id);
 
-        res.status(201).json(data[0]);
+        res.status(201).json(map);
     } catch (error) {
-        console.error('Error creating map entry:', error);
-        res.status(500).json({ error: error.message });
+        handleError(res, error, 'Error creating map entry');
     }
 });
 
@@ -438,51 +2461,152 @@ app.post('/maps', async (req, res) => {
  * @api {post} /sessions Create new session mapping
  * @apiName CreateSession
  * @apiGroup Sessions
- * @apiDescription Creates a new session mapping between sessionId and userId
+ * @apiDescription Creates a new session mapping between a session, a user and the
+ * Supabase auth account. Users may only open sessions for themselves and their own
+ * auth_id, which needs an active session already; the first session of an account is
+ * opened by the service credential. An auth_id or user_id already mapped to someone
+ * else is refused.
+ * The session expires SESSION_TTL seconds after its last use; send its id in the
+ * X-Session-Id header to use it.
  * 
- * @apiBody {String} sessionId Unique session identifier
- * @apiBody {String} userId User identifier to map to the session
+ * @apiBody {String} session_id Unique session identifier
+ * @apiBody {String} user_id User identifier to map to the session
+ * @apiBody {String} auth_id Supabase auth id (the token's sub claim)
+ * @apiBody {String} [device] Device label shown in the session list, defaults to the User-Agent
  * 
- * @apiSuccess {Object} data Created session mapping
- * @apiError (400) {Object} error Missing required fields
+ * @apiSuccess {Object} data Created session mapping, with created_at, last_used_at and expires_at
+ * @apiError (400) {Object} error Missing or invalid fields (code validation_failed)
+ * @apiError (403) {Object} error auth_id or user_id belongs to someone else (code forbidden)
+ * @apiError (409) {Object} error Session already exists (code conflict)
  * @apiError (500) {Object} error Server error
  * 
  * @example
  * POST /sessions
  * {
- *   "sessionId": "sess_abc123",
- *   "userId": "user_456"
+ *   "session_id": "sess_abc123",
+ *   "user_id": "user_456",
+ *   "auth_id": "6c1f0d8e-2b7a-4a51-9a0e-3f1c2d4b5e6f",
+ *   "device": "Pixel 8, Runaway 2.3"
  * }
  */
-app.post('/sessions', async (req, res) => {
-    console.log('Creating new session mapping:', req.body);
+app.post('/sessions', validate(schemas.createSession), async (req, res) => {
+    req.log.debug('Creating session mapping');
     try {
-        const { session_id, user_id, auth_id } = req.body;
+        const { session_id, user_id, auth_id, device } = req.body;
+
+        // Unmapped accounts cannot pick a user_id: only the service maps them
+        const ownAuthId = req.auth.service || auth_id === req.auth.authId;
+        if (!ownAuthId || !canAccessUser(req, user_id)) {
+            return sendError(res, 403, 'forbidden', 'Access to this user is not allowed');
+        }
 
-        if (!session_id || !user_id || !auth_id) {
-            return res.status(400).json({
-                error: 'session_id and user_id are required'
+        let session;
+        try {
+            session = await sessionService.create({
+                session_id,
+                user_id,
+                auth_id,
+                device: device !== undefined ? device : (req.get('User-Agent') || '').slice(0, 200) || null
             });
+        } catch (error) {
+            if (error instanceof SessionError) {
+                return sendError(res, 403, 'forbidden', error.message, [{ field: error.field, message: error.message }]);
+            }
+            throw error;
+        }
+
+        res.status(201).json(session);
+    } catch (error) {
+        handleError(res, error, 'Error creating session mapping');
+    }
+});
+
+/**
+ * The user whose sessions a request lists or revokes: `user_id` from the
+ * query, defaulting to the caller. Answers 400/403 itself.
+ * @returns {?string} user_id, or null when a response was sent
+ */
+function sessionsUserId(req, res) {
+    const userId = req.query.user_id ?? req.auth.userId;
+    if (!userId) {
+        if (req.auth.service) {
+            sendError(res, 400, 'validation_failed', 'user_id is required', [
+                { field: 'query.user_id', message: 'user_id is required' }
+            ]);
+        } else {
+            sendError(res, 403, 'forbidden', 'Access to this user is not allowed');
         }
+        return null;
+    }
+    return rejectOtherUser(req, res, userId) ? null : String(userId);
+}
 
-        console.log(session_id, user_id);
+/**
+ * @api {get} /sessions List sessions
+ * @apiName GetSessions
+ * @apiGroup Sessions
+ * @apiDescription Lists the active sessions of the caller, most recently used first.
+ *
+ * @apiQuery {String} [user_id] User whose sessions to list, defaults to the caller
+ * (required for the service credential)
+ *
+ * @apiSuccess {Object[]} data { session_id, device, created_at, last_used_at, expires_at,
+ * current (the session named in X-Session-Id) }
+ * @apiError (400) {Object} error user_id missing for the service credential
+ * @apiError (403) {Object} error user_id belongs to someone else
+ * @apiError (500) {Object} error Server error
+ */
+app.get('/sessions', validate(schemas.listSessions), async (req, res) => {
+    req.log.debug('Listing sessions');
+    try {
+        const userId = sessionsUserId(req, res);
+        if (!userId) return;
+
+        const data = await sessionService.list(userId);
+
+        res.status(200).json(data.map(session => ({
+            session_id: session.session_id,
+            device: session.device ?? null,
+            created_at: session.created_at,
+            last_used_at: session.last_used_at,
+            expires_at: session.expires_at,
+            current: session.session_id === req.auth.sessionId
+        })));
+    } catch (error) {
+        handleError(res, error, 'Error listing sessions');
+    }
+});
 
-        const { data, error } = await supabase
-            .from('sessions')
-            .insert([{
-                session_id: session_id,
-                user_id: user_id,
-                auth_id: auth_id,
-                created_at: new Date().toISOString()
-            }])
-            .select();
+/**
+ * @api {delete} /sessions Revoke all sessions
+ * @apiName RevokeSessions
+ * @apiGroup Sessions
+ * @apiDescription Revokes every session of the caller, e.g. to log out all devices.
+ * Requests naming a revoked session in X-Session-Id are answered with 401, and without
+ * the kept session the caller's tokens are no longer accepted at all.
+ *
+ * @apiQuery {String} [user_id] User whose sessions to revoke, defaults to the caller
+ * (required for the service credential)
+ * @apiQuery {Boolean} [keep_current=false] Keep the session named in X-Session-Id
+ *
+ * @apiSuccess {Number} revoked Number of sessions revoked
+ * @apiError (400) {Object} error user_id missing for the service credential
+ * @apiError (403) {Object} error user_id belongs to someone else
+ * @apiError (500) {Object} error Server error
+ */
+app.delete('/sessions', validate(schemas.revokeSessions), async (req, res) => {
+    req.log.debug('Revoking sessions');
+    try {
+        const userId = sessionsUserId(req, res);
+        if (!userId) return;
 
-        if (error) throw error;
+        const except = req.query.keep_current ? req.auth.sessionId : null;
+        const revoked = await sessionService.revokeAll(userId, { except });
 
-        res.status(201).json(data[0]);
+        req.log.info('Revoked sessions', { user_id: userId, revoked });
+        res.status(200).json({ revoked });
     } catch (error) {
-        console.error('Error creating session mapping:', error);
-        res.status(500).json({ error: error.message });
+        handleError(res, error, 'Error revoking sessions');
     }
 });
 
@@ -496,45 +2620,71 @@ app.post('/sessions', async (req, res) => {
  * 
  * @apiSuccess {Object} data Session mapping data
  * @apiSuccess {String} data.user_id User ID associated with the session
+ * @apiSuccess {String} data.device Device label
  * @apiSuccess {String} data.created_at Session creation timestamp
+ * @apiSuccess {String} data.last_used_at Last use
+ * @apiSuccess {String} data.expires_at Expiry, moved forward by every use
  * 
- * @apiError (400) {Object} error Missing sessionId
- * @apiError (404) {Object} error Session not found
+ * @apiError (404) {Object} error Session not found, revoked or expired
  * @apiError (500) {Object} error Server error
  * 
  * @example
  * GET /sessions/sess_abc123
  */
-app.get('/sessions/:sessionId', async (req, res) => {
-    console.log('Fetching userId for session:', req.params.sessionId);
+app.get('/sessions/:sessionId', validate(schemas.session), async (req, res) => {
+    req.log.debug('Fetching userId for session');
     try {
-        const { session_id } = req.params;
+        const session = await sessionService.find(req.params.sessionId);
 
-        if (!session_id) {
-            return res.status(400).json({
-                error: 'session_id is required'
-            });
+        if (!session) {
+            return sendError(res, 404, 'not_found', 'Session not found');
         }
 
-        const { data, error } = await supabase
-            .from('sessions')
-            .select('user_id, created_at')
-            .eq('session_id', session_id)
-            .single();
+        if (rejectOtherUser(req, res, session.user_id)) return;
 
-        if (error) {
-            if (error.code === 'PGRST116') {
-                return res.status(404).json({
-                    error: 'Session not found'
-                });
-            }
-            throw error;
+        res.status(200).json({
+            user_id: session.user_id,
+            device: session.device ?? null,
+            created_at: session.created_at,
+            last_used_at: session.last_used_at,
+            expires_at: session.expires_at
+        });
+    } catch (error) {
+        handleError(res, error, 'Error fetching session');
+    }
+});
+
+/**
+ * @api {delete} /sessions/:sessionId Revoke session
+ * @apiName RevokeSession
+ * @apiGroup Sessions
+ * @apiDescription Revokes one session, logging its device out: requests naming it in
+ * X-Session-Id are answered with 401.
+ *
+ * @apiParam {String} sessionId Session identifier
+ *
+ * @apiSuccess (204) empty No content
+ * @apiError (403) {Object} error Session belongs to another user
+ * @apiError (404) {Object} error Session not found, revoked or expired
+ * @apiError (500) {Object} error Server error
+ */
+app.delete('/sessions/:sessionId', validate(schemas.session), async (req, res) => {
+    req.log.debug('Revoking session');
+    try {
+        const session = await sessionService.find(req.params.sessionId);
+
+        if (!session) {
+            return sendError(res, 404, 'not_found', 'Session not found');
         }
 
-        res.status(200).json(data);
+        if (rejectOtherUser(req, res, session.user_id)) return;
+
+        await sessionService.revoke(session.session_id);
+
+        req.log.info('Revoked session', { user_id: session.user_id });
+        res.status(204).end();
     } catch (error) {
-        console.error('Error fetching session:', error);
-        res.status(500).json({ error: error.message });
+        handleError(res, error, 'Error revoking session');
     }
 });
 
@@ -542,56 +2692,42 @@ app.get('/sessions/:sessionId', async (req, res) => {
  * @api {get} /auth/:userId Get auth ID by user ID
  * @apiName GetAuthIdByUserId
  * @apiGroup Auth
- * @apiDescription Retrieves the auth ID associated with a user ID
+ * @apiDescription Retrieves the auth ID associated with a user ID: from the user's
+ * profile, else from their newest active session, as requests are authenticated.
  * 
  * @apiParam {String} userId User identifier
  * 
  * @apiSuccess {Object} data Auth mapping data
  * @apiSuccess {String} data.auth_id Auth ID associated with the user
  * @apiSuccess {String} data.created_at Auth mapping creation timestamp
+ * @apiSuccess {String} data.source "profile" or "session"
  * 
- * @apiError (400) {Object} error Missing userId
+ * @apiError (400) {Object} error Invalid userId
  * @apiError (404) {Object} error Auth mapping not found
  * @apiError (500) {Object} error Server error
  * 
  * @example
  * GET /auth/user_456
  */
-app.get('/auth/:userId', async (req, res) => {
-    console.log('Fetching auth ID for user:', req.params.userId);
+app.get('/auth/:userId', validate(schemas.authMapping), requireSameUser('userId'), async (req, res) => {
+    req.log.debug('Fetching auth ID for user', { user_id: req.params.userId });
     try {
-        const { userId } = req.params;
+        const mapping = await sessionService.authIdForUserId(req.params.userId);
 
-        if (!userId) {
-            return res.status(400).json({
-                error: 'userId is required'
-            });
-        }
-        console.log(userId);
-        const { data, error } = await supabase
-            .from('profiles')
-            .select('auth_id, created_at')
-            .eq('user_id', userId)
-            .single();
-        console.log(data);
-        console.log(error);
-
-        if (error) {
-            if (error.code === 'PGRST116') {
-                return res.status(404).json({
-                    error: 'Auth mapping not found'
-                });
-            }
-            throw error;
+        if (!mapping) {
+            return sendError(res, 404, 'not_found', 'Auth mapping not found');
         }
 
-        res.status(200).json(data);
+        res.status(200).json(mapping);
     } catch (error) {
-        console.error('Error fetching auth ID:', error);
-        res.status(500).json({ error: error.message });
+        handleError(res, error, 'Error fetching auth ID');
     }
 });
 
+// Anything not answered above gets the API's error format
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 /**
  * Database Schema
  * @typedef {Object} RefreshToken
@@ -606,5 +2742,17 @@ app.get('/auth/:userId', async (req, res) => {
  */
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
+    logger.info('Server is running', { port: Number(PORT) });
 });
+
+// Process queued background jobs unless disabled for this instance
+if (process.env.JOB_WORKER !== 'false') {
+    jobQueue.start();
+
+    // Purge expired sessions and old done jobs now and every SESSION_CLEANUP_INTERVAL seconds
+    const queueSessionCleanup = () => jobQueue.enqueue('sessions_cleanup', {}).catch(error => {
+        logger.error('Error queueing session cleanup', { error });
+    });
+    queueSessionCleanup();
+    setInterval(queueSessionCleanup, Number(process.env.SESSION_CLEANUP_INTERVAL || 3600) * 1000);
+}
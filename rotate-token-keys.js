@@ -0,0 +1,93 @@
+/**
+ * Re-encrypts stored OAuth tokens under the current encryption key.
+ *
+ * Usage:
+ *   node rotate-token-keys.js [--batch-size <n>] [--dry-run]
+ *
+ * Rotation without downtime:
+ *   1. Add the new key to TOKEN_ENCRYPTION_KEYS, point TOKEN_ENCRYPTION_KEY_ID
+ *      at it and deploy. New writes use the new key; rows under the old key
+ *      still decrypt.
+ *   2. Run this script with the same environment. It rewrites every row whose
+ *      key_id differs from the current key, including plaintext rows written
+ *      before encryption was introduced.
+ *   3. Once it reports no remaining rows, remove the old key.
+ *
+ * A row is only rewritten if it is unchanged since it was read, so a token
+ * saved concurrently through `POST /tokens` is never overwritten.
+ */
+
+const dotenv = require('dotenv');
+const { createRepositories } = require('./src/storage');
+const { tokenCipherFromEnv } = require('./src/tokens/encryption');
+const { createTokenStore } = require('./src/tokens/store');
+const { loggerFromEnv } = require('./src/logging/logger');
+
+// Load environment variables
+dotenv.config();
+
+const logger = loggerFromEnv(process.env);
+
+const { tokens } = createRepositories(process.env);
+const cipher = tokenCipherFromEnv(process.env);
+const tokenStore = createTokenStore({ tokens, cipher });
+
+async function rotateTokenKeys({ batchSize, dryRun }) {
+    logger.info('Re-encrypting tokens', { key_id: cipher.currentKeyId, dry_run: dryRun });
+    let rotated = 0;
+    let skipped = 0;
+    let failed = 0;
+    let lastUserId = null;
+
+    for (;;) {
+        const data = await tokens.listNotUnderKey(cipher.currentKeyId, { afterUserId: lastUserId, limit: batchSize });
+        if (data.length === 0) break;
+
+        for (const row of data) {
+            lastUserId = row.user_id;
+
+            if (dryRun) {
+                rotated++;
+                continue;
+            }
+
+            try {
+                const encrypted = tokenStore.encryptRow(tokenStore.decryptRow(row));
+
+                const updated = await tokens.updateIfUnchanged(row, {
+                    refresh_token: encrypted.refresh_token,
+                    access_token: encrypted.access_token,
+                    key_id: encrypted.key_id
+                });
+
+                if (!updated) {
+                    // Saved again since it was read, so already under the current key
+                    skipped++;
+                } else {
+                    rotated++;
+                }
+            } catch (rowError) {
+                logger.error('Error re-encrypting tokens', { user_id: row.user_id, error: rowError });
+                failed++;
+            }
+        }
+    }
+
+    logger.info(dryRun ? 'Dry run completed, nothing was written' : 'Rotation completed', {
+        [dryRun ? 'to_reencrypt' : 'reencrypted']: rotated,
+        changed_concurrently: skipped,
+        failed
+    });
+    if (failed > 0) process.exitCode = 1;
+}
+
+const args = process.argv.slice(2);
+const batchSizeIndex = args.indexOf('--batch-size');
+
+rotateTokenKeys({
+    batchSize: batchSizeIndex === -1 ? 100 : Number(args[batchSizeIndex + 1]),
+    dryRun: args.includes('--dry-run')
+}).catch(error => {
+    logger.error('Rotation failed', { error });
+    process.exitCode = 1;
+});
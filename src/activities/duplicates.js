@@ -0,0 +1,356 @@
+/**
+ * Detection and merging of duplicate activities. The same workout often
+ * arrives twice with different ids: synced from Strava and uploaded as a
+ * file, entered by hand and imported from an export. Two activities of a
+ * user are duplicates when they have the same type, their time ranges
+ * overlap, and their distance and moving time are similar.
+ *
+ * A merge keeps the richer of the two (heart rate, power, map), fills its
+ * empty columns from the other, moves the other's maps and Strava id over
+ * and soft-deletes the other with `merged_into` pointing at the survivor.
+ * @module activities/duplicates
+ */
+
+/**
+ * What happens to a new activity that duplicates a stored one:
+ * - `reject`: it is not stored ({@link DuplicateActivityError})
+ * - `flag`: it is stored with `duplicate_of` set, for review
+ * - `merge`: it is stored and merged with the stored one right away
+ */
+const DUPLICATE_POLICIES = ['reject', 'flag', 'merge'];
+
+/**
+ * Activities starting within this many seconds of each other overlap
+ * whatever their durations, e.g. a file already synced from Strava.
+ */
+const DUPLICATE_WINDOW = 60;
+
+/** Largest relative difference in distance and moving time between duplicates. */
+const DUPLICATE_TOLERANCE = 0.1;
+
+/** Distance difference in meters always tolerated, for short activities. */
+const DISTANCE_SLACK = 100;
+
+/** Share of the shorter activity the time ranges must have in common. */
+const MIN_OVERLAP = 0.5;
+
+/** Columns the review scan reads. */
+const SCAN_COLUMNS = 'id, user_id, type, start_date, distance, moving_time, elapsed_time, distinct_from';
+
+/** Columns a merge never copies from the merged activity. */
+const OWN_COLUMNS = [
+    'id', 'user_id', 'external_id', 'version', 'pr_count', 'created_at', 'updated_at', 'deleted_at',
+    'duplicate_of', 'merged_into', 'distinct_from', 'gear', 'gear_id', 'gear_external_id'
+];
+
+/**
+ * The activity is a duplicate of a stored one and the policy is `reject`.
+ */
+class DuplicateActivityError extends Error {
+    /**
+     * @param {Object} activity - The stored activity
+     */
+    constructor(activity) {
+        super(`Duplicate of activity ${activity.id}`);
+        this.name = 'DuplicateActivityError';
+        this.activity = activity;
+    }
+}
+
+const present = value => value !== null && value !== undefined && value !== '';
+const seconds = activity => Number(activity.elapsed_time) || Number(activity.moving_time) || 0;
+
+/**
+ * Compare two activities of the same user.
+ * @param {Object} a - Activity row
+ * @param {Object} b - Activity row
+ * @returns {?{start_gap: number, distance_difference: ?number, duration_difference: ?number}}
+ * How far apart they are (seconds, meters, seconds), or null unless they are duplicates
+ */
+function compareActivities(a, b) {
+    if (String(a.id) === String(b.id) && present(a.id)) return null;
+    if (a.type && b.type && a.type !== b.type) return null;
+
+    const startA = new Date(a.start_date).getTime();
+    const startB = new Date(b.start_date).getTime();
+    if (Number.isNaN(startA) || Number.isNaN(startB)) return null;
+
+    const gap = Math.abs(startA - startB) / 1000;
+    if (gap > DUPLICATE_WINDOW) {
+        const shorter = Math.min(seconds(a), seconds(b));
+        const common = (Math.min(startA + seconds(a) * 1000, startB + seconds(b) * 1000) - Math.max(startA, startB)) / 1000;
+        if (shorter <= 0 || common < shorter * MIN_OVERLAP) return null;
+    }
+
+    let distanceDifference = null;
+    if (present(a.distance) && present(b.distance)) {
+        distanceDifference = Math.abs(a.distance - b.distance);
+        const allowed = Math.max(DUPLICATE_TOLERANCE * Math.max(a.distance, b.distance), DISTANCE_SLACK);
+        if (distanceDifference > allowed) return null;
+    }
+
+    let durationDifference = null;
+    if (present(a.moving_time) && present(b.moving_time)) {
+        durationDifference = Math.abs(a.moving_time - b.moving_time);
+        const allowed = Math.max(DUPLICATE_TOLERANCE * Math.max(a.moving_time, b.moving_time), DUPLICATE_WINDOW);
+        if (durationDifference > allowed) return null;
+    }
+
+    return { start_gap: gap, distance_difference: distanceDifference, duration_difference: durationDifference };
+}
+
+/** Whether the user said two activities are not duplicates. */
+function dismissed(a, b) {
+    const listed = (activity, other) => Array.isArray(activity.distinct_from)
+        && activity.distinct_from.some(id => String(id) === String(other.id));
+    return listed(a, b) || listed(b, a);
+}
+
+/**
+ * Create the duplicate service.
+ * @param {Object} options
+ * @param {Object} options.activities - Activity repository from {@link module:storage}
+ * @param {Object} options.maps - Map repository from {@link module:storage}
+ * @param {Object} options.activityLifecycle - Service from {@link module:activities/lifecycle}
+ * @param {string} [options.policy=reject] - One of {@link DUPLICATE_POLICIES}
+ * @returns {Object} Duplicate service
+ */
+function createDuplicateService({ activities, maps, activityLifecycle, policy = 'reject' }) {
+    if (!DUPLICATE_POLICIES.includes(policy)) {
+        throw new Error(`DUPLICATE_POLICY must be one of ${DUPLICATE_POLICIES.join(', ')}, got ${policy}`);
+    }
+
+    /**
+     * The stored activity a new one duplicates, the closest start first.
+     * @param {Object} row - Activity about to be stored, with user_id and start_date
+     * @param {Array<Object>} [candidates] - Activities to compare with instead of reading
+     * the user's activities around the start
+     * @returns {Promise<?Object>} Stored activity, or null
+     */
+    async function findDuplicate(row, candidates) {
+        const start = new Date(row.start_date).getTime();
+        if (Number.isNaN(start)) return null;
+
+        if (!candidates) {
+            // Wide enough for any activity the overlap and duration checks can accept
+            const span = Math.max(DUPLICATE_WINDOW, seconds(row) * 2) * 1000;
+            candidates = await activities.listForUser(row.user_id, '*', {
+                after: new Date(start - span).toISOString(),
+                before: new Date(start + span + 1).toISOString()
+            });
+        }
+
+        let best = null;
+        for (const candidate of candidates) {
+            const comparison = compareActivities(row, candidate);
+            if (comparison && !dismissed(row, candidate) && (!best || comparison.start_gap < best.start_gap)) {
+                best = { candidate, start_gap: comparison.start_gap };
+            }
+        }
+        return best && best.candidate;
+    }
+
+    /**
+     * Rank an activity for keeping: heart rate, power and map count most,
+     * then the number of filled columns.
+     */
+    async function richness(activity) {
+        const map = await maps.latestForActivity(activity);
+        const data = Number(present(activity.average_heart_rate)) + Number(present(activity.average_power)) + Number(Boolean(map));
+        return { data, filled: Object.values(activity).filter(present).length, map: Boolean(map) };
+    }
+
+    /**
+     * Order two activities into the one to keep and the one to merge into it.
+     * Ties keep the one with a Strava id, then the older one.
+     * @returns {Array<Object>} [keep, merged]
+     */
+    function ranked(a, richA, b, richB) {
+        const order = (richB.data - richA.data)
+            || (richB.filled - richA.filled)
+            || (Number(present(b.external_id)) - Number(present(a.external_id)))
+            || (Number(a.id) - Number(b.id));
+        return order > 0 ? [b, a] : [a, b];
+    }
+
+    /**
+     * Merge two activities of a user. The richer one is kept and gets the
+     * other's values for its empty columns, its maps when it has none, and its
+     * Strava id when it has none; the other is soft-deleted with `merged_into`.
+     * Gear, stats and records follow once derived data is refreshed.
+     *
+     * The kept one is updated first and put back when the other one changed
+     * meanwhile, so a failed merge leaves both as they were. The Strava id
+     * moves last, once the merged one has released it.
+     * @param {Object} a - Activity row, as read by the caller
+     * @param {Object} b - Activity row, as read by the caller
+     * @returns {Promise<?{activity: Object, merged: Object}>} Kept and merged rows, or null
+     * when either changed meanwhile
+     */
+    async function merge(a, b) {
+        const [richA, richB] = await Promise.all([richness(a), richness(b)]);
+        const [keep, drop] = ranked(a, richA, b, richB);
+        const deletedAt = new Date().toISOString();
+        const moveExternalId = !present(keep.external_id) && present(drop.external_id);
+
+        const changes = {};
+        for (const [column, value] of Object.entries(drop)) {
+            if (!OWN_COLUMNS.includes(column) && present(value) && !present(keep[column])) {
+                changes[column] = value;
+            }
+        }
+        if (!present(keep.gear_id) && !present(keep.gear) && (present(drop.gear_id) || present(drop.gear))) {
+            Object.assign(changes, { gear: drop.gear, gear_id: drop.gear_id, gear_external_id: drop.gear_external_id });
+        }
+        if (String(keep.duplicate_of) === String(drop.id)) changes.duplicate_of = null;
+
+        const kept = await activityLifecycle.update(keep, changes);
+        if (!kept) return null;
+
+        const putBack = () => activityLifecycle.update(kept, Object.fromEntries(
+            Object.keys(changes).map(column => [column, keep[column] ?? null])
+        ));
+        let merged;
+        try {
+            merged = await activityLifecycle.update(drop, {
+                deleted_at: deletedAt,
+                merged_into: keep.id,
+                duplicate_of: null,
+                ...(moveExternalId ? { external_id: null } : {})
+            });
+        } catch (error) {
+            await putBack();
+            throw error;
+        }
+        if (!merged) {
+            await putBack();
+            return null;
+        }
+
+        if ((keep === a ? richA : richB).map) {
+            await maps.setDeletedForActivity(drop, deletedAt);
+        } else {
+            await maps.moveToActivity(drop, keep);
+        }
+
+        if (!moveExternalId) return { activity: kept, merged };
+
+        // Clients cannot edit external_id, so a concurrent edit of the kept one
+        // does not conflict with it: read the row again and retry once
+        let activity = await activityLifecycle.update(kept, { external_id: drop.external_id });
+        if (!activity) {
+            const current = await activityLifecycle.find({ id: kept.id });
+            activity = current && await activityLifecycle.update(current, { external_id: drop.external_id });
+        }
+        return activity ? { activity, merged } : null;
+    }
+
+    /**
+     * Store a new activity under the duplicate policy.
+     * @param {Object} row - Activity to store, with user_id and start_date
+     * @param {Function} store - Stores a row and resolves to the stored activity
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.candidates] - See {@link findDuplicate}
+     * @returns {Promise<{activity: Object, duplicate: ?Object, merged: boolean}>} The activity
+     * to answer with (the kept one after a merge) and the stored activity it duplicates
+     * @throws {DuplicateActivityError} When it duplicates a stored activity and the policy is reject
+     */
+    async function admit(row, store, { candidates } = {}) {
+        const duplicate = await findDuplicate(row, candidates);
+        if (!duplicate) return { activity: await store(row), duplicate: null, merged: false };
+
+        if (policy === 'reject') throw new DuplicateActivityError(duplicate);
+        if (policy === 'flag') {
+            return { activity: await store({ ...row, duplicate_of: duplicate.id }), duplicate, merged: false };
+        }
+
+        const stored = await store(row);
+        const current = await activities.find({ id: duplicate.id });
+        const result = current && !current.deleted_at ? await merge(stored, current) : null;
+        return result
+            ? { activity: result.activity, duplicate, merged: true }
+            : { activity: stored, duplicate, merged: false };
+    }
+
+    function summarize(activity, { map }) {
+        return {
+            id: activity.id,
+            external_id: activity.external_id ?? null,
+            name: activity.name ?? null,
+            type: activity.type ?? null,
+            start_date: activity.start_date,
+            distance: activity.distance ?? null,
+            moving_time: activity.moving_time ?? null,
+            heart_rate: present(activity.average_heart_rate),
+            power: present(activity.average_power),
+            map,
+            duplicate_of: activity.duplicate_of ?? null
+        };
+    }
+
+    /**
+     * Candidate duplicate pairs among a user's activities, oldest first,
+     * leaving out pairs the user dismissed.
+     * @param {string} userId - Owner
+     * @returns {Promise<Array<Object>>} { activities: [summary, summary], start_gap,
+     * distance_difference, duration_difference, flagged, keep }
+     */
+    async function candidates(userId) {
+        const rows = await activities.listForUser(userId, SCAN_COLUMNS);
+        const found = [];
+
+        // Rows are sorted by start, so only later rows starting before this one ends can overlap
+        for (let i = 0; i < rows.length; i++) {
+            const start = new Date(rows[i].start_date).getTime();
+            if (Number.isNaN(start)) continue;
+            const end = start + Math.max(seconds(rows[i]), DUPLICATE_WINDOW) * 1000;
+            for (let j = i + 1; j < rows.length && new Date(rows[j].start_date).getTime() <= end; j++) {
+                const comparison = compareActivities(rows[i], rows[j]);
+                if (comparison && !dismissed(rows[i], rows[j])) found.push({ ids: [rows[i].id, rows[j].id], comparison });
+            }
+        }
+
+        const pairs = [];
+        for (const { ids, comparison } of found) {
+            const [a, b] = await Promise.all(ids.map(id => activities.find({ id })));
+            const [richA, richB] = await Promise.all([richness(a), richness(b)]);
+            const [keep] = ranked(a, richA, b, richB);
+            pairs.push({
+                activities: [summarize(a, richA), summarize(b, richB)],
+                ...comparison,
+                flagged: String(a.duplicate_of) === String(b.id) || String(b.duplicate_of) === String(a.id),
+                keep: keep.id
+            });
+        }
+        return pairs;
+    }
+
+    /**
+     * Record that two activities are not duplicates: they are no longer
+     * listed as candidates or matched on create, and their flags are cleared.
+     * @param {Object} activity - Activity row, as read by the caller
+     * @param {Object} other - The other activity row
+     * @returns {Promise<?Object>} Updated activity, or null when either changed meanwhile
+     */
+    async function dismiss(activity, other) {
+        const distinct = Array.isArray(activity.distinct_from) ? activity.distinct_from : [];
+        const changes = { distinct_from: [...new Set([...distinct, Number(other.id)])] };
+        if (String(activity.duplicate_of) === String(other.id)) changes.duplicate_of = null;
+
+        if (String(other.duplicate_of) === String(activity.id)
+            && !(await activityLifecycle.update(other, { duplicate_of: null }))) {
+            return null;
+        }
+        return activityLifecycle.update(activity, changes);
+    }
+
+    return { policy, findDuplicate, admit, merge, candidates, dismiss };
+}
+
+module.exports = {
+    DUPLICATE_POLICIES,
+    DUPLICATE_WINDOW,
+    DuplicateActivityError,
+    compareActivities,
+    createDuplicateService
+};
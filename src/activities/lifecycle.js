@@ -0,0 +1,115 @@
+/**
+ * Editing and soft deletion of activities with ETag / If-Match optimistic
+ * concurrency. Every write bumps the row's `version`; the ETag is derived
+ * from id and version, so a client can only write over the version it read.
+ * @module activities/lifecycle
+ */
+
+const { normalizeActivityTimes } = require('../time/zones');
+
+/**
+ * Current version of a row; rows written before versioning count as 1.
+ * @param {Object} activity - Activity row
+ * @returns {number}
+ */
+function versionOf(activity) {
+    return Number(activity.version) || 1;
+}
+
+/**
+ * Strong ETag of an activity.
+ * @param {Object} activity - Activity row with id and version
+ * @returns {string} Quoted entity tag
+ */
+function etagOf(activity) {
+    return `"${activity.id}.${versionOf(activity)}"`;
+}
+
+/**
+ * Whether an If-Match header matches the activity's current ETag.
+ * @param {string} header - If-Match header value
+ * @param {Object} activity - Activity row
+ * @returns {boolean}
+ */
+function ifMatchSatisfied(header, activity) {
+    const current = etagOf(activity);
+    return header.split(',')
+        .map(tag => tag.trim().replace(/^W\//, ''))
+        .some(tag => tag === '*' || tag === current);
+}
+
+/**
+ * Create the activity lifecycle service. Every write is conditional on the
+ * version the caller read, and returns null when the row changed meanwhile.
+ * @param {Object} options
+ * @param {Object} options.activities - Activity repository from {@link module:storage}
+ * @param {Object} options.maps - Map repository from {@link module:storage}
+ * @returns {{find: Function, update: Function, softDelete: Function, restore: Function}}
+ */
+function createActivityLifecycle({ activities, maps }) {
+    /**
+     * Read an activity, including soft-deleted ones.
+     * @param {Object} match - Column filters, e.g. { id } or { external_id, user_id }
+     * @returns {Promise<?Object>} Activity row, or null
+     */
+    function find(match) {
+        return activities.find(match);
+    }
+
+    function write(activity, changes) {
+        return activities.updateVersion(activity.id, versionOf(activity), {
+            ...changes,
+            version: versionOf(activity) + 1,
+            updated_at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Apply validated changes, see {@link module:http/schemas}. When the
+     * start or the zone changes without a new `start_date_local`, the local
+     * start is derived again, or cleared when the zone is unknown.
+     * @param {Object} activity - Row as read by the caller
+     * @param {Object} changes - Columns to write
+     * @returns {Promise<?Object>} Updated row, or null on a concurrent change
+     */
+    function update(activity, changes) {
+        const moved = (changes.start_date !== undefined || changes.time_zone !== undefined)
+            && changes.start_date_local === undefined;
+        if (!moved) return write(activity, changes);
+
+        const { start_date_local } = normalizeActivityTimes({ ...activity, ...changes, start_date_local: null });
+        return write(activity, { ...changes, start_date_local: start_date_local || null });
+    }
+
+    /**
+     * Mark an activity and its maps deleted.
+     * @param {Object} activity - Row as read by the caller
+     * @returns {Promise<?Object>} Updated row, or null on a concurrent change
+     */
+    async function softDelete(activity) {
+        const deletedAt = new Date().toISOString();
+        const updated = await write(activity, { deleted_at: deletedAt });
+        if (updated) await maps.setDeletedForActivity(activity, deletedAt);
+        return updated;
+    }
+
+    /**
+     * Undo a soft delete.
+     * @param {Object} activity - Row as read by the caller
+     * @returns {Promise<?Object>} Updated row, or null on a concurrent change
+     */
+    async function restore(activity) {
+        const updated = await write(activity, { deleted_at: null });
+        if (updated) await maps.setDeletedForActivity(activity, null);
+        return updated;
+    }
+
+    return { find, update, softDelete, restore };
+}
+
+module.exports = {
+    versionOf,
+    etagOf,
+    ifMatchSatisfied,
+    createActivityLifecycle
+};
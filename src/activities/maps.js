@@ -0,0 +1,39 @@
+/**
+ * Matching of map rows to activities in bulk, for features reading the
+ * routes of all of an athlete's activities at once.
+ * @module activities/maps
+ */
+
+/**
+ * The newest map with a route of each activity. Maps belong to an activity
+ * through `activity_id` or, as Strava names them, `map_id` "a<external_id>",
+ * as in the maps repository of {@link module:storage}.
+ * @param {Array<Object>} activities - Activity rows with id and external_id
+ * @param {Array<Object>} maps - Map rows with activity_id, map_id, summary_polyline and created_at
+ * @returns {Map<number, Object>} Map row by activity id, for activities that have one
+ */
+function newestMaps(activities, maps) {
+    const newest = new Map();
+    for (const map of maps) {
+        if (!map.summary_polyline) continue;
+        const keys = [];
+        if (map.activity_id !== null && map.activity_id !== undefined) keys.push(`id:${map.activity_id}`);
+        if (map.map_id) keys.push(`map:${map.map_id}`);
+        for (const key of keys) {
+            const current = newest.get(key);
+            if (!current || new Date(map.created_at) > new Date(current.created_at)) newest.set(key, map);
+        }
+    }
+
+    const result = new Map();
+    for (const activity of activities) {
+        const candidates = [newest.get(`id:${activity.id}`)];
+        if (activity.external_id) candidates.push(newest.get(`map:a${activity.external_id}`));
+        const map = candidates.filter(Boolean)
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+        if (map) result.set(activity.id, map);
+    }
+    return result;
+}
+
+module.exports = { newestMaps };
@@ -0,0 +1,206 @@
+/**
+ * Query-string handling for `GET /activities`: filters, sorting, cursor
+ * pagination and column selection. The query string itself is validated
+ * by the `listActivities` schema, see {@link module:http/schemas}.
+ * @module activities/query
+ */
+
+const { ApiError } = require('../http/errors');
+
+/** Page size when `limit` is not given. */
+const DEFAULT_LIMIT = 50;
+
+/** Largest page size. */
+const MAX_LIMIT = 200;
+
+/**
+ * Columns that may be requested through `fields`.
+ * @constant {string[]}
+ */
+const SELECTABLE_FIELDS = [
+    'id', 'external_id', 'upload_id', 'name', 'type', 'detail', 'distance',
+    'moving_time', 'elapsed_time', 'high_elevation', 'low_elevation',
+    'total_elevation_gain', 'total_elevation_loss', 'start_date',
+    'start_date_local', 'time_zone', 'achievement_count', 'kudos_count',
+    'comment_count', 'athlete_count', 'photo_count', 'total_photo_count',
+    'trainer', 'commute', 'manual',
+    'private', 'flagged', 'average_speed', 'max_speed', 'calories',
+    'has_kudoed', 'kilo_joules', 'average_power', 'max_power', 'device_watts',
+    'has_heart_rate', 'average_heart_rate', 'max_heart_rate',
+    'grade_adjusted_distance', 'average_cadence', 'max_cadence',
+    'relative_effort', 'gear', 'gear_id', 'gear_external_id', 'user_id', 'pr_count', 'version',
+    'updated_at', 'deleted_at', 'duplicate_of', 'merged_into', 'route_id'
+];
+
+/**
+ * Columns that may be used in `sort`.
+ * @constant {string[]}
+ */
+const SORTABLE_FIELDS = [
+    'start_date', 'distance', 'moving_time', 'elapsed_time',
+    'total_elevation_gain', 'average_speed', 'name', 'id'
+];
+
+/**
+ * Encode the position after the last row of a page.
+ * @param {*} value - Sort column value of the last row
+ * @param {number} id - id of the last row
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {{value: *, id: number}}
+ * @throws {ApiError} When the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!Number.isFinite(id)) throw new Error('invalid id');
+        return { value, id };
+    } catch (error) {
+        throw new ApiError(400, 'validation_failed', 'Request validation failed', [
+            { field: 'query.cursor', message: 'is invalid' }
+        ]);
+    }
+}
+
+/**
+ * Turn the validated query string of `GET /activities` into the query the
+ * activity repository runs.
+ * @param {Object} query - Express `req.query` after validation
+ * @returns {Object} Normalized query
+ * @throws {ApiError} When the cursor is malformed
+ */
+function activityQuery(query) {
+    const sort = query.sort || '-start_date';
+    return {
+        after: query.after,
+        before: query.before,
+        types: query.type,
+        minDistance: query.min_distance,
+        maxDistance: query.max_distance,
+        minDuration: query.min_duration,
+        maxDuration: query.max_duration,
+        commute: query.commute,
+        trainer: query.trainer,
+        deleted: query.deleted,
+        search: query.q,
+        ascending: !sort.startsWith('-'),
+        sortField: sort.replace(/^-/, ''),
+        limit: query.limit || DEFAULT_LIMIT,
+        cursor: query.cursor ? decodeCursor(query.cursor) : undefined,
+        fields: query.fields
+    };
+}
+
+/**
+ * Quote a value for use inside a PostgREST `or=(...)` filter.
+ */
+function quote(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Build the keyset condition that selects rows after the cursor. Rows are
+ * ordered by the sort column (nulls last) and then by id in the same
+ * direction, so (value, id) identifies a unique position.
+ */
+function cursorFilter({ sortField, ascending, cursor }) {
+    const cmp = ascending ? 'gt' : 'lt';
+
+    if (sortField === 'id') {
+        return `id.${cmp}.${cursor.id}`;
+    }
+    if (cursor.value === null || cursor.value === undefined) {
+        return `and(${sortField}.is.null,id.${cmp}.${cursor.id})`;
+    }
+
+    const value = quote(cursor.value);
+    return [
+        `${sortField}.${cmp}.${value}`,
+        `and(${sortField}.eq.${value},id.${cmp}.${cursor.id})`,
+        `${sortField}.is.null`
+    ].join(',');
+}
+
+/**
+ * Apply a parsed query to a Supabase `activities` query builder.
+ * One extra row is requested so the caller can tell whether a next page
+ * exists.
+ * @param {Object} builder - Result of `supabase.from('activities')`
+ * @param {Object} parsed - Result of {@link activityQuery}
+ * @returns {Object} Query builder ready to be awaited
+ */
+function applyActivityQuery(builder, parsed) {
+    const columns = parsed.fields
+        ? [...new Set([...parsed.fields, 'id', parsed.sortField])].join(',')
+        : '*';
+
+    let query = builder.select(columns);
+
+    if (parsed.userId) query = query.eq('user_id', parsed.userId);
+    query = parsed.deleted ? query.not('deleted_at', 'is', null) : query.is('deleted_at', null);
+
+    if (parsed.after) query = query.gte('start_date', parsed.after);
+    if (parsed.before) query = query.lt('start_date', parsed.before);
+    if (parsed.types) query = query.in('type', parsed.types);
+    if (parsed.minDistance !== undefined) query = query.gte('distance', parsed.minDistance);
+    if (parsed.maxDistance !== undefined) query = query.lte('distance', parsed.maxDistance);
+    if (parsed.minDuration !== undefined) query = query.gte('moving_time', parsed.minDuration);
+    if (parsed.maxDuration !== undefined) query = query.lte('moving_time', parsed.maxDuration);
+    if (parsed.commute !== undefined) query = query.eq('commute', parsed.commute);
+    if (parsed.trainer !== undefined) query = query.eq('trainer', parsed.trainer);
+    if (parsed.search) {
+        const escaped = parsed.search.replace(/[\\%_]/g, c => `\\${c}`);
+        query = query.ilike('name', `%${escaped}%`);
+    }
+    if (parsed.cursor) query = query.or(cursorFilter(parsed));
+
+    if (parsed.sortField !== 'id') {
+        query = query.order(parsed.sortField, { ascending: parsed.ascending, nullsFirst: false });
+    }
+    return query
+        .order('id', { ascending: parsed.ascending })
+        .limit(parsed.limit + 1);
+}
+
+/**
+ * Turn the rows of an {@link applyActivityQuery} result into a page.
+ * @param {Object[]} rows - Rows returned by the query
+ * @param {Object} parsed - Result of {@link activityQuery}
+ * @returns {{data: Object[], next: ?string}}
+ */
+function toPage(rows, parsed) {
+    const hasMore = rows.length > parsed.limit;
+    const data = hasMore ? rows.slice(0, parsed.limit) : rows;
+
+    let next = null;
+    if (hasMore) {
+        const last = data[data.length - 1];
+        next = encodeCursor(last[parsed.sortField], last.id);
+    }
+
+    if (parsed.fields) {
+        return {
+            data: data.map(row => Object.fromEntries(parsed.fields.map(f => [f, row[f]]))),
+            next
+        };
+    }
+    return { data, next };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    SELECTABLE_FIELDS,
+    SORTABLE_FIELDS,
+    activityQuery,
+    applyActivityQuery,
+    toPage,
+    encodeCursor,
+    decodeCursor
+};
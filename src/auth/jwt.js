@@ -0,0 +1,114 @@
+/**
+ * Verification of Supabase-issued JSON Web Tokens.
+ * Supports HS256 tokens signed with the project's JWT secret and RS256/ES256
+ * tokens checked against a local JWKS document.
+ * @module auth/jwt
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Error raised for a missing, malformed, expired or wrongly signed token.
+ */
+class TokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TokenError';
+    }
+}
+
+/** Tolerated clock difference when checking exp/nbf, in seconds. */
+const CLOCK_TOLERANCE = 30;
+
+function decodeSegment(segment) {
+    let value;
+    try {
+        value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new TokenError('Malformed token');
+    }
+    // Header and claims are JSON objects; null, arrays and scalars are not
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new TokenError('Malformed token');
+    }
+    return value;
+}
+
+/**
+ * Load a JWKS document and index its keys by `kid`.
+ * @param {string} file - Path to a JSON file of the form `{ "keys": [...] }`
+ * @returns {Map<string, crypto.KeyObject>}
+ */
+function loadJwks(file) {
+    const { keys } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new Map(keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+}
+
+function verifySignature(header, signingInput, signature, { secret, jwks }) {
+    if (header.alg === 'HS256') {
+        if (!secret) throw new TokenError('HS256 tokens are not accepted');
+
+        const expected = crypto.createHmac('sha256', secret).update(signingInput).digest();
+        return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    if (header.alg === 'RS256' || header.alg === 'ES256') {
+        const key = jwks && jwks.get(header.kid);
+        if (!key) throw new TokenError('Unknown signing key');
+
+        return crypto.verify(
+            'sha256',
+            Buffer.from(signingInput),
+            header.alg === 'ES256' ? { key, dsaEncoding: 'ieee-p1363' } : key,
+            signature
+        );
+    }
+
+    throw new TokenError(`Unsupported token algorithm: ${header.alg}`);
+}
+
+/**
+ * Verify a JWT and return its claims.
+ * @param {string} token - Compact serialized JWT
+ * @param {Object} options
+ * @param {string} [options.secret] - Shared secret for HS256 tokens
+ * @param {Map<string, crypto.KeyObject>} [options.jwks] - Public keys for RS256/ES256 tokens
+ * @param {string} [options.audience] - Required `aud` claim
+ * @param {string} [options.issuer] - Required `iss` claim
+ * @returns {Object} Token claims
+ * @throws {TokenError} When the token is not valid
+ */
+function verifyJwt(token, options) {
+    const parts = token.split('.');
+    if (parts.length !== 3) throw new TokenError('Malformed token');
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = decodeSegment(encodedHeader);
+    const claims = decodeSegment(encodedPayload);
+    const signature = Buffer.from(encodedSignature, 'base64url');
+
+    if (!verifySignature(header, `${encodedHeader}.${encodedPayload}`, signature, options)) {
+        throw new TokenError('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_TOLERANCE < now) {
+        throw new TokenError('Token has expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_TOLERANCE > now) {
+        throw new TokenError('Token is not valid yet');
+    }
+    if (options.audience) {
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!audiences.includes(options.audience)) throw new TokenError('Invalid token audience');
+    }
+    if (options.issuer && claims.iss !== options.issuer) {
+        throw new TokenError('Invalid token issuer');
+    }
+    if (!claims.sub) throw new TokenError('Token has no subject');
+
+    return claims;
+}
+
+module.exports = { TokenError, loadJwks, verifyJwt };
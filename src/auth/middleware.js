@@ -0,0 +1,175 @@
+/**
+ * Express authentication and authorization middleware.
+ *
+ * Callers authenticate either with a Supabase-issued JWT
+ * (`Authorization: Bearer <jwt>`), which is resolved to a `user_id` through
+ * the `profiles`/`sessions` mapping, or with the service credential
+ * (`X-Service-Key`) used by sync workers, which may act on any user. A JWT
+ * is only accepted while its account has an active session: the one named
+ * in `X-Session-Id`, else its most recently used one. The session used is
+ * extended, so revoking it, or all sessions of the account, locks the
+ * tokens out.
+ * @module auth/middleware
+ */
+
+const crypto = require('crypto');
+const { TokenError, loadJwks, verifyJwt } = require('./jwt');
+const { sendError, handleError } = require('../http/errors');
+
+/** How long a resolved auth_id -> user_id mapping is reused, in ms. */
+const USER_CACHE_TTL = 60 * 1000;
+
+/** Most auth_id -> user_id mappings kept; the oldest are dropped beyond it. */
+const USER_CACHE_SIZE = 10000;
+
+/** Request header naming the caller's session. */
+const SESSION_HEADER = 'X-Session-Id';
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function unauthorized(res, message) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, 401, 'unauthorized', message);
+}
+
+/**
+ * Create the authentication middleware and its authorization helpers.
+ * @param {Object} options
+ * @param {Object} options.sessions - Session service from {@link module:auth/sessions}
+ * @param {string} [options.jwtSecret] - Secret for HS256 tokens
+ * @param {string} [options.jwksFile] - Path to a JWKS file for RS256/ES256 tokens
+ * @param {string} [options.audience] - Required token audience
+ * @param {string} [options.issuer] - Required token issuer
+ * @param {string} [options.serviceKey] - Service-role credential for sync workers
+ * @returns {{authenticate: Function, requireSameUser: Function, canAccessUser: Function}}
+ */
+function createAuth({ sessions, jwtSecret, jwksFile, audience, issuer, serviceKey }) {
+    if (!jwtSecret && !jwksFile) {
+        throw new Error('SUPABASE_JWT_SECRET or SUPABASE_JWKS_FILE must be set');
+    }
+
+    const verifyOptions = {
+        secret: jwtSecret,
+        jwks: jwksFile ? loadJwks(jwksFile) : undefined,
+        audience,
+        issuer
+    };
+    const userCache = new Map();
+
+    /**
+     * Resolve a Supabase auth id to the application user id, see
+     * {@link module:auth/sessions~userIdForAuthId}.
+     * @param {string} authId - `sub` claim of the token
+     * @returns {Promise<?string>} user_id, or null when the account is not mapped
+     */
+    async function resolveUserId(authId) {
+        const cached = userCache.get(authId);
+        if (cached && cached.expires > Date.now()) return cached.userId;
+        userCache.delete(authId);
+
+        const userId = await sessions.userIdForAuthId(authId);
+        if (userId !== null) {
+            // Maps iterate in insertion order, so the first key is the oldest entry
+            if (userCache.size >= USER_CACHE_SIZE) userCache.delete(userCache.keys().next().value);
+            userCache.set(authId, { userId, expires: Date.now() + USER_CACHE_TTL });
+        }
+        return userId;
+    }
+
+    /**
+     * The active session of a token, extended by this use: the one the
+     * request names, else the account's most recently used one.
+     * @param {string|undefined} sessionId - Value of `X-Session-Id`
+     * @param {string} authId - `sub` claim of the token
+     * @returns {Promise<?Object>} Session row, or null when revoked, expired or another account's
+     */
+    async function useSession(sessionId, authId) {
+        const session = sessionId !== undefined
+            ? await sessions.find(sessionId)
+            : await sessions.latestForAuthId(authId);
+        if (!session || session.auth_id !== authId) return null;
+        return sessions.touch(session);
+    }
+
+    /**
+     * Middleware that authenticates every request and sets `req.auth` to
+     * `{ service: boolean, authId: ?string, userId: ?string, sessionId: ?string }`.
+     * `userId` is null for a valid token whose account has no mapping yet;
+     * such callers cannot access any user until the service or a profile
+     * maps them. `sessionId` is
+     * the session named in `X-Session-Id`, if any; a token whose account has
+     * no active session is rejected.
+     */
+    async function authenticate(req, res, next) {
+        const presentedKey = req.get('X-Service-Key');
+        if (presentedKey !== undefined) {
+            if (!serviceKey || !safeEqual(presentedKey, serviceKey)) {
+                return unauthorized(res, 'Invalid service credential');
+            }
+            req.auth = { service: true, authId: null, userId: null, sessionId: null };
+            return next();
+        }
+
+        const header = req.get('Authorization') || '';
+        const match = /^Bearer\s+(\S+)$/i.exec(header);
+        if (!match) {
+            return unauthorized(res, 'Authentication required');
+        }
+
+        try {
+            const claims = verifyJwt(match[1], verifyOptions);
+
+            const sessionId = req.get(SESSION_HEADER);
+            const session = await useSession(sessionId, claims.sub);
+            if (!session) return unauthorized(res, 'Session expired or revoked');
+
+            req.auth = {
+                service: false,
+                authId: claims.sub,
+                userId: await resolveUserId(claims.sub),
+                sessionId: sessionId !== undefined ? session.session_id : null
+            };
+            next();
+        } catch (error) {
+            if (error instanceof TokenError) {
+                return unauthorized(res, error.message);
+            }
+            handleError(res, error, 'Error authenticating request');
+        }
+    }
+
+    /**
+     * Whether the authenticated caller may act on the given user's data.
+     * @param {Object} req - Authenticated request
+     * @param {string|number} userId - Owner of the data
+     * @returns {boolean}
+     */
+    function canAccessUser(req, userId) {
+        if (req.auth.service) return true;
+        return req.auth.userId !== null && userId !== undefined && userId !== null
+            && req.auth.userId === String(userId);
+    }
+
+    /**
+     * Middleware factory rejecting requests whose route parameter names
+     * another user.
+     * @param {string} param - Route parameter holding the user id
+     * @returns {Function} Express middleware
+     */
+    function requireSameUser(param) {
+        return (req, res, next) => {
+            if (!canAccessUser(req, req.params[param])) {
+                return sendError(res, 403, 'forbidden', 'Access to this user is not allowed');
+            }
+            next();
+        };
+    }
+
+    return { authenticate, requireSameUser, canAccessUser };
+}
+
+module.exports = { SESSION_HEADER, createAuth };
@@ -0,0 +1,207 @@
+/**
+ * Session lifecycle and the mapping between Supabase auth ids and user ids.
+ *
+ * A session maps a client session id to a user and the Supabase auth
+ * account, labelled with the device it was opened on. Sessions expire
+ * `ttl` seconds after their last use (sliding expiration); using one moves
+ * the expiry forward. Revoked sessions are deleted, and expired rows are
+ * purged by the `sessions_cleanup` job.
+ * @module auth/sessions
+ */
+
+/** Default session lifetime after the last use, in seconds (30 days). */
+const SESSION_TTL = 30 * 24 * 60 * 60;
+
+/**
+ * Uses closer together than this many seconds (or half the lifetime, if
+ * shorter) do not extend the expiry again.
+ */
+const TOUCH_INTERVAL = 60;
+
+/**
+ * Error for a session that would map an auth account to a user already
+ * mapped to another account, or the other way round.
+ */
+class SessionError extends Error {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {string} field - Offending field
+     */
+    constructor(message, field) {
+        super(message);
+        this.name = 'SessionError';
+        this.field = field;
+    }
+}
+
+/**
+ * Create the session service.
+ * @param {Object} options
+ * @param {Object} options.sessions - Session repository from {@link module:storage}
+ * @param {Object} options.profiles - Profile repository from {@link module:storage}
+ * @param {number} [options.ttl] - Session lifetime after the last use, in seconds
+ * @returns {Object} Session service
+ */
+function createSessionService({ sessions, profiles, ttl = SESSION_TTL }) {
+    const expiresAt = now => new Date(now.getTime() + ttl * 1000).toISOString();
+    const touchInterval = Math.min(TOUCH_INTERVAL, ttl / 2) * 1000;
+
+    /**
+     * Whether a session has not expired.
+     * @param {?Object} session - Session row
+     * @param {Date} [now]
+     * @returns {boolean}
+     */
+    function isActive(session, now = new Date()) {
+        return Boolean(session && session.expires_at) && new Date(session.expires_at) > now;
+    }
+
+    /**
+     * Open a session. The auth id and the user must not be mapped to anyone
+     * else yet, through profiles or active sessions, so a session can never
+     * take over another account.
+     * @param {Object} fields - session_id, user_id, auth_id and device (label, may be null)
+     * @returns {Promise<Object>} Stored session
+     * @throws {SessionError} When user_id or auth_id already belongs to another account
+     */
+    async function create({ session_id, user_id, auth_id, device = null }) {
+        const [owner, mappedUserId] = await Promise.all([authIdForUserId(user_id), userIdForAuthId(auth_id)]);
+        if (owner && owner.auth_id !== auth_id) {
+            throw new SessionError('user_id belongs to another account', 'user_id');
+        }
+        if (mappedUserId !== null && mappedUserId !== String(user_id)) {
+            throw new SessionError('auth_id is mapped to another user', 'auth_id');
+        }
+
+        const now = new Date();
+        return sessions.insert({
+            session_id,
+            user_id,
+            auth_id,
+            device,
+            created_at: now.toISOString(),
+            last_used_at: now.toISOString(),
+            expires_at: expiresAt(now)
+        });
+    }
+
+    /**
+     * A session that has not expired.
+     * @param {string} sessionId - Session id
+     * @returns {Promise<?Object>} Session row, or null when missing, revoked or expired
+     */
+    async function find(sessionId) {
+        const session = await sessions.findBySessionId(sessionId);
+        return isActive(session) ? session : null;
+    }
+
+    /**
+     * The most recently used session of an auth account that has not expired.
+     * @param {string} authId - Supabase auth id
+     * @returns {Promise<?Object>} Session row, or null when the account has none
+     */
+    function latestForAuthId(authId) {
+        return sessions.latestForAuthId(authId, new Date().toISOString());
+    }
+
+    /**
+     * Record a use of a session, extending its expiry. Writes at most once
+     * per {@link TOUCH_INTERVAL}.
+     * @param {Object} session - Active session row
+     * @returns {Promise<Object>} Session row as stored
+     */
+    async function touch(session) {
+        const now = new Date();
+        if (now - new Date(session.last_used_at) < touchInterval) return session;
+
+        const updated = await sessions.update(session.session_id, {
+            last_used_at: now.toISOString(),
+            expires_at: expiresAt(now)
+        });
+        return updated || session;
+    }
+
+    /**
+     * A user's sessions that have not expired, most recently used first.
+     * @param {string} userId - Owner
+     * @returns {Promise<Array<Object>>}
+     */
+    function list(userId) {
+        return sessions.listForUser(userId, new Date().toISOString());
+    }
+
+    /**
+     * Revoke one session.
+     * @param {string} sessionId - Session id
+     * @returns {Promise<boolean>} Whether a session was revoked
+     */
+    async function revoke(sessionId) {
+        return (await sessions.remove(sessionId)) > 0;
+    }
+
+    /**
+     * Revoke all sessions of a user.
+     * @param {string} userId - Owner
+     * @param {Object} [options]
+     * @param {string} [options.except] - Session id to keep, e.g. the caller's own
+     * @returns {Promise<number>} Number of sessions revoked
+     */
+    function revokeAll(userId, { except } = {}) {
+        return sessions.removeForUser(userId, { except });
+    }
+
+    /**
+     * Delete expired sessions.
+     * @returns {Promise<number>} Number of sessions deleted
+     */
+    function purgeExpired() {
+        return sessions.removeExpired(new Date().toISOString());
+    }
+
+    /**
+     * Resolve a Supabase auth id to the application user id: through
+     * `profiles`, else the newest active session of the auth id.
+     * @param {string} authId - `sub` claim of the token
+     * @returns {Promise<?string>} user_id, or null when the account is not mapped
+     */
+    async function userIdForAuthId(authId) {
+        const profile = await profiles.findByAuthId(authId);
+        if (profile && profile.user_id !== null && profile.user_id !== undefined) return String(profile.user_id);
+
+        const session = await sessions.latestForAuthId(authId, new Date().toISOString());
+        return session ? String(session.user_id) : null;
+    }
+
+    /**
+     * The reverse of {@link userIdForAuthId}: the auth account of a user,
+     * through `profiles`, else the newest active session of the user.
+     * @param {string} userId - Application user id
+     * @returns {Promise<?{auth_id: string, created_at: string, source: string}>} Mapping,
+     * with source "profile" or "session", or null
+     */
+    async function authIdForUserId(userId) {
+        const profile = await profiles.findByUserId(userId);
+        if (profile && profile.auth_id) {
+            return { auth_id: profile.auth_id, created_at: profile.created_at, source: 'profile' };
+        }
+
+        const session = await sessions.latestForUserId(userId, new Date().toISOString());
+        return session ? { auth_id: session.auth_id, created_at: session.created_at, source: 'session' } : null;
+    }
+
+    return {
+        isActive,
+        create,
+        find,
+        latestForAuthId,
+        touch,
+        list,
+        revoke,
+        revokeAll,
+        purgeExpired,
+        userIdForAuthId,
+        authIdForUserId
+    };
+}
+
+module.exports = { SESSION_TTL, SessionError, createSessionService };
@@ -0,0 +1,207 @@
+/**
+ * Calendar views of an athlete's activities: a summary per day, streaks of
+ * active days and weeks, and rest days.
+ *
+ * Everything follows the athlete's local calendar, as goals do (see
+ * {@link module:goals/goals}): an activity belongs to the local day it
+ * started on, weeks start on Monday, and "today" is today in the athlete's
+ * time zone. Days are handled as "YYYY-MM-DD" strings.
+ * @module calendar/calendar
+ */
+
+const { periodStart } = require('../stats/athlete-stats');
+const { localTime, athleteTimeZone, activityLocalTime } = require('../time/zones');
+
+const CALENDAR_COLUMNS = 'id, type, distance, moving_time, total_elevation_gain, start_date, start_date_local, time_zone';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const toDay = date => date.toISOString().slice(0, 10);
+const fromDay = day => new Date(`${day}T00:00:00Z`);
+const addDays = (day, days) => toDay(new Date(fromDay(day).getTime() + days * DAY));
+const daysBetween = (from, to) => Math.round((fromDay(to) - fromDay(from)) / DAY);
+
+/**
+ * A run of consecutive days or weeks.
+ * @typedef {Object} Streak
+ * @property {number} length - Days or weeks
+ * @property {?string} start - First day
+ * @property {?string} end - Last day (for weeks, the Sunday of the last week)
+ */
+
+const noStreak = () => ({ length: 0, start: null, end: null });
+
+/**
+ * Longest and current runs of consecutive periods.
+ * @param {string[]} starts - Distinct first days of active periods, ascending
+ * @param {number} step - Days from one period to the next, 1 or 7
+ * @param {string} current - First day of the period containing today
+ * @returns {{current: Streak, longest: Streak}} The current streak is the run
+ * reaching the current period, or the previous one while the current period
+ * has no activity yet
+ */
+function streaksOf(starts, step, current) {
+    const runs = [];
+    for (const start of starts) {
+        const last = runs[runs.length - 1];
+        if (last && addDays(last.start, last.length * step) === start) {
+            last.length++;
+        } else {
+            runs.push({ start, length: 1 });
+        }
+    }
+
+    const describe = run => (run
+        ? { length: run.length, start: run.start, end: addDays(run.start, run.length * step - 1) }
+        : noStreak());
+    const longest = runs.reduce((best, run) => (!best || run.length > best.length ? run : best), null);
+    const latest = runs[runs.length - 1];
+    const reaches = latest && addDays(latest.start, (latest.length - 1) * step) >= addDays(current, -step);
+
+    return { current: describe(reaches ? latest : null), longest: describe(longest) };
+}
+
+/**
+ * Create the calendar service.
+ * @param {Object} options
+ * @param {Object} options.activities - Activity repository from {@link module:storage}
+ * @param {Object} options.athletes - Athlete repository from {@link module:storage}
+ * @returns {Object} Calendar service
+ */
+function createCalendarService({ activities, athletes }) {
+    /**
+     * The athlete's zone, local today and their activities with the local
+     * day each started on.
+     */
+    async function load(userId, types) {
+        const [athlete, rows] = await Promise.all([
+            athletes.findByUserId(userId),
+            activities.listForUser(userId, CALENDAR_COLUMNS)
+        ]);
+        const zone = athleteTimeZone(athlete, rows);
+        return {
+            zone,
+            today: toDay(localTime(new Date(), zone)),
+            entries: rows
+                .filter(row => row.start_date && (!types || types.includes(row.type)))
+                .map(row => ({ activity: row, day: toDay(activityLocalTime(row, zone)) }))
+        };
+    }
+
+    /**
+     * Summaries of every day of a month or year. A rest day is a day up to
+     * today without activities.
+     * @param {string} userId - Owner
+     * @param {Object} [options]
+     * @param {number} [options.year] - Year, defaults to the current local year
+     * @param {number} [options.month] - Month 1 to 12, or none for the whole year
+     * @param {string[]} [options.types] - Only these activity types
+     * @returns {Promise<Object>} time_zone, today, year, month, start, end (last day),
+     * totals and days: { date, activity_count, distance, moving_time, elevation_gain,
+     * types (activity count per type), activity_ids, rest_day }
+     */
+    async function calendar(userId, { year, month, types } = {}) {
+        const { zone, today, entries } = await load(userId, types);
+
+        const shownYear = year || Number(today.slice(0, 4));
+        const start = `${String(shownYear).padStart(4, '0')}-${String(month || 1).padStart(2, '0')}-01`;
+        const next = fromDay(start);
+        if (month) {
+            next.setUTCMonth(next.getUTCMonth() + 1);
+        } else {
+            next.setUTCFullYear(next.getUTCFullYear() + 1);
+        }
+        const end = toDay(next);
+
+        const days = new Map();
+        for (let day = start; day < end; day = addDays(day, 1)) {
+            days.set(day, {
+                date: day,
+                activity_count: 0,
+                distance: 0,
+                moving_time: 0,
+                elevation_gain: 0,
+                types: {},
+                activity_ids: [],
+                rest_day: false
+            });
+        }
+
+        const sorted = entries
+            .filter(({ day }) => days.has(day))
+            .sort((a, b) => new Date(a.activity.start_date) - new Date(b.activity.start_date));
+        for (const { activity, day } of sorted) {
+            const summary = days.get(day);
+            const type = activity.type || 'Unknown';
+            summary.activity_count++;
+            summary.distance += Number(activity.distance) || 0;
+            summary.moving_time += Number(activity.moving_time) || 0;
+            summary.elevation_gain += Number(activity.total_elevation_gain) || 0;
+            summary.types[type] = (summary.types[type] || 0) + 1;
+            summary.activity_ids.push(activity.id);
+        }
+
+        const totals = { activity_count: 0, distance: 0, moving_time: 0, elevation_gain: 0, active_days: 0, rest_days: 0 };
+        for (const summary of days.values()) {
+            summary.rest_day = summary.activity_count === 0 && summary.date <= today;
+            totals.activity_count += summary.activity_count;
+            totals.distance += summary.distance;
+            totals.moving_time += summary.moving_time;
+            totals.elevation_gain += summary.elevation_gain;
+            if (summary.activity_count > 0) totals.active_days++;
+            if (summary.rest_day) totals.rest_days++;
+        }
+
+        return {
+            time_zone: zone,
+            today,
+            year: shownYear,
+            month: month || null,
+            start,
+            end: addDays(end, -1),
+            totals,
+            days: Array.from(days.values())
+        };
+    }
+
+    /**
+     * Current and longest streaks of days and of weeks with at least one
+     * activity, and recent rest days.
+     * @param {string} userId - Owner
+     * @param {Object} [options]
+     * @param {string[]} [options.types] - Only these activity types
+     * @returns {Promise<Object>} time_zone, today, daily and weekly ({current, longest}
+     * streaks, see {@link streaksOf}) and rest: last_active_day, days_since_last_activity,
+     * rest_days_last_7 and rest_days_last_28 (days without activity, today included)
+     */
+    async function streaks(userId, { types } = {}) {
+        const { zone, today, entries } = await load(userId, types);
+
+        const activeDays = Array.from(new Set(entries.map(({ day }) => day).filter(day => day <= today))).sort();
+        const activeWeeks = Array.from(new Set(activeDays.map(day => periodStart(fromDay(day), 'week')))).sort();
+        const active = new Set(activeDays);
+        const restDays = count => Array.from({ length: count }, (unused, i) => addDays(today, -i))
+            .filter(day => !active.has(day)).length;
+        const lastActiveDay = activeDays.length > 0 ? activeDays[activeDays.length - 1] : null;
+
+        return {
+            time_zone: zone,
+            today,
+            daily: streaksOf(activeDays, 1, today),
+            weekly: streaksOf(activeWeeks, 7, periodStart(fromDay(today), 'week')),
+            rest: {
+                last_active_day: lastActiveDay,
+                days_since_last_activity: lastActiveDay ? daysBetween(lastActiveDay, today) : null,
+                rest_days_last_7: restDays(7),
+                rest_days_last_28: restDays(28)
+            }
+        };
+    }
+
+    return {
+        calendar,
+        streaks
+    };
+}
+
+module.exports = { createCalendarService };
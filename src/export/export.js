@@ -0,0 +1,115 @@
+/**
+ * Streaming export of an athlete's activities as Strava-compatible CSV,
+ * JSON Lines or an iCalendar feed. Activities are read from storage one
+ * page at a time, oldest first, so an export never holds more than one page
+ * in memory.
+ * @module export/export
+ */
+
+const { csvHeader, csvRow } = require('./strava-csv');
+const { calendarStart, calendarEnd, activityEvent } = require('./icalendar');
+const { resolveUnits, withDisplay } = require('../units/units');
+
+/** Activities read per storage request. */
+const PAGE_SIZE = 500;
+
+/**
+ * Supported formats: content type, file extension and how to write the
+ * start of the file, each activity and the end of the file. Each writer
+ * gets the export's `{userId, startedAt, units}`.
+ * @constant {Object<string, Object>}
+ */
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        start: () => csvHeader(),
+        row: (activity, { units }) => csvRow(activity, { units }),
+        end: () => ''
+    },
+    jsonl: {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        extension: 'jsonl',
+        start: () => '',
+        row: (activity, { units }) => `${JSON.stringify(withDisplay(activity, units))}\n`,
+        end: () => ''
+    },
+    ics: {
+        contentType: 'text/calendar; charset=utf-8',
+        extension: 'ics',
+        start: ({ userId }) => calendarStart(`Activities of ${userId}`),
+        row: (activity, { startedAt, units }) => activityEvent(activity, { stamp: startedAt, units }),
+        end: () => calendarEnd()
+    }
+};
+
+/**
+ * Create the export service.
+ * @param {Object} options
+ * @param {Object} options.activities - Activity repository from {@link module:storage}
+ * @param {Object} options.athletes - Athlete repository from {@link module:storage}
+ * @param {number} [options.pageSize] - Activities per storage request
+ * @returns {{stream: Function}}
+ */
+function createExportService({ activities, athletes, pageSize = PAGE_SIZE }) {
+    /**
+     * A user's activities that are not deleted, page by page, oldest first.
+     * Pages follow each other by keyset on (start_date, id), so activities
+     * added while the export runs do not shift or repeat rows.
+     */
+    async function* pages(userId, { after, before, types }) {
+        const parsed = {
+            userId,
+            after,
+            before,
+            types,
+            deleted: false,
+            sortField: 'start_date',
+            ascending: true,
+            limit: pageSize
+        };
+
+        for (;;) {
+            const rows = await activities.query(parsed);
+            const page = rows.slice(0, pageSize);
+            if (page.length > 0) yield page;
+            if (rows.length <= pageSize) return;
+
+            const last = page[page.length - 1];
+            parsed.cursor = { value: last.start_date, id: last.id };
+        }
+    }
+
+    /**
+     * Export a user's activities as chunks of text, one per page. The first
+     * page is read before anything is produced, so a storage error can still
+     * be answered with an error response.
+     * @param {string} userId - Owner of the activities
+     * @param {string} format - Key of {@link EXPORT_FORMATS}
+     * @param {Object} [filters]
+     * @param {string} [filters.after] - Only activities starting at or after this time
+     * @param {string} [filters.before] - Only activities starting before this time
+     * @param {string[]} [filters.types] - Only these activity types
+     * @param {string} [filters.units] - Unit system of display values, defaults to the athlete's
+     * (see {@link module:units/units.resolveUnits})
+     * @returns {AsyncGenerator<string>}
+     */
+    async function* stream(userId, format, filters = {}) {
+        const writer = EXPORT_FORMATS[format];
+        if (!writer) throw new Error(`Unknown export format ${format}`);
+
+        const athlete = filters.units ? null : await athletes.findByUserId(userId);
+        const context = { userId, startedAt: new Date(), units: resolveUnits(filters.units, athlete) };
+        let start = writer.start(context);
+        for await (const page of pages(userId, filters)) {
+            yield start + page.map(activity => writer.row(activity, context)).join('');
+            start = '';
+        }
+        const end = start + writer.end(context);
+        if (end) yield end;
+    }
+
+    return { stream };
+}
+
+module.exports = { EXPORT_FORMATS, createExportService };
@@ -0,0 +1,124 @@
+/**
+ * Writer for activities as an iCalendar (RFC 5545) calendar, one event per
+ * activity, so workouts can be imported into calendar applications.
+ * @module export/icalendar
+ */
+
+const { DEFAULT_UNITS, activityDisplay } = require('../units/units');
+
+/** Lines longer than this many octets are folded. */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting UTF-8 characters.
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line ending with CRLF
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const character of line) {
+        const size = Buffer.byteLength(character);
+        // Continuation lines start with a space, which counts towards the limit
+        if (octets + size > MAX_LINE_OCTETS) {
+            parts.push(current);
+            current = ' ';
+            octets = 1;
+        }
+        current += character;
+        octets += size;
+    }
+    parts.push(current);
+    return `${parts.join('\r\n')}\r\n`;
+}
+
+/**
+ * Format a timestamp as an iCalendar UTC DATE-TIME.
+ * @param {string|number|Date} value
+ * @returns {string} e.g. 20230630T212621Z
+ */
+function formatDateTime(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Opening lines of the calendar.
+ * @param {string} name - Calendar name shown by calendar applications
+ * @returns {string}
+ */
+function calendarStart(name) {
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Runaway//Activity Export//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ].map(foldLine).join('');
+}
+
+/**
+ * Closing line of the calendar.
+ * @returns {string}
+ */
+function calendarEnd() {
+    return foldLine('END:VCALENDAR');
+}
+
+/**
+ * One activity as a VEVENT lasting its elapsed time (or moving time). The
+ * description summarizes distance, time, pace or speed and elevation; the
+ * UID is stable, so importing a newer export updates events instead of
+ * duplicating them.
+ * @param {Object} activity - `activities` row with a start_date
+ * @param {Object} [options]
+ * @param {Date} [options.stamp] - When the calendar was created, defaults to now
+ * @param {string} [options.domain=runaway] - Domain part of the event UIDs
+ * @param {string} [options.units=metric] - Unit system of the description
+ * @returns {string} Event lines, empty for an activity without start date
+ */
+function activityEvent(activity, { stamp = new Date(), domain = 'runaway', units = DEFAULT_UNITS } = {}) {
+    const start = new Date(activity.start_date).getTime();
+    if (!activity.start_date || Number.isNaN(start)) return '';
+
+    const seconds = Number(activity.elapsed_time) || Number(activity.moving_time) || 0;
+    const display = activityDisplay(activity, units);
+    const summary = [];
+    if (activity.type) summary.push(activity.type);
+    if (Number(activity.distance) > 0) summary.push(`${display.distance.toFixed(2)} ${display.distance_unit}`);
+    if (Number(activity.moving_time) > 0) summary.push(`${display.moving_time} moving`);
+    if (display.pace) summary.push(`${display.pace} ${display.pace_unit}`);
+    if (display.speed) summary.push(`${display.speed} ${display.speed_unit}`);
+    if (Number(activity.total_elevation_gain) > 0) summary.push(`${display.elevation_gain} ${display.elevation_unit} climbed`);
+    const description = [summary.join(', '), activity.detail].filter(Boolean).join('\n\n');
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:activity-${activity.id}@${domain}`,
+        `DTSTAMP:${formatDateTime(stamp)}`,
+        `DTSTART:${formatDateTime(start)}`,
+        `DTEND:${formatDateTime(start + seconds * 1000)}`,
+        `SUMMARY:${escapeText(activity.name || activity.type || 'Activity')}`
+    ];
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (activity.type) lines.push(`CATEGORIES:${escapeText(activity.type)}`);
+    lines.push('END:VEVENT');
+
+    return lines.map(foldLine).join('');
+}
+
+module.exports = { escapeText, foldLine, formatDateTime, calendarStart, calendarEnd, activityEvent };
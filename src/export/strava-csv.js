@@ -0,0 +1,128 @@
+/**
+ * Writer for activities in the `activities.csv` format of a Strava account
+ * export: the same columns in the same order, so the file opens in tools
+ * built for Strava exports and can be imported again with
+ * `import-activities.js`. Columns the API does not store are left empty.
+ * @module export/strava-csv
+ */
+
+const { dedupeHeaders, formatExportDate } = require('../strava/csv-export');
+const { DEFAULT_UNITS, activityDisplay } = require('../units/units');
+
+/** Header row of a Strava export, repeated column names included. */
+const HEADERS = [
+    'Activity ID', 'Activity Date', 'Activity Name', 'Activity Type', 'Activity Description', 'Elapsed Time',
+    'Distance', 'Max Heart Rate', 'Relative Effort', 'Commute', 'Activity Private Note', 'Activity Gear',
+    'Filename', 'Athlete Weight', 'Bike Weight', 'Elapsed Time', 'Moving Time', 'Distance',
+    'Max Speed', 'Average Speed', 'Elevation Gain', 'Elevation Loss', 'Elevation Low', 'Elevation High',
+    'Max Grade', 'Average Grade', 'Average Positive Grade', 'Average Negative Grade', 'Max Cadence', 'Average Cadence',
+    'Max Heart Rate', 'Average Heart Rate', 'Max Watts', 'Average Watts', 'Calories', 'Max Temperature',
+    'Average Temperature', 'Relative Effort', 'Total Work', 'Number of Runs', 'Uphill Time', 'Downhill Time',
+    'Other Time', 'Perceived Exertion', 'Type', 'Start Time', 'Weighted Average Power', 'Power Count',
+    'Prefer Perceived Exertion', 'Perceived Relative Effort', 'Commute', 'Total Weight Lifted', 'From Upload', 'Grade Adjusted Distance',
+    'Weather Observation Time', 'Weather Condition', 'Weather Temperature', 'Apparent Temperature', 'Dewpoint', 'Humidity',
+    'Weather Pressure', 'Wind Speed', 'Wind Gust', 'Wind Bearing', 'Precipitation Intensity', 'Sunrise Time',
+    'Sunset Time', 'Moon Phase', 'Bike', 'Gear', 'Precipitation Probability', 'Precipitation Type',
+    'Cloud Cover', 'Weather Visibility', 'UV Index', 'Weather Ozone', 'Jump Count', 'Total Grit',
+    'Average Flow', 'Flagged', 'Average Elapsed Speed', 'Dirt Distance', 'Newly Explored Distance', 'Newly Explored Dirt Distance',
+    'Activity Count', 'Total Steps', 'Carbon Saved', 'Pool Length', 'Training Load', 'Intensity',
+    'Average Grade Adjusted Pace', 'Timer Time', 'Total Cycles', 'Media'
+];
+
+const present = value => value !== null && value !== undefined && value !== '';
+const round = (value, decimals = 0) => (present(value) ? Number(Number(value).toFixed(decimals)) : null);
+
+/** Strava gear id without its `b`/`g` prefix, for the "Bike" or "Gear" column. */
+function gearNumber(activity, prefix) {
+    const match = /^([bg])(\d+)$/.exec(activity.gear_external_id || '');
+    return match && match[1] === prefix ? match[2] : null;
+}
+
+/**
+ * Values of the stored columns, keyed by deduplicated column name (see
+ * {@link module:strava/csv-export.dedupeHeaders}). As in the export, the
+ * first "Elapsed Time", "Distance", "Max Heart Rate", "Relative Effort" and
+ * "Commute" are rounded display values (distance in kilometers or miles)
+ * and the second ones precise.
+ */
+const COLUMNS = {
+    'Activity ID': activity => activity.external_id ?? activity.id,
+    'Activity Date': activity => formatExportDate(activity.start_date),
+    'Activity Name': activity => activity.name,
+    // The export spells types out ("Weight Training")
+    'Activity Type': activity => (activity.type ? activity.type.replace(/([a-z])([A-Z])/g, '$1 $2') : null),
+    'Activity Description': activity => activity.detail,
+    'Elapsed Time': activity => round(activity.elapsed_time),
+    'Distance': (activity, units) => (present(activity.distance) ? activityDisplay(activity, units).distance : null),
+    'Max Heart Rate': activity => round(activity.max_heart_rate),
+    'Relative Effort': activity => round(activity.relative_effort),
+    'Commute': activity => Boolean(activity.commute),
+    'Activity Gear': activity => activity.gear,
+    'Elapsed Time (2)': activity => activity.elapsed_time,
+    'Moving Time': activity => activity.moving_time,
+    'Distance (2)': activity => activity.distance,
+    'Max Speed': activity => activity.max_speed,
+    'Average Speed': activity => activity.average_speed,
+    'Elevation Gain': activity => activity.total_elevation_gain,
+    'Elevation Loss': activity => activity.total_elevation_loss,
+    'Elevation Low': activity => activity.low_elevation,
+    'Elevation High': activity => activity.high_elevation,
+    'Max Cadence': activity => activity.max_cadence,
+    'Average Cadence': activity => activity.average_cadence,
+    'Max Heart Rate (2)': activity => activity.max_heart_rate,
+    'Average Heart Rate': activity => activity.average_heart_rate,
+    'Max Watts': activity => activity.max_power,
+    'Average Watts': activity => activity.average_power,
+    'Calories': activity => activity.calories,
+    'Relative Effort (2)': activity => activity.relative_effort,
+    'Total Work': activity => (present(activity.kilo_joules) ? activity.kilo_joules * 1000 : null),
+    'Commute (2)': activity => (activity.commute ? 1 : 0),
+    'Grade Adjusted Distance': activity => activity.grade_adjusted_distance,
+    'Weather Condition': activity => activity.weather_condition,
+    'Weather Temperature': activity => activity.weather_temperature,
+    'Apparent Temperature': activity => activity.weather_apparent_temperature,
+    'Dewpoint': activity => activity.weather_dewpoint,
+    'Humidity': activity => activity.weather_humidity,
+    'Wind Speed': activity => activity.weather_wind_speed,
+    'Wind Gust': activity => activity.weather_wind_gust,
+    'Wind Bearing': activity => activity.weather_wind_bearing,
+    'Precipitation Intensity': activity => activity.weather_precipitation_intensity,
+    'Bike': activity => gearNumber(activity, 'b'),
+    'Gear': activity => gearNumber(activity, 'g'),
+    'Cloud Cover': activity => activity.weather_cloud_cover,
+    'Flagged': activity => (activity.flagged ? 1 : 0)
+};
+
+const NAMES = dedupeHeaders(HEADERS);
+
+/**
+ * Quote a field when it contains a separator, quote or line break (RFC 4180).
+ * @param {*} value - Field value; null and undefined become empty
+ * @returns {string}
+ */
+function csvField(value) {
+    if (!present(value)) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The header line.
+ * @returns {string} Line ending with CRLF
+ */
+function csvHeader() {
+    return `${HEADERS.map(csvField).join(',')}\r\n`;
+}
+
+/**
+ * One activity as a CSV line.
+ * @param {Object} activity - `activities` row
+ * @param {Object} [options]
+ * @param {string} [options.units=metric] - Unit system of the first "Distance" column
+ * @returns {string} Line ending with CRLF
+ */
+function csvRow(activity, { units = DEFAULT_UNITS } = {}) {
+    return `${NAMES.map(name => csvField(COLUMNS[name] ? COLUMNS[name](activity, units) : null)).join(',')}\r\n`;
+}
+
+module.exports = { HEADERS, csvField, csvHeader, csvRow };
@@ -0,0 +1,327 @@
+/**
+ * Gear (shoes, bikes, ...) per athlete: activity links, accumulated
+ * distance and time, retirement alerts and default gear per activity type.
+ *
+ * Activities point at their gear with `gear_id`. They also keep the gear's
+ * name in `gear` and its Strava id (`b<id>` for bikes, `g<id>` for shoes) in
+ * `gear_external_id`, which is all imports and Strava syncs know; activities
+ * with such a reference but no `gear_id` are linked on the next
+ * recalculation, creating the gear item when the athlete has none matching.
+ * @module gear/gear
+ */
+
+const { createLogger } = require('../logging/logger');
+
+const GEAR_KINDS = ['shoe', 'bike', 'other'];
+
+const BIKE_TYPES = ['Ride', 'VirtualRide', 'MountainBikeRide', 'GravelRide', 'EBikeRide', 'EMountainBikeRide', 'Handcycle', 'Velomobile'];
+const SHOE_TYPES = ['Run', 'TrailRun', 'VirtualRun', 'Walk', 'Hike'];
+
+/**
+ * Error for a request naming gear that does not exist or belongs to
+ * another athlete; maps to a 400 response.
+ */
+class GearError extends Error {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {string} field - Offending field
+     */
+    constructor(message, field) {
+        super(message);
+        this.name = 'GearError';
+        this.field = field;
+    }
+}
+
+/**
+ * Guess the kind of gear an activity reference points at.
+ * @param {?string} externalId - Strava gear id
+ * @param {?string} activityType - Type of the activity using it
+ * @returns {string} One of GEAR_KINDS
+ */
+function kindOf(externalId, activityType) {
+    if (externalId && /^b\d+$/.test(externalId)) return 'bike';
+    if (externalId && /^g\d+$/.test(externalId)) return 'shoe';
+    if (BIKE_TYPES.includes(activityType)) return 'bike';
+    if (SHOE_TYPES.includes(activityType)) return 'shoe';
+    return 'other';
+}
+
+/**
+ * Whether a gear item has reached one of its retirement thresholds.
+ * @param {Object} item - Gear row with totals
+ * @returns {boolean}
+ */
+function pastRetirement(item) {
+    return (item.retire_distance !== null && item.retire_distance !== undefined && item.distance >= item.retire_distance)
+        || (item.retire_time !== null && item.retire_time !== undefined && item.moving_time >= item.retire_time);
+}
+
+/**
+ * Create the gear service.
+ * @param {Object} options
+ * @param {Object} options.gear - Gear repository from {@link module:storage}
+ * @param {Object} options.activities - Activity repository from {@link module:storage}
+ * @param {Object} [options.logger] - Logger from {@link module:logging/logger}
+ * @returns {Object} Gear service
+ */
+function createGearService({ gear, activities, logger = createLogger() }) {
+    /**
+     * A user's gear item.
+     * @param {string} userId - Owner
+     * @param {number} gearId - Gear id
+     * @returns {Promise<?Object>} Gear row, or null when missing or owned by another user
+     */
+    async function get(userId, gearId) {
+        const item = await gear.find(gearId);
+        return item && String(item.user_id) === String(userId) ? item : null;
+    }
+
+    /**
+     * A user's gear, active items first.
+     * @param {string} userId - Owner
+     * @param {Object} [options]
+     * @param {boolean} [options.includeRetired=false] - Also list retired items
+     * @returns {Promise<Array<Object>>}
+     */
+    async function list(userId, { includeRetired = false } = {}) {
+        const items = await gear.list(userId);
+        return items
+            .filter(item => includeRetired || !item.retired_at)
+            .sort((a, b) => Boolean(a.retired_at) - Boolean(b.retired_at) || a.id - b.id);
+    }
+
+    /**
+     * Make `types` the default of this item only, removing them from the
+     * user's other gear.
+     */
+    async function claimDefaultTypes(userId, gearId, types) {
+        if (!types || types.length === 0) return;
+        for (const other of await gear.list(userId)) {
+            const remaining = (other.default_types || []).filter(type => !types.includes(type));
+            if (other.id !== gearId && remaining.length !== (other.default_types || []).length) {
+                await gear.update(other.id, { default_types: remaining, updated_at: new Date().toISOString() });
+            }
+        }
+    }
+
+    /**
+     * Recalculate the totals and alert state of one gear item from the
+     * activities linked to it.
+     * @param {Object} item - Gear row
+     * @param {Array<Object>} linked - Its activities
+     * @returns {Promise<Object>} Updated gear row
+     */
+    async function updateTotals(item, linked) {
+        const totals = {
+            distance: (Number(item.initial_distance) || 0)
+                + linked.reduce((sum, activity) => sum + (Number(activity.distance) || 0), 0),
+            moving_time: linked.reduce((sum, activity) => sum + (Number(activity.moving_time) || 0), 0),
+            activity_count: linked.length
+        };
+
+        const crossed = pastRetirement({ ...item, ...totals });
+        let alertedAt = item.alerted_at || null;
+        if (crossed && !alertedAt && !item.retired_at) {
+            alertedAt = new Date().toISOString();
+            logger.info('Gear reached its retirement threshold', {
+                user_id: item.user_id,
+                gear_id: item.id,
+                distance: totals.distance,
+                moving_time: totals.moving_time
+            });
+        } else if (!crossed) {
+            alertedAt = null;
+        }
+
+        const unchanged = totals.distance === item.distance
+            && totals.moving_time === item.moving_time
+            && totals.activity_count === item.activity_count
+            && alertedAt === (item.alerted_at || null);
+        if (unchanged) return item;
+
+        return gear.update(item.id, { ...totals, alerted_at: alertedAt, updated_at: new Date().toISOString() });
+    }
+
+    /**
+     * Link activities to gear by their gear references and recalculate the
+     * totals and retirement alerts of all of a user's gear.
+     * @param {string} userId - Owner
+     * @returns {Promise<Array<Object>>} The user's gear
+     */
+    async function recalculate(userId) {
+        const items = await gear.list(userId);
+        const rows = await activities.listForUser(
+            userId,
+            'id, type, distance, moving_time, gear_id, gear, gear_external_id'
+        );
+
+        const byId = new Map(items.map(item => [String(item.id), item]));
+        async function resolve(activity) {
+            const externalId = activity.gear_external_id;
+            const name = activity.gear ? activity.gear.toLowerCase() : null;
+            let item = externalId ? items.find(candidate => candidate.external_id === externalId) : null;
+            if (!item && name) {
+                // Gear added by hand before its first Strava activity was imported
+                item = items.find(candidate => (!externalId || !candidate.external_id)
+                    && candidate.name.toLowerCase() === name);
+                if (item && externalId) {
+                    const adopted = await gear.update(item.id, { external_id: externalId, updated_at: new Date().toISOString() });
+                    items[items.indexOf(item)] = adopted;
+                    byId.set(String(adopted.id), adopted);
+                    item = adopted;
+                }
+            }
+            if (!item) {
+                const now = new Date().toISOString();
+                item = await gear.insert({
+                    user_id: userId,
+                    external_id: externalId || null,
+                    name: activity.gear || externalId,
+                    kind: kindOf(externalId, activity.type),
+                    initial_distance: 0,
+                    default_types: [],
+                    distance: 0,
+                    moving_time: 0,
+                    activity_count: 0,
+                    created_at: now,
+                    updated_at: now
+                });
+                items.push(item);
+                byId.set(String(item.id), item);
+            }
+            return item;
+        }
+
+        for (const activity of rows) {
+            const linked = activity.gear_id !== null && activity.gear_id !== undefined
+                ? byId.get(String(activity.gear_id))
+                : null;
+            const hasReference = Boolean(activity.gear_external_id || activity.gear);
+            // Unlinked, or linked to other gear than Strava now reports
+            const stale = linked && activity.gear_external_id && linked.external_id !== activity.gear_external_id;
+            if ((!linked && hasReference) || stale) {
+                const item = await resolve(activity);
+                await activities.setGear(activity.id, {
+                    gear_id: item.id,
+                    gear: item.name,
+                    gear_external_id: item.external_id || null
+                });
+                activity.gear_id = item.id;
+            }
+        }
+
+        const updated = [];
+        for (const item of items) {
+            const linked = rows.filter(activity => String(activity.gear_id) === String(item.id));
+            updated.push(await updateTotals(item, linked));
+        }
+        return updated;
+    }
+
+    /**
+     * Add a gear item.
+     * @param {string} userId - Owner
+     * @param {Object} fields - Validated gear fields
+     * @returns {Promise<Object>} Stored gear row
+     */
+    async function create(userId, fields) {
+        const now = new Date().toISOString();
+        const { retired, ...columns } = fields;
+        const item = await gear.insert({
+            initial_distance: 0,
+            default_types: [],
+            ...columns,
+            user_id: userId,
+            distance: Number(columns.initial_distance) || 0,
+            moving_time: 0,
+            activity_count: 0,
+            retired_at: retired ? now : null,
+            created_at: now,
+            updated_at: now
+        });
+        await claimDefaultTypes(userId, item.id, item.default_types);
+        return (await recalculate(userId)).find(other => other.id === item.id) || item;
+    }
+
+    /**
+     * Change a gear item.
+     * @param {Object} item - Current gear row
+     * @param {Object} fields - Validated gear fields; `retired` sets or clears retired_at
+     * @returns {Promise<Object>} Updated gear row
+     */
+    async function update(item, fields) {
+        const { retired, ...changes } = fields;
+        if (retired !== undefined) {
+            changes.retired_at = retired ? item.retired_at || new Date().toISOString() : null;
+        }
+
+        await gear.update(item.id, { ...changes, updated_at: new Date().toISOString() });
+        await claimDefaultTypes(item.user_id, item.id, changes.default_types);
+        return (await recalculate(item.user_id)).find(other => other.id === item.id);
+    }
+
+    /**
+     * Delete a gear item. Its activities are unlinked and lose their gear
+     * reference, so the item is not recreated from them.
+     * @param {Object} item - Gear row
+     */
+    async function remove(item) {
+        await activities.clearGear(item.id);
+        await gear.remove(item.id);
+    }
+
+    /**
+     * Gear items past a retirement threshold that are still in use.
+     * @param {string} userId - Owner
+     * @returns {Promise<Array<Object>>}
+     */
+    async function alerts(userId) {
+        const items = await gear.list(userId);
+        return items.filter(item => item.alerted_at && !item.retired_at);
+    }
+
+    /**
+     * Activity columns linking an activity to gear, for creating or
+     * updating an activity.
+     *
+     * - `gear_id` given: links to that item, which must be the user's
+     *   (null unlinks).
+     * - Only a `gear` name or `gear_external_id` given: stored as a reference
+     *   to link on the next recalculation.
+     * - Neither, with `useDefault`: the user's default gear for `type`.
+     * @param {string} userId - Owner of the activity
+     * @param {Object} fields - Activity fields from the request
+     * @param {Object} [options]
+     * @param {boolean} [options.useDefault=false] - Fall back to the default gear of the type
+     * @returns {Promise<Object>} gear_id, gear and gear_external_id to write, empty when nothing changes
+     * @throws {GearError} When gear_id does not name one of the user's items
+     */
+    async function linkFields(userId, fields, { useDefault = false } = {}) {
+        const link = item => ({
+            gear_id: item ? item.id : null,
+            gear: item ? item.name : null,
+            gear_external_id: item ? item.external_id || null : null
+        });
+
+        if (fields.gear_id !== undefined) {
+            if (fields.gear_id === null) return link(null);
+            const item = await get(userId, fields.gear_id);
+            if (!item) throw new GearError(`Gear ${fields.gear_id} not found`, 'gear_id');
+            return link(item);
+        }
+        if (fields.gear !== undefined || fields.gear_external_id !== undefined) {
+            return { gear_id: null, gear: fields.gear ?? null, gear_external_id: fields.gear_external_id ?? null };
+        }
+        if (useDefault && fields.type) {
+            const items = await gear.list(userId);
+            const item = items.find(candidate => !candidate.retired_at && (candidate.default_types || []).includes(fields.type));
+            if (item) return link(item);
+        }
+        return {};
+    }
+
+    return { get, list, create, update, remove, alerts, recalculate, linkFields };
+}
+
+module.exports = { GEAR_KINDS, GearError, kindOf, createGearService };
@@ -0,0 +1,76 @@
+/**
+ * Encoded polyline algorithm format, as used by Strava's
+ * `map.summary_polyline` and `map.polyline`.
+ * @module geo/polyline
+ */
+
+/**
+ * Decode an encoded polyline.
+ * @param {string} encoded - Encoded polyline
+ * @param {number} [precision=5] - Number of decimal places encoded
+ * @returns {Array<[number, number]>} Points as [lat, lng]
+ * @throws {Error} When the string is truncated
+ */
+function decodePolyline(encoded, precision = 5) {
+    const factor = 10 ** precision;
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    function nextValue() {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (index >= encoded.length) {
+                throw new Error('Truncated polyline');
+            }
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return result & 1 ? ~(result >> 1) : result >> 1;
+    }
+
+    while (index < (encoded || '').length) {
+        lat += nextValue();
+        lng += nextValue();
+        points.push([lat / factor, lng / factor]);
+    }
+    return points;
+}
+
+function encodeValue(value) {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let output = '';
+    while (v >= 0x20) {
+        output += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+        v >>= 5;
+    }
+    return output + String.fromCharCode(v + 63);
+}
+
+/**
+ * Encode points as a polyline.
+ * @param {Array<[number, number]>} points - Points as [lat, lng]
+ * @param {number} [precision=5] - Number of decimal places to keep
+ * @returns {string} Encoded polyline
+ */
+function encodePolyline(points, precision = 5) {
+    const factor = 10 ** precision;
+    let previousLat = 0;
+    let previousLng = 0;
+    let output = '';
+
+    for (const [lat, lng] of points) {
+        const currentLat = Math.round(lat * factor);
+        const currentLng = Math.round(lng * factor);
+        output += encodeValue(currentLat - previousLat) + encodeValue(currentLng - previousLng);
+        previousLat = currentLat;
+        previousLng = currentLng;
+    }
+    return output;
+}
+
+module.exports = { decodePolyline, encodePolyline };
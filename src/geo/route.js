@@ -0,0 +1,205 @@
+/**
+ * Geometry helpers for activity routes and their GeoJSON and GPX output.
+ * Points are [lat, lng] pairs throughout, as in Strava's `start_latlng`;
+ * only GeoJSON output uses [lng, lat].
+ * @module geo/route
+ */
+
+const EARTH_RADIUS = 6371008.8;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points.
+ * @param {[number, number]} a - [lat, lng]
+ * @param {[number, number]} b - [lat, lng]
+ * @returns {number} Distance in meters
+ */
+function haversine(a, b) {
+    const dLat = toRadians(b[0] - a[0]);
+    const dLng = toRadians(b[1] - a[1]);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(a[0])) * Math.cos(toRadians(b[0])) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Length of a path.
+ * @param {Array<[number, number]>} points - [lat, lng] points
+ * @returns {number} Length in meters
+ */
+function pathLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += haversine(points[i - 1], points[i]);
+    }
+    return length;
+}
+
+/**
+ * Bounding box in GeoJSON order.
+ * @param {Array<[number, number]>} points - [lat, lng] points
+ * @returns {?[number, number, number, number]} [minLng, minLat, maxLng, maxLat], null when empty
+ */
+function boundingBox(points) {
+    if (points.length === 0) return null;
+
+    let [minLat, minLng] = points[0];
+    let [maxLat, maxLng] = points[0];
+    for (const [lat, lng] of points) {
+        minLat = Math.min(minLat, lat);
+        maxLat = Math.max(maxLat, lat);
+        minLng = Math.min(minLng, lng);
+        maxLng = Math.max(maxLng, lng);
+    }
+    return [minLng, minLat, maxLng, maxLat];
+}
+
+/**
+ * Simplify a path with the Douglas-Peucker algorithm.
+ * Distances are measured on a local equirectangular projection, which is
+ * accurate enough at the scale of a single activity.
+ * @param {Array<[number, number]>} points - [lat, lng] points
+ * @param {number} tolerance - Maximum deviation from the original path, in meters
+ * @returns {Array<[number, number]>} Simplified path, keeping first and last points
+ */
+function simplify(points, tolerance) {
+    if (points.length < 3 || !(tolerance > 0)) return points.slice();
+
+    const latScale = toRadians(1) * EARTH_RADIUS;
+    const lngScale = latScale * Math.cos(toRadians(points[0][0]));
+    const projected = points.map(([lat, lng]) => [lng * lngScale, lat * latScale]);
+
+    function distanceToSegment(p, a, b) {
+        const dx = b[0] - a[0];
+        const dy = b[1] - a[1];
+        const lengthSquared = dx * dx + dy * dy;
+        let t = lengthSquared === 0 ? 0 : ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSquared;
+        t = Math.max(0, Math.min(1, t));
+        return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+    }
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+
+    // Iterative to stay clear of the call stack limit on long routes
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const distance = distanceToSegment(projected[i], projected[first], projected[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+        if (index !== -1 && maxDistance > tolerance) {
+            keep[index] = 1;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    return points.filter((point, i) => keep[i]);
+}
+
+/**
+ * Derived facts about a route.
+ * @param {Array<[number, number]>} points - Decoded [lat, lng] points
+ * @param {number} [tolerance=0] - Simplification tolerance in meters
+ * @returns {{start_latlng: ?Array, end_latlng: ?Array, bbox: ?Array, distance: number, original_point_count: number, points: Array}}
+ */
+function describeRoute(points, tolerance = 0) {
+    const simplified = simplify(points, tolerance);
+    return {
+        start_latlng: points.length > 0 ? points[0] : null,
+        end_latlng: points.length > 0 ? points[points.length - 1] : null,
+        bbox: boundingBox(points),
+        distance: pathLength(points),
+        original_point_count: points.length,
+        points: simplified
+    };
+}
+
+/**
+ * Build a GeoJSON Feature for an activity route.
+ * @param {Object} activity - Activity row (id, name, type, start_date)
+ * @param {Object} route - Result of {@link describeRoute}
+ * @param {number} tolerance - Tolerance used for the geometry
+ * @returns {Object} GeoJSON Feature with a LineString geometry
+ */
+function toGeoJson(activity, route, tolerance) {
+    return {
+        type: 'Feature',
+        bbox: route.bbox,
+        geometry: {
+            type: 'LineString',
+            coordinates: route.points.map(([lat, lng]) => [lng, lat])
+        },
+        properties: {
+            activity_id: activity.id,
+            name: activity.name,
+            type: activity.type,
+            start_date: activity.start_date,
+            start_latlng: route.start_latlng,
+            end_latlng: route.end_latlng,
+            distance: Math.round(route.distance * 10) / 10,
+            tolerance,
+            point_count: route.points.length,
+            original_point_count: route.original_point_count
+        }
+    };
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build a GPX 1.1 document with a single track for an activity route.
+ * The summary polyline has no timestamps, so track points carry none.
+ * @param {Object} activity - Activity row (name, type, start_date)
+ * @param {Array<[number, number]>} points - [lat, lng] points
+ * @returns {string} GPX XML
+ */
+function toGpx(activity, points) {
+    const trackPoints = points
+        .map(([lat, lng]) => `      <trkpt lat="${lat}" lon="${lng}"/>`)
+        .join('\n');
+    const time = activity.start_date
+        ? `\n    <time>${escapeXml(new Date(activity.start_date).toISOString())}</time>`
+        : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="runaway-node-api" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(activity.name)}</name>${time}
+  </metadata>
+  <trk>
+    <name>${escapeXml(activity.name)}</name>
+    <type>${escapeXml(activity.type)}</type>
+    <trkseg>
+${trackPoints}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+module.exports = {
+    haversine,
+    pathLength,
+    boundingBox,
+    simplify,
+    describeRoute,
+    toGeoJson,
+    toGpx,
+    escapeXml
+};
@@ -0,0 +1,130 @@
+/**
+ * Activity metrics computed from recorded trackpoints, as parsed from GPX or
+ * TCX files by {@link module:uploads/track-file}.
+ * @module geo/track
+ */
+
+const { haversine } = require('./route');
+
+/** Speed in m/s below which the athlete is considered stopped. */
+const MOVING_SPEED = 0.5;
+
+/**
+ * Elevation changes smaller than this, in meters, are treated as GPS and
+ * barometer noise and not counted towards gain or loss.
+ */
+const ELEVATION_THRESHOLD = 2;
+
+/** Window in seconds over which max speed is measured, to smooth GPS jitter. */
+const SPEED_WINDOW = 5;
+
+/**
+ * @typedef {Object} TrackPoint
+ * @property {number} time - Epoch milliseconds
+ * @property {?number} lat - Latitude, null for indoor recordings
+ * @property {?number} lng - Longitude
+ * @property {?number} ele - Elevation in meters
+ * @property {?number} hr - Heart rate in bpm
+ * @property {?number} distance - Cumulative distance in meters reported by the device
+ */
+
+/**
+ * Cumulative distance at every point: the device's own distance when every
+ * point has one (treadmills, wheel sensors), otherwise measured along the
+ * GPS positions.
+ * @param {TrackPoint[]} points
+ * @returns {number[]} Meters from the first point
+ */
+function cumulativeDistances(points) {
+    if (points.every(point => Number.isFinite(point.distance))) {
+        return points.map(point => Math.max(0, point.distance - points[0].distance));
+    }
+
+    const distances = [0];
+    let last = null;
+    let total = 0;
+    for (let i = 0; i < points.length; i++) {
+        const point = points[i];
+        if (Number.isFinite(point.lat) && Number.isFinite(point.lng)) {
+            if (last) total += haversine([last.lat, last.lng], [point.lat, point.lng]);
+            last = point;
+        }
+        if (i > 0) distances.push(total);
+    }
+    return distances;
+}
+
+/**
+ * Total climb and descent with a hysteresis of {@link ELEVATION_THRESHOLD}.
+ * @param {number[]} elevations
+ * @returns {{gain: number, loss: number}}
+ */
+function elevationChange(elevations) {
+    let gain = 0;
+    let loss = 0;
+    let reference = elevations[0];
+    for (const elevation of elevations.slice(1)) {
+        const delta = elevation - reference;
+        if (Math.abs(delta) >= ELEVATION_THRESHOLD) {
+            if (delta > 0) gain += delta;
+            else loss -= delta;
+            reference = elevation;
+        }
+    }
+    return { gain, loss };
+}
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Summarize a recorded track as `activities` columns.
+ * @param {TrackPoint[]} points - Points in recording order, with timestamps
+ * @returns {Object} start_date, distance, moving_time, elapsed_time,
+ * total_elevation_gain, total_elevation_loss, high_elevation, low_elevation,
+ * average_speed, max_speed, has_heart_rate, average_heart_rate, max_heart_rate
+ */
+function summarizeTrack(points) {
+    const distances = cumulativeDistances(points);
+    const seconds = points.map(point => (point.time - points[0].time) / 1000);
+
+    let movingTime = 0;
+    let maxSpeed = 0;
+    let windowStart = 0;
+    for (let i = 1; i < points.length; i++) {
+        const interval = seconds[i] - seconds[i - 1];
+        if (interval > 0 && (distances[i] - distances[i - 1]) / interval >= MOVING_SPEED) {
+            movingTime += interval;
+        }
+
+        while (windowStart < i - 1 && seconds[i] - seconds[windowStart + 1] >= SPEED_WINDOW) windowStart++;
+        const span = seconds[i] - seconds[windowStart];
+        if (span >= SPEED_WINDOW) {
+            maxSpeed = Math.max(maxSpeed, (distances[i] - distances[windowStart]) / span);
+        }
+    }
+
+    const distance = distances[distances.length - 1];
+    const elevations = points.map(point => point.ele).filter(Number.isFinite);
+    const { gain, loss } = elevations.length > 0 ? elevationChange(elevations) : { gain: 0, loss: 0 };
+    const heartRates = points.map(point => point.hr).filter(hr => Number.isFinite(hr) && hr > 0);
+
+    return {
+        start_date: new Date(points[0].time).toISOString(),
+        distance: round(distance),
+        moving_time: Math.round(movingTime),
+        elapsed_time: Math.round(seconds[seconds.length - 1]),
+        total_elevation_gain: round(gain),
+        total_elevation_loss: round(loss),
+        high_elevation: elevations.length > 0 ? round(elevations.reduce((a, b) => Math.max(a, b))) : null,
+        low_elevation: elevations.length > 0 ? round(elevations.reduce((a, b) => Math.min(a, b))) : null,
+        average_speed: movingTime > 0 ? round(distance / movingTime, 3) : 0,
+        max_speed: round(maxSpeed, 3),
+        has_heart_rate: heartRates.length > 0,
+        average_heart_rate: heartRates.length > 0
+            ? round(heartRates.reduce((sum, hr) => sum + hr, 0) / heartRates.length)
+            : null,
+        max_heart_rate: heartRates.length > 0 ? heartRates.reduce((a, b) => Math.max(a, b)) : null
+    };
+}
+
+module.exports = { MOVING_SPEED, ELEVATION_THRESHOLD, summarizeTrack };
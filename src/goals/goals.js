@@ -0,0 +1,346 @@
+/**
+ * Athlete goals such as "40 km per week" or "climb 10,000 m in March":
+ * progress over the current period, projected completion at the current
+ * pace, and the results of past periods.
+ *
+ * Periods follow the athlete's local calendar: weeks start on Monday, and
+ * an activity counts towards the local day it started on. Dates are handled
+ * as "YYYY-MM-DD" strings and local times as Dates whose UTC fields are the
+ * wall-clock time, as in {@link module:stats/athlete-stats}.
+ * @module goals/goals
+ */
+
+const { periodStart } = require('../stats/athlete-stats');
+const { localTime, athleteTimeZone, activityLocalTime } = require('../time/zones');
+
+const GOAL_PERIODS = ['week', 'month', 'year', 'custom'];
+
+/** Activity column each metric sums; `count` counts activities. */
+const GOAL_METRICS = {
+    distance: 'distance',
+    time: 'moving_time',
+    elevation: 'total_elevation_gain',
+    count: null
+};
+
+const GOAL_COLUMNS = 'id, type, distance, moving_time, total_elevation_gain, start_date, start_date_local, time_zone';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/** Most past periods returned by one history request. */
+const MAX_HISTORY = 520;
+
+/**
+ * Error for an invalid goal; maps to a 400 response.
+ */
+class GoalError extends Error {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {string} field - Offending field
+     */
+    constructor(message, field) {
+        super(message);
+        this.name = 'GoalError';
+        this.field = field;
+    }
+}
+
+const toDay = date => date.toISOString().slice(0, 10);
+const fromDay = day => new Date(`${day}T00:00:00Z`);
+const addDays = (day, days) => toDay(new Date(fromDay(day).getTime() + days * DAY));
+
+function isDay(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+        && !Number.isNaN(fromDay(value).getTime()) && toDay(fromDay(value)) === value;
+}
+
+/**
+ * The period of a recurring goal containing a local day.
+ * @param {string} period - week, month or year
+ * @param {string} day - Local date
+ * @returns {{start: string, end: string}} First day and the day after the last
+ */
+function periodContaining(period, day) {
+    const date = fromDay(day);
+    if (period === 'year') {
+        return { start: `${day.slice(0, 4)}-01-01`, end: `${Number(day.slice(0, 4)) + 1}-01-01` };
+    }
+
+    const start = periodStart(date, period);
+    const next = fromDay(start);
+    if (period === 'month') {
+        next.setUTCMonth(next.getUTCMonth() + 1);
+    } else {
+        next.setUTCDate(next.getUTCDate() + 7);
+    }
+    return { start, end: toDay(next) };
+}
+
+/**
+ * Check the fields of a new or changed goal.
+ * @param {Object} goal - Goal with the changes applied
+ * @throws {GoalError} When the period bounds are inconsistent
+ */
+function checkGoal(goal) {
+    for (const field of ['start_date', 'end_date']) {
+        if (goal[field] !== null && goal[field] !== undefined && !isDay(goal[field])) {
+            throw new GoalError(`${field} must be a date (YYYY-MM-DD)`, field);
+        }
+    }
+    if (goal.period === 'custom' && !goal.start_date) {
+        throw new GoalError('start_date is required for a custom period', 'start_date');
+    }
+    if (goal.period === 'custom' && !goal.end_date) {
+        throw new GoalError('end_date is required for a custom period', 'end_date');
+    }
+    if (goal.start_date && goal.end_date && goal.end_date < goal.start_date) {
+        throw new GoalError('end_date must not be before start_date', 'end_date');
+    }
+}
+
+/**
+ * Create the goals service.
+ * @param {Object} options
+ * @param {Object} options.goals - Goal repository from {@link module:storage}
+ * @param {Object} options.activities - Activity repository from {@link module:storage}
+ * @param {Object} options.athletes - Athlete repository from {@link module:storage}
+ * @returns {Object} Goals service
+ */
+function createGoalsService({ goals, activities, athletes }) {
+    function valueOf(goal, activity) {
+        const column = GOAL_METRICS[goal.metric];
+        return column ? Number(activity[column]) || 0 : 1;
+    }
+
+    function matches(goal, activity) {
+        return !goal.types || goal.types.length === 0 || goal.types.includes(activity.type);
+    }
+
+    /**
+     * Load what progress calculations need: the athlete's zone, the local
+     * time now and the activities since a UTC instant, with their local start.
+     */
+    async function load(userId, since) {
+        const athlete = await athletes.findByUserId(userId);
+        const rows = await activities.listForUser(userId, GOAL_COLUMNS, {
+            after: since ? new Date(since.getTime() - DAY).toISOString() : undefined
+        });
+        const zone = athleteTimeZone(athlete, rows);
+        return {
+            zone,
+            now: localTime(new Date(), zone),
+            entries: rows
+                .filter(row => row.start_date)
+                .map(row => ({ activity: row, local: activityLocalTime(row, zone) }))
+        };
+    }
+
+    /** Value of a goal over [start, end) local days, and the day the target was reached. */
+    function measure(goal, entries, start, end) {
+        let value = 0;
+        let completedOn = null;
+        const within = entries
+            .filter(({ activity, local }) => matches(goal, activity) && toDay(local) >= start && toDay(local) < end)
+            .sort((a, b) => a.local - b.local);
+        for (const { activity, local } of within) {
+            value += valueOf(goal, activity);
+            if (!completedOn && value >= goal.target) completedOn = toDay(local);
+        }
+        return { value, completedOn };
+    }
+
+    /**
+     * The current period of a goal: the custom range, or the period
+     * containing today, clamped to the goal's start_date and end_date.
+     */
+    function currentPeriod(goal, today) {
+        if (goal.period === 'custom') {
+            return { start: goal.start_date, end: addDays(goal.end_date, 1) };
+        }
+        let day = today;
+        if (goal.end_date && day > goal.end_date) day = goal.end_date;
+        if (goal.start_date && day < goal.start_date) day = goal.start_date;
+        return periodContaining(goal.period, day);
+    }
+
+    /** Earliest UTC instant the current period of a goal can start at. */
+    function currentSince(goal) {
+        // Local today is at most a day away from UTC today
+        const { start } = currentPeriod(goal, addDays(toDay(new Date()), -1));
+        return new Date(fromDay(start).getTime() - DAY);
+    }
+
+    /**
+     * Progress of a goal in its current period.
+     * @returns {Object} period_start, period_end (last day), status (upcoming, active or
+     * ended), value, target, percent, remaining, completed, completed_on, expected,
+     * on_track, projected_total, projected_completion, days_left, required_per_day
+     */
+    function progressOf(goal, { entries, now }) {
+        const today = toDay(now);
+        const { start, end } = currentPeriod(goal, today);
+        const { value, completedOn } = measure(goal, entries, start, end);
+
+        const startTime = fromDay(start).getTime();
+        const endTime = fromDay(end).getTime();
+        const elapsed = Math.min(1, Math.max(0, (now.getTime() - startTime) / (endTime - startTime)));
+        const status = today < start ? 'upcoming' : today >= end ? 'ended' : 'active';
+        const completed = value >= goal.target;
+
+        // At the pace so far, when the target is reached and where the period ends
+        let projectedCompletion = completedOn;
+        if (!completed && value > 0 && status === 'active') {
+            const reachedAt = startTime + (now.getTime() - startTime) * (goal.target / value);
+            projectedCompletion = reachedAt < endTime ? toDay(new Date(reachedAt)) : null;
+        }
+        const daysLeft = status === 'ended' ? 0 : Math.ceil((endTime - Math.max(now.getTime(), startTime)) / DAY);
+
+        return {
+            period_start: start,
+            period_end: addDays(end, -1),
+            status,
+            value,
+            target: goal.target,
+            percent: Math.round((value / goal.target) * 1000) / 10,
+            remaining: Math.max(0, goal.target - value),
+            completed,
+            completed_on: completedOn,
+            expected: goal.target * elapsed,
+            on_track: completed || value >= goal.target * elapsed,
+            projected_total: elapsed > 0 ? value / elapsed : null,
+            projected_completion: projectedCompletion,
+            days_left: daysLeft,
+            required_per_day: !completed && daysLeft > 0 ? (goal.target - value) / daysLeft : 0
+        };
+    }
+
+    /**
+     * A user's goal.
+     * @param {string} userId - Owner
+     * @param {number} goalId - Goal id
+     * @returns {Promise<?Object>} Goal row, or null when missing or owned by another user
+     */
+    async function get(userId, goalId) {
+        const goal = await goals.find(goalId);
+        return goal && String(goal.user_id) === String(userId) ? goal : null;
+    }
+
+    /**
+     * A user's goals, each with its current `progress`.
+     * @param {string} userId - Owner
+     * @returns {Promise<Array<Object>>}
+     */
+    async function list(userId) {
+        const rows = await goals.list(userId);
+        if (rows.length === 0) return [];
+
+        const since = rows.map(currentSince).reduce((earliest, date) => (date < earliest ? date : earliest));
+        const context = await load(userId, since);
+        return rows.map(goal => ({ ...goal, progress: progressOf(goal, context) }));
+    }
+
+    /**
+     * One goal with its current `progress`.
+     * @param {Object} goal - Goal row
+     * @returns {Promise<Object>}
+     */
+    async function withProgress(goal) {
+        const context = await load(goal.user_id, currentSince(goal));
+        return { ...goal, progress: progressOf(goal, context) };
+    }
+
+    /**
+     * Results of the periods before the current one, newest first, back to
+     * the period containing the goal's start_date (or creation date). Periods
+     * are listed once they have ended, so a custom goal has at most one.
+     * @param {Object} goal - Goal row
+     * @param {Object} [options]
+     * @param {number} [options.limit=12] - Most periods returned
+     * @returns {Promise<Array<{period_start: string, period_end: string, value: number, target: number, hit: boolean, completed_on: ?string}>>}
+     */
+    async function history(goal, { limit = 12 } = {}) {
+        const count = Math.min(limit, MAX_HISTORY);
+        const firstDay = goal.start_date || goal.created_at.slice(0, 10);
+
+        // Approximate the UTC range from the period length; local boundaries are applied below
+        const spans = { week: 7, month: 31, year: 366 };
+        const since = goal.period === 'custom'
+            ? fromDay(firstDay)
+            : new Date(Math.max(
+                fromDay(firstDay).getTime(),
+                fromDay(currentPeriod(goal, toDay(new Date())).start).getTime() - (count + 1) * spans[goal.period] * DAY
+            ));
+        const context = await load(goal.user_id, new Date(since.getTime() - DAY));
+        const today = toDay(context.now);
+
+        const periods = [];
+        if (goal.period === 'custom') {
+            const end = addDays(goal.end_date, 1);
+            if (end <= today) periods.push({ start: goal.start_date, end });
+        } else {
+            const first = periodContaining(goal.period, firstDay).start;
+            const current = currentPeriod(goal, today);
+            // Past its end_date, a goal's last period is history too
+            if (current.end <= today) periods.push(current);
+            let { start } = current;
+            while (periods.length < count && start > first) {
+                const previous = periodContaining(goal.period, addDays(start, -1));
+                periods.push(previous);
+                start = previous.start;
+            }
+        }
+
+        return periods.map(({ start, end }) => {
+            const { value, completedOn } = measure(goal, context.entries, start, end);
+            return {
+                period_start: start,
+                period_end: addDays(end, -1),
+                value,
+                target: goal.target,
+                hit: value >= goal.target,
+                completed_on: completedOn
+            };
+        });
+    }
+
+    /**
+     * Add a goal.
+     * @param {string} userId - Owner
+     * @param {Object} fields - Validated goal fields
+     * @returns {Promise<Object>} Stored goal with progress
+     * @throws {GoalError} When the period bounds are inconsistent
+     */
+    async function create(userId, fields) {
+        const now = new Date().toISOString();
+        const goal = { types: null, start_date: null, end_date: null, ...fields };
+        checkGoal(goal);
+
+        const stored = await goals.insert({ ...goal, user_id: userId, created_at: now, updated_at: now });
+        return withProgress(stored);
+    }
+
+    /**
+     * Change a goal.
+     * @param {Object} goal - Current goal row
+     * @param {Object} fields - Validated goal fields
+     * @returns {Promise<Object>} Updated goal with progress
+     * @throws {GoalError} When the period bounds are inconsistent
+     */
+    async function update(goal, fields) {
+        checkGoal({ ...goal, ...fields });
+        const stored = await goals.update(goal.id, { ...fields, updated_at: new Date().toISOString() });
+        return withProgress(stored);
+    }
+
+    /**
+     * Delete a goal.
+     * @param {Object} goal - Goal row
+     */
+    async function remove(goal) {
+        await goals.remove(goal.id);
+    }
+
+    return { get, list, withProgress, history, create, update, remove };
+}
+
+module.exports = { GOAL_PERIODS, GOAL_METRICS, MAX_HISTORY, GoalError, periodContaining, createGoalsService };
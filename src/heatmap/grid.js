@@ -0,0 +1,307 @@
+/**
+ * Density grids of routes on the Web Mercator tile grid used by web maps.
+ *
+ * Routes are projected once to world coordinates in [0, 1) (x east, y
+ * south). At zoom z the world is 2^z tiles of 256 pixels square; a heatmap
+ * cell at zoom z is one tile, and a tile's pixels are the cells of zoom
+ * z + 8. A cell counts the routes passing through it, each route at most
+ * once, so an out-and-back run does not weigh double.
+ * @module heatmap/grid
+ */
+
+/** Tile edge in pixels. */
+const TILE_SIZE = 256;
+
+/** Web Mercator stops at the latitude that makes the world square. */
+const MAX_LATITUDE = 85.0511287798066;
+
+/** Zoom from which tile lines are drawn three pixels wide instead of one. */
+const WIDE_LINE_ZOOM = 15;
+
+/**
+ * Project a point to world coordinates.
+ * @param {[number, number]} point - [lat, lng]
+ * @returns {[number, number]} [x, y], each in [0, 1]
+ */
+function project([lat, lng]) {
+    const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+    const sin = Math.sin(clamped * Math.PI / 180);
+    return [
+        (lng + 180) / 360,
+        0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+    ];
+}
+
+/**
+ * Inverse of {@link project}.
+ * @param {number} x - World x
+ * @param {number} y - World y
+ * @returns {[number, number]} [lng, lat], in GeoJSON order
+ */
+function unproject(x, y) {
+    const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180 / Math.PI;
+    return [x * 360 - 180, lat];
+}
+
+/**
+ * A route ready to be traced at any zoom.
+ * @typedef {Object} ProjectedRoute
+ * @property {Float64Array} coordinates - x0, y0, x1, y1, ... in world coordinates
+ * @property {[number, number, number, number]} bbox - [minX, minY, maxX, maxY]
+ */
+
+/**
+ * Project a decoded route.
+ * @param {Array<[number, number]>} points - [lat, lng] points
+ * @returns {?ProjectedRoute} null when the route has no points
+ */
+function projectRoute(points) {
+    if (points.length === 0) return null;
+
+    const coordinates = new Float64Array(points.length * 2);
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    points.forEach((point, i) => {
+        const [x, y] = project(point);
+        coordinates[2 * i] = x;
+        coordinates[2 * i + 1] = y;
+        bbox[0] = Math.min(bbox[0], x);
+        bbox[1] = Math.min(bbox[1], y);
+        bbox[2] = Math.max(bbox[2], x);
+        bbox[3] = Math.max(bbox[3], y);
+    });
+    return { coordinates, bbox };
+}
+
+/**
+ * Clip a segment to a rectangle (Liang-Barsky).
+ * @returns {?Array<number>} [x0, y0, x1, y1] inside the rectangle, null when outside
+ */
+function clipSegment(x0, y0, x1, y1, width, height) {
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    let t0 = 0;
+    let t1 = 1;
+    const edges = [[-dx, x0], [dx, width - x0], [-dy, y0], [dy, height - y0]];
+    for (const [p, q] of edges) {
+        if (p === 0) {
+            if (q < 0) return null;
+            continue;
+        }
+        const t = q / p;
+        if (p < 0) {
+            if (t > t1) return null;
+            t0 = Math.max(t0, t);
+        } else {
+            if (t < t0) return null;
+            t1 = Math.min(t1, t);
+        }
+    }
+    return [x0 + t0 * dx, y0 + t0 * dy, x0 + t1 * dx, y0 + t1 * dy];
+}
+
+/**
+ * A rectangle of cells: `width` by `height` cells from cell (x, y) at a
+ * scale of `scale` cells per world.
+ * @typedef {Object} Window
+ * @property {number} scale - Cells across the world, 2^zoom
+ * @property {number} x - First column
+ * @property {number} y - First row
+ * @property {number} width - Columns
+ * @property {number} height - Rows
+ */
+
+/**
+ * Call `visit` for every cell of the window a route passes through. Cells
+ * may be visited more than once.
+ * @param {ProjectedRoute} route - Projected route
+ * @param {Window} window - Cells to consider
+ * @param {function(number, number): void} visit - Called with column and row within the window
+ */
+function traceRoute(route, window, visit) {
+    const { coordinates } = route;
+    const { scale, width, height } = window;
+    const [minX, minY, maxX, maxY] = route.bbox.map(value => value * scale);
+    if (maxX < window.x || minX > window.x + width || maxY < window.y || minY > window.y + height) return;
+
+    const cellX = i => coordinates[2 * i] * scale - window.x;
+    const cellY = i => coordinates[2 * i + 1] * scale - window.y;
+    const visitPoint = (x, y) => {
+        const column = Math.floor(x);
+        const row = Math.floor(y);
+        if (column >= 0 && column < width && row >= 0 && row < height) visit(column, row);
+    };
+
+    const count = coordinates.length / 2;
+    if (count === 1) {
+        visitPoint(cellX(0), cellY(0));
+        return;
+    }
+    for (let i = 1; i < count; i++) {
+        const segment = clipSegment(cellX(i - 1), cellY(i - 1), cellX(i), cellY(i), width, height);
+        if (!segment) continue;
+
+        // One step per cell along the major axis reaches every cell of the line
+        const [x0, y0, x1, y1] = segment;
+        const steps = Math.max(1, Math.ceil(Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0))));
+        for (let step = 0; step <= steps; step++) {
+            visitPoint(x0 + (x1 - x0) * step / steps, y0 + (y1 - y0) * step / steps);
+        }
+    }
+}
+
+/**
+ * Route count at which a cell is drawn at full intensity. It grows with the
+ * number of routes, so an athlete's usual streets stand out without every
+ * street run once fading away.
+ * @param {number} routeCount - Routes in the heatmap
+ * @returns {number}
+ */
+function saturationFor(routeCount) {
+    return Math.max(5, Math.ceil(routeCount / 10));
+}
+
+/**
+ * Intensity of a cell on a logarithmic scale.
+ * @param {number} count - Routes through the cell
+ * @param {number} saturation - Count drawn at full intensity, see {@link saturationFor}
+ * @returns {number} 0 to 1
+ */
+function intensity(count, saturation) {
+    return Math.min(1, Math.log1p(count) / Math.log1p(saturation));
+}
+
+/**
+ * Count the routes through every cell of a window.
+ * @param {Array<ProjectedRoute>} routes - Projected routes
+ * @param {Window} window - Cells to count
+ * @returns {Map<number, {column: number, row: number, count: number}>} Cells
+ * passed by at least one route, keyed by row * width + column
+ */
+function countCells(routes, window) {
+    const cells = new Map();
+    routes.forEach((route, index) => {
+        traceRoute(route, window, (column, row) => {
+            const key = row * window.width + column;
+            const cell = cells.get(key);
+            if (!cell) {
+                cells.set(key, { column, row, count: 1, route: index });
+            } else if (cell.route !== index) {
+                cell.count++;
+                cell.route = index;
+            }
+        });
+    });
+    for (const cell of cells.values()) delete cell.route;
+    return cells;
+}
+
+/**
+ * Cells as GeoJSON polygons.
+ * @param {Map<number, Object>} cells - Result of {@link countCells}
+ * @param {Window} window - Window the cells were counted in
+ * @param {number} saturation - See {@link saturationFor}
+ * @returns {Array<Object>} GeoJSON Features with `count` and `intensity`
+ */
+function cellFeatures(cells, window, saturation) {
+    return Array.from(cells.values(), ({ column, row, count }) => {
+        const x = window.x + column;
+        const y = window.y + row;
+        const [west, north] = unproject(x / window.scale, y / window.scale);
+        const [east, south] = unproject((x + 1) / window.scale, (y + 1) / window.scale);
+        return {
+            type: 'Feature',
+            geometry: {
+                type: 'Polygon',
+                coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+            },
+            properties: {
+                x,
+                y,
+                count,
+                intensity: Math.round(intensity(count, saturation) * 1000) / 1000
+            }
+        };
+    });
+}
+
+/**
+ * Colors from faint to full intensity: dark red through orange and yellow
+ * to near white, more opaque as they get hotter.
+ */
+const PALETTE = (() => {
+    const stops = [[0, 150, 20, 20], [0.4, 255, 90, 0], [0.75, 255, 200, 0], [1, 255, 255, 220]];
+    const palette = new Uint8Array(256 * 4);
+    for (let level = 0; level < 256; level++) {
+        const t = level / 255;
+        let stop = 1;
+        while (stop < stops.length - 1 && stops[stop][0] < t) stop++;
+        const [t0, ...from] = stops[stop - 1];
+        const [t1, ...to] = stops[stop];
+        const f = (t - t0) / (t1 - t0);
+        for (let channel = 0; channel < 3; channel++) {
+            palette[level * 4 + channel] = Math.round(from[channel] + (to[channel] - from[channel]) * f);
+        }
+        palette[level * 4 + 3] = Math.round(255 * (0.5 + 0.5 * t));
+    }
+    return palette;
+})();
+
+/**
+ * Render tile z/x/y of a heatmap.
+ * @param {Array<ProjectedRoute>} routes - Projected routes
+ * @param {number} z - Zoom
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {number} saturation - See {@link saturationFor}
+ * @returns {?Uint8Array} RGBA pixels, null when no route crosses the tile
+ */
+function renderTile(routes, z, x, y, saturation) {
+    const window = { scale: TILE_SIZE * 2 ** z, x: x * TILE_SIZE, y: y * TILE_SIZE, width: TILE_SIZE, height: TILE_SIZE };
+    const radius = z >= WIDE_LINE_ZOOM ? 1 : 0;
+    // Trace a margin around the tile so wide lines continue across tile edges
+    const traced = { ...window, x: window.x - radius, y: window.y - radius, width: TILE_SIZE + 2 * radius, height: TILE_SIZE + 2 * radius };
+
+    const counts = new Uint16Array(TILE_SIZE * TILE_SIZE);
+    const lastRoute = new Int32Array(TILE_SIZE * TILE_SIZE);
+    let empty = true;
+
+    routes.forEach((route, index) => {
+        traceRoute(route, traced, (column, row) => {
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    const px = column - radius + dx;
+                    const py = row - radius + dy;
+                    if (px < 0 || px >= TILE_SIZE || py < 0 || py >= TILE_SIZE) continue;
+                    const pixel = py * TILE_SIZE + px;
+                    if (lastRoute[pixel] === index + 1) continue;
+                    lastRoute[pixel] = index + 1;
+                    if (counts[pixel] < 0xffff) counts[pixel]++;
+                    empty = false;
+                }
+            }
+        });
+    });
+    if (empty) return null;
+
+    const rgba = new Uint8Array(TILE_SIZE * TILE_SIZE * 4);
+    counts.forEach((count, pixel) => {
+        if (count === 0) return;
+        const level = Math.round(intensity(count, saturation) * 255);
+        rgba.set(PALETTE.subarray(level * 4, level * 4 + 4), pixel * 4);
+    });
+    return rgba;
+}
+
+module.exports = {
+    TILE_SIZE,
+    MAX_LATITUDE,
+    project,
+    unproject,
+    projectRoute,
+    traceRoute,
+    saturationFor,
+    intensity,
+    countCells,
+    cellFeatures,
+    renderTile
+};
@@ -0,0 +1,256 @@
+/**
+ * Personal heatmaps: the density of all of an athlete's routes, optionally
+ * filtered by activity type and date range, as GeoJSON cells or as `z/x/y`
+ * PNG tiles for web maps (see {@link module:heatmap/grid}).
+ *
+ * Decoded routes and rendered tiles are cached in memory. Writes in this
+ * process invalidate a user's entries through {@link invalidate}; entries
+ * also expire after `cacheTtl` seconds, which bounds how long changes made
+ * elsewhere (the import script, other instances) take to show.
+ * @module heatmap/heatmap
+ */
+
+const { decodePolyline } = require('../geo/polyline');
+const { newestMaps } = require('../activities/maps');
+const { encodePng } = require('./png');
+const {
+    TILE_SIZE,
+    MAX_LATITUDE,
+    project,
+    projectRoute,
+    saturationFor,
+    countCells,
+    cellFeatures,
+    renderTile
+} = require('./grid');
+const { createLogger } = require('../logging/logger');
+
+/** Highest zoom served, for tiles and cells (cells of about 150 m at zoom 18). */
+const MAX_ZOOM = 18;
+
+/** Default cell zoom of GeoJSON heatmaps; cells are about 600 m across at the equator. */
+const CELL_ZOOM = 16;
+
+/** GeoJSON heatmaps with more cells are refused. */
+const MAX_CELLS = 50000;
+
+/** Default lifetime of cached routes and tiles, in seconds. */
+const CACHE_TTL = 10 * 60;
+
+/**
+ * Error for a heatmap request that cannot be answered as asked; maps to a
+ * 400 response.
+ */
+class HeatmapError extends Error {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {string} field - Offending field
+     */
+    constructor(message, field) {
+        super(message);
+        this.name = 'HeatmapError';
+        this.field = field;
+    }
+}
+
+let emptyTile = null;
+
+/**
+ * Size-bounded cache whose entries expire, evicting the least recently
+ * used entry when full.
+ */
+function createCache(limit, ttl) {
+    const entries = new Map();
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            entries.delete(key);
+            if (entry.expires <= Date.now()) return undefined;
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        set(key, userId, value) {
+            entries.delete(key);
+            entries.set(key, { userId, value, expires: Date.now() + ttl * 1000 });
+            if (entries.size > limit) entries.delete(entries.keys().next().value);
+        },
+
+        delete(key) {
+            entries.delete(key);
+        },
+
+        deleteUser(userId) {
+            for (const [key, entry] of entries) {
+                if (entry.userId === userId) entries.delete(key);
+            }
+        }
+    };
+}
+
+/**
+ * Create the heatmap service.
+ * @param {Object} options
+ * @param {Object} options.activities - Activity repository from {@link module:storage}
+ * @param {Object} options.maps - Map repository from {@link module:storage}
+ * @param {number} [options.cacheTtl] - Lifetime of cached routes and tiles, in seconds
+ * @param {number} [options.tileCacheSize=2000] - Tiles kept in memory
+ * @param {number} [options.routeCacheSize=50] - Route sets (one per user and filter) kept in memory
+ * @param {Object} [options.logger] - Logger, see {@link module:logging/logger}
+ * @returns {Object} Heatmap service
+ */
+function createHeatmapService({
+    activities,
+    maps,
+    cacheTtl = CACHE_TTL,
+    tileCacheSize = 2000,
+    routeCacheSize = 50,
+    logger = createLogger()
+}) {
+    const routeCache = createCache(routeCacheSize, cacheTtl);
+    const tileCache = createCache(tileCacheSize, cacheTtl);
+    // Bumped on invalidation, so work started before it is never cached under a current key
+    const generations = new Map();
+
+    function cacheKey(userId, { types, after, before }) {
+        const generation = generations.get(userId) || 0;
+        return JSON.stringify([userId, generation, types ? [...types].sort() : null, after || null, before || null]);
+    }
+
+    /**
+     * Decode and project the newest route of each matching activity.
+     * @returns {Promise<{routes: Array<Object>, saturation: number}>}
+     */
+    async function loadRoutes(userId, { types, after, before }) {
+        const [rows, mapRows] = await Promise.all([
+            activities.listForUser(userId, 'id, external_id, type', { after, before }),
+            maps.listForUser(userId, 'activity_id, map_id, summary_polyline, created_at')
+        ]);
+
+        const newest = newestMaps(rows, mapRows);
+        const routes = [];
+        for (const activity of rows) {
+            if (types && !types.includes(activity.type)) continue;
+            const map = newest.get(activity.id);
+            if (!map) continue;
+
+            let points;
+            try {
+                points = decodePolyline(map.summary_polyline);
+            } catch (error) {
+                logger.warn('Skipping undecodable route in heatmap', { activity_id: activity.id, error });
+                continue;
+            }
+            const route = projectRoute(points);
+            if (route) routes.push(route);
+        }
+
+        return { routes, saturation: saturationFor(routes.length) };
+    }
+
+    /**
+     * The user's projected routes, from the cache when possible. Concurrent
+     * requests (a map asks for many tiles at once) share one load.
+     */
+    function routesFor(userId, filters) {
+        const key = cacheKey(userId, filters);
+        const cached = routeCache.get(key);
+        if (cached) return cached;
+
+        const loading = loadRoutes(userId, filters);
+        routeCache.set(key, userId, loading);
+        loading.catch(() => routeCache.delete(key));
+        return loading;
+    }
+
+    /**
+     * Heatmap cells as a GeoJSON FeatureCollection. Each cell is the tile of
+     * that zoom, with `count` (routes through it) and `intensity` (0 to 1,
+     * logarithmic) properties.
+     * @param {string} userId - Owner of the activities
+     * @param {Object} [options]
+     * @param {string[]} [options.types] - Only these activity types
+     * @param {string} [options.after] - Only activities starting at or after this time
+     * @param {string} [options.before] - Only activities starting before this time
+     * @param {number} [options.zoom] - Cell zoom, up to {@link MAX_ZOOM}
+     * @param {Array<number>} [options.bbox] - [west, south, east, north], only cells intersecting it
+     * @returns {Promise<Object>} FeatureCollection, also carrying `zoom`,
+     * `activity_count` and `saturation` (the count drawn at full intensity)
+     * @throws {HeatmapError} When the result would have more than {@link MAX_CELLS} cells
+     */
+    async function cells(userId, { types, after, before, zoom = CELL_ZOOM, bbox } = {}) {
+        const id = String(userId);
+        const { routes, saturation } = await routesFor(id, { types, after, before });
+
+        const scale = 2 ** zoom;
+        let window = { scale, x: 0, y: 0, width: scale, height: scale };
+        if (bbox) {
+            const [west, south, east, north] = bbox;
+            const clamp = value => Math.max(0, Math.min(scale - 1, Math.floor(value * scale)));
+            const [minX, maxY] = project([Math.max(south, -MAX_LATITUDE), west]).map(clamp);
+            const [maxX, minY] = project([Math.min(north, MAX_LATITUDE), east]).map(clamp);
+            window = { scale, x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+        }
+
+        const counted = countCells(routes, window);
+        if (counted.size > MAX_CELLS) {
+            throw new HeatmapError(`The heatmap has more than ${MAX_CELLS} cells; use a lower zoom or a bbox`, 'query.zoom');
+        }
+
+        return {
+            type: 'FeatureCollection',
+            zoom,
+            activity_count: routes.length,
+            saturation,
+            features: cellFeatures(counted, window, saturation)
+        };
+    }
+
+    /**
+     * Render heatmap tile z/x/y as a 256 pixel PNG. Tiles without routes are
+     * transparent.
+     * @param {string} userId - Owner of the activities
+     * @param {number} z - Zoom, up to {@link MAX_ZOOM}
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @param {Object} [filters] - types, after and before, as for {@link cells}
+     * @returns {Promise<Buffer>} PNG file
+     */
+    async function tile(userId, z, x, y, filters = {}) {
+        const id = String(userId);
+        const key = `${cacheKey(id, filters)}/${z}/${x}/${y}`;
+        const cached = tileCache.get(key);
+        if (cached) return cached;
+
+        const { routes, saturation } = await routesFor(id, filters);
+        const rgba = renderTile(routes, z, x, y, saturation);
+        if (!rgba && !emptyTile) {
+            emptyTile = encodePng(TILE_SIZE, TILE_SIZE, new Uint8Array(TILE_SIZE * TILE_SIZE * 4));
+        }
+        const png = rgba ? encodePng(TILE_SIZE, TILE_SIZE, rgba) : emptyTile;
+
+        tileCache.set(key, id, png);
+        return png;
+    }
+
+    /**
+     * Drop a user's cached routes and tiles, after their activities or maps
+     * changed.
+     * @param {string} userId - Owner of the changed data
+     */
+    function invalidate(userId) {
+        const id = String(userId);
+        generations.set(id, (generations.get(id) || 0) + 1);
+        routeCache.deleteUser(id);
+        tileCache.deleteUser(id);
+    }
+
+    return {
+        cells,
+        tile,
+        invalidate
+    };
+}
+
+module.exports = { MAX_ZOOM, CELL_ZOOM, MAX_CELLS, HeatmapError, createHeatmapService };
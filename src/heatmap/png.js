@@ -0,0 +1,73 @@
+/**
+ * Minimal PNG (RFC 2083) writer for 8-bit RGBA images, enough for map tiles
+ * rendered on the server without an image library.
+ * @module heatmap/png
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * One chunk: length, type, data and the CRC over type and data.
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer}
+ */
+function chunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode an image as PNG.
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Uint8Array} rgba - Pixels row by row, four bytes (red, green, blue, alpha) each
+ * @returns {Buffer} PNG file
+ */
+function encodePng(width, height, rgba) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // color type: truecolor with alpha
+    // compression, filter and interlace methods stay 0
+
+    // Every scanline starts with its filter type, 0 (none)
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let row = 0; row < height; row++) {
+        raw.set(rgba.subarray(row * stride, (row + 1) * stride), row * (stride + 1) + 1);
+    }
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = { encodePng };
@@ -0,0 +1,148 @@
+/**
+ * The API's error contract. Every error response has the shape
+ *
+ *     { "error": "<human message>", "code": "<stable code>", "details": [...] }
+ *
+ * where `details` is only present for field-level problems and lists
+ * `{ field, message }` entries. Clients should branch on `code`; the message
+ * may change.
+ * @module http/errors
+ */
+
+const { createLogger } = require('../logging/logger');
+
+/** Used when an error is handled outside the request logging middleware. */
+const fallbackLogger = createLogger();
+
+/**
+ * An error that maps directly to an HTTP response.
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status
+     * @param {string} code - Stable error code
+     * @param {string} message - Human-readable message
+     * @param {Array<{field: string, message: string}>} [details] - Field-level problems
+     */
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Postgres and PostgREST error codes that are the client's fault, with the
+ * response they map to. Anything else is a 500.
+ */
+const DATABASE_ERRORS = {
+    // PostgREST: .single() matched no rows
+    PGRST116: [404, 'not_found', 'Resource not found'],
+    // PostgREST: column not in the schema cache, i.e. an unknown field
+    PGRST204: [400, 'validation_failed', 'Unknown field'],
+    '22001': [400, 'validation_failed', 'Value too long'],
+    '22003': [400, 'validation_failed', 'Numeric value out of range'],
+    '22007': [400, 'validation_failed', 'Invalid date'],
+    '22008': [400, 'validation_failed', 'Date out of range'],
+    '22P02': [400, 'validation_failed', 'Invalid value'],
+    '23502': [400, 'validation_failed', 'Missing required value'],
+    '23514': [400, 'validation_failed', 'Value violates a check constraint'],
+    '23503': [409, 'conflict', 'Referenced resource does not exist or is still referenced'],
+    '23505': [409, 'conflict', 'Resource already exists'],
+    '40001': [409, 'conflict', 'Concurrent update, retry the request']
+};
+
+/**
+ * Convert any thrown value to an ApiError. Database errors the client caused
+ * become 4xx responses naming the offending column where Postgres reports it;
+ * everything else becomes a 500 that does not leak the underlying message.
+ * @param {*} error - Thrown value
+ * @returns {ApiError}
+ */
+function toApiError(error) {
+    if (error instanceof ApiError) return error;
+
+    // Malformed or oversized JSON bodies from express.json()
+    if (error && error.type === 'entity.parse.failed') {
+        return new ApiError(400, 'invalid_json', 'Request body is not valid JSON');
+    }
+    if (error && error.type === 'entity.too.large') {
+        return new ApiError(413, 'payload_too_large', 'Request body is too large');
+    }
+
+    // Multipart uploads (multer)
+    if (error && error.name === 'MulterError') {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return new ApiError(413, 'payload_too_large', 'Uploaded file is too large');
+        }
+        const details = error.field ? [{ field: error.field, message: error.message }] : undefined;
+        return new ApiError(400, 'validation_failed', error.message, details);
+    }
+
+    const mapped = error && DATABASE_ERRORS[error.code];
+    if (mapped) {
+        const [status, code, message] = mapped;
+        const text = `${error.message || ''} ${error.details || ''}`;
+        const column = /column "([^"]+)"/.exec(text) || /'([^']+)' column/.exec(text) || /Key \(([^)]+)\)=/.exec(text);
+        const details = column ? [{ field: column[1], message }] : undefined;
+        return new ApiError(status, code, message, details);
+    }
+
+    return new ApiError(500, 'internal_error', 'Internal server error');
+}
+
+/**
+ * Send an error response in the API's error format.
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - Stable error code
+ * @param {string} message - Human-readable message
+ * @param {Array<Object>} [details] - Field-level problems
+ */
+function sendError(res, status, code, message, details) {
+    const body = { error: message, code };
+    if (details && details.length > 0) body.details = details;
+    return res.status(status).json(body);
+}
+
+/**
+ * Answer a request that failed with an arbitrary error. Server errors are
+ * logged with their original cause through the request's logger.
+ * @param {Object} res - Express response
+ * @param {*} error - Thrown value
+ * @param {string} [context] - Log message
+ */
+function handleError(res, error, context = 'Error handling request') {
+    const apiError = toApiError(error);
+    if (apiError.status >= 500) {
+        (res.req.log || fallbackLogger).error(context, { error });
+    }
+    return sendError(res, apiError.status, apiError.code, apiError.message, apiError.details);
+}
+
+/**
+ * Express error middleware: answers errors passed to `next()`, including
+ * validation failures, body parser and upload errors.
+ */
+function errorHandler(error, req, res, next) {
+    if (res.headersSent) return next(error);
+    handleError(res, error, `Error handling ${req.method} ${req.path}`);
+}
+
+/**
+ * Express middleware answering requests that matched no route.
+ */
+function notFoundHandler(req, res) {
+    sendError(res, 404, 'not_found', `No route for ${req.method} ${req.path}`);
+}
+
+module.exports = {
+    ApiError,
+    toApiError,
+    sendError,
+    handleError,
+    errorHandler,
+    notFoundHandler
+};
@@ -0,0 +1,70 @@
+/**
+ * Per-request logging: assigns every request an id, binds it to a child
+ * logger available as `req.log`, and writes one entry per request with its
+ * status and duration.
+ * @module http/request-log
+ */
+
+const crypto = require('crypto');
+
+/** Header carrying the request id, in both directions. */
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/**
+ * Incoming ids are reused only when they are short and plain, so a client
+ * cannot inject arbitrary text into the logs.
+ */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Create the request logging middleware. Register it before everything else
+ * so that every later middleware and handler can use `req.log`.
+ *
+ * The request id is taken from the X-Request-Id header when the caller sent a
+ * valid one (e.g. a proxy or the sync worker), otherwise generated, and is
+ * returned in the X-Request-Id response header.
+ * @param {Object} logger - Logger from {@link module:logging/logger}
+ * @returns {Function} Express middleware
+ */
+function requestLogger(logger) {
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+        const incoming = req.get(REQUEST_ID_HEADER);
+        const id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+        req.id = id;
+        req.log = logger.child({ request_id: id });
+        res.set(REQUEST_ID_HEADER, id);
+
+        let logged = false;
+        function done(aborted) {
+            if (logged) return;
+            logged = true;
+
+            const fields = {
+                method: req.method,
+                // Path only: query strings may carry filters and search terms
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                duration_ms: Math.round(Number(process.hrtime.bigint() - start) / 1e3) / 1e3,
+                user_id: req.auth ? req.auth.userId : undefined
+            };
+
+            if (aborted) {
+                req.log.warn('Request aborted', fields);
+            } else if (res.statusCode >= 500) {
+                req.log.error('Request failed', fields);
+            } else if (res.statusCode >= 400) {
+                req.log.warn('Request rejected', fields);
+            } else {
+                req.log.info('Request completed', fields);
+            }
+        }
+
+        res.on('finish', () => done(false));
+        res.on('close', () => done(!res.writableFinished));
+        next();
+    };
+}
+
+module.exports = { REQUEST_ID_HEADER, requestLogger };
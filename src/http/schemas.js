@@ -0,0 +1,398 @@
+/**
+ * Request schemas of the API routes, see {@link module:http/validation}.
+ * @module http/schemas
+ */
+
+const { RECORD_TYPES } = require('../stats/personal-records');
+const { GEAR_KINDS } = require('../gear/gear');
+const { EXPORT_FORMATS } = require('../export/export');
+const { GOAL_PERIODS, GOAL_METRICS, MAX_HISTORY } = require('../goals/goals');
+const { MAX_ZOOM, CELL_ZOOM } = require('../heatmap/heatmap');
+const { UNIT_SYSTEMS } = require('../units/units');
+const { DEFAULT_LIMIT, MAX_LIMIT, SELECTABLE_FIELDS, SORTABLE_FIELDS } = require('../activities/query');
+
+const userId = { type: 'string', required: true, maxLength: 200 };
+const date = { type: 'date' };
+const count = { type: 'integer', min: 0, nullable: true };
+const amount = { type: 'number', min: 0, nullable: true };
+const measurement = { type: 'number', nullable: true };
+const flag = { type: 'boolean', nullable: true };
+const units = { type: 'string', enum: UNIT_SYSTEMS };
+const text = { type: 'string', nullable: true, maxLength: 10000 };
+
+/** Route parameter of routes addressing one activity. */
+const activityParams = { id: { type: 'integer', required: true, min: 1 } };
+
+/** Route parameter of routes addressing one athlete by user id. */
+const athleteParams = { id: userId };
+
+/**
+ * Columns a client may set when creating an activity. Server-owned columns
+ * (id, version, pr_count, updated_at, deleted_at) are not accepted.
+ */
+const activityFields = {
+    user_id: { type: 'string', maxLength: 200 },
+    external_id: { type: 'string', nullable: true, maxLength: 100 },
+    upload_id: { type: 'integer', nullable: true },
+    name: { type: 'string', required: true, maxLength: 500 },
+    type: { type: 'string', required: true, maxLength: 100 },
+    detail: text,
+    distance: amount,
+    moving_time: amount,
+    elapsed_time: amount,
+    high_elevation: measurement,
+    low_elevation: measurement,
+    total_elevation_gain: amount,
+    total_elevation_loss: amount,
+    start_date: { type: 'date', required: true },
+    start_date_local: { type: 'date', nullable: true },
+    time_zone: { type: 'string', nullable: true, maxLength: 100 },
+    achievement_count: count,
+    kudos_count: count,
+    comment_count: count,
+    athlete_count: count,
+    photo_count: count,
+    total_photo_count: count,
+    trainer: flag,
+    commute: flag,
+    manual: flag,
+    private: flag,
+    flagged: flag,
+    average_speed: amount,
+    max_speed: amount,
+    calories: amount,
+    has_kudoed: flag,
+    kilo_joules: amount,
+    average_power: amount,
+    max_power: amount,
+    device_watts: flag,
+    has_heart_rate: flag,
+    average_heart_rate: amount,
+    max_heart_rate: amount,
+    grade_adjusted_distance: amount,
+    average_cadence: amount,
+    max_cadence: amount,
+    relative_effort: amount,
+    gear: { type: 'string', nullable: true, maxLength: 200 },
+    gear_id: { type: 'integer', nullable: true, min: 1 },
+    gear_external_id: { type: 'string', nullable: true, maxLength: 100 }
+};
+
+/**
+ * Activity columns a client may change with PATCH, all optional. A PUT
+ * requires name and type and clears the columns it leaves out.
+ */
+const activityChanges = Object.fromEntries([
+    'name', 'type', 'detail', 'commute', 'trainer', 'private', 'distance', 'moving_time', 'elapsed_time',
+    'total_elevation_gain', 'start_date', 'start_date_local', 'time_zone', 'gear', 'gear_id'
+].map(field => {
+    const { required, ...spec } = activityFields[field];
+    return [field, spec];
+}));
+
+/**
+ * Athlete profile columns a client may update. `id` (the Strava athlete id)
+ * and `user_id` identify the row and cannot be changed.
+ */
+const athleteFields = {
+    username: { type: 'string', nullable: true, maxLength: 200 },
+    firstname: { type: 'string', nullable: true, maxLength: 200 },
+    lastname: { type: 'string', nullable: true, maxLength: 200 },
+    bio: text,
+    city: { type: 'string', nullable: true, maxLength: 200 },
+    state: { type: 'string', nullable: true, maxLength: 200 },
+    country: { type: 'string', nullable: true, maxLength: 200 },
+    sex: { type: 'string', nullable: true, enum: ['M', 'F'] },
+    weight: amount,
+    profile: { type: 'string', nullable: true, maxLength: 2000 },
+    profile_medium: { type: 'string', nullable: true, maxLength: 2000 },
+    ftp: { type: 'number', nullable: true, min: 0, exclusiveMin: true },
+    max_heart_rate: { type: 'number', nullable: true, min: 0, exclusiveMin: true },
+    resting_heart_rate: { type: 'number', nullable: true, min: 0, exclusiveMin: true },
+    time_zone: { type: 'string', nullable: true, maxLength: 100 },
+    units: { type: 'string', nullable: true, enum: UNIT_SYSTEMS }
+};
+
+/** Gear columns a client may set; `retired` sets or clears `retired_at`. */
+const gearFields = {
+    name: { type: 'string', maxLength: 200 },
+    kind: { type: 'string', enum: GEAR_KINDS },
+    brand: { type: 'string', nullable: true, maxLength: 200 },
+    model: { type: 'string', nullable: true, maxLength: 200 },
+    notes: text,
+    external_id: { type: 'string', nullable: true, maxLength: 100 },
+    initial_distance: { type: 'number', min: 0 },
+    retire_distance: { type: 'number', nullable: true, min: 0, exclusiveMin: true },
+    retire_time: { type: 'number', nullable: true, min: 0, exclusiveMin: true },
+    default_types: { type: 'array', items: { type: 'string', maxLength: 100 }, maxLength: 50 },
+    retired: { type: 'boolean' }
+};
+
+/** Local calendar day. */
+const day = { type: 'string', nullable: true, pattern: /^\d{4}-\d{2}-\d{2}$/ };
+
+/** Goal columns a client may set. */
+const goalFields = {
+    name: { type: 'string', nullable: true, maxLength: 200 },
+    metric: { type: 'string', enum: Object.keys(GOAL_METRICS) },
+    period: { type: 'string', enum: GOAL_PERIODS },
+    target: { type: 'number', min: 0, exclusiveMin: true },
+    types: { type: 'array', nullable: true, items: { type: 'string', maxLength: 100 }, maxLength: 50 },
+    start_date: day,
+    end_date: day
+};
+
+/** Route parameters of routes addressing one goal. */
+const goalParams = { id: userId, goalId: { type: 'integer', required: true, min: 1 } };
+
+/** Route parameters of routes addressing one repeated route. */
+const routeParams = { id: userId, routeId: { type: 'integer', required: true, min: 1 } };
+
+/** Route parameters of routes addressing one gear item. */
+const gearParams = { id: userId, gearId: { type: 'integer', required: true, min: 1 } };
+
+const schemas = {
+    listActivities: {
+        query: {
+            user_id: { type: 'string', maxLength: 200 },
+            after: { type: 'date', epoch: true },
+            before: { type: 'date', epoch: true },
+            type: { type: 'array', items: { type: 'string', maxLength: 100 }, maxLength: 50 },
+            min_distance: { type: 'number' },
+            max_distance: { type: 'number' },
+            min_duration: { type: 'number' },
+            max_duration: { type: 'number' },
+            commute: { type: 'boolean' },
+            trainer: { type: 'boolean' },
+            deleted: { type: 'boolean', default: false },
+            q: { type: 'string', maxLength: 200 },
+            sort: {
+                type: 'string',
+                enum: [...SORTABLE_FIELDS, ...SORTABLE_FIELDS.map(field => `-${field}`)],
+                default: '-start_date'
+            },
+            limit: { type: 'integer', min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT },
+            cursor: { type: 'string', maxLength: 1000 },
+            fields: { type: 'array', items: { type: 'string', enum: SELECTABLE_FIELDS }, maxLength: SELECTABLE_FIELDS.length },
+            units
+        }
+    },
+
+    getActivity: { params: activityParams },
+
+    showActivity: { params: activityParams, query: { units } },
+
+    createActivity: { query: { units }, body: activityFields },
+
+    updateActivity: { params: activityParams, query: { units }, body: activityChanges },
+
+    replaceActivity: {
+        params: activityParams,
+        query: { units },
+        body: {
+            ...activityChanges,
+            name: { ...activityChanges.name, required: true },
+            type: { ...activityChanges.type, required: true }
+        }
+    },
+
+    duplicatePair: {
+        params: activityParams,
+        query: { units },
+        body: { duplicate_id: { type: 'integer', required: true, min: 1 } }
+    },
+
+    uploadActivity: {
+        query: { units },
+        body: {
+            user_id: { type: 'string', maxLength: 200 },
+            name: { type: 'string', maxLength: 500 },
+            type: { type: 'string', maxLength: 100 },
+            detail: { type: 'string', maxLength: 10000 },
+            commute: { type: 'boolean' },
+            trainer: { type: 'boolean' },
+            private: { type: 'boolean' },
+            gear_id: { type: 'integer', min: 1 }
+        }
+    },
+
+    activityRoute: {
+        params: activityParams,
+        query: {
+            format: { type: 'string', enum: ['geojson', 'gpx'], default: 'geojson' },
+            tolerance: { type: 'number', min: 0, default: 0 }
+        }
+    },
+
+    upsertTokens: {
+        body: {
+            user_id: userId,
+            refresh_token: { type: 'string', required: true, maxLength: 2000 },
+            access_token: { type: 'string', required: true, maxLength: 2000 },
+            expires_at: { type: 'integer', required: true, min: 0 }
+        }
+    },
+
+    userTokens: { params: { user_id: userId } },
+
+    updateAthlete: { params: athleteParams, body: athleteFields },
+
+    athlete: { params: athleteParams },
+
+    stats: { params: athleteParams, query: { units } },
+
+    statsBreakdown: {
+        params: athleteParams,
+        query: {
+            period: { type: 'string', enum: ['week', 'month'], default: 'week' },
+            after: date,
+            before: date,
+            type: { type: 'array', items: { type: 'string', maxLength: 100 }, maxLength: 50 },
+            units
+        }
+    },
+
+    recordHistory: {
+        params: {
+            id: userId,
+            sport: { type: 'string', required: true, maxLength: 100 },
+            recordType: { type: 'string', required: true, enum: Object.keys(RECORD_TYPES) }
+        }
+    },
+
+    trainingLoad: {
+        params: athleteParams,
+        query: {
+            after: date,
+            before: date,
+            ramp_limit: { type: 'number', min: 0, exclusiveMin: true }
+        }
+    },
+
+    exportActivities: {
+        params: athleteParams,
+        query: {
+            format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' },
+            after: date,
+            before: date,
+            type: { type: 'array', items: { type: 'string', maxLength: 100 }, maxLength: 50 },
+            units
+        }
+    },
+
+    heatmap: {
+        params: athleteParams,
+        query: {
+            after: date,
+            before: date,
+            type: { type: 'array', items: { type: 'string', maxLength: 100 }, maxLength: 50 },
+            zoom: { type: 'integer', min: 0, max: MAX_ZOOM, default: CELL_ZOOM },
+            bbox: { type: 'array', items: { type: 'number' }, maxLength: 4 }
+        }
+    },
+
+    heatmapTile: {
+        params: {
+            id: userId,
+            z: { type: 'integer', required: true, min: 0, max: MAX_ZOOM },
+            x: { type: 'integer', required: true, min: 0 },
+            y: { type: 'integer', required: true, min: 0 }
+        },
+        query: {
+            after: date,
+            before: date,
+            type: { type: 'array', items: { type: 'string', maxLength: 100 }, maxLength: 50 }
+        }
+    },
+
+    calendar: {
+        params: athleteParams,
+        query: {
+            year: { type: 'integer', min: 1970, max: 9999 },
+            month: { type: 'integer', min: 1, max: 12 },
+            type: { type: 'array', items: { type: 'string', maxLength: 100 }, maxLength: 50 }
+        }
+    },
+
+    streaks: {
+        params: athleteParams,
+        query: { type: { type: 'array', items: { type: 'string', maxLength: 100 }, maxLength: 50 } }
+    },
+
+    listGear: {
+        params: athleteParams,
+        query: { include_retired: { type: 'boolean', default: false } }
+    },
+
+    createGear: {
+        params: athleteParams,
+        body: {
+            ...gearFields,
+            name: { ...gearFields.name, required: true },
+            kind: { ...gearFields.kind, default: 'other' }
+        }
+    },
+
+    gear: { params: gearParams },
+
+    updateGear: { params: gearParams, body: gearFields },
+
+    createGoal: {
+        params: athleteParams,
+        body: {
+            ...goalFields,
+            metric: { ...goalFields.metric, required: true },
+            period: { ...goalFields.period, required: true },
+            target: { ...goalFields.target, required: true }
+        }
+    },
+
+    goal: { params: goalParams },
+
+    updateGoal: { params: goalParams, body: goalFields },
+
+    goalHistory: {
+        params: goalParams,
+        query: { limit: { type: 'integer', min: 1, max: MAX_HISTORY, default: 12 } }
+    },
+
+    route: { params: routeParams },
+
+    updateRoute: {
+        params: routeParams,
+        body: { name: { type: 'string', required: true, maxLength: 200 } }
+    },
+
+    createMap: {
+        body: {
+            user_id: { type: 'string', maxLength: 200 },
+            map_id: { type: 'string', nullable: true, maxLength: 100 },
+            activity_id: { type: 'integer', nullable: true, min: 1 },
+            summary_polyline: { type: 'string', nullable: true, maxLength: 1000000 }
+        }
+    },
+
+    createSession: {
+        body: {
+            session_id: { type: 'string', required: true, maxLength: 200 },
+            user_id: userId,
+            auth_id: { type: 'string', required: true, maxLength: 200 },
+            device: { type: 'string', nullable: true, maxLength: 200 }
+        }
+    },
+
+    listSessions: { query: { user_id: { type: 'string', maxLength: 200 } } },
+
+    revokeSessions: {
+        query: {
+            user_id: { type: 'string', maxLength: 200 },
+            keep_current: { type: 'boolean', default: false }
+        }
+    },
+
+    session: { params: { sessionId: { type: 'string', required: true, maxLength: 200 } } },
+
+    authMapping: { params: { userId } }
+};
+
+module.exports = schemas;
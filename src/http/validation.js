@@ -0,0 +1,199 @@
+/**
+ * Declarative request validation. A route declares a schema for its `body`,
+ * `params` and `query`, each mapping field names to a spec:
+ *
+ *     validate({
+ *         params: { id: { type: 'integer', min: 1 } },
+ *         body: { name: { type: 'string', required: true, maxLength: 200 } }
+ *     })
+ *
+ * Values are coerced to the declared type where unambiguous ("12" to 12,
+ * "true" to true, 12 to "12"), fields the schema does not list are dropped,
+ * and all problems are reported together as a 400 `validation_failed` with
+ * one `details` entry per field.
+ * @module http/validation
+ */
+
+const { ApiError } = require('./errors');
+
+/**
+ * @typedef {Object} FieldSpec
+ * @property {string} type - string, integer, number, boolean, date, object or array
+ * @property {FieldSpec} [items] - Spec of every element of an array
+ * @property {boolean} [required] - Must be present and non-empty
+ * @property {boolean} [nullable] - null is accepted (bodies only)
+ * @property {Array} [enum] - Allowed values
+ * @property {number} [min] - Minimum number, exclusive when `exclusiveMin` is set
+ * @property {boolean} [exclusiveMin] - Whether `min` itself is rejected
+ * @property {number} [max] - Maximum number
+ * @property {number} [maxLength] - Maximum string or array length
+ * @property {RegExp} [pattern] - Pattern a string must match
+ * @property {boolean} [epoch] - A date may also be given as epoch seconds, as the
+ * Strava API does; it is converted to ISO 8601
+ * @property {*} [default] - Value used when the field is absent
+ */
+
+const NUMERIC = /^\s*-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i;
+
+/**
+ * Coerce a single value to its declared type.
+ * @returns {{value: *, problem: ?string}}
+ */
+function coerce(value, spec) {
+    switch (spec.type) {
+    case 'string':
+        if (typeof value === 'number' || typeof value === 'boolean') return { value: String(value) };
+        if (typeof value !== 'string') return { problem: 'must be a string' };
+        return { value };
+    case 'integer':
+    case 'number': {
+        const number = typeof value === 'string' && NUMERIC.test(value) ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            return { problem: `must be ${spec.type === 'integer' ? 'an integer' : 'a number'}` };
+        }
+        if (spec.type === 'integer' && !Number.isInteger(number)) return { problem: 'must be an integer' };
+        return { value: number };
+    }
+    case 'boolean':
+        if (value === true || value === 'true') return { value: true };
+        if (value === false || value === 'false') return { value: false };
+        return { problem: 'must be true or false' };
+    case 'date': {
+        const epoch = spec.epoch && typeof value === 'string' && /^\d+$/.test(value);
+        const date = epoch ? new Date(Number(value) * 1000) : new Date(value);
+        if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+            return { problem: spec.epoch ? 'must be an ISO 8601 date or epoch seconds' : 'must be an ISO 8601 date' };
+        }
+        return { value: epoch ? date.toISOString() : value };
+    }
+    case 'object':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return { problem: 'must be an object' };
+        return { value };
+    case 'array': {
+        // Query strings and form fields carry lists comma-separated
+        const items = typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+        if (!Array.isArray(items)) return { problem: 'must be an array' };
+        if (!spec.items) return { value: items };
+
+        const coerced = [];
+        for (const item of items) {
+            const result = coerce(item, spec.items);
+            const problem = result.problem || checkConstraints(result.value, spec.items);
+            if (problem) return { problem: `items ${problem}` };
+            coerced.push(result.value);
+        }
+        return { value: coerced };
+    }
+    default:
+        throw new Error(`Unknown schema type ${spec.type}`);
+    }
+}
+
+/**
+ * Check the constraints of a coerced value.
+ * @returns {?string} Problem, or null
+ */
+function checkConstraints(value, spec) {
+    if (spec.enum && !spec.enum.includes(value)) {
+        return `must be one of ${spec.enum.join(', ')}`;
+    }
+    if (spec.min !== undefined && (spec.exclusiveMin ? value <= spec.min : value < spec.min)) {
+        return `must be ${spec.exclusiveMin ? 'greater than' : 'at least'} ${spec.min}`;
+    }
+    if (spec.max !== undefined && value > spec.max) {
+        return `must be at most ${spec.max}`;
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return `must be at most ${spec.maxLength} ${Array.isArray(value) ? 'items' : 'characters'}`;
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+        return 'has an invalid format';
+    }
+    return null;
+}
+
+/**
+ * Validate one part of a request against its schema.
+ * @param {Object} input - req.body, req.params or req.query
+ * @param {Object<string, FieldSpec>} schema - Field specs
+ * @param {string} location - "body", "params" or "query", for error details
+ * @returns {{value: Object, details: Array<{field: string, message: string}>}}
+ */
+function validateObject(input, schema, location) {
+    const value = {};
+    const details = [];
+    const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+
+    if (location === 'body' && input !== undefined && source !== input) {
+        details.push({ field: 'body', message: 'must be a JSON object' });
+    }
+
+    for (const [field, spec] of Object.entries(schema)) {
+        const raw = source[field];
+        const name = location === 'body' ? field : `${location}.${field}`;
+
+        if (raw === undefined || raw === '') {
+            if (spec.required) {
+                details.push({ field: name, message: 'is required' });
+            } else if (spec.default !== undefined) {
+                value[field] = spec.default;
+            }
+            continue;
+        }
+
+        if (raw === null) {
+            if (spec.nullable && !spec.required) {
+                value[field] = null;
+            } else {
+                details.push({ field: name, message: 'cannot be null' });
+            }
+            continue;
+        }
+
+        const { value: coerced, problem } = coerce(raw, spec);
+        const constraint = problem || checkConstraints(coerced, spec);
+        if (constraint) {
+            details.push({ field: name, message: constraint });
+        } else {
+            value[field] = coerced;
+        }
+    }
+
+    return { value, details };
+}
+
+/**
+ * Middleware factory validating a request. On success `req.body`,
+ * `req.params` and `req.query` are replaced by their validated, coerced
+ * values for the parts the schema covers; parts without a schema are left
+ * as they are. Unlisted body and query fields are dropped.
+ * @param {Object} schema
+ * @param {Object<string, FieldSpec>} [schema.body] - Body fields
+ * @param {Object<string, FieldSpec>} [schema.params] - Route parameters
+ * @param {Object<string, FieldSpec>} [schema.query] - Query parameters
+ * @returns {Function} Express middleware
+ */
+function validate(schema) {
+    return (req, res, next) => {
+        const details = [];
+        const validated = {};
+
+        for (const location of ['params', 'query', 'body']) {
+            if (!schema[location]) continue;
+            const result = validateObject(req[location], schema[location], location);
+            validated[location] = result.value;
+            details.push(...result.details);
+        }
+
+        if (details.length > 0) {
+            return next(new ApiError(400, 'validation_failed', 'Request validation failed', details));
+        }
+
+        // Route parameters the schema does not list are kept, they are part of the path
+        if (validated.params) validated.params = { ...req.params, ...validated.params };
+        Object.assign(req, validated);
+        next();
+    };
+}
+
+module.exports = { validate, validateObject };
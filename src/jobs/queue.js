@@ -0,0 +1,189 @@
+/**
+ * Durable job queue stored in the `jobs` table.
+ *
+ * Jobs are claimed with a conditional update (pending -> processing), so
+ * several server instances can poll the same table without running a job
+ * twice. Failed jobs are retried with exponential backoff until
+ * `maxAttempts` is reached; jobs left in `processing` by a crashed worker are
+ * picked up again once their lock expires. Done jobs are kept for
+ * `doneRetention` ms and then deleted by {@link purgeDone}; failed ones stay
+ * for inspection.
+ * @module jobs/queue
+ */
+
+const { createLogger } = require('../logging/logger');
+
+/**
+ * Thrown by a job handler when retrying cannot help; the job fails at once.
+ */
+class PermanentJobError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PermanentJobError';
+    }
+}
+
+/**
+ * Create a job queue.
+ * @param {Object} options
+ * @param {Object} options.jobs - Job repository from {@link module:storage}
+ * @param {Object<string, Function>} options.handlers - Async handler per job type, called with the payload
+ * @param {number} [options.pollInterval=5000] - Delay between polls when idle, in ms
+ * @param {number} [options.batchSize=10] - Jobs claimed per poll
+ * @param {number} [options.maxAttempts=5] - Attempts before a job is marked failed
+ * @param {number} [options.retryDelay=30000] - Base retry delay in ms, doubled per attempt
+ * @param {number} [options.lockTimeout=300000] - Time after which a processing job is considered abandoned
+ * @param {number} [options.doneRetention=86400000] - Time done jobs are kept, in ms
+ * @param {Object} [options.logger] - Logger from {@link module:logging/logger}
+ * @returns {{enqueue: Function, enqueueOnce: Function, purgeDone: Function, runOnce: Function, start: Function, stop: Function}}
+ */
+function createJobQueue({
+    jobs,
+    handlers,
+    pollInterval = 5000,
+    batchSize = 10,
+    maxAttempts = 5,
+    retryDelay = 30000,
+    lockTimeout = 300000,
+    doneRetention = 24 * 60 * 60 * 1000,
+    logger = createLogger()
+}) {
+    let timer = null;
+    let running = false;
+
+    /**
+     * Add a job to the queue.
+     * @param {string} type - Job type, one of the handler names
+     * @param {Object} payload - Data passed to the handler
+     * @returns {Promise<Object>} Stored job
+     * @throws {Object} Storage error when the insert fails
+     */
+    async function enqueue(type, payload) {
+        if (!handlers[type]) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+
+        const now = new Date().toISOString();
+        return jobs.insert({
+            type,
+            payload,
+            status: 'pending',
+            attempts: 0,
+            run_at: now,
+            created_at: now,
+            updated_at: now
+        });
+    }
+
+    /**
+     * Add a job unless one of the same type with the same payload is still
+     * pending: that job has not started yet, so it covers this one too.
+     * @param {string} type - Job type, one of the handler names
+     * @param {Object} payload - Data passed to the handler
+     * @returns {Promise<Object>} The pending or the stored job
+     * @throws {Object} Storage error when the lookup or the insert fails
+     */
+    async function enqueueOnce(type, payload) {
+        const pending = await jobs.findPending(type, payload);
+        return pending || enqueue(type, payload);
+    }
+
+    /**
+     * Delete done jobs older than `doneRetention`.
+     * @returns {Promise<number>} Number of jobs deleted
+     */
+    function purgeDone() {
+        return jobs.removeDone(new Date(Date.now() - doneRetention).toISOString());
+    }
+
+    function claim(job) {
+        return jobs.claim(job, {
+            status: 'processing',
+            attempts: job.attempts + 1,
+            locked_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        });
+    }
+
+    function finish(job, changes) {
+        return jobs.update(job.id, { ...changes, locked_at: null, updated_at: new Date().toISOString() });
+    }
+
+    async function run(job) {
+        try {
+            await handlers[job.type](job.payload);
+            await finish(job, { status: 'done', last_error: null });
+            logger.debug('Job done', { job_id: job.id, job_type: job.type, attempts: job.attempts });
+        } catch (error) {
+            const permanent = error instanceof PermanentJobError || !handlers[job.type];
+            if (permanent || job.attempts >= maxAttempts) {
+                logger.error('Job failed', { job_id: job.id, job_type: job.type, attempts: job.attempts, error });
+                await finish(job, { status: 'failed', last_error: error.message });
+            } else {
+                const delay = retryDelay * 2 ** (job.attempts - 1);
+                logger.warn('Job failed, retrying', {
+                    job_id: job.id,
+                    job_type: job.type,
+                    attempts: job.attempts,
+                    retry_in_ms: delay,
+                    error
+                });
+                await finish(job, {
+                    status: 'pending',
+                    last_error: error.message,
+                    run_at: new Date(Date.now() + delay).toISOString()
+                });
+            }
+        }
+    }
+
+    /**
+     * Claim and run the jobs that are due.
+     * @returns {Promise<number>} Number of jobs run
+     */
+    async function runOnce() {
+        const now = new Date();
+        const staleBefore = new Date(now.getTime() - lockTimeout).toISOString();
+
+        const data = await jobs.due(now.toISOString(), staleBefore, batchSize);
+
+        let count = 0;
+        for (const candidate of data) {
+            const job = await claim(candidate);
+            if (!job) continue; // claimed by another worker
+            await run(job);
+            count++;
+        }
+        return count;
+    }
+
+    function schedule(delay) {
+        timer = setTimeout(async () => {
+            let count = 0;
+            try {
+                count = await runOnce();
+            } catch (error) {
+                logger.error('Error polling job queue', { error });
+            }
+            // Keep draining while there is work, otherwise wait for the next poll
+            if (running) schedule(count > 0 ? 0 : pollInterval);
+        }, delay);
+    }
+
+    /** Start polling for jobs. */
+    function start() {
+        if (running) return;
+        running = true;
+        schedule(0);
+    }
+
+    /** Stop polling; a job that is running finishes normally. */
+    function stop() {
+        running = false;
+        clearTimeout(timer);
+    }
+
+    return { enqueue, enqueueOnce, purgeDone, runOnce, start, stop };
+}
+
+module.exports = { PermanentJobError, createJobQueue };
@@ -0,0 +1,131 @@
+/**
+ * Structured JSON logging.
+ *
+ * Every entry is one line of JSON with `time`, `level` and `msg` plus the
+ * fields passed by the caller and those bound with `child()`, e.g.
+ *
+ *     {"time":"2025-01-01T08:00:00.000Z","level":"info","msg":"Request completed","request_id":"...","status":200}
+ *
+ * Fields whose name looks like a credential or personal identifier are
+ * replaced with "[REDACTED]" at any depth, so whole rows or payloads can be
+ * logged without leaking tokens.
+ * @module logging/logger
+ */
+
+/** Levels from most to least severe; a logger writes its level and above. */
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+/** Field names that are always redacted, compared case-insensitively. */
+const REDACTED_FIELDS = [
+    'access_token',
+    'refresh_token',
+    'id_token',
+    'token',
+    'authorization',
+    'cookie',
+    'set-cookie',
+    'x-service-key',
+    'password',
+    'secret',
+    'client_secret',
+    'api_key',
+    'auth_id',
+    'session_id',
+    'email'
+];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copy a value for logging: redacts sensitive fields, turns errors into
+ * plain objects and cuts cycles.
+ * @param {*} value - Value to copy
+ * @param {Set<string>} redacted - Lower-case field names to redact
+ * @param {Set<Object>} [seen] - Objects on the current path
+ * @returns {*} JSON-safe copy
+ */
+function sanitize(value, redacted, seen = new Set()) {
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'bigint' ? value.toString() : value;
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    let result;
+    if (Array.isArray(value)) {
+        result = value.map(item => sanitize(item, redacted, seen));
+    } else {
+        const source = value instanceof Error
+            ? { name: value.name, message: value.message, ...value, stack: value.stack }
+            : value;
+        result = {};
+        for (const [key, item] of Object.entries(source)) {
+            result[key] = redacted.has(key.toLowerCase()) && item !== null && item !== undefined
+                ? REDACTED
+                : sanitize(item, redacted, seen);
+        }
+    }
+
+    seen.delete(value);
+    return result;
+}
+
+/**
+ * Create a logger.
+ * @param {Object} [options]
+ * @param {string} [options.level=info] - Least severe level written: error, warn, info or debug
+ * @param {Object} [options.stream=process.stdout] - Where lines are written
+ * @param {string[]} [options.redact] - Field names to redact in addition to the built-in ones
+ * @param {Object} [options.fields] - Fields added to every entry
+ * @returns {{error: Function, warn: Function, info: Function, debug: Function, child: Function, level: string}}
+ * @throws {Error} When the level is unknown
+ */
+function createLogger({ level = 'info', stream = process.stdout, redact = [], fields = {} } = {}) {
+    const threshold = LEVELS.indexOf(level);
+    if (threshold === -1) {
+        throw new Error(`Log level must be one of ${LEVELS.join(', ')}, got ${level}`);
+    }
+    const redacted = new Set([...REDACTED_FIELDS, ...redact].map(name => name.toLowerCase()));
+
+    function write(entryLevel, message, entryFields) {
+        if (LEVELS.indexOf(entryLevel) > threshold) return;
+
+        const entry = sanitize({ ...fields, ...entryFields }, redacted);
+        stream.write(`${JSON.stringify({ time: new Date().toISOString(), level: entryLevel, msg: message, ...entry })}\n`);
+    }
+
+    const logger = { level };
+    for (const name of LEVELS) {
+        /**
+         * Write an entry at this level.
+         * @param {string} message - What happened
+         * @param {Object} [entryFields] - Context; an Error is best passed as `error`
+         */
+        logger[name] = (message, entryFields = {}) => write(name, message, entryFields);
+    }
+
+    /**
+     * Create a logger that adds `childFields` to every entry.
+     * @param {Object} childFields - Fields to bind, e.g. a request id
+     * @returns {Object} Logger
+     */
+    logger.child = childFields => createLogger({ level, stream, redact, fields: { ...fields, ...childFields } });
+
+    return logger;
+}
+
+/**
+ * Create a logger configured by LOG_LEVEL and LOG_REDACT (comma-separated
+ * extra field names to redact).
+ * @param {Object} env - Environment, usually process.env
+ * @returns {Object} Logger
+ */
+function loggerFromEnv(env) {
+    return createLogger({
+        level: env.LOG_LEVEL || 'info',
+        redact: (env.LOG_REDACT || '').split(',').map(name => name.trim()).filter(Boolean)
+    });
+}
+
+module.exports = { LEVELS, createLogger, loggerFromEnv };
@@ -0,0 +1,445 @@
+/**
+ * Repeated routes: an athlete's activities on the same course, grouped so
+ * the attempts can be compared.
+ *
+ * Two activities are on the same route when they have the same type, start
+ * and end within {@link ENDPOINT_RADIUS} of each other, have path lengths
+ * within {@link LENGTH_TOLERANCE} and overlap: at least {@link MIN_OVERLAP}
+ * of each path lies within {@link CORRIDOR} of the other. Paths are the
+ * decoded `summary_polyline` of the activities' newest maps. A route is
+ * created from the first two activities found to match and keeps the older
+ * one's path as its reference; later activities are compared against it.
+ * Activities link to their route through `activities.route_id`.
+ * @module routes/routes
+ */
+
+const { decodePolyline } = require('../geo/polyline');
+const { haversine, pathLength } = require('../geo/route');
+const { newestMaps } = require('../activities/maps');
+const { createLogger } = require('../logging/logger');
+
+/** Starts, and ends, must be this close, in meters. */
+const ENDPOINT_RADIUS = 200;
+
+/** Distance in meters from the other path within which a point overlaps it. */
+const CORRIDOR = 50;
+
+/** Share of each path that must overlap the other. */
+const MIN_OVERLAP = 0.8;
+
+/** Largest difference in path length, relative to the longer one. */
+const LENGTH_TOLERANCE = 0.15;
+
+/** Points sampled evenly along a path to measure its overlap. */
+const SAMPLE_COUNT = 100;
+
+/** Attempts needed for a trend. */
+const MIN_TREND_ATTEMPTS = 3;
+
+const ROUTE_COLUMNS = 'id, external_id, route_id, name, type, start_date, distance, moving_time, '
+    + 'average_speed, average_heart_rate, total_elevation_gain';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Points evenly spaced along a path.
+ * @param {Array<[number, number]>} points - [lat, lng] points
+ * @param {number} length - Length of the path in meters
+ * @returns {Array<[number, number]>}
+ */
+function samplePath(points, length) {
+    if (points.length < 2 || length === 0) return [points[0]];
+
+    const step = length / (SAMPLE_COUNT - 1);
+    const samples = [points[0]];
+    let segment = 1;
+    let segmentStart = 0;
+    let segmentLength = haversine(points[0], points[1]);
+    for (let i = 1; i < SAMPLE_COUNT - 1; i++) {
+        const target = i * step;
+        while (segmentStart + segmentLength < target && segment < points.length - 1) {
+            segmentStart += segmentLength;
+            segment++;
+            segmentLength = haversine(points[segment - 1], points[segment]);
+        }
+        const f = segmentLength === 0 ? 0 : Math.min(1, (target - segmentStart) / segmentLength);
+        const [lat0, lng0] = points[segment - 1];
+        const [lat1, lng1] = points[segment];
+        samples.push([lat0 + (lat1 - lat0) * f, lng0 + (lng1 - lng0) * f]);
+    }
+    samples.push(points[points.length - 1]);
+    return samples;
+}
+
+/**
+ * What route matching needs to know about a path.
+ * @typedef {Object} PathSignature
+ * @property {Array<[number, number]>} points - Decoded points
+ * @property {[number, number]} start - First point
+ * @property {[number, number]} end - Last point
+ * @property {number} length - Length in meters
+ * @property {Array<[number, number]>} samples - See {@link samplePath}
+ */
+
+/**
+ * Decode a summary polyline for matching.
+ * @param {string} polyline - Encoded polyline
+ * @returns {?PathSignature} null when it has fewer than two points
+ * @throws {Error} When the polyline is truncated
+ */
+function signatureOf(polyline) {
+    const points = decodePolyline(polyline);
+    if (points.length < 2) return null;
+    const length = pathLength(points);
+    return {
+        points,
+        start: points[0],
+        end: points[points.length - 1],
+        length,
+        samples: samplePath(points, length)
+    };
+}
+
+/**
+ * Share of the sample points within {@link CORRIDOR} of a path, measured
+ * on an equirectangular projection around the path's start.
+ * @param {Array<[number, number]>} samples - [lat, lng] points
+ * @param {PathSignature} path - Path to compare with
+ * @returns {number} 0 to 1
+ */
+function coverage(samples, path) {
+    const latScale = Math.PI / 180 * 6371008.8;
+    const lngScale = latScale * Math.cos(path.start[0] * Math.PI / 180);
+    const project = ([lat, lng]) => [(lng - path.start[1]) * lngScale, (lat - path.start[0]) * latScale];
+    const line = path.points.map(project);
+
+    function near([px, py]) {
+        for (let i = 1; i < line.length; i++) {
+            const [ax, ay] = line[i - 1];
+            const dx = line[i][0] - ax;
+            const dy = line[i][1] - ay;
+            const lengthSquared = dx * dx + dy * dy;
+            const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+            if (Math.hypot(px - (ax + t * dx), py - (ay + t * dy)) <= CORRIDOR) return true;
+        }
+        return false;
+    }
+
+    return samples.filter(sample => near(project(sample))).length / samples.length;
+}
+
+/**
+ * How well two paths match.
+ * @param {PathSignature} a
+ * @param {PathSignature} b
+ * @returns {?number} The smaller of the two overlaps, null when the paths are not the same route
+ */
+function similarity(a, b) {
+    if (haversine(a.start, b.start) > ENDPOINT_RADIUS || haversine(a.end, b.end) > ENDPOINT_RADIUS) return null;
+    if (Math.abs(a.length - b.length) > LENGTH_TOLERANCE * Math.max(a.length, b.length)) return null;
+
+    const overlap = Math.min(coverage(a.samples, b), coverage(b.samples, a));
+    return overlap >= MIN_OVERLAP ? overlap : null;
+}
+
+/**
+ * Default name of a new route, e.g. "5.2 km Run loop".
+ * @param {string} type - Activity type
+ * @param {PathSignature} path - Reference path
+ * @returns {string}
+ */
+function routeName(type, path) {
+    const loop = haversine(path.start, path.end) <= ENDPOINT_RADIUS ? ' loop' : '';
+    return `${(path.length / 1000).toFixed(1)} km ${type || 'Activity'}${loop}`;
+}
+
+/**
+ * One activity as an attempt of a route. `pace` is in seconds per
+ * kilometer, `average_speed` in meters per second.
+ * @param {Object} activity - Activity row
+ * @returns {Object}
+ */
+function attemptOf(activity) {
+    const distance = Number(activity.distance) || 0;
+    const movingTime = Number(activity.moving_time) || 0;
+    const speed = activity.average_speed ?? (movingTime > 0 ? distance / movingTime : null);
+    return {
+        activity_id: activity.id,
+        name: activity.name,
+        start_date: activity.start_date,
+        distance,
+        moving_time: movingTime,
+        pace: distance > 0 && movingTime > 0 ? round(movingTime / distance * 1000) : null,
+        average_speed: speed === null ? null : round(Number(speed), 3),
+        average_heart_rate: activity.average_heart_rate ?? null,
+        total_elevation_gain: activity.total_elevation_gain ?? null
+    };
+}
+
+/**
+ * Least-squares slope of values over time.
+ * @param {Array<[number, number]>} points - [time in ms, value]
+ * @returns {?number} Change per 30 days, null for fewer than {@link MIN_TREND_ATTEMPTS} points
+ */
+function changePerMonth(points) {
+    if (points.length < MIN_TREND_ATTEMPTS) return null;
+    const days = points.map(([time]) => time / DAY);
+    const meanX = days.reduce((sum, x) => sum + x, 0) / points.length;
+    const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+    points.forEach(([, y], i) => {
+        covariance += (days[i] - meanX) * (y - meanY);
+        variance += (days[i] - meanX) ** 2;
+    });
+    return variance === 0 ? null : covariance / variance * 30;
+}
+
+/**
+ * How pace and heart rate develop over a route's attempts. The direction
+ * is "improving" when the pace gets faster by at least 1% per month,
+ * "declining" when it gets slower by as much, and "steady" otherwise.
+ * @param {Array<Object>} attempts - Results of {@link attemptOf}
+ * @returns {?{attempts: number, pace_change_per_month: number, heart_rate_change_per_month: ?number, direction: string}}
+ * null with fewer than {@link MIN_TREND_ATTEMPTS} timed attempts
+ */
+function trendOf(attempts) {
+    const time = attempt => new Date(attempt.start_date).getTime();
+    const timed = attempts.filter(attempt => attempt.pace !== null && attempt.start_date);
+    const pace = changePerMonth(timed.map(attempt => [time(attempt), attempt.pace]));
+    if (pace === null) return null;
+
+    const heartRate = changePerMonth(attempts
+        .filter(attempt => attempt.average_heart_rate !== null && attempt.start_date)
+        .map(attempt => [time(attempt), Number(attempt.average_heart_rate)]));
+    const meanPace = timed.reduce((sum, attempt) => sum + attempt.pace, 0) / timed.length;
+    const relative = pace / meanPace;
+
+    return {
+        attempts: timed.length,
+        pace_change_per_month: round(pace),
+        heart_rate_change_per_month: heartRate === null ? null : round(heartRate),
+        direction: relative <= -0.01 ? 'improving' : relative >= 0.01 ? 'declining' : 'steady'
+    };
+}
+
+/**
+ * Create the routes service.
+ * @param {Object} options
+ * @param {Object} options.routes - Route repository from {@link module:storage}
+ * @param {Object} options.activities - Activity repository from {@link module:storage}
+ * @param {Object} options.maps - Map repository from {@link module:storage}
+ * @param {Object} [options.logger] - Logger from {@link module:logging/logger}
+ * @returns {Object} Routes service
+ */
+function createRoutesService({ routes, activities, maps, logger = createLogger() }) {
+    /**
+     * A user's route.
+     * @param {string} userId - Owner
+     * @param {number} routeId - Route id
+     * @returns {Promise<?Object>} Route row, or null when missing or owned by another user
+     */
+    async function get(userId, routeId) {
+        const route = await routes.find(routeId);
+        return route && String(route.user_id) === String(userId) ? route : null;
+    }
+
+    /**
+     * A route with its attempt statistics.
+     * @param {Object} route - Route row
+     * @param {Array<Object>} linked - Its activities, oldest first
+     * @param {boolean} withAttempts - Include every attempt and the reference path
+     * @returns {Object}
+     */
+    function describe(route, linked, withAttempts) {
+        const attempts = linked.map(attemptOf);
+        const fastest = attempts
+            .filter(attempt => attempt.moving_time > 0)
+            .reduce((best, attempt) => (!best || attempt.moving_time < best.moving_time ? attempt : best), null);
+
+        const description = {
+            id: route.id,
+            name: route.name,
+            type: route.type,
+            distance: route.distance,
+            start_latlng: route.start_latlng,
+            end_latlng: route.end_latlng,
+            reference_activity_id: route.reference_activity_id,
+            attempt_count: attempts.length,
+            first_attempt_at: attempts.length > 0 ? attempts[0].start_date : null,
+            last_attempt_at: attempts.length > 0 ? attempts[attempts.length - 1].start_date : null,
+            fastest,
+            trend: trendOf(attempts),
+            created_at: route.created_at,
+            updated_at: route.updated_at
+        };
+        if (withAttempts) {
+            description.attempts = attempts;
+            description.summary_polyline = route.summary_polyline;
+        }
+        return description;
+    }
+
+    /** The user's activities linked to a route, by route id, oldest first. */
+    async function attemptsByRoute(userId) {
+        const byRoute = new Map();
+        for (const activity of await activities.listForUser(userId, ROUTE_COLUMNS)) {
+            if (activity.route_id === null || activity.route_id === undefined) continue;
+            const key = String(activity.route_id);
+            if (!byRoute.has(key)) byRoute.set(key, []);
+            byRoute.get(key).push(activity);
+        }
+        return byRoute;
+    }
+
+    /**
+     * A user's routes with their fastest attempt and trend, most recently
+     * run first.
+     * @param {string} userId - Owner
+     * @returns {Promise<Array<Object>>}
+     */
+    async function list(userId) {
+        const [rows, byRoute] = await Promise.all([routes.list(userId), attemptsByRoute(userId)]);
+        return rows
+            .map(route => describe(route, byRoute.get(String(route.id)) || [], false))
+            .sort((a, b) => String(b.last_attempt_at || '').localeCompare(String(a.last_attempt_at || '')) || a.id - b.id);
+    }
+
+    /**
+     * One route with every attempt, oldest first.
+     * @param {Object} route - Route row
+     * @returns {Promise<Object>}
+     */
+    async function detail(route) {
+        const byRoute = await attemptsByRoute(route.user_id);
+        return describe(route, byRoute.get(String(route.id)) || [], true);
+    }
+
+    /**
+     * Rename a route.
+     * @param {Object} route - Route row
+     * @param {string} name - New name
+     * @returns {Promise<?Object>} Updated route row
+     */
+    function rename(route, name) {
+        return routes.update(route.id, { name, updated_at: new Date().toISOString() });
+    }
+
+    /**
+     * Match the user's activities that are not on a route yet to their
+     * routes, creating routes for activities found to repeat each other.
+     * Activities whose type no longer fits their route are matched again,
+     * and routes left without activities are removed.
+     * @param {string} userId - Owner
+     * @returns {Promise<{created: number, matched: number}>} Routes created
+     * and activities newly linked
+     */
+    async function match(userId) {
+        const [rows, mapRows, known] = await Promise.all([
+            activities.listForUser(userId, ROUTE_COLUMNS),
+            maps.listForUser(userId, 'activity_id, map_id, summary_polyline, created_at'),
+            routes.list(userId)
+        ]);
+        const mapsByActivity = newestMaps(rows, mapRows);
+
+        function decode(polyline, context) {
+            try {
+                return signatureOf(polyline);
+            } catch (error) {
+                logger.warn('Skipping undecodable route', { ...context, error });
+                return null;
+            }
+        }
+
+        const candidates = known
+            .map(route => ({ route, path: decode(route.summary_polyline, { route_id: route.id }) }))
+            .filter(candidate => candidate.path);
+        const routesById = new Map(known.map(route => [String(route.id), route]));
+        const used = new Set();
+        const links = new Map();
+        const singles = [];
+        let created = 0;
+
+        for (const activity of rows) {
+            const current = activity.route_id === null || activity.route_id === undefined
+                ? null
+                : routesById.get(String(activity.route_id));
+            if (current && current.type === activity.type) {
+                used.add(String(current.id));
+                continue;
+            }
+
+            const map = mapsByActivity.get(activity.id);
+            const path = map && decode(map.summary_polyline, { activity_id: activity.id });
+            let route = null;
+            if (path) {
+                let best = 0;
+                for (const candidate of candidates) {
+                    if (candidate.route.type !== activity.type) continue;
+                    const score = similarity(path, candidate.path);
+                    if (score !== null && score > best) {
+                        best = score;
+                        route = candidate.route;
+                    }
+                }
+
+                const single = route ? -1 : singles.findIndex(other => other.activity.type === activity.type
+                    && similarity(path, other.path) !== null);
+                if (single !== -1) {
+                    // Two activities on the same course: a new route with the older one as reference
+                    const [other] = singles.splice(single, 1);
+                    const now = new Date().toISOString();
+                    route = await routes.insert({
+                        user_id: String(userId),
+                        name: routeName(other.activity.type, other.path),
+                        type: other.activity.type,
+                        distance: Math.round(other.path.length),
+                        start_latlng: other.path.start,
+                        end_latlng: other.path.end,
+                        summary_polyline: other.polyline,
+                        reference_activity_id: other.activity.id,
+                        created_at: now,
+                        updated_at: now
+                    });
+                    created++;
+                    candidates.push({ route, path: other.path });
+                    links.set(other.activity.id, route.id);
+                } else if (!route) {
+                    singles.push({ activity, path, polyline: map.summary_polyline });
+                }
+            }
+
+            if (route) {
+                used.add(String(route.id));
+                links.set(activity.id, route.id);
+            } else if (activity.route_id !== null && activity.route_id !== undefined) {
+                links.set(activity.id, null);
+            }
+        }
+
+        for (const [activityId, routeId] of links) {
+            await activities.setRoute(activityId, routeId);
+        }
+        for (const route of known) {
+            if (!used.has(String(route.id))) await routes.remove(route.id);
+        }
+
+        const matched = Array.from(links.values()).filter(routeId => routeId !== null).length;
+        if (created > 0 || matched > 0) {
+            logger.info('Matched activities to routes', { user_id: userId, created, matched });
+        }
+        return { created, matched };
+    }
+
+    return {
+        get,
+        list,
+        detail,
+        rename,
+        match
+    };
+}
+
+module.exports = { similarity, signatureOf, createRoutesService };
@@ -0,0 +1,269 @@
+/**
+ * Athlete statistics computed from the `activities` table: recent (last
+ * four weeks), year-to-date and all-time totals per activity type, and
+ * weekly or monthly breakdowns for charts.
+ * @module stats/athlete-stats
+ */
+
+const { totalsWithDisplay } = require('../units/units');
+const { localTime, athleteTimeZone, activityLocalTime } = require('../time/zones');
+
+const STATS_COLUMNS = 'id, type, distance, moving_time, elapsed_time, total_elevation_gain, achievement_count, start_date, start_date_local, time_zone';
+
+const RECENT_DAYS = 28;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Totals for a group of activities, in the shape of Strava's activity totals.
+ * @typedef {Object} Totals
+ * @property {number} count
+ * @property {number} distance - Meters
+ * @property {number} moving_time - Seconds
+ * @property {number} elapsed_time - Seconds
+ * @property {number} elevation_gain - Meters
+ * @property {number} achievement_count
+ */
+
+/** @returns {Totals} */
+function emptyTotals() {
+    return {
+        count: 0,
+        distance: 0,
+        moving_time: 0,
+        elapsed_time: 0,
+        elevation_gain: 0,
+        achievement_count: 0
+    };
+}
+
+function addActivity(totals, activity) {
+    totals.count += 1;
+    totals.distance += Number(activity.distance) || 0;
+    totals.moving_time += Number(activity.moving_time) || 0;
+    totals.elapsed_time += Number(activity.elapsed_time) || 0;
+    totals.elevation_gain += Number(activity.total_elevation_gain) || 0;
+    totals.achievement_count += Number(activity.achievement_count) || 0;
+}
+
+/**
+ * Compute recent, year-to-date and all-time totals per activity type, plus
+ * the same totals over all types under `overall`. The year is the current
+ * local year in the athlete's zone, and activities count towards the year
+ * they started in locally.
+ * @param {Object[]} activities - Activity rows
+ * @param {Date} [now=new Date()] - Reference time
+ * @param {string} [zone='UTC'] - Athlete's time zone, see {@link module:time/zones.athleteTimeZone}
+ * @returns {{by_type: Object<string, {recent: Totals, ytd: Totals, all: Totals}>, overall: {recent: Totals, ytd: Totals, all: Totals}}}
+ */
+function computeStats(activities, now = new Date(), zone = 'UTC') {
+    const recentSince = now.getTime() - RECENT_DAYS * DAY;
+    const year = localTime(now, zone).getUTCFullYear();
+
+    const byType = {};
+    const overall = { recent: emptyTotals(), ytd: emptyTotals(), all: emptyTotals() };
+
+    for (const activity of activities) {
+        const type = activity.type || 'Unknown';
+        if (!byType[type]) {
+            byType[type] = { recent: emptyTotals(), ytd: emptyTotals(), all: emptyTotals() };
+        }
+
+        const buckets = ['all'];
+        if (new Date(activity.start_date).getTime() >= recentSince) buckets.push('recent');
+        if (activityLocalTime(activity, zone).getUTCFullYear() === year) buckets.push('ytd');
+
+        for (const bucket of buckets) {
+            addActivity(byType[type][bucket], activity);
+            addActivity(overall[bucket], activity);
+        }
+    }
+
+    return { by_type: byType, overall };
+}
+
+/**
+ * First day (YYYY-MM-DD) of the week (Monday-based) or month containing a date.
+ * @param {Date} date - Date whose UTC fields are used
+ * @param {string} period - "week" or "month"
+ * @returns {string}
+ */
+function periodStart(date, period) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (period === 'month') {
+        start.setUTCDate(1);
+    } else {
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    }
+    return start.toISOString().slice(0, 10);
+}
+
+function nextPeriod(day, period) {
+    const date = new Date(`${day}T00:00:00Z`);
+    if (period === 'month') {
+        date.setUTCMonth(date.getUTCMonth() + 1);
+    } else {
+        date.setUTCDate(date.getUTCDate() + 7);
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Group activities into consecutive weeks or months of their local start
+ * in the athlete's zone. Periods without activities are included with zero
+ * totals so charts have no gaps.
+ * @param {Object[]} activities - Activity rows
+ * @param {Object} options
+ * @param {string} options.period - "week" or "month"
+ * @param {Date} options.from - Start of the first period
+ * @param {Date} options.to - A date inside the last period
+ * @param {string} [options.zone='UTC'] - Athlete's time zone, see {@link module:time/zones.athleteTimeZone}
+ * @returns {Array<{start: string, totals: Totals, by_type: Object<string, Totals>}>}
+ */
+function computeBreakdown(activities, { period, from, to, zone = 'UTC' }) {
+    const buckets = new Map();
+    const last = periodStart(to, period);
+    for (let day = periodStart(from, period); day <= last; day = nextPeriod(day, period)) {
+        buckets.set(day, { start: day, totals: emptyTotals(), by_type: {} });
+    }
+
+    for (const activity of activities) {
+        const bucket = buckets.get(periodStart(activityLocalTime(activity, zone), period));
+        if (!bucket) continue;
+
+        const type = activity.type || 'Unknown';
+        if (!bucket.by_type[type]) bucket.by_type[type] = emptyTotals();
+        addActivity(bucket.totals, activity);
+        addActivity(bucket.by_type[type], activity);
+    }
+
+    return [...buckets.values()];
+}
+
+/**
+ * Stats with `display` values in a unit system on every totals object (see
+ * {@link module:units/units.totalsWithDisplay}); totals per type also get
+ * that type's pace or speed.
+ * @param {Object} stats - Stats row with by_type and overall
+ * @param {string} units - Unit system
+ * @returns {Object}
+ */
+function statsWithDisplay(stats, units) {
+    const buckets = (group, type) => Object.fromEntries(
+        Object.entries(group).map(([bucket, totals]) => [bucket, totalsWithDisplay(totals, units, type)])
+    );
+    return {
+        ...stats,
+        by_type: Object.fromEntries(Object.entries(stats.by_type || {}).map(([type, group]) => [type, buckets(group, type)])),
+        overall: stats.overall && buckets(stats.overall)
+    };
+}
+
+/**
+ * Breakdown periods (see {@link computeBreakdown}) with `display` values.
+ * @param {Array<Object>} periods - Periods
+ * @param {string} units - Unit system
+ * @returns {Array<Object>}
+ */
+function breakdownWithDisplay(periods, units) {
+    return periods.map(period => ({
+        ...period,
+        totals: totalsWithDisplay(period.totals, units),
+        by_type: Object.fromEntries(
+            Object.entries(period.by_type).map(([type, totals]) => [type, totalsWithDisplay(totals, units, type)])
+        )
+    }));
+}
+
+/** Local calendar day (YYYY-MM-DD) of an instant in a zone. */
+function localDay(date, zone) {
+    return localTime(date, zone).toISOString().slice(0, 10);
+}
+
+/**
+ * Create the stats service.
+ * @param {Object} options
+ * @param {Object} options.activities - Activity repository from {@link module:storage}
+ * @param {Object} options.athletes - Athlete repository from {@link module:storage}
+ * @param {Object} options.athleteStats - Athlete stats repository from {@link module:storage}
+ * @returns {{recalculate: Function, get: Function, breakdown: Function}}
+ */
+function createStatsService({ activities: activityRepository, athletes, athleteStats }) {
+    /**
+     * Recompute a user's stats from their activities and store them in
+     * `athlete_stats`, with the time zone they were computed in.
+     * @param {string} userId - Owner of the activities
+     * @returns {Promise<Object>} Stored stats row
+     */
+    async function recalculate(userId) {
+        const [athlete, activities] = await Promise.all([
+            athletes.findByUserId(userId),
+            activityRepository.listForUser(userId, STATS_COLUMNS)
+        ]);
+        const zone = athleteTimeZone(athlete, activities);
+        const now = new Date();
+        const stats = computeStats(activities, now, zone);
+
+        return athleteStats.upsert({
+            user_id: userId,
+            by_type: stats.by_type,
+            overall: stats.overall,
+            time_zone: zone,
+            calculated_at: now.toISOString(),
+            updated_at: now.toISOString()
+        });
+    }
+
+    /**
+     * Read a user's stored stats. They are calculated on first access and
+     * again once a new local day has begun since they were calculated, as
+     * the recent and year-to-date totals move with the date.
+     * @param {string} userId - Owner of the activities
+     * @returns {Promise<Object>} Stats row
+     */
+    async function get(userId) {
+        const data = await athleteStats.get(userId);
+        if (!data || !data.calculated_at) return recalculate(userId);
+
+        const zone = data.time_zone || 'UTC';
+        const stale = localDay(new Date(data.calculated_at), zone) < localDay(new Date(), zone);
+        return stale ? recalculate(userId) : data;
+    }
+
+    /**
+     * Weekly or monthly totals over a date range.
+     * @param {string} userId - Owner of the activities
+     * @param {Object} options
+     * @param {string} options.period - "week" or "month"
+     * @param {Date} options.from - Start of the range
+     * @param {Date} options.to - End of the range
+     * @param {string[]} [options.types] - Only these activity types
+     * @returns {Promise<Array<Object>>} Periods, see {@link computeBreakdown}
+     */
+    async function breakdown(userId, { period, from, to, types }) {
+        // Pad the UTC range by a day either side: periods follow local dates
+        const [athlete, activities] = await Promise.all([
+            athletes.findByUserId(userId),
+            activityRepository.listForUser(userId, STATS_COLUMNS, {
+                after: new Date(from.getTime() - DAY).toISOString(),
+                before: new Date(to.getTime() + 2 * DAY).toISOString()
+            })
+        ]);
+        const zone = athleteTimeZone(athlete, activities);
+        const selected = types
+            ? activities.filter(activity => types.includes(activity.type))
+            : activities;
+        return computeBreakdown(selected, { period, from, to, zone });
+    }
+
+    return { recalculate, get, breakdown };
+}
+
+module.exports = {
+    emptyTotals,
+    computeStats,
+    computeBreakdown,
+    periodStart,
+    statsWithDisplay,
+    breakdownWithDisplay,
+    createStatsService
+};
@@ -0,0 +1,198 @@
+/**
+ * Personal records per sport, derived from the `activities` table.
+ *
+ * Without activity streams, best efforts over a standard distance are
+ * estimated at the activity's average moving pace: an activity of distance D
+ * and moving time T covers d <= D in T * d / D. These are flagged `estimated`.
+ *
+ * Records are recomputed from the full history in chronological order, so
+ * every time a best was improved is kept as history and each activity's
+ * `pr_count` says how many records it set when it happened.
+ * @module stats/personal-records
+ */
+
+const RECORD_COLUMNS = 'id, type, distance, moving_time, total_elevation_gain, average_power, start_date, pr_count';
+
+/**
+ * Supported records. Efforts are ranked by lowest time, the others by
+ * highest value.
+ * @constant {Object<string, {kind: string, distance?: number, unit: string}>}
+ */
+const RECORD_TYPES = {
+    '1k': { kind: 'effort', distance: 1000, unit: 's' },
+    '1mile': { kind: 'effort', distance: 1609.344, unit: 's' },
+    '5k': { kind: 'effort', distance: 5000, unit: 's' },
+    '10k': { kind: 'effort', distance: 10000, unit: 's' },
+    'half_marathon': { kind: 'effort', distance: 21097.5, unit: 's' },
+    'marathon': { kind: 'effort', distance: 42195, unit: 's' },
+    'longest_distance': { kind: 'max', unit: 'm' },
+    'most_elevation_gain': { kind: 'max', unit: 'm' },
+    'highest_average_power': { kind: 'max', unit: 'W' }
+};
+
+/**
+ * Average speeds (m/s) above which an activity is treated as bad data (GPS
+ * glitches, a run recorded in a car) and ignored for effort records.
+ * @constant {Object<string, number>}
+ */
+const MAX_PLAUSIBLE_SPEED = {
+    Run: 8,
+    TrailRun: 8,
+    VirtualRun: 8,
+    Walk: 4,
+    Hike: 4,
+    Swim: 3,
+    default: 30
+};
+
+/**
+ * Value an activity achieves for a record type, or null if it does not
+ * qualify.
+ * @param {Object} activity - Activity row
+ * @param {string} recordType - Key of RECORD_TYPES
+ * @returns {?number}
+ */
+function recordValue(activity, recordType) {
+    const definition = RECORD_TYPES[recordType];
+    const distance = Number(activity.distance) || 0;
+    const movingTime = Number(activity.moving_time) || 0;
+
+    if (definition.kind === 'effort') {
+        if (distance < definition.distance || movingTime <= 0) return null;
+
+        const maxSpeed = MAX_PLAUSIBLE_SPEED[activity.type] || MAX_PLAUSIBLE_SPEED.default;
+        if (distance / movingTime > maxSpeed) return null;
+        return Math.round(movingTime * definition.distance / distance);
+    }
+
+    let value;
+    if (recordType === 'longest_distance') value = distance;
+    if (recordType === 'most_elevation_gain') value = Number(activity.total_elevation_gain) || 0;
+    if (recordType === 'highest_average_power') value = Number(activity.average_power) || 0;
+    return value > 0 ? value : null;
+}
+
+function isBetter(recordType, value, best) {
+    if (best === undefined) return true;
+    return RECORD_TYPES[recordType].kind === 'effort' ? value < best : value > best;
+}
+
+/**
+ * Replay a user's activities in chronological order and list every time a
+ * record was set or improved.
+ * @param {Object[]} activities - Activity rows, oldest first
+ * @returns {Array<{sport: string, record_type: string, value: number, unit: string, activity_id: number, achieved_at: string, estimated: boolean, current: boolean}>}
+ */
+function computeRecords(activities) {
+    const entries = [];
+    const bests = {};
+
+    for (const activity of activities) {
+        const sport = activity.type || 'Unknown';
+        for (const recordType of Object.keys(RECORD_TYPES)) {
+            const value = recordValue(activity, recordType);
+            if (value === null) continue;
+
+            const key = `${sport}:${recordType}`;
+            if (!isBetter(recordType, value, bests[key] && bests[key].value)) continue;
+
+            if (bests[key]) bests[key].current = false;
+            bests[key] = {
+                sport,
+                record_type: recordType,
+                value,
+                unit: RECORD_TYPES[recordType].unit,
+                activity_id: activity.id,
+                achieved_at: activity.start_date,
+                estimated: RECORD_TYPES[recordType].kind === 'effort',
+                current: true
+            };
+            entries.push(bests[key]);
+        }
+    }
+
+    return entries;
+}
+
+function pick(entry, columns) {
+    return Object.fromEntries(columns.map(column => [column, entry[column]]));
+}
+
+/**
+ * Create the personal records service.
+ * @param {Object} options
+ * @param {Object} options.activities - Activity repository from {@link module:storage}
+ * @param {Object} options.personalRecords - Personal record repository from {@link module:storage}
+ * @returns {{recalculate: Function, current: Function, history: Function, forActivity: Function}}
+ */
+function createRecordsService({ activities: activityRepository, personalRecords }) {
+    /**
+     * Recompute a user's records and the pr_count of their activities.
+     * @param {string} userId - Owner of the activities
+     * @returns {Promise<Object[]>} All record entries, history included
+     */
+    async function recalculate(userId) {
+        const activities = await activityRepository.listForUser(userId, RECORD_COLUMNS);
+        const entries = computeRecords(activities).map(entry => ({ ...entry, user_id: userId }));
+
+        await personalRecords.replaceForUser(userId, entries);
+
+        // Flag the activities that set records
+        const prCounts = new Map();
+        for (const entry of entries) {
+            prCounts.set(entry.activity_id, (prCounts.get(entry.activity_id) || 0) + 1);
+        }
+        for (const activity of activities) {
+            const prCount = prCounts.get(activity.id) || 0;
+            if ((activity.pr_count || 0) === prCount) continue;
+
+            await activityRepository.setPrCount(activity.id, prCount);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Current records of a user, grouped by sport.
+     * @param {string} userId - Owner of the records
+     * @returns {Promise<Object<string, Object<string, Object>>>} { sport: { record_type: entry } }
+     */
+    async function current(userId) {
+        const data = await personalRecords.current(userId);
+
+        const grouped = {};
+        for (const { sport, record_type: recordType, ...entry } of data) {
+            grouped[sport] = grouped[sport] || {};
+            grouped[sport][recordType] = pick(entry, ['value', 'unit', 'activity_id', 'achieved_at', 'estimated']);
+        }
+        return grouped;
+    }
+
+    /**
+     * Progression of one record, oldest first.
+     * @param {string} userId - Owner of the records
+     * @param {string} sport - Activity type
+     * @param {string} recordType - Key of RECORD_TYPES
+     * @returns {Promise<Object[]>}
+     */
+    async function history(userId, sport, recordType) {
+        const data = await personalRecords.history(userId, sport, recordType);
+
+        return data.map(entry => pick(entry, ['value', 'unit', 'activity_id', 'achieved_at', 'estimated', 'current']));
+    }
+
+    /**
+     * Records set by one activity.
+     * @param {number} activityId - Activity id
+     * @returns {Promise<Object[]>}
+     */
+    async function forActivity(activityId) {
+        const data = await personalRecords.forActivity(activityId);
+
+        return data.map(entry => pick(entry, ['sport', 'record_type', 'value', 'unit', 'achieved_at', 'estimated', 'current']));
+    }
+
+    return { recalculate, current, history, forActivity };
+}
+
+module.exports = { RECORD_TYPES, MAX_PLAUSIBLE_SPEED, recordValue, computeRecords, createRecordsService };
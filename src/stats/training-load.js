@@ -0,0 +1,238 @@
+/**
+ * Training load analytics: a load score per activity and the resulting
+ * acute load (ATL, fatigue), chronic load (CTL, fitness) and balance
+ * (TSB, form) time series.
+ *
+ * Each activity is scored with the first method its data supports:
+ * 1. `power` - TSS from average power and the athlete's FTP
+ * 2. `heart_rate` - Banister TRIMP from average heart rate
+ * 3. `relative_effort` - Strava's Relative Effort from the CSV export
+ * 4. `duration` - moving time at an assumed moderate intensity
+ * @module stats/training-load
+ */
+
+const { athleteTimeZone, activityLocalTime } = require('../time/zones');
+
+const LOAD_COLUMNS = 'id, name, type, moving_time, average_power, average_heart_rate, max_heart_rate, relative_effort, start_date, start_date_local, time_zone';
+
+/** Time constants of the exponentially weighted averages, in days. */
+const ATL_DAYS = 7;
+const CTL_DAYS = 42;
+
+/** Load per hour assumed when nothing but duration is known. */
+const DURATION_LOAD_PER_HOUR = 40;
+
+/** CTL gain per week above which a ramp-rate warning is raised. */
+const DEFAULT_RAMP_LIMIT = 8;
+
+/** ATL/CTL ratio above which an acute-load warning is raised. */
+const ACUTE_CHRONIC_LIMIT = 1.5;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Score one activity.
+ * @param {Object} activity - Activity row
+ * @param {Object} settings - Athlete physiology
+ * @param {?number} settings.ftp - Functional threshold power, watts
+ * @param {number} settings.maxHeartRate - Maximum heart rate, bpm
+ * @param {number} settings.restingHeartRate - Resting heart rate, bpm
+ * @param {?string} settings.sex - "M" or "F"; selects the TRIMP weighting
+ * @returns {{load: number, method: string}}
+ */
+function activityLoad(activity, { ftp, maxHeartRate, restingHeartRate, sex }) {
+    const hours = (Number(activity.moving_time) || 0) / 3600;
+    const power = Number(activity.average_power) || 0;
+    const heartRate = Number(activity.average_heart_rate) || 0;
+
+    if (power > 0 && ftp > 0) {
+        const intensity = power / ftp;
+        return { load: hours * intensity * intensity * 100, method: 'power' };
+    }
+
+    if (heartRate > restingHeartRate && maxHeartRate > restingHeartRate) {
+        const reserve = Math.min(1, (heartRate - restingHeartRate) / (maxHeartRate - restingHeartRate));
+        const [a, b] = sex === 'F' ? [0.86, 1.67] : [0.64, 1.92];
+        return { load: hours * 60 * reserve * a * Math.exp(b * reserve), method: 'heart_rate' };
+    }
+
+    if (Number(activity.relative_effort) > 0) {
+        return { load: Number(activity.relative_effort), method: 'relative_effort' };
+    }
+
+    return { load: hours * DURATION_LOAD_PER_HOUR, method: 'duration' };
+}
+
+const round = value => Math.round(value * 10) / 10;
+
+function dayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Collapse consecutive days that trip the same warning into one period.
+ */
+function collectWarnings(days, rampLimit) {
+    const warnings = [];
+    const open = {};
+
+    function check(type, day, value, triggered, message) {
+        if (triggered) {
+            if (!open[type]) {
+                open[type] = { type, start: day.date, end: day.date, peak: value, message };
+                warnings.push(open[type]);
+            }
+            open[type].end = day.date;
+            open[type].peak = Math.max(open[type].peak, value);
+        } else {
+            open[type] = null;
+        }
+    }
+
+    for (const day of days) {
+        check('ramp_rate', day, day.ramp_rate, day.ramp_rate > rampLimit,
+            `Fitness (CTL) rose more than ${rampLimit} in a week`);
+        const ratio = day.ctl > 0 ? Math.round(day.atl / day.ctl * 100) / 100 : 0;
+        check('acute_load', day, ratio, day.ctl >= 10 && ratio > ACUTE_CHRONIC_LIMIT,
+            `Fatigue (ATL) exceeds ${ACUTE_CHRONIC_LIMIT}x fitness (CTL)`);
+    }
+
+    return warnings;
+}
+
+/**
+ * Build the daily ATL/CTL/TSB series. Activities count towards the local
+ * day of their start in the athlete's zone.
+ * The averages are seeded from the first activity, so pass the full history
+ * up to `to`; only days from `from` on are returned.
+ * @param {Object[]} activities - Activity rows, oldest first
+ * @param {Object} settings - See {@link activityLoad}
+ * @param {Object} range
+ * @param {Date} range.from - First day to return
+ * @param {Date} range.to - Last day to return
+ * @param {number} [range.rampLimit] - CTL gain per week that raises a warning
+ * @param {string} [range.zone='UTC'] - Athlete's time zone, see {@link module:time/zones.athleteTimeZone}
+ * @returns {{activities: Object[], days: Object[], warnings: Object[]}}
+ */
+function computeTrainingLoad(activities, settings, { from, to, rampLimit = DEFAULT_RAMP_LIMIT, zone = 'UTC' }) {
+    const scored = [];
+    const dailyLoad = new Map();
+
+    for (const activity of activities) {
+        const { load, method } = activityLoad(activity, settings);
+        const date = dayKey(activityLocalTime(activity, zone));
+        dailyLoad.set(date, (dailyLoad.get(date) || 0) + load);
+        scored.push({
+            activity_id: activity.id,
+            name: activity.name,
+            type: activity.type,
+            date,
+            load: round(load),
+            method
+        });
+    }
+
+    const first = scored.length > 0 && scored[0].date < dayKey(from)
+        ? new Date(`${scored[0].date}T00:00:00Z`)
+        : new Date(`${dayKey(from)}T00:00:00Z`);
+    const last = new Date(`${dayKey(to)}T00:00:00Z`);
+    const firstReturned = dayKey(from);
+
+    const atlFactor = 1 - Math.exp(-1 / ATL_DAYS);
+    const ctlFactor = 1 - Math.exp(-1 / CTL_DAYS);
+    let atl = 0;
+    let ctl = 0;
+    const ctlHistory = [];
+    const days = [];
+
+    for (let time = first.getTime(); time <= last.getTime(); time += DAY) {
+        const date = dayKey(new Date(time));
+        const load = dailyLoad.get(date) || 0;
+        // Form is what the athlete brings into the day: yesterday's balance
+        const tsb = ctl - atl;
+
+        atl += (load - atl) * atlFactor;
+        ctl += (load - ctl) * ctlFactor;
+        ctlHistory.push(ctl);
+        const weekAgo = ctlHistory.length > 7 ? ctlHistory[ctlHistory.length - 8] : 0;
+
+        if (date >= firstReturned) {
+            days.push({
+                date,
+                load: round(load),
+                atl: round(atl),
+                ctl: round(ctl),
+                tsb: round(tsb),
+                ramp_rate: round(ctl - weekAgo)
+            });
+        }
+    }
+
+    return {
+        activities: scored.filter(activity => activity.date >= firstReturned),
+        days,
+        warnings: collectWarnings(days, rampLimit)
+    };
+}
+
+/**
+ * Create the training load service.
+ * @param {Object} options
+ * @param {Object} options.activities - Activity repository from {@link module:storage}
+ * @param {Object} options.athletes - Athlete repository from {@link module:storage}
+ * @returns {{compute: Function}}
+ */
+function createTrainingLoadService({ activities: activityRepository, athletes }) {
+    /**
+     * Read the athlete's physiology, filling gaps with defaults: the highest
+     * recorded heart rate as maximum and 60 bpm at rest.
+     */
+    function settingsFor(athlete, activities) {
+        const recordedMax = Math.max(0, ...activities.map(a => Number(a.max_heart_rate) || 0));
+        return {
+            ftp: Number(athlete.ftp) || null,
+            maxHeartRate: Number(athlete.max_heart_rate) || recordedMax || 190,
+            restingHeartRate: Number(athlete.resting_heart_rate) || 60,
+            sex: athlete.sex || null
+        };
+    }
+
+    /**
+     * Compute per-activity loads, the daily series and warnings for a range.
+     * @param {string} userId - Owner of the activities
+     * @param {Object} range
+     * @param {Date} range.from - First day
+     * @param {Date} range.to - Last day
+     * @param {number} [range.rampLimit] - CTL gain per week that raises a warning
+     * @returns {Promise<Object>} Settings used, activities, days and warnings
+     */
+    async function compute(userId, { from, to, rampLimit }) {
+        const activities = await activityRepository.listForUser(userId, LOAD_COLUMNS, {
+            before: new Date(to.getTime() + 2 * DAY).toISOString()
+        });
+        const athlete = (await athletes.findByUserId(userId)) || {};
+        const settings = settingsFor(athlete, activities);
+        const zone = athleteTimeZone(athlete, activities);
+        const lastDay = dayKey(to);
+        const inRange = activities.filter(activity => dayKey(activityLocalTime(activity, zone)) <= lastDay);
+
+        return {
+            settings: {
+                ftp: settings.ftp,
+                max_heart_rate: settings.maxHeartRate,
+                resting_heart_rate: settings.restingHeartRate,
+                sex: settings.sex
+            },
+            ...computeTrainingLoad(inRange, settings, { from, to, rampLimit, zone })
+        };
+    }
+
+    return { compute };
+}
+
+module.exports = {
+    DEFAULT_RAMP_LIMIT,
+    activityLoad,
+    computeTrainingLoad,
+    createTrainingLoadService
+};
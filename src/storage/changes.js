@@ -0,0 +1,46 @@
+/**
+ * Comparison of stored rows with incoming ones, shared by the storage
+ * backends and the importer. Values are compared as Postgres would store
+ * them, so a row read back from either backend compares equal to the row
+ * it was written from.
+ * @module storage/changes
+ */
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T/;
+
+/**
+ * Whether a stored column value equals an incoming one. Missing and null
+ * are equal, numbers compare with a small tolerance and timestamps by
+ * instant, as Postgres returns them as "+00:00" where exports use "Z".
+ * @param {*} stored - Value as read from storage
+ * @param {*} incoming - Value about to be written
+ * @returns {boolean}
+ */
+function sameValue(stored, incoming) {
+    if (stored === incoming) return true;
+    if (stored === null || incoming === null || stored === undefined || incoming === undefined) {
+        return (stored ?? null) === (incoming ?? null);
+    }
+    if (typeof incoming === 'number') {
+        return Math.abs(Number(stored) - incoming) < 1e-6;
+    }
+    if (typeof incoming === 'string' && ISO_DATE.test(incoming)) {
+        return new Date(stored).getTime() === new Date(incoming).getTime();
+    }
+    if (typeof incoming === 'object') {
+        return JSON.stringify(stored) === JSON.stringify(incoming);
+    }
+    return String(stored) === String(incoming);
+}
+
+/**
+ * List the columns of an incoming row that differ from the stored row.
+ * @param {Object} stored - Row currently stored
+ * @param {Object} incoming - Row about to be written
+ * @returns {string[]} Changed column names
+ */
+function changedFields(stored, incoming) {
+    return Object.keys(incoming).filter(key => !sameValue(stored[key], incoming[key]));
+}
+
+module.exports = { sameValue, changedFields };
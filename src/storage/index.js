@@ -0,0 +1,101 @@
+/**
+ * Storage layer. Everything that reads or writes data goes through these
+ * repositories; two backends implement them:
+ *
+ * - `supabase` (default): the Supabase project at SUPABASE_URL.
+ * - `memory`: plain arrays in the process, optionally persisted to the JSON
+ *   file STORAGE_FILE. Needs no network, for development and tests.
+ *
+ * All methods are async. Rows are plain objects with the columns of the
+ * tables in the README; write errors carry Postgres error codes (`23505`
+ * for a duplicate key, ...) whatever the backend.
+ *
+ * activities
+ * - query(parsed): rows of a parsed `GET /activities` query, one more than the limit
+ * - find(match): first row whose columns equal `match`, deleted ones included
+ * - listForUser(userId, columns, {after, before}): a user's activities that are not deleted, oldest first
+ * - findByExternalIds(ids): rows with these external ids
+ * - insert(row): stored row
+ * - upsertByExternalId(rows): insert or update on `(user_id, external_id)`, another user's `external_id` fails with 23505, updates bump `version`; unchanged rows are not written
+ *   and `updated_at`; refused with `23505` when an external id belongs to another user,
+ *   so an upsert never moves activities
+ * - updateVersion(id, version, changes): updated row, or null unless `version` is current
+ * - setPrCount(id, prCount)
+ * - setGear(id, {gear_id, gear, gear_external_id}), clearGear(gearId): unlink every activity of a gear item
+ * - setRoute(id, routeId): link an activity to a repeated route, or unlink it with null
+ *
+ * maps (an activity's maps are those of its owner linked by activity_id or map_id)
+ * - insert(row): stored row
+ * - latestForActivity(activity): newest map of the activity that is not deleted
+ * - listForUser(userId, columns): a user's maps that are not deleted, by id
+ * - setDeletedForActivity(activity, deletedAt)
+ * - moveToActivity(activity, target): link the activity's maps to another activity
+ *
+ * tokens
+ * - get(userId, columns), upsert(row), update(userId, changes), remove(userId)
+ * - listNotUnderKey(keyId, {afterUserId, limit}): rows to re-encrypt, by user_id
+ * - updateIfUnchanged(row, changes): false when updated_at or key_id changed meanwhile
+ *
+ * athletes
+ * - findByStravaId(id), findByUserId(userId), updateByUserId(userId, changes): updated rows
+ *
+ * athleteStats
+ * - get(userId), upsert(row): stored row
+ *
+ * personalRecords
+ * - replaceForUser(userId, entries), current(userId), history(userId, sport, recordType), forActivity(activityId)
+ *
+ * sessions
+ * - insert(row): stored row, findBySessionId(sessionId)
+ * - latestForAuthId(authId, now), latestForUserId(userId, now): newest session not expired at `now`
+ * - listForUser(userId, now): sessions not expired at `now`, most recently used first
+ * - update(sessionId, changes): updated row or null
+ * - remove(sessionId), removeForUser(userId, {except}), removeExpired(now): number of rows removed
+ *
+ * profiles
+ * - findByAuthId(authId), findByUserId(userId)
+ *
+ * jobs
+ * - insert(row): stored row, due(now, staleBefore, limit): runnable jobs, oldest first
+ * - claim(job, changes): updated job, or null when another worker changed it first
+ * - update(id, changes)
+ * - findPending(type, payload): a pending job of this type whose payload contains `payload`, or null
+ * - removeDone(before): delete done jobs last updated before `before`, returns the count
+ *
+ * gear
+ * - list(userId): a user's gear by id, find(id), insert(row): stored row
+ * - update(id, changes): updated row or null, remove(id)
+ *
+ * goals
+ * - list(userId): a user's goals by id, find(id), insert(row): stored row
+ * - update(id, changes): updated row or null, remove(id)
+ *
+ * routes
+ * - list(userId): a user's repeated routes by id, find(id), insert(row): stored row
+ * - update(id, changes): updated row or null, remove(id)
+ * @module storage
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { createSupabaseRepositories } = require('./supabase');
+const { createMemoryRepositories } = require('./memory');
+
+/**
+ * Create the repositories of the backend selected by STORAGE_BACKEND.
+ * @param {Object} env - Environment, usually process.env
+ * @returns {Object} Repositories keyed by name: activities, maps, tokens, athletes,
+ * athleteStats, personalRecords, sessions, profiles, jobs, gear, goals, routes
+ */
+function createRepositories(env) {
+    const backend = env.STORAGE_BACKEND || 'supabase';
+
+    if (backend === 'supabase') {
+        return createSupabaseRepositories(createClient(env.SUPABASE_URL, env.SUPABASE_KEY));
+    }
+    if (backend === 'memory') {
+        return createMemoryRepositories({ file: env.STORAGE_FILE });
+    }
+    throw new Error(`STORAGE_BACKEND must be supabase or memory, got ${backend}`);
+}
+
+module.exports = { createRepositories };
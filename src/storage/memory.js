@@ -0,0 +1,681 @@
+/**
+ * In-process storage backend for development and tests.
+ * Implements the repository contract described in {@link module:storage}
+ * on plain arrays. With a `file`, the data is loaded from that JSON file at
+ * start and written back after every change, so it survives restarts and
+ * can be prepared by hand (e.g. `profiles` and `athletes` rows).
+ *
+ * Constraint violations are reported with the Postgres error codes the
+ * Supabase backend would return, so callers handle both alike.
+ * @module storage/memory
+ */
+
+const fs = require('fs');
+const { changedFields } = require('./changes');
+
+const TABLES = [
+    'activities', 'maps', 'tokens', 'athletes', 'athlete_stats',
+    'personal_records', 'sessions', 'profiles', 'jobs', 'gear', 'goals', 'routes'
+];
+
+/** Tables whose `id` is generated on insert. */
+const IDENTITY_TABLES = ['activities', 'maps', 'personal_records', 'jobs', 'sessions', 'gear', 'goals', 'routes'];
+
+/**
+ * Error raised for constraint violations, shaped like a Supabase error.
+ */
+class StorageError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'StorageError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T/;
+
+/**
+ * Order two column values like Postgres would for the types used here:
+ * numbers numerically, timestamps by instant, other values as strings.
+ */
+function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'string' && typeof b === 'string' && ISO_DATE.test(a) && ISO_DATE.test(b)) {
+        return new Date(a).getTime() - new Date(b).getTime();
+    }
+    const left = String(a);
+    const right = String(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function isNull(value) {
+    return value === null || value === undefined;
+}
+
+/**
+ * Compare by a column with nulls last in both directions, as the Supabase
+ * backend orders with `nullsFirst: false`.
+ */
+function compareNullsLast(a, b, ascending) {
+    if (isNull(a) || isNull(b)) return isNull(a) - isNull(b);
+    const order = compareValues(a, b);
+    return ascending ? order : -order;
+}
+
+function pick(row, columns) {
+    if (!columns || columns === '*') return row;
+    const names = (Array.isArray(columns) ? columns : columns.split(',')).map(c => c.trim());
+    return Object.fromEntries(names.map(name => [name, row[name] ?? null]));
+}
+
+/** Detached copy, with Dates stored as ISO strings like the database returns them. */
+function copy(row) {
+    return row === null || row === undefined ? null : JSON.parse(JSON.stringify(row));
+}
+
+function matches(row, match) {
+    return Object.entries(match).every(([column, value]) => String(row[column]) === String(value));
+}
+
+/** Whether an activity row satisfies a parsed `GET /activities` query. */
+function matchesActivityQuery(row, parsed) {
+    const time = value => new Date(value).getTime();
+
+    if (parsed.userId && String(row.user_id) !== String(parsed.userId)) return false;
+    if (Boolean(parsed.deleted) !== !isNull(row.deleted_at)) return false;
+    if (parsed.after && !(row.start_date && time(row.start_date) >= time(parsed.after))) return false;
+    if (parsed.before && !(row.start_date && time(row.start_date) < time(parsed.before))) return false;
+    if (parsed.types && !parsed.types.includes(row.type)) return false;
+    if (parsed.minDistance !== undefined && !(row.distance >= parsed.minDistance)) return false;
+    if (parsed.maxDistance !== undefined && !(row.distance <= parsed.maxDistance)) return false;
+    if (parsed.minDuration !== undefined && !(row.moving_time >= parsed.minDuration)) return false;
+    if (parsed.maxDuration !== undefined && !(row.moving_time <= parsed.maxDuration)) return false;
+    if (parsed.commute !== undefined && row.commute !== parsed.commute) return false;
+    if (parsed.trainer !== undefined && row.trainer !== parsed.trainer) return false;
+    if (parsed.search && !String(row.name || '').toLowerCase().includes(parsed.search.toLowerCase())) return false;
+
+    if (parsed.cursor) {
+        const { value, id } = parsed.cursor;
+        const idAfter = parsed.ascending ? row.id > id : row.id < id;
+        if (parsed.sortField === 'id') return idAfter;
+
+        const current = row[parsed.sortField];
+        if (isNull(value)) return isNull(current) && idAfter;
+        if (isNull(current)) return true;
+        const order = compareNullsLast(current, value, parsed.ascending);
+        return order > 0 || (order === 0 && idAfter);
+    }
+    return true;
+}
+
+/**
+ * Create the in-process repositories.
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSON file to load from and persist to
+ * @returns {Object} Repositories, see {@link module:storage}
+ */
+function createMemoryRepositories({ file } = {}) {
+    const state = { tables: {}, sequences: {} };
+    if (file && fs.existsSync(file)) {
+        Object.assign(state, JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+    for (const table of TABLES) {
+        state.tables[table] = state.tables[table] || [];
+        state.sequences[table] = state.sequences[table]
+            || state.tables[table].reduce((max, row) => Math.max(max, Number(row.id) || 0), 0);
+    }
+    const tables = state.tables;
+
+    function persist() {
+        if (!file) return;
+        // Write then rename so a crash never leaves a truncated file
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(state));
+        fs.renameSync(tmp, file);
+    }
+
+    function unique(table, column, row) {
+        const value = row[column];
+        if (isNull(value)) return;
+        const existing = tables[table].find(other => String(other[column]) === String(value));
+        if (existing) {
+            throw new StorageError(
+                '23505',
+                `duplicate key value violates unique constraint "${table}_${column}_key"`,
+                `Key (${column})=(${value}) already exists.`
+            );
+        }
+    }
+
+    function notNull(table, column, row) {
+        if (isNull(row[column])) {
+            throw new StorageError(
+                '23502',
+                `null value in column "${column}" of relation "${table}" violates not-null constraint`
+            );
+        }
+    }
+
+    function insertRow(table, row) {
+        const stored = copy(row);
+        if (IDENTITY_TABLES.includes(table)) {
+            stored.id = ++state.sequences[table];
+        }
+        tables[table].push(stored);
+        return stored;
+    }
+
+    function updateRow(row, changes) {
+        Object.assign(row, copy(changes));
+        return row;
+    }
+
+    const activities = {
+        async query(parsed) {
+            const rows = tables.activities
+                .filter(row => matchesActivityQuery(row, parsed))
+                .sort((a, b) => {
+                    const order = parsed.sortField === 'id'
+                        ? 0
+                        : compareNullsLast(a[parsed.sortField], b[parsed.sortField], parsed.ascending);
+                    return order || (parsed.ascending ? a.id - b.id : b.id - a.id);
+                })
+                .slice(0, parsed.limit + 1);
+            return copy(rows);
+        },
+
+        async find(match) {
+            return copy(tables.activities.find(row => matches(row, match)));
+        },
+
+        async listForUser(userId, columns, { after, before } = {}) {
+            const time = value => new Date(value).getTime();
+            return copy(tables.activities
+                .filter(row => String(row.user_id) === String(userId) && isNull(row.deleted_at))
+                .filter(row => !after || (row.start_date && time(row.start_date) >= time(after)))
+                .filter(row => !before || (row.start_date && time(row.start_date) < time(before)))
+                .sort((a, b) => compareNullsLast(a.start_date, b.start_date, true) || a.id - b.id)
+                .map(row => pick(row, columns)));
+        },
+
+        async findByExternalIds(externalIds) {
+            const ids = externalIds.map(String);
+            return copy(tables.activities.filter(row => ids.includes(String(row.external_id))));
+        },
+
+        async insert(row) {
+            notNull('activities', 'user_id', row);
+            unique('activities', 'external_id', row);
+            const stored = insertRow('activities', { version: 1, pr_count: 0, deleted_at: null, ...row });
+            persist();
+            return copy(stored);
+        },
+
+        async upsertByExternalId(rows) {
+            // Validate the whole batch first: like a single statement, it applies entirely or not at all
+            const existingRows = rows.map(row => {
+                notNull('activities', 'user_id', row);
+                const existing = tables.activities.find(other => !isNull(row.external_id)
+                    && String(other.external_id) === String(row.external_id));
+                if (existing && String(existing.user_id) !== String(row.user_id)) {
+                    throw new StorageError(
+                        '23505',
+                        'duplicate key value violates unique constraint "activities_external_id_key"',
+                        `Key (external_id)=(${row.external_id}) belongs to another user.`
+                    );
+                }
+                return existing;
+            });
+            const updatedAt = new Date().toISOString();
+            rows.forEach((row, i) => {
+                const existing = existingRows[i];
+                if (existing) {
+                    if (changedFields(existing, row).length === 0) return;
+                    updateRow(existing, { ...row, version: Number(existing.version || 1) + 1, updated_at: updatedAt });
+                } else {
+                    insertRow('activities', { version: 1, pr_count: 0, deleted_at: null, ...row });
+                }
+            });
+            persist();
+        },
+
+        async updateVersion(id, version, changes) {
+            const row = tables.activities.find(other => String(other.id) === String(id)
+                && Number(other.version || 1) === Number(version));
+            if (!row) return null;
+            updateRow(row, changes);
+            persist();
+            return copy(row);
+        },
+
+        async setPrCount(id, prCount) {
+            const row = tables.activities.find(other => String(other.id) === String(id));
+            if (row) {
+                row.pr_count = prCount;
+                persist();
+            }
+        },
+
+        async setGear(id, link) {
+            const row = tables.activities.find(other => String(other.id) === String(id));
+            if (row) {
+                updateRow(row, link);
+                persist();
+            }
+        },
+
+        async clearGear(gearId) {
+            for (const row of tables.activities) {
+                if (String(row.gear_id) === String(gearId)) {
+                    updateRow(row, { gear_id: null, gear: null, gear_external_id: null });
+                }
+            }
+            persist();
+        },
+
+        async setRoute(id, routeId) {
+            const row = tables.activities.find(other => String(other.id) === String(id));
+            if (row) {
+                row.route_id = routeId;
+                persist();
+            }
+        }
+    };
+
+    function isActivityMap(map, activity) {
+        if (String(map.user_id) !== String(activity.user_id)) return false;
+        return String(map.activity_id) === String(activity.id)
+            || (activity.external_id && map.map_id === `a${activity.external_id}`);
+    }
+
+    const maps = {
+        async insert(row) {
+            notNull('maps', 'user_id', row);
+            const stored = insertRow('maps', { deleted_at: null, ...row });
+            persist();
+            return copy(stored);
+        },
+
+        async latestForActivity(activity) {
+            const rows = tables.maps
+                .filter(map => isActivityMap(map, activity) && isNull(map.deleted_at))
+                .sort((a, b) => compareValues(b.created_at, a.created_at));
+            return copy(rows[0]);
+        },
+
+        async listForUser(userId, columns) {
+            return copy(tables.maps
+                .filter(map => String(map.user_id) === String(userId) && isNull(map.deleted_at))
+                .sort((a, b) => a.id - b.id)
+                .map(map => pick(map, columns)));
+        },
+
+        async setDeletedForActivity(activity, deletedAt) {
+            tables.maps.filter(map => isActivityMap(map, activity)).forEach(map => {
+                map.deleted_at = deletedAt;
+            });
+            persist();
+        },
+
+        async moveToActivity(activity, target) {
+            tables.maps.filter(map => isActivityMap(map, activity)).forEach(map => {
+                map.activity_id = target.id;
+            });
+            persist();
+        }
+    };
+
+    const tokens = {
+        async get(userId, columns) {
+            const row = tables.tokens.find(other => String(other.user_id) === String(userId));
+            return row ? copy(pick(row, columns)) : null;
+        },
+
+        async upsert(row) {
+            const existing = tables.tokens.find(other => String(other.user_id) === String(row.user_id));
+            const stored = existing ? updateRow(existing, row) : insertRow('tokens', row);
+            persist();
+            return copy(stored);
+        },
+
+        async update(userId, changes) {
+            tables.tokens.filter(row => String(row.user_id) === String(userId))
+                .forEach(row => updateRow(row, changes));
+            persist();
+        },
+
+        async remove(userId) {
+            tables.tokens = tables.tokens.filter(row => String(row.user_id) !== String(userId));
+            persist();
+        },
+
+        async listNotUnderKey(keyId, { afterUserId, limit }) {
+            return copy(tables.tokens
+                .filter(row => row.key_id !== keyId)
+                .filter(row => isNull(afterUserId) || compareValues(row.user_id, afterUserId) > 0)
+                .sort((a, b) => compareValues(a.user_id, b.user_id))
+                .slice(0, limit)
+                .map(row => pick(row, 'user_id, refresh_token, access_token, key_id, updated_at')));
+        },
+
+        async updateIfUnchanged(row, changes) {
+            const stored = tables.tokens.find(other => String(other.user_id) === String(row.user_id)
+                && other.updated_at === row.updated_at
+                && (other.key_id ?? null) === (row.key_id ?? null));
+            if (!stored) return false;
+            updateRow(stored, changes);
+            persist();
+            return true;
+        }
+    };
+
+    const athletes = {
+        async findByStravaId(id) {
+            return copy(tables.athletes.find(row => String(row.id) === String(id)));
+        },
+
+        async findByUserId(userId) {
+            return copy(tables.athletes.find(row => String(row.user_id) === String(userId)));
+        },
+
+        async updateByUserId(userId, changes) {
+            const rows = tables.athletes.filter(row => String(row.user_id) === String(userId));
+            rows.forEach(row => updateRow(row, changes));
+            persist();
+            return copy(rows);
+        }
+    };
+
+    const athleteStats = {
+        async get(userId) {
+            const row = tables.athlete_stats.find(other => String(other.user_id) === String(userId));
+            return row ? copy(pick(row, 'user_id, by_type, overall, time_zone, calculated_at')) : null;
+        },
+
+        async upsert(row) {
+            const existing = tables.athlete_stats.find(other => String(other.user_id) === String(row.user_id));
+            const stored = existing ? updateRow(existing, row) : insertRow('athlete_stats', row);
+            persist();
+            return copy(stored);
+        }
+    };
+
+    const personalRecords = {
+        async replaceForUser(userId, entries) {
+            tables.personal_records = tables.personal_records.filter(row => String(row.user_id) !== String(userId));
+            entries.forEach(entry => insertRow('personal_records', entry));
+            persist();
+        },
+
+        async current(userId) {
+            return copy(tables.personal_records.filter(row => String(row.user_id) === String(userId) && row.current));
+        },
+
+        async history(userId, sport, recordType) {
+            return copy(tables.personal_records
+                .filter(row => String(row.user_id) === String(userId)
+                    && row.sport === sport && row.record_type === recordType)
+                .sort((a, b) => compareValues(a.achieved_at, b.achieved_at)));
+        },
+
+        async forActivity(activityId) {
+            return copy(tables.personal_records.filter(row => String(row.activity_id) === String(activityId)));
+        }
+    };
+
+    /** Whether a session has not expired at `now`; rows without expiry count as expired. */
+    function isActiveSession(row, now) {
+        return !isNull(row.expires_at) && compareValues(row.expires_at, now) > 0;
+    }
+
+    const sessions = {
+        async insert(row) {
+            unique('sessions', 'session_id', row);
+            const stored = insertRow('sessions', row);
+            persist();
+            return copy(stored);
+        },
+
+        async findBySessionId(sessionId) {
+            return copy(tables.sessions.find(row => row.session_id === sessionId));
+        },
+
+        async latestForAuthId(authId, now) {
+            const rows = tables.sessions
+                .filter(row => row.auth_id === authId && isActiveSession(row, now))
+                .sort((a, b) => compareValues(b.created_at, a.created_at));
+            return copy(rows[0]);
+        },
+
+        async latestForUserId(userId, now) {
+            const rows = tables.sessions
+                .filter(row => String(row.user_id) === String(userId) && isActiveSession(row, now))
+                .sort((a, b) => compareValues(b.created_at, a.created_at));
+            return copy(rows[0]);
+        },
+
+        async listForUser(userId, now) {
+            return copy(tables.sessions
+                .filter(row => String(row.user_id) === String(userId) && isActiveSession(row, now))
+                .sort((a, b) => compareValues(b.last_used_at, a.last_used_at)));
+        },
+
+        async update(sessionId, changes) {
+            const stored = tables.sessions.find(row => row.session_id === sessionId);
+            if (!stored) return null;
+            updateRow(stored, changes);
+            persist();
+            return copy(stored);
+        },
+
+        async remove(sessionId) {
+            const count = tables.sessions.length;
+            tables.sessions = tables.sessions.filter(row => row.session_id !== sessionId);
+            persist();
+            return count - tables.sessions.length;
+        },
+
+        async removeForUser(userId, { except } = {}) {
+            const count = tables.sessions.length;
+            tables.sessions = tables.sessions.filter(row => String(row.user_id) !== String(userId)
+                || (!isNull(except) && row.session_id === except));
+            persist();
+            return count - tables.sessions.length;
+        },
+
+        async removeExpired(now) {
+            const count = tables.sessions.length;
+            tables.sessions = tables.sessions.filter(row => isActiveSession(row, now));
+            persist();
+            return count - tables.sessions.length;
+        }
+    };
+
+    const profiles = {
+        async findByAuthId(authId) {
+            return copy(tables.profiles.find(row => row.auth_id === authId));
+        },
+
+        async findByUserId(userId) {
+            return copy(tables.profiles.find(row => String(row.user_id) === String(userId)));
+        }
+    };
+
+    const jobs = {
+        async insert(row) {
+            const stored = insertRow('jobs', row);
+            persist();
+            return copy(stored);
+        },
+
+        async due(now, staleBefore, limit) {
+            return copy(tables.jobs
+                .filter(job => (job.status === 'pending' && compareValues(job.run_at, now) <= 0)
+                    || (job.status === 'processing' && compareValues(job.locked_at, staleBefore) < 0))
+                .sort((a, b) => compareValues(a.run_at, b.run_at))
+                .slice(0, limit));
+        },
+
+        async claim(job, changes) {
+            const stored = tables.jobs.find(other => other.id === job.id
+                && other.status === job.status && other.attempts === job.attempts);
+            if (!stored) return null;
+            updateRow(stored, changes);
+            persist();
+            return copy(stored);
+        },
+
+        async update(id, changes) {
+            const stored = tables.jobs.find(job => job.id === id);
+            if (stored) {
+                updateRow(stored, changes);
+                persist();
+            }
+        },
+
+        async findPending(type, payload) {
+            return copy(tables.jobs.find(job => job.status === 'pending' && job.type === type
+                && Object.keys(payload).every(key => job.payload && job.payload[key] === payload[key])) || null);
+        },
+
+        async removeDone(before) {
+            const count = tables.jobs.length;
+            tables.jobs = tables.jobs.filter(job => job.status !== 'done' || compareValues(job.updated_at, before) >= 0);
+            persist();
+            return count - tables.jobs.length;
+        }
+    };
+
+    /** unique (user_id, external_id) of the gear table. */
+    function uniqueGear(row, id = null) {
+        if (isNull(row.external_id)) return;
+        const existing = tables.gear.find(other => String(other.id) !== String(id)
+            && String(other.user_id) === String(row.user_id)
+            && other.external_id === row.external_id);
+        if (existing) {
+            throw new StorageError(
+                '23505',
+                'duplicate key value violates unique constraint "gear_user_id_external_id_key"',
+                `Key (user_id, external_id)=(${row.user_id}, ${row.external_id}) already exists.`
+            );
+        }
+    }
+
+    const gear = {
+        async list(userId) {
+            return copy(tables.gear
+                .filter(row => String(row.user_id) === String(userId))
+                .sort((a, b) => a.id - b.id));
+        },
+
+        async find(id) {
+            return copy(tables.gear.find(row => String(row.id) === String(id)));
+        },
+
+        async insert(row) {
+            notNull('gear', 'user_id', row);
+            notNull('gear', 'name', row);
+            uniqueGear(row);
+            const stored = insertRow('gear', row);
+            persist();
+            return copy(stored);
+        },
+
+        async update(id, changes) {
+            const stored = tables.gear.find(row => String(row.id) === String(id));
+            if (!stored) return null;
+            uniqueGear({ ...stored, ...changes }, id);
+            updateRow(stored, changes);
+            persist();
+            return copy(stored);
+        },
+
+        async remove(id) {
+            tables.gear = tables.gear.filter(row => String(row.id) !== String(id));
+            persist();
+        }
+    };
+
+    const goals = {
+        async list(userId) {
+            return copy(tables.goals
+                .filter(row => String(row.user_id) === String(userId))
+                .sort((a, b) => a.id - b.id));
+        },
+
+        async find(id) {
+            return copy(tables.goals.find(row => String(row.id) === String(id)));
+        },
+
+        async insert(row) {
+            notNull('goals', 'user_id', row);
+            notNull('goals', 'target', row);
+            const stored = insertRow('goals', row);
+            persist();
+            return copy(stored);
+        },
+
+        async update(id, changes) {
+            const stored = tables.goals.find(row => String(row.id) === String(id));
+            if (!stored) return null;
+            updateRow(stored, changes);
+            persist();
+            return copy(stored);
+        },
+
+        async remove(id) {
+            tables.goals = tables.goals.filter(row => String(row.id) !== String(id));
+            persist();
+        }
+    };
+
+    const routes = {
+        async list(userId) {
+            return copy(tables.routes
+                .filter(row => String(row.user_id) === String(userId))
+                .sort((a, b) => a.id - b.id));
+        },
+
+        async find(id) {
+            return copy(tables.routes.find(row => String(row.id) === String(id)));
+        },
+
+        async insert(row) {
+            notNull('routes', 'user_id', row);
+            const stored = insertRow('routes', row);
+            persist();
+            return copy(stored);
+        },
+
+        async update(id, changes) {
+            const stored = tables.routes.find(row => String(row.id) === String(id));
+            if (!stored) return null;
+            updateRow(stored, changes);
+            persist();
+            return copy(stored);
+        },
+
+        async remove(id) {
+            tables.routes = tables.routes.filter(row => String(row.id) !== String(id));
+            persist();
+        }
+    };
+
+    return {
+        activities,
+        maps,
+        tokens,
+        athletes,
+        athleteStats,
+        personalRecords,
+        sessions,
+        profiles,
+        jobs,
+        gear,
+        goals,
+        routes
+    };
+}
+
+module.exports = { StorageError, createMemoryRepositories };
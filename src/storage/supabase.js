@@ -0,0 +1,686 @@
+/**
+ * Supabase (PostgREST) storage backend.
+ * Implements the repository contract described in {@link module:storage}.
+ * Errors are the Supabase error objects, carrying Postgres error codes.
+ * @module storage/supabase
+ */
+
+const { applyActivityQuery } = require('../activities/query');
+const { changedFields } = require('./changes');
+
+/** Rows per request; PostgREST caps responses at 1000 rows by default. */
+const PAGE_SIZE = 1000;
+
+/**
+ * Unwrap a Supabase response.
+ * @param {{data: *, error: ?Object}} response
+ * @returns {*} data
+ * @throws {Object} Supabase error
+ */
+function unwrap({ data, error }) {
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * PostgREST filter matching the maps of an activity: linked through
+ * `activity_id` or, as Strava names maps, with `map_id` "a<external_id>".
+ */
+function activityMapFilter(activity) {
+    const filters = [`activity_id.eq.${activity.id}`];
+    if (activity.external_id) {
+        filters.push(`map_id.eq."a${activity.external_id}"`);
+    }
+    return filters.join(',');
+}
+
+function createActivityRepository(supabase) {
+    return {
+        async query(parsed) {
+            return unwrap(await applyActivityQuery(supabase.from('activities'), parsed));
+        },
+
+        async find(match) {
+            let query = supabase.from('activities').select('*');
+            for (const [column, value] of Object.entries(match)) {
+                query = query.eq(column, value);
+            }
+            return unwrap(await query.maybeSingle());
+        },
+
+        async listForUser(userId, columns, { after, before } = {}) {
+            const rows = [];
+
+            for (let from = 0; ; from += PAGE_SIZE) {
+                let query = supabase
+                    .from('activities')
+                    .select(columns)
+                    .eq('user_id', userId)
+                    .is('deleted_at', null);
+                if (after) query = query.gte('start_date', after);
+                if (before) query = query.lt('start_date', before);
+
+                const data = unwrap(await query
+                    .order('start_date', { ascending: true })
+                    .order('id', { ascending: true })
+                    .range(from, from + PAGE_SIZE - 1));
+
+                rows.push(...data);
+                if (data.length < PAGE_SIZE) return rows;
+            }
+        },
+
+        async findByExternalIds(externalIds) {
+            return unwrap(await supabase
+                .from('activities')
+                .select('*')
+                .in('external_id', externalIds));
+        },
+
+        async insert(row) {
+            const data = unwrap(await supabase
+                .from('activities')
+                .insert([row])
+                .select());
+            return data[0];
+        },
+
+        async upsertByExternalId(rows) {
+            // Own rows only, for their versions; other users' rows are left to the database
+            const existing = unwrap(await supabase
+                .from('activities')
+                .select('*')
+                .in('external_id', rows.map(row => row.external_id)));
+            const stored = new Map(existing
+                .filter(row => rows.some(other => String(other.external_id) === String(row.external_id)
+                    && String(other.user_id) === String(row.user_id)))
+                .map(row => [String(row.external_id), row]));
+
+            // Updated rows get a new version so cached ETags stop matching; unchanged rows keep theirs
+            const updatedAt = new Date().toISOString();
+            const fresh = rows.filter(row => !stored.has(String(row.external_id)));
+            const updated = rows
+                .filter(row => stored.has(String(row.external_id))
+                    && changedFields(stored.get(String(row.external_id)), row).length > 0)
+                .map(row => ({
+                    ...row,
+                    version: Number(stored.get(String(row.external_id)).version || 1) + 1,
+                    updated_at: updatedAt
+                }));
+            // Conflicts only resolve on the owner's own row: a row of another user with the
+            // same external_id violates the unique external_id in the same statement (23505)
+            for (const batch of [fresh, updated]) {
+                if (batch.length === 0) continue;
+                unwrap(await supabase
+                    .from('activities')
+                    .upsert(batch, { onConflict: 'user_id,external_id' }));
+            }
+        },
+
+        async updateVersion(id, version, changes) {
+            const data = unwrap(await supabase
+                .from('activities')
+                .update(changes)
+                .eq('id', id)
+                .eq('version', version)
+                .select());
+            return data.length > 0 ? data[0] : null;
+        },
+
+        async setPrCount(id, prCount) {
+            unwrap(await supabase
+                .from('activities')
+                .update({ pr_count: prCount })
+                .eq('id', id));
+        },
+
+        async setGear(id, link) {
+            unwrap(await supabase
+                .from('activities')
+                .update(link)
+                .eq('id', id));
+        },
+
+        async clearGear(gearId) {
+            unwrap(await supabase
+                .from('activities')
+                .update({ gear_id: null, gear: null, gear_external_id: null })
+                .eq('gear_id', gearId));
+        },
+
+        async setRoute(id, routeId) {
+            unwrap(await supabase
+                .from('activities')
+                .update({ route_id: routeId })
+                .eq('id', id));
+        }
+    };
+}
+
+function createMapRepository(supabase) {
+    return {
+        async insert(row) {
+            const data = unwrap(await supabase
+                .from('maps')
+                .insert([row])
+                .select());
+            return data[0];
+        },
+
+        async latestForActivity(activity) {
+            const data = unwrap(await supabase
+                .from('maps')
+                .select('*')
+                .eq('user_id', activity.user_id)
+                .or(activityMapFilter(activity))
+                .is('deleted_at', null)
+                .order('created_at', { ascending: false })
+                .limit(1));
+            return data.length > 0 ? data[0] : null;
+        },
+
+        async listForUser(userId, columns) {
+            const rows = [];
+
+            for (let from = 0; ; from += PAGE_SIZE) {
+                const data = unwrap(await supabase
+                    .from('maps')
+                    .select(columns)
+                    .eq('user_id', userId)
+                    .is('deleted_at', null)
+                    .order('id', { ascending: true })
+                    .range(from, from + PAGE_SIZE - 1));
+
+                rows.push(...data);
+                if (data.length < PAGE_SIZE) return rows;
+            }
+        },
+
+        async setDeletedForActivity(activity, deletedAt) {
+            unwrap(await supabase
+                .from('maps')
+                .update({ deleted_at: deletedAt })
+                .eq('user_id', activity.user_id)
+                .or(activityMapFilter(activity)));
+        },
+
+        async moveToActivity(activity, target) {
+            unwrap(await supabase
+                .from('maps')
+                .update({ activity_id: target.id })
+                .eq('user_id', activity.user_id)
+                .or(activityMapFilter(activity)));
+        }
+    };
+}
+
+function createTokenRepository(supabase) {
+    return {
+        async get(userId, columns) {
+            return unwrap(await supabase
+                .from('tokens')
+                .select(columns.join(', '))
+                .eq('user_id', userId)
+                .maybeSingle());
+        },
+
+        async upsert(row) {
+            const data = unwrap(await supabase
+                .from('tokens')
+                .upsert(row)
+                .select());
+            return data.length > 0 ? data[0] : null;
+        },
+
+        async update(userId, changes) {
+            unwrap(await supabase
+                .from('tokens')
+                .update(changes)
+                .eq('user_id', userId));
+        },
+
+        async remove(userId) {
+            unwrap(await supabase
+                .from('tokens')
+                .delete()
+                .eq('user_id', userId));
+        },
+
+        async listNotUnderKey(keyId, { afterUserId, limit }) {
+            let query = supabase
+                .from('tokens')
+                .select('user_id, refresh_token, access_token, key_id, updated_at')
+                .or(`key_id.is.null,key_id.neq.${keyId}`)
+                .order('user_id')
+                .limit(limit);
+            if (afterUserId !== null && afterUserId !== undefined) query = query.gt('user_id', afterUserId);
+            return unwrap(await query);
+        },
+
+        async updateIfUnchanged(row, changes) {
+            let query = supabase
+                .from('tokens')
+                .update(changes)
+                .eq('user_id', row.user_id)
+                .eq('updated_at', row.updated_at);
+            query = row.key_id === null ? query.is('key_id', null) : query.eq('key_id', row.key_id);
+
+            const data = unwrap(await query.select('user_id'));
+            return data.length > 0;
+        }
+    };
+}
+
+function createAthleteRepository(supabase) {
+    return {
+        async findByStravaId(id) {
+            return unwrap(await supabase
+                .from('athletes')
+                .select('*')
+                .eq('id', id)
+                .maybeSingle());
+        },
+
+        async findByUserId(userId) {
+            return unwrap(await supabase
+                .from('athletes')
+                .select('*')
+                .eq('user_id', userId)
+                .maybeSingle());
+        },
+
+        async updateByUserId(userId, changes) {
+            return unwrap(await supabase
+                .from('athletes')
+                .update(changes)
+                .eq('user_id', userId)
+                .select());
+        }
+    };
+}
+
+function createAthleteStatsRepository(supabase) {
+    return {
+        async get(userId) {
+            return unwrap(await supabase
+                .from('athlete_stats')
+                .select('user_id, by_type, overall, time_zone, calculated_at')
+                .eq('user_id', userId)
+                .maybeSingle());
+        },
+
+        async upsert(row) {
+            const data = unwrap(await supabase
+                .from('athlete_stats')
+                .upsert(row, { onConflict: 'user_id' })
+                .select());
+            return data[0];
+        }
+    };
+}
+
+function createPersonalRecordRepository(supabase) {
+    return {
+        async replaceForUser(userId, entries) {
+            unwrap(await supabase
+                .from('personal_records')
+                .delete()
+                .eq('user_id', userId));
+
+            if (entries.length > 0) {
+                unwrap(await supabase
+                    .from('personal_records')
+                    .insert(entries));
+            }
+        },
+
+        async current(userId) {
+            return unwrap(await supabase
+                .from('personal_records')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('current', true));
+        },
+
+        async history(userId, sport, recordType) {
+            return unwrap(await supabase
+                .from('personal_records')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('sport', sport)
+                .eq('record_type', recordType)
+                .order('achieved_at', { ascending: true }));
+        },
+
+        async forActivity(activityId) {
+            return unwrap(await supabase
+                .from('personal_records')
+                .select('*')
+                .eq('activity_id', activityId));
+        }
+    };
+}
+
+function createSessionRepository(supabase) {
+    return {
+        async insert(row) {
+            const data = unwrap(await supabase
+                .from('sessions')
+                .insert([row])
+                .select());
+            return data[0];
+        },
+
+        async findBySessionId(sessionId) {
+            return unwrap(await supabase
+                .from('sessions')
+                .select('*')
+                .eq('session_id', sessionId)
+                .maybeSingle());
+        },
+
+        async latestForAuthId(authId, now) {
+            const data = unwrap(await supabase
+                .from('sessions')
+                .select('*')
+                .eq('auth_id', authId)
+                .gt('expires_at', now)
+                .order('created_at', { ascending: false })
+                .limit(1));
+            return data.length > 0 ? data[0] : null;
+        },
+
+        async latestForUserId(userId, now) {
+            const data = unwrap(await supabase
+                .from('sessions')
+                .select('*')
+                .eq('user_id', userId)
+                .gt('expires_at', now)
+                .order('created_at', { ascending: false })
+                .limit(1));
+            return data.length > 0 ? data[0] : null;
+        },
+
+        async listForUser(userId, now) {
+            return unwrap(await supabase
+                .from('sessions')
+                .select('*')
+                .eq('user_id', userId)
+                .gt('expires_at', now)
+                .order('last_used_at', { ascending: false }));
+        },
+
+        async update(sessionId, changes) {
+            const data = unwrap(await supabase
+                .from('sessions')
+                .update(changes)
+                .eq('session_id', sessionId)
+                .select());
+            return data.length > 0 ? data[0] : null;
+        },
+
+        async remove(sessionId) {
+            const data = unwrap(await supabase
+                .from('sessions')
+                .delete()
+                .eq('session_id', sessionId)
+                .select('session_id'));
+            return data.length;
+        },
+
+        async removeForUser(userId, { except } = {}) {
+            let query = supabase
+                .from('sessions')
+                .delete()
+                .eq('user_id', userId);
+            if (except) query = query.neq('session_id', except);
+            const data = unwrap(await query.select('session_id'));
+            return data.length;
+        },
+
+        async removeExpired(now) {
+            const data = unwrap(await supabase
+                .from('sessions')
+                .delete()
+                .lte('expires_at', now)
+                .select('session_id'));
+            return data.length;
+        }
+    };
+}
+
+function createProfileRepository(supabase) {
+    return {
+        async findByAuthId(authId) {
+            return unwrap(await supabase
+                .from('profiles')
+                .select('*')
+                .eq('auth_id', authId)
+                .maybeSingle());
+        },
+
+        async findByUserId(userId) {
+            return unwrap(await supabase
+                .from('profiles')
+                .select('*')
+                .eq('user_id', userId)
+                .maybeSingle());
+        }
+    };
+}
+
+function createJobRepository(supabase) {
+    return {
+        async insert(row) {
+            const data = unwrap(await supabase
+                .from('jobs')
+                .insert([row])
+                .select());
+            return data[0];
+        },
+
+        async due(now, staleBefore, limit) {
+            return unwrap(await supabase
+                .from('jobs')
+                .select('*')
+                .or(`and(status.eq.pending,run_at.lte.${now}),and(status.eq.processing,locked_at.lt.${staleBefore})`)
+                .order('run_at')
+                .limit(limit));
+        },
+
+        async claim(job, changes) {
+            const data = unwrap(await supabase
+                .from('jobs')
+                .update(changes)
+                .eq('id', job.id)
+                .eq('status', job.status)
+                .eq('attempts', job.attempts)
+                .select());
+            return data.length > 0 ? data[0] : null;
+        },
+
+        async update(id, changes) {
+            unwrap(await supabase
+                .from('jobs')
+                .update(changes)
+                .eq('id', id));
+        },
+
+        async findPending(type, payload) {
+            const data = unwrap(await supabase
+                .from('jobs')
+                .select('*')
+                .eq('status', 'pending')
+                .eq('type', type)
+                .contains('payload', payload)
+                .limit(1));
+            return data[0] || null;
+        },
+
+        async removeDone(before) {
+            const data = unwrap(await supabase
+                .from('jobs')
+                .delete()
+                .eq('status', 'done')
+                .lt('updated_at', before)
+                .select('id'));
+            return data.length;
+        }
+    };
+}
+
+function createGearRepository(supabase) {
+    return {
+        async list(userId) {
+            return unwrap(await supabase
+                .from('gear')
+                .select('*')
+                .eq('user_id', userId)
+                .order('id'));
+        },
+
+        async find(id) {
+            return unwrap(await supabase
+                .from('gear')
+                .select('*')
+                .eq('id', id)
+                .maybeSingle());
+        },
+
+        async insert(row) {
+            const data = unwrap(await supabase
+                .from('gear')
+                .insert([row])
+                .select());
+            return data[0];
+        },
+
+        async update(id, changes) {
+            const data = unwrap(await supabase
+                .from('gear')
+                .update(changes)
+                .eq('id', id)
+                .select());
+            return data.length > 0 ? data[0] : null;
+        },
+
+        async remove(id) {
+            unwrap(await supabase
+                .from('gear')
+                .delete()
+                .eq('id', id));
+        }
+    };
+}
+
+function createGoalRepository(supabase) {
+    return {
+        async list(userId) {
+            return unwrap(await supabase
+                .from('goals')
+                .select('*')
+                .eq('user_id', userId)
+                .order('id'));
+        },
+
+        async find(id) {
+            return unwrap(await supabase
+                .from('goals')
+                .select('*')
+                .eq('id', id)
+                .maybeSingle());
+        },
+
+        async insert(row) {
+            const data = unwrap(await supabase
+                .from('goals')
+                .insert([row])
+                .select());
+            return data[0];
+        },
+
+        async update(id, changes) {
+            const data = unwrap(await supabase
+                .from('goals')
+                .update(changes)
+                .eq('id', id)
+                .select());
+            return data.length > 0 ? data[0] : null;
+        },
+
+        async remove(id) {
+            unwrap(await supabase
+                .from('goals')
+                .delete()
+                .eq('id', id));
+        }
+    };
+}
+
+function createRouteRepository(supabase) {
+    return {
+        async list(userId) {
+            return unwrap(await supabase
+                .from('routes')
+                .select('*')
+                .eq('user_id', userId)
+                .order('id'));
+        },
+
+        async find(id) {
+            return unwrap(await supabase
+                .from('routes')
+                .select('*')
+                .eq('id', id)
+                .maybeSingle());
+        },
+
+        async insert(row) {
+            const data = unwrap(await supabase
+                .from('routes')
+                .insert([row])
+                .select());
+            return data[0];
+        },
+
+        async update(id, changes) {
+            const data = unwrap(await supabase
+                .from('routes')
+                .update(changes)
+                .eq('id', id)
+                .select());
+            return data.length > 0 ? data[0] : null;
+        },
+
+        async remove(id) {
+            unwrap(await supabase
+                .from('routes')
+                .delete()
+                .eq('id', id));
+        }
+    };
+}
+
+/**
+ * Create the repositories backed by a Supabase project.
+ * @param {Object} supabase - Supabase client
+ * @returns {Object} Repositories, see {@link module:storage}
+ */
+function createSupabaseRepositories(supabase) {
+    return {
+        activities: createActivityRepository(supabase),
+        maps: createMapRepository(supabase),
+        tokens: createTokenRepository(supabase),
+        athletes: createAthleteRepository(supabase),
+        athleteStats: createAthleteStatsRepository(supabase),
+        personalRecords: createPersonalRecordRepository(supabase),
+        sessions: createSessionRepository(supabase),
+        profiles: createProfileRepository(supabase),
+        jobs: createJobRepository(supabase),
+        gear: createGearRepository(supabase),
+        goals: createGoalRepository(supabase),
+        routes: createRouteRepository(supabase)
+    };
+}
+
+module.exports = { createSupabaseRepositories };
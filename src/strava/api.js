@@ -0,0 +1,51 @@
+/**
+ * Minimal client for the Strava REST API.
+ * @module strava/api
+ */
+
+/**
+ * Non-success response from the Strava API.
+ */
+class StravaApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'StravaApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * Create a Strava API client.
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl='https://www.strava.com/api/v3'] - API root, configurable for local stubs
+ * @param {number} [options.timeout=10000] - Request timeout in ms
+ * @returns {{getActivity: Function}}
+ */
+function createStravaApi({ baseUrl = 'https://www.strava.com/api/v3', timeout = 10000 } = {}) {
+    async function request(accessToken, path) {
+        const response = await fetch(`${baseUrl.replace(/\/$/, '')}${path}`, {
+            headers: { Authorization: `Bearer ${accessToken}` },
+            signal: AbortSignal.timeout(timeout)
+        });
+
+        if (!response.ok) {
+            throw new StravaApiError(response.status, `Strava API answered ${response.status} for ${path}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Fetch a detailed activity.
+     * @param {string} accessToken - Athlete's access token
+     * @param {string|number} activityId - Strava activity id
+     * @returns {Promise<Object>} Activity in the Strava API format
+     * @throws {StravaApiError} On a non-success response
+     */
+    function getActivity(accessToken, activityId) {
+        return request(accessToken, `/activities/${encodeURIComponent(activityId)}`);
+    }
+
+    return { getActivity };
+}
+
+module.exports = { StravaApiError, createStravaApi };
@@ -0,0 +1,281 @@
+/**
+ * Parser for the `activities.csv` file found in a Strava account export.
+ * Maps each CSV row to the `activities` columns the export carries, named as
+ * by {@link module:strava/transform.transformData}, plus the export-only
+ * columns (grade-adjusted distance, cadence, relative effort, gear and
+ * weather). Columns the export lacks, such as the time zone or kudos, are
+ * left out rather than defaulted, so re-importing an export never clears
+ * values stored from the Strava API.
+ * @module strava/csv-export
+ * @requires csv-parse
+ */
+
+const { parse } = require('csv-parse/sync');
+const { normalizeActivityTimes } = require('../time/zones');
+
+const MONTHS = {
+    Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5,
+    Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11
+};
+
+/**
+ * Error raised when a single CSV row cannot be mapped to an activity.
+ * The message is the human-readable rejection reason.
+ */
+class CsvRowError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CsvRowError';
+    }
+}
+
+/**
+ * Rename repeated headers so every column keeps its own value.
+ * The export repeats several headers ("Elapsed Time", "Distance",
+ * "Max Heart Rate", "Relative Effort", "Commute"): the first occurrence is the
+ * rounded display value, the second the precise one. The second copy becomes
+ * e.g. "Distance (2)".
+ * @param {string[]} headers - Raw header row
+ * @returns {string[]} Unique column names
+ */
+function dedupeHeaders(headers) {
+    const seen = {};
+    return headers.map(header => {
+        const name = header.trim();
+        seen[name] = (seen[name] || 0) + 1;
+        return seen[name] === 1 ? name : `${name} (${seen[name]})`;
+    });
+}
+
+/**
+ * Parse an export date such as "Jun 30, 2023, 9:26:21 PM".
+ * Strava writes these in UTC.
+ * @param {string} value - Date as written in the export
+ * @returns {string|null} ISO 8601 timestamp, or null when unparseable
+ */
+function parseExportDate(value) {
+    const match = /^([A-Z][a-z]{2}) (\d{1,2}), (\d{4}),? (\d{1,2}):(\d{2}):(\d{2}) ([AP]M)$/
+        .exec((value || '').trim());
+    if (!match || !(match[1] in MONTHS)) return null;
+
+    const [, month, day, year, hour, minute, second, meridiem] = match;
+    let hours = Number(hour) % 12;
+    if (meridiem === 'PM') hours += 12;
+
+    const date = new Date(Date.UTC(
+        Number(year), MONTHS[month], Number(day), hours, Number(minute), Number(second)
+    ));
+    if (date.getUTCDate() !== Number(day)) return null;
+
+    return date.toISOString();
+}
+
+/**
+ * Format a timestamp the way the export writes dates, the inverse of
+ * {@link parseExportDate}.
+ * @param {string} value - ISO 8601 timestamp
+ * @returns {string|null} e.g. "Jun 30, 2023, 9:26:21 PM" (UTC), or null when unparseable
+ */
+function formatExportDate(value) {
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) return null;
+
+    const month = Object.keys(MONTHS)[date.getUTCMonth()];
+    const hours = date.getUTCHours();
+    const pad = number => String(number).padStart(2, '0');
+    return `${month} ${date.getUTCDate()}, ${date.getUTCFullYear()}, `
+        + `${hours % 12 || 12}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Return the first non-empty value among the given columns.
+ * @param {Object} record - Parsed CSV row keyed by column name
+ * @param {...string} columns - Column names in order of preference
+ * @returns {{column: string, value: string}|null}
+ */
+function pick(record, ...columns) {
+    for (const column of columns) {
+        const value = record[column];
+        if (value !== undefined && value.trim() !== '') {
+            return { column, value: value.trim() };
+        }
+    }
+    return null;
+}
+
+function number(record, ...columns) {
+    const found = pick(record, ...columns);
+    if (!found) return null;
+
+    const value = Number(found.value);
+    if (!Number.isFinite(value)) {
+        throw new CsvRowError(`"${found.column}" is not a number: ${found.value}`);
+    }
+    return value;
+}
+
+function text(record, ...columns) {
+    const found = pick(record, ...columns);
+    return found ? found.value : null;
+}
+
+function bool(record, ...columns) {
+    const found = pick(record, ...columns);
+    if (!found) return false;
+
+    const value = found.value.toLowerCase();
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) {
+        throw new CsvRowError(`"${found.column}" is not a boolean: ${found.value}`);
+    }
+    return numeric !== 0;
+}
+
+/**
+ * Strava gear id of the row. The "Bike" and "Gear" columns hold the numeric
+ * id of the bike or shoe used; the API writes these as `b<id>` and `g<id>`.
+ * @param {Object} record - CSV row
+ * @returns {string|null} Gear id in API format
+ */
+function gearExternalId(record) {
+    const bike = text(record, 'Bike');
+    if (bike && /^\d+$/.test(bike)) return `b${bike}`;
+    const gear = text(record, 'Gear');
+    if (gear && /^\d+$/.test(gear)) return `g${gear}`;
+    return null;
+}
+
+/**
+ * Transform one CSV row into an `activities` row.
+ * @param {Object} record - CSV row keyed by (deduplicated) column name
+ * @returns {Object} Row ready to be written to the activities table
+ * @throws {CsvRowError} When a required field is missing or a value is malformed
+ */
+function transformCsvRecord(record) {
+    const externalId = text(record, 'Activity ID');
+    if (!externalId) {
+        throw new CsvRowError('missing "Activity ID"');
+    }
+    if (!/^\d+$/.test(externalId)) {
+        throw new CsvRowError(`"Activity ID" is not numeric: ${externalId}`);
+    }
+
+    const rawDate = text(record, 'Activity Date');
+    if (!rawDate) {
+        throw new CsvRowError('missing "Activity Date"');
+    }
+    const startDate = parseExportDate(rawDate);
+    if (!startDate) {
+        throw new CsvRowError(`unrecognised "Activity Date": ${rawDate}`);
+    }
+
+    const type = text(record, 'Activity Type');
+    if (!type) {
+        throw new CsvRowError('missing "Activity Type"');
+    }
+
+    const totalWork = number(record, 'Total Work');
+    const averageHeartRate = number(record, 'Average Heart Rate');
+
+    return normalizeActivityTimes({
+        external_id: externalId,
+        name: text(record, 'Activity Name'),
+        // The export spells types out ("Weight Training"); the API does not.
+        type: type.replace(/[\s-]+/g, ''),
+        detail: text(record, 'Activity Description'),
+        // The first "Distance" column is rounded and in the athlete's display
+        // units, so only the precise column (meters) is used.
+        distance: number(record, 'Distance (2)'),
+        moving_time: number(record, 'Moving Time'),
+        elapsed_time: number(record, 'Elapsed Time (2)', 'Elapsed Time'),
+        high_elevation: number(record, 'Elevation High'),
+        low_elevation: number(record, 'Elevation Low'),
+        total_elevation_gain: number(record, 'Elevation Gain'),
+        start_date: startDate,
+        commute: bool(record, 'Commute (2)', 'Commute'),
+        flagged: bool(record, 'Flagged'),
+        average_speed: number(record, 'Average Speed'),
+        max_speed: number(record, 'Max Speed'),
+        calories: number(record, 'Calories'),
+        kilo_joules: totalWork === null ? null : totalWork / 1000,
+        average_power: number(record, 'Average Watts'),
+        max_power: number(record, 'Max Watts'),
+        has_heart_rate: averageHeartRate !== null,
+        average_heart_rate: averageHeartRate,
+        max_heart_rate: number(record, 'Max Heart Rate (2)', 'Max Heart Rate'),
+
+        // Export-only columns
+        grade_adjusted_distance: number(record, 'Grade Adjusted Distance'),
+        average_cadence: number(record, 'Average Cadence'),
+        max_cadence: number(record, 'Max Cadence'),
+        relative_effort: number(record, 'Relative Effort (2)', 'Relative Effort'),
+        gear: text(record, 'Activity Gear', 'Gear', 'Bike'),
+        gear_external_id: gearExternalId(record),
+        weather_condition: number(record, 'Weather Condition'),
+        weather_temperature: number(record, 'Weather Temperature'),
+        weather_apparent_temperature: number(record, 'Apparent Temperature'),
+        weather_dewpoint: number(record, 'Dewpoint'),
+        weather_humidity: number(record, 'Humidity'),
+        weather_wind_speed: number(record, 'Wind Speed'),
+        weather_wind_gust: number(record, 'Wind Gust'),
+        weather_wind_bearing: number(record, 'Wind Bearing'),
+        weather_precipitation_intensity: number(record, 'Precipitation Intensity'),
+        weather_cloud_cover: number(record, 'Cloud Cover')
+    });
+}
+
+/**
+ * Parse a Strava `activities.csv` export.
+ * Rows that cannot be mapped are not thrown; they are collected in
+ * `rejected` together with their line number and the reason.
+ * @param {string|Buffer} input - Raw CSV content
+ * @returns {{rows: Array<{line: number, data: Object}>, rejected: Array<{line: number, external_id: ?string, reason: string}>}}
+ */
+function parseActivitiesCsv(input) {
+    const records = parse(input, {
+        columns: dedupeHeaders,
+        bom: true,
+        info: true,
+        relax_column_count: true,
+        skip_empty_lines: true
+    });
+
+    const rows = [];
+    const rejected = [];
+    const seenIds = new Set();
+    // info.lines is the line a record ends on and multi-line descriptions are
+    // common, so track where each record starts instead.
+    let previousEnd = 1;
+
+    for (const { info, record } of records) {
+        const line = previousEnd + 1;
+        previousEnd = info.lines;
+        const externalId = text(record, 'Activity ID');
+
+        try {
+            const data = transformCsvRecord(record);
+            if (seenIds.has(data.external_id)) {
+                throw new CsvRowError(`duplicate "Activity ID" ${data.external_id} in file`);
+            }
+            seenIds.add(data.external_id);
+            rows.push({ line, data });
+        } catch (error) {
+            if (!(error instanceof CsvRowError)) throw error;
+            rejected.push({ line, external_id: externalId, reason: error.message });
+        }
+    }
+
+    return { rows, rejected };
+}
+
+module.exports = {
+    CsvRowError,
+    dedupeHeaders,
+    parseExportDate,
+    formatExportDate,
+    transformCsvRecord,
+    parseActivitiesCsv
+};
@@ -0,0 +1,30 @@
+/**
+ * Storage of the routes of activities synced or imported from Strava.
+ * @module strava/maps
+ */
+
+/**
+ * Store a route of an activity in `maps`, linked to the activity and its
+ * owner. A route that already is the activity's latest is not stored again,
+ * so syncing or importing the same activity twice adds no maps.
+ * @param {Object} maps - Map repository from {@link module:storage}
+ * @param {Object} activity - The stored activity
+ * @param {{map_id: ?string, summary_polyline: string}} map - Route, see
+ * {@link module:strava/transform.transformMap}
+ * @returns {Promise<boolean>} Whether a map was stored
+ */
+async function saveActivityMap(maps, activity, map) {
+    const latest = await maps.latestForActivity(activity);
+    if (latest && latest.summary_polyline === map.summary_polyline) return false;
+
+    await maps.insert({
+        map_id: map.map_id,
+        activity_id: activity.id,
+        user_id: activity.user_id,
+        summary_polyline: map.summary_polyline,
+        created_at: new Date().toISOString()
+    });
+    return true;
+}
+
+module.exports = { saveActivityMap };
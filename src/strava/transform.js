@@ -0,0 +1,78 @@
+/**
+ * Mapping from the Strava API activity format (as found in the JSON export
+ * and returned by `GET /activities/:id`) to `activities` table rows.
+ * @module strava/transform
+ */
+
+const { normalizeActivityTimes } = require('../time/zones');
+
+/**
+ * Transform a Strava API activity into an `activities` row. Strava's
+ * "(GMT-05:00) America/Atikokan" time zones are stored as IANA names.
+ * @param {Object} record - Strava activity as returned by the API
+ * @returns {Object} Row ready to be written to the activities table
+ */
+function transformData(record) {
+    const transformedData = {
+        external_id: record.id?.toString(),
+        upload_id: record.upload_id,
+        name: record.name,
+        type: record.type,
+        detail: record.description,
+        distance: record.distance,
+        moving_time: record.moving_time,
+        elapsed_time: record.elapsed_time,
+        high_elevation: record.elev_high,
+        low_elevation: record.elev_low,
+        total_elevation_gain: record.total_elevation_gain,
+        start_date: record.start_date,
+        start_date_local: record.start_date_local,
+        time_zone: record.timezone,
+        achievement_count: record.achievement_count || 0,
+        kudos_count: record.kudos_count || 0,
+        comment_count: record.comment_count || 0,
+        athlete_count: record.athlete_count || 1,
+        photo_count: record.photo_count || 0,
+        total_photo_count: record.total_photo_count || 0,
+        trainer: record.trainer || false,
+        commute: record.commute || false,
+        manual: record.manual || false,
+        private: record.private || false,
+        flagged: record.flagged || false,
+        average_speed: record.average_speed,
+        max_speed: record.max_speed,
+        calories: record.calories,
+        has_kudoed: record.has_kudoed || false,
+        kilo_joules: record.kilojoules,
+        average_power: record.average_watts,
+        max_power: record.max_watts,
+        device_watts: record.device_watts || false,
+        has_heart_rate: record.has_heartrate || false,
+        average_heart_rate: record.average_heartrate,
+        max_heart_rate: record.max_heartrate,
+        gear_external_id: record.gear_id
+    };
+
+    // Convert any undefined values to null
+    Object.keys(transformedData).forEach(key => {
+        if (transformedData[key] === undefined) {
+            transformedData[key] = null;
+        }
+    });
+
+    return normalizeActivityTimes(transformedData);
+}
+
+/**
+ * The route of a Strava API activity, for a `maps` row.
+ * @param {Object} record - Strava activity as returned by the API
+ * @returns {?{map_id: string, summary_polyline: string}} null when it has no route
+ */
+function transformMap(record) {
+    const polyline = record.map && record.map.summary_polyline;
+    if (!polyline) return null;
+
+    return { map_id: record.map.id ?? `a${record.id}`, summary_polyline: polyline };
+}
+
+module.exports = { transformData, transformMap };
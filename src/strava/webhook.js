@@ -0,0 +1,207 @@
+/**
+ * Processing of Strava webhook events.
+ * Events are received by `POST /webhooks/strava`, queued as `strava_event`
+ * jobs and handled here by the job queue.
+ * @module strava/webhook
+ */
+
+const { PermanentJobError } = require('../jobs/queue');
+const { TokenRevokedError } = require('../tokens/refresh');
+const { StravaApiError } = require('./api');
+const { transformData, transformMap } = require('./transform');
+const { saveActivityMap } = require('./maps');
+const { DuplicateActivityError } = require('../activities/duplicates');
+const { createLogger } = require('../logging/logger');
+
+const OBJECT_TYPES = ['activity', 'athlete'];
+const ASPECT_TYPES = ['create', 'update', 'delete'];
+
+/**
+ * Columns a Strava `update` event can change; everything else of a stored
+ * activity may have been edited or merged here and is kept.
+ * @constant {Array<string>}
+ */
+const SYNCED_FIELDS = ['name', 'type', 'private'];
+
+/**
+ * Check that a request body looks like a Strava webhook event.
+ * @param {Object} event - Request body
+ * @returns {boolean}
+ */
+function isWebhookEvent(event) {
+    return Boolean(event)
+        && OBJECT_TYPES.includes(event.object_type)
+        && ASPECT_TYPES.includes(event.aspect_type)
+        && Number.isFinite(Number(event.object_id))
+        && Number.isFinite(Number(event.owner_id));
+}
+
+/**
+ * Create the webhook event processor.
+ * @param {Object} options
+ * @param {Object} options.athletes - Athlete repository from {@link module:storage}
+ * @param {Object} options.activities - Activity repository from {@link module:storage}
+ * @param {Object} options.maps - Map repository from {@link module:storage}
+ * @param {Object} options.tokens - Token repository from {@link module:storage}
+ * @param {Object} options.tokenRefresher - Refresher from {@link module:tokens/refresh}
+ * @param {Object} options.stravaApi - Client from {@link module:strava/api}
+ * @param {Object} options.activityLifecycle - Service from {@link module:activities/lifecycle}
+ * @param {Object} [options.duplicates] - Service from {@link module:activities/duplicates}, applying
+ * the duplicate policy to activities new to the API
+ * @param {Function} [options.onActivitiesChanged] - Called with the user id after an activity was written or deleted
+ * @param {Object} [options.logger] - Logger from {@link module:logging/logger}
+ * @returns {{processEvent: Function}}
+ */
+function createWebhookProcessor({
+    athletes,
+    activities,
+    maps,
+    tokens,
+    tokenRefresher,
+    stravaApi,
+    activityLifecycle,
+    duplicates = null,
+    onActivitiesChanged = async () => {},
+    logger = createLogger()
+}) {
+    /**
+     * Resolve a Strava athlete id to the user owning it.
+     * @param {number} ownerId - Strava athlete id (`owner_id` of the event)
+     * @returns {Promise<string>} user_id
+     * @throws {PermanentJobError} When no athlete has this id
+     */
+    async function userIdForAthlete(ownerId) {
+        const data = await athletes.findByStravaId(ownerId);
+        if (!data) throw new PermanentJobError(`No athlete with Strava id ${ownerId}`);
+
+        return String(data.user_id);
+    }
+
+    async function syncActivity(userId, activityId) {
+        let token;
+        try {
+            token = await tokenRefresher.getAccessToken(userId);
+        } catch (error) {
+            if (error instanceof TokenRevokedError) {
+                throw new PermanentJobError(`Tokens of user ${userId} have been revoked`);
+            }
+            throw error;
+        }
+        if (!token) throw new PermanentJobError(`No tokens stored for user ${userId}`);
+
+        let activity;
+        try {
+            activity = await stravaApi.getActivity(token.access_token, activityId);
+        } catch (error) {
+            if (error instanceof StravaApiError && error.status === 404) {
+                // Deleted or no longer visible before we got to it
+                logger.info('Activity is not available any more, skipping', { user_id: userId, activity_id: activityId });
+                return;
+            }
+            if (error instanceof StravaApiError && (error.status === 401 || error.status === 403)) {
+                throw new PermanentJobError(error.message);
+            }
+            throw error;
+        }
+
+        const row = { ...transformData(activity), user_id: userId };
+        const map = transformMap(activity);
+        const existing = await activities.find({ external_id: row.external_id });
+        if (!existing) return createActivity(row, map);
+
+        if (String(existing.user_id) !== userId) {
+            throw new PermanentJobError(`Activity ${activityId} belongs to another user`);
+        }
+        if (existing.deleted_at) {
+            logger.info('Activity has been deleted, skipping', { user_id: userId, activity_id: activityId });
+            return;
+        }
+        await updateActivity(existing, row);
+        if (map) await saveActivityMap(maps, existing, map);
+    }
+
+    /**
+     * Store an activity new to the API with its route, applying the
+     * duplicate policy when configured.
+     * @param {Object} row - Mapped activity
+     * @param {?Object} map - Its route, see {@link module:strava/transform.transformMap}
+     */
+    async function createActivity(row, map) {
+        const store = async checked => {
+            const stored = await activities.insert(checked);
+            if (map) await saveActivityMap(maps, stored, map);
+            return stored;
+        };
+        if (!duplicates) return store(row);
+
+        try {
+            await duplicates.admit(row, store);
+        } catch (error) {
+            if (!(error instanceof DuplicateActivityError)) throw error;
+            logger.info('Activity duplicates a stored one, skipping', {
+                user_id: row.user_id,
+                activity_id: row.external_id,
+                duplicate_of: error.activity.id
+            });
+        }
+    }
+
+    /**
+     * Copy the columns Strava lets the athlete change to a stored activity,
+     * see {@link SYNCED_FIELDS}. A concurrent change is retried.
+     * @param {Object} existing - Stored activity
+     * @param {Object} row - Mapped activity
+     */
+    async function updateActivity(existing, row) {
+        const changes = {};
+        for (const field of SYNCED_FIELDS) {
+            if (row[field] !== undefined && row[field] !== existing[field]) changes[field] = row[field];
+        }
+        if (Object.keys(changes).length === 0) return;
+
+        if (!(await activityLifecycle.update(existing, changes))) {
+            throw new Error(`Activity ${row.external_id} changed while being updated`);
+        }
+    }
+
+    async function deleteActivity(userId, activityId) {
+        const activity = await activityLifecycle.find({ external_id: String(activityId), user_id: userId });
+        if (!activity || activity.deleted_at) return;
+
+        // Soft delete like DELETE /activities/:id; a concurrent change is retried
+        if (!(await activityLifecycle.softDelete(activity))) {
+            throw new Error(`Activity ${activityId} changed while being deleted`);
+        }
+    }
+
+    function deauthorize(userId) {
+        return tokens.remove(userId);
+    }
+
+    /**
+     * Apply one webhook event.
+     * @param {Object} event - Strava webhook event
+     * @throws {PermanentJobError} When the event can never be applied
+     */
+    async function processEvent(event) {
+        const userId = await userIdForAthlete(event.owner_id);
+
+        if (event.object_type === 'activity') {
+            if (event.aspect_type === 'delete') {
+                await deleteActivity(userId, event.object_id);
+            } else {
+                await syncActivity(userId, event.object_id);
+            }
+            return onActivitiesChanged(userId);
+        }
+
+        // Athlete events only matter when the athlete revokes our access
+        if (event.updates && String(event.updates.authorized) === 'false') {
+            return deauthorize(userId);
+        }
+    }
+
+    return { processEvent };
+}
+
+module.exports = { isWebhookEvent, createWebhookProcessor };
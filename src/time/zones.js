@@ -0,0 +1,130 @@
+/**
+ * IANA time zone handling. Strava writes zones as "(GMT-05:00)
+ * America/Atikokan"; the IANA name at the end is what date arithmetic needs,
+ * and what activities and athletes store. Local times are represented as a
+ * Date whose UTC fields are the local wall-clock time, written like
+ * Strava's `start_date_local` ("2024-03-10T07:30:00Z").
+ * @module time/zones
+ */
+
+/**
+ * Normalize a time zone to its IANA name.
+ * @param {?string} value - IANA name ("Europe/Berlin") or Strava zone
+ * ("(GMT+01:00) Europe/Berlin")
+ * @returns {?string} IANA name, or null when unknown
+ */
+function parseTimeZone(value) {
+    if (typeof value !== 'string') return null;
+    const name = value.replace(/^\s*\([^)]*\)\s*/, '').trim();
+    if (!name) return null;
+    let resolved;
+    try {
+        resolved = new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+    // ICU maps some current names to older aliases (America/Atikokan to
+    // America/Coral_Harbour); keep the given name unless only its case differs
+    return resolved.toLowerCase() === name.toLowerCase() ? resolved : name;
+}
+
+const formatters = new Map();
+
+function formatterFor(zone) {
+    if (!formatters.has(zone)) {
+        formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(zone);
+}
+
+/**
+ * Wall-clock time in a zone at an instant.
+ * @param {Date} date - Instant
+ * @param {string} zone - IANA time zone
+ * @returns {Date} Date whose UTC fields are the local date and time
+ */
+function localTime(date, zone) {
+    const parts = {};
+    for (const { type, value } of formatterFor(zone).formatToParts(date)) {
+        parts[type] = Number(value);
+    }
+    return new Date(Date.UTC(
+        parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getUTCMilliseconds()
+    ));
+}
+
+/**
+ * Format a local time the way Strava writes `start_date_local`.
+ * @param {Date} local - Result of {@link localTime}
+ * @returns {string} e.g. 2024-03-10T07:30:00Z
+ */
+function formatLocalTime(local) {
+    return local.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Normalize the time fields of an activity being written: `time_zone`
+ * becomes its IANA name (null when it names no known zone), and a missing
+ * `start_date_local` is derived from `start_date` in that zone.
+ * @param {Object} fields - Activity fields; start_date, start_date_local and time_zone are read
+ * @returns {Object} Copy of the fields with time_zone and start_date_local normalized
+ */
+function normalizeActivityTimes(fields) {
+    const normalized = { ...fields };
+    if (fields.time_zone !== undefined && fields.time_zone !== null) {
+        normalized.time_zone = parseTimeZone(fields.time_zone);
+    }
+    const start = fields.start_date ? new Date(fields.start_date) : null;
+    if (!fields.start_date_local && normalized.time_zone && start && !Number.isNaN(start.getTime())) {
+        normalized.start_date_local = formatLocalTime(localTime(start, normalized.time_zone));
+    }
+    return normalized;
+}
+
+/**
+ * An athlete's time zone: their `time_zone` setting, else the zone of
+ * their latest activity that has one, else UTC.
+ * @param {?Object} athlete - Athlete row
+ * @param {Array<Object>} activities - Their activities with time_zone, oldest first
+ * @returns {string} IANA time zone
+ */
+function athleteTimeZone(athlete, activities) {
+    const own = parseTimeZone(athlete && athlete.time_zone);
+    if (own) return own;
+    for (let i = activities.length - 1; i >= 0; i--) {
+        const zone = parseTimeZone(activities[i].time_zone);
+        if (zone) return zone;
+    }
+    return 'UTC';
+}
+
+/**
+ * Local start of an activity: its `start_date_local`, or the UTC start
+ * converted to the athlete's zone for activities without one.
+ * @param {Object} activity - Activity row with start_date and start_date_local
+ * @param {string} zone - Athlete's time zone, see {@link athleteTimeZone}
+ * @returns {Date} Local time
+ */
+function activityLocalTime(activity, zone) {
+    return activity.start_date_local
+        ? new Date(activity.start_date_local)
+        : localTime(new Date(activity.start_date), zone);
+}
+
+module.exports = {
+    parseTimeZone,
+    localTime,
+    formatLocalTime,
+    normalizeActivityTimes,
+    athleteTimeZone,
+    activityLocalTime
+};
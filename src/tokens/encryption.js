@@ -0,0 +1,112 @@
+/**
+ * Authenticated encryption (AES-256-GCM) of OAuth tokens stored in the
+ * `tokens` table. Every encrypted value is bound to the row's user id and
+ * column name, and every row records the id of the key that encrypted it so
+ * keys can be rotated without downtime.
+ * @module tokens/encryption
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const VERSION = 'v1';
+
+/**
+ * Parse a keyring definition of the form `id1:base64key,id2:base64key`.
+ * @param {string} definition - Value of TOKEN_ENCRYPTION_KEYS
+ * @returns {Map<string, Buffer>} Keys by id
+ * @throws {Error} When a key is malformed or not 32 bytes long
+ */
+function parseKeyring(definition) {
+    const keys = new Map();
+    for (const entry of (definition || '').split(',').map(e => e.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        if (separator < 1) {
+            throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like <id>:<base64 key>');
+        }
+        const id = entry.slice(0, separator);
+        const key = Buffer.from(entry.slice(separator + 1), 'base64');
+        if (key.length !== 32) {
+            throw new Error(`Token encryption key ${id} must be 32 bytes`);
+        }
+        keys.set(id, key);
+    }
+    return keys;
+}
+
+/**
+ * Create a cipher over a keyring.
+ * @param {Object} options
+ * @param {Map<string, Buffer>} options.keys - Keys by id, see {@link parseKeyring}
+ * @param {string} options.currentKeyId - Key used for new encryptions
+ * @returns {{currentKeyId: string, encrypt: Function, decrypt: Function}}
+ */
+function createTokenCipher({ keys, currentKeyId }) {
+    if (!keys.has(currentKeyId)) {
+        throw new Error(`Token encryption key ${currentKeyId} is not in the keyring`);
+    }
+
+    /**
+     * @param {string} plaintext - Token to encrypt
+     * @param {string} context - Associated data, e.g. `user123:access_token`
+     * @returns {string} `v1.<iv>.<tag>.<ciphertext>`, base64url encoded
+     */
+    function encrypt(plaintext, context) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+        cipher.setAAD(Buffer.from(context));
+        const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+        return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+            .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+            .join('.');
+    }
+
+    /**
+     * @param {string} value - Output of encrypt
+     * @param {string} keyId - Key id stored with the row
+     * @param {string} context - Associated data used at encryption
+     * @returns {string} Plaintext token
+     * @throws {Error} When the key is unknown or the value was tampered with
+     */
+    function decrypt(value, keyId, context) {
+        const key = keys.get(keyId);
+        if (!key) {
+            throw new Error(`Token encryption key ${keyId} is not in the keyring`);
+        }
+
+        const [version, iv, tag, ciphertext] = String(value).split('.');
+        if (version !== VERSION || !ciphertext) {
+            throw new Error('Unrecognised encrypted token format');
+        }
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+        decipher.setAAD(Buffer.from(context));
+        decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+        return Buffer.concat([
+            decipher.update(Buffer.from(ciphertext, 'base64url')),
+            decipher.final()
+        ]).toString('utf8');
+    }
+
+    return { currentKeyId, encrypt, decrypt };
+}
+
+/**
+ * Build the cipher from TOKEN_ENCRYPTION_KEYS and TOKEN_ENCRYPTION_KEY_ID.
+ * @param {Object} env - Usually process.env
+ * @returns {Object} Cipher, see {@link createTokenCipher}
+ */
+function tokenCipherFromEnv(env) {
+    const keys = parseKeyring(env.TOKEN_ENCRYPTION_KEYS);
+    if (keys.size === 0) {
+        throw new Error('TOKEN_ENCRYPTION_KEYS must be set');
+    }
+    return createTokenCipher({
+        keys,
+        currentKeyId: env.TOKEN_ENCRYPTION_KEY_ID || [...keys.keys()].pop()
+    });
+}
+
+module.exports = { parseKeyring, createTokenCipher, tokenCipherFromEnv };
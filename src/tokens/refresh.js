@@ -0,0 +1,143 @@
+/**
+ * Server-side refresh of expired Strava access tokens.
+ * @module tokens/refresh
+ */
+
+const { createLogger } = require('../logging/logger');
+
+/**
+ * The provider rejected the refresh token; the user has to reconnect.
+ */
+class TokenRevokedError extends Error {
+    constructor(message = 'Refresh token has been revoked') {
+        super(message);
+        this.name = 'TokenRevokedError';
+    }
+}
+
+/**
+ * The token endpoint could not be reached or answered unexpectedly.
+ */
+class TokenRefreshError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TokenRefreshError';
+    }
+}
+
+/**
+ * Create a refresher that hands out valid access tokens.
+ * @param {Object} options
+ * @param {Object} options.tokenStore - Store from {@link module:tokens/store}
+ * @param {string} options.tokenUrl - OAuth token endpoint
+ * @param {string} options.clientId - OAuth client id
+ * @param {string} options.clientSecret - OAuth client secret
+ * @param {number} [options.refreshMargin=300] - Refresh tokens expiring within this many seconds
+ * @param {number} [options.timeout=10000] - Token endpoint timeout in ms
+ * @param {Object} [options.logger] - Logger from {@link module:logging/logger}
+ * @returns {{getAccessToken: Function}}
+ */
+function createTokenRefresher({
+    tokenStore,
+    tokenUrl,
+    clientId,
+    clientSecret,
+    refreshMargin = 300,
+    timeout = 10000,
+    logger = createLogger()
+}) {
+    // Refreshes in progress by user id, so concurrent reads share one exchange
+    const inFlight = new Map();
+
+    function secondsLeft(row) {
+        return (new Date(row.expires_at).getTime() - Date.now()) / 1000;
+    }
+
+    async function exchange(userId, refreshToken) {
+        let response;
+        try {
+            response = await fetch(tokenUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({
+                    client_id: clientId,
+                    client_secret: clientSecret,
+                    grant_type: 'refresh_token',
+                    refresh_token: refreshToken
+                }),
+                signal: AbortSignal.timeout(timeout)
+            });
+        } catch (error) {
+            throw new TokenRefreshError(`Token endpoint unreachable: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            // Only invalid_grant means the refresh token is dead; other 400/401 answers
+            // (bad client credentials, malformed requests) are our problem, not the user's
+            const error = await response.json().catch(() => ({}));
+            if ((response.status === 400 || response.status === 401) && error && error.error === 'invalid_grant') {
+                await tokenStore.markRevoked(userId);
+                throw new TokenRevokedError();
+            }
+            throw new TokenRefreshError(`Token endpoint answered ${response.status}`);
+        }
+
+        const body = await response.json().catch(() => ({}));
+        if (!body.access_token) {
+            throw new TokenRefreshError('Token endpoint returned no access_token');
+        }
+        const expiresAt = body.expires_at !== undefined
+            ? Number(body.expires_at)
+            : Math.floor(Date.now() / 1000) + Number(body.expires_in);
+        if (!Number.isFinite(expiresAt) || expiresAt <= 0) {
+            throw new TokenRefreshError('Token endpoint returned no valid expires_at or expires_in');
+        }
+
+        const saved = await tokenStore.save({
+            user_id: userId,
+            access_token: body.access_token,
+            // Providers may keep the refresh token and omit it from the response
+            refresh_token: body.refresh_token || refreshToken,
+            expires_at: expiresAt
+        });
+        return { access_token: saved.access_token, expires_at: saved.expires_at };
+    }
+
+    /**
+     * Return a user's access token, refreshing it first when it has expired
+     * or expires within the refresh margin. A token that is about to expire
+     * but still valid is returned as is if the refresh fails.
+     * @param {string} userId - Owner of the tokens
+     * @returns {Promise<?{access_token: string, expires_at: string}>} null when no tokens are stored
+     * @throws {TokenRevokedError} When the refresh token has been revoked
+     * @throws {TokenRefreshError} When an expired token could not be refreshed
+     */
+    async function getAccessToken(userId) {
+        const row = await tokenStore.find(userId, ['access_token', 'refresh_token', 'expires_at', 'revoked_at']);
+        if (!row) return null;
+        if (row.revoked_at) throw new TokenRevokedError();
+
+        const current = { access_token: row.access_token, expires_at: row.expires_at };
+        if (secondsLeft(row) > refreshMargin) return current;
+
+        let pending = inFlight.get(userId);
+        if (!pending) {
+            pending = exchange(userId, row.refresh_token).finally(() => inFlight.delete(userId));
+            inFlight.set(userId, pending);
+        }
+
+        try {
+            return await pending;
+        } catch (error) {
+            if (error instanceof TokenRefreshError && row.access_token && secondsLeft(row) > 0) {
+                logger.warn('Token refresh failed, returning current token', { user_id: userId, error });
+                return current;
+            }
+            throw error;
+        }
+    }
+
+    return { getAccessToken };
+}
+
+module.exports = { TokenRevokedError, TokenRefreshError, createTokenRefresher };
@@ -0,0 +1,116 @@
+/**
+ * Access to the `tokens` table with transparent encryption of the stored
+ * refresh and access tokens.
+ * @module tokens/store
+ */
+
+/**
+ * Columns holding encrypted token values.
+ * @constant {string[]}
+ */
+const ENCRYPTED_FIELDS = ['refresh_token', 'access_token'];
+
+/**
+ * Associated data binding a ciphertext to its row and column, so a value
+ * copied to another user or column fails to decrypt.
+ * @param {string} userId - Owner of the row
+ * @param {string} field - Column name
+ * @returns {string}
+ */
+function tokenContext(userId, field) {
+    return `${userId}:${field}`;
+}
+
+/**
+ * Create a token store.
+ * @param {Object} options
+ * @param {Object} options.tokens - Token repository from {@link module:storage}
+ * @param {Object} options.cipher - Cipher from {@link module:tokens/encryption}
+ * @returns {{save: Function, find: Function, markRevoked: Function, encryptRow: Function, decryptRow: Function}}
+ */
+function createTokenStore({ tokens, cipher }) {
+    /**
+     * Encrypt the token columns of a row under the current key.
+     * @param {Object} row - Row with plaintext tokens and user_id
+     * @returns {Object} Row ready to be stored, including key_id
+     */
+    function encryptRow(row) {
+        const encrypted = { ...row, key_id: cipher.currentKeyId };
+        for (const field of ENCRYPTED_FIELDS) {
+            if (row[field] !== undefined && row[field] !== null) {
+                encrypted[field] = cipher.encrypt(row[field], tokenContext(row.user_id, field));
+            }
+        }
+        return encrypted;
+    }
+
+    /**
+     * Decrypt the token columns of a stored row. Rows written before
+     * encryption was introduced have no key_id and are returned as is.
+     * @param {Object} row - Stored row, selected with user_id and key_id
+     * @returns {Object} Row with plaintext tokens and without key_id
+     */
+    function decryptRow(row) {
+        const { key_id: keyId, ...decrypted } = row;
+        if (keyId) {
+            for (const field of ENCRYPTED_FIELDS) {
+                if (row[field] !== undefined && row[field] !== null) {
+                    decrypted[field] = cipher.decrypt(row[field], keyId, tokenContext(row.user_id, field));
+                }
+            }
+        }
+        return decrypted;
+    }
+
+    /**
+     * Insert or replace a user's token pair. Saving a new pair clears a
+     * previous revocation.
+     * @param {Object} tokens
+     * @param {string} tokens.user_id - Owner of the tokens
+     * @param {string} tokens.refresh_token - OAuth refresh token
+     * @param {string} tokens.access_token - OAuth access token
+     * @param {number} tokens.expires_at - Access token expiry, epoch seconds
+     * @returns {Promise<?Object>} Stored row with plaintext tokens
+     * @throws {Object} Storage error when the write fails
+     */
+    async function save({ user_id, refresh_token, access_token, expires_at }) {
+        const data = await tokens.upsert(encryptRow({
+            user_id,
+            refresh_token,
+            access_token,
+            expires_at: new Date(expires_at * 1000).toISOString(),
+            revoked_at: null,
+            updated_at: new Date().toISOString()
+        }));
+
+        return data ? decryptRow(data) : null;
+    }
+
+    /**
+     * Read a user's tokens.
+     * @param {string} userId - Owner of the tokens
+     * @param {string[]} columns - Columns to return
+     * @returns {Promise<?Object>} Row with plaintext tokens, or null
+     * @throws {Object} Storage error when the read fails
+     */
+    async function find(userId, columns) {
+        const data = await tokens.get(userId, [...new Set([...columns, 'user_id', 'key_id'])]);
+        if (!data) return null;
+
+        const row = decryptRow(data);
+        return Object.fromEntries(columns.map(column => [column, row[column]]));
+    }
+
+    /**
+     * Record that the provider rejected a user's refresh token.
+     * @param {string} userId - Owner of the tokens
+     * @throws {Object} Storage error when the write fails
+     */
+    function markRevoked(userId) {
+        return tokens.update(userId, { revoked_at: new Date().toISOString() });
+    }
+
+    return { save, find, markRevoked, encryptRow, decryptRow };
+}
+
+module.exports = { ENCRYPTED_FIELDS, tokenContext, createTokenStore };
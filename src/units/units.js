@@ -0,0 +1,183 @@
+/**
+ * Unit systems for responses. Values are stored and returned in SI units
+ * (meters, seconds, meters per second); responses add a `display` object
+ * with the same values in the athlete's unit system, durations formatted
+ * as clock times, and the pace or speed each sport is usually read in:
+ * pace per kilometer or mile on foot, per 100 meters or yards in the
+ * water, speed otherwise.
+ * @module units/units
+ */
+
+/** Supported unit systems. */
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+/** Unit system of athletes without a preference. */
+const DEFAULT_UNITS = 'metric';
+
+/**
+ * Units per system: label and size in SI units.
+ * @constant {Object<string, Object<string, {unit: string, size: number}>>}
+ */
+const UNITS = {
+    metric: {
+        distance: { unit: 'km', size: 1000 },
+        elevation: { unit: 'm', size: 1 },
+        speed: { unit: 'km/h', size: 1000 / 3600 },
+        pace: { unit: '/km', size: 1000 },
+        swim_pace: { unit: '/100m', size: 100 }
+    },
+    imperial: {
+        distance: { unit: 'mi', size: 1609.344 },
+        elevation: { unit: 'ft', size: 0.3048 },
+        speed: { unit: 'mph', size: 1609.344 / 3600 },
+        pace: { unit: '/mi', size: 1609.344 },
+        swim_pace: { unit: '/100yd', size: 91.44 }
+    }
+};
+
+/** Activity types measured by pace per distance unit. */
+const PACE_TYPES = ['Run', 'TrailRun', 'VirtualRun', 'Walk', 'Hike', 'Snowshoe'];
+
+/** Activity types measured by pace per 100 meters or yards. */
+const SWIM_TYPES = ['Swim'];
+
+const positive = value => Number(value) > 0;
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+/**
+ * How an activity type's speed is shown.
+ * @param {?string} type - Activity type
+ * @returns {string} "pace", "swim_pace" or "speed"
+ */
+function speedKind(type) {
+    if (PACE_TYPES.includes(type)) return 'pace';
+    if (SWIM_TYPES.includes(type)) return 'swim_pace';
+    return 'speed';
+}
+
+/**
+ * Format seconds as a clock time.
+ * @param {number} seconds
+ * @returns {string} "h:mm:ss", or "m:ss" under an hour
+ */
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const rest = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+/**
+ * The unit system of a request: `requested` (from `?units=`), else the
+ * athlete's preference, else {@link DEFAULT_UNITS}.
+ * @param {?string} requested - Unit system asked for
+ * @param {?Object} athlete - Athlete row with `units`
+ * @returns {string}
+ */
+function resolveUnits(requested, athlete) {
+    if (UNIT_SYSTEMS.includes(requested)) return requested;
+    if (athlete && UNIT_SYSTEMS.includes(athlete.units)) return athlete.units;
+    return DEFAULT_UNITS;
+}
+
+/**
+ * Display values shared by activities and totals. Fields whose source is
+ * missing are left out.
+ * @param {Object} values
+ * @param {number} [values.distance] - Meters
+ * @param {number} [values.elevation_gain] - Meters
+ * @param {number} [values.moving_time] - Seconds
+ * @param {number} [values.elapsed_time] - Seconds
+ * @param {number} [values.speed] - Average speed in meters per second
+ * @param {number} [values.max_speed] - Meters per second
+ * @param {?string} kind - See {@link speedKind}; null to leave out pace and speed
+ * @param {string} units - Unit system
+ * @returns {Object}
+ */
+function displayValues(values, kind, units) {
+    const system = UNITS[units] || UNITS[DEFAULT_UNITS];
+    const display = { units: UNITS[units] ? units : DEFAULT_UNITS };
+    const present = name => values[name] !== null && values[name] !== undefined && values[name] !== '';
+
+    if (present('distance')) {
+        display.distance = round(Number(values.distance) / system.distance.size, 2);
+        display.distance_unit = system.distance.unit;
+    }
+    if (present('elevation_gain')) {
+        display.elevation_gain = round(Number(values.elevation_gain) / system.elevation.size, 0);
+        display.elevation_unit = system.elevation.unit;
+    }
+    if (present('moving_time')) display.moving_time = formatDuration(Number(values.moving_time));
+    if (present('elapsed_time')) display.elapsed_time = formatDuration(Number(values.elapsed_time));
+
+    if (kind === 'speed') {
+        if (positive(values.speed)) display.speed = round(values.speed / system.speed.size, 1);
+        if (positive(values.max_speed)) display.max_speed = round(values.max_speed / system.speed.size, 1);
+        if (display.speed !== undefined || display.max_speed !== undefined) display.speed_unit = system.speed.unit;
+    } else if (kind && positive(values.speed)) {
+        display.pace = formatDuration(system[kind].size / values.speed);
+        display.pace_unit = system[kind].unit;
+    }
+    return display;
+}
+
+/**
+ * Display values of an activity. Its average speed is distance over moving
+ * time when both are known, else the stored `average_speed`.
+ * @param {Object} activity - `activities` row, possibly with only some columns
+ * @param {string} units - Unit system
+ * @returns {Object} units, distance and distance_unit, elevation_gain and
+ * elevation_unit, moving_time and elapsed_time (formatted), and pace and
+ * pace_unit or speed, max_speed and speed_unit
+ */
+function activityDisplay(activity, units) {
+    const speed = positive(activity.distance) && positive(activity.moving_time)
+        ? activity.distance / activity.moving_time
+        : Number(activity.average_speed);
+    return displayValues({
+        distance: activity.distance,
+        elevation_gain: activity.total_elevation_gain,
+        moving_time: activity.moving_time,
+        elapsed_time: activity.elapsed_time,
+        speed,
+        max_speed: activity.max_speed
+    }, speedKind(activity.type), units);
+}
+
+/**
+ * An activity with its `display` values added.
+ * @param {Object} activity - `activities` row
+ * @param {string} units - Unit system
+ * @returns {Object}
+ */
+function withDisplay(activity, units) {
+    return { ...activity, display: activityDisplay(activity, units) };
+}
+
+/**
+ * Totals (see {@link module:stats/athlete-stats}) with their `display`
+ * values added. Pace or speed is the average over the totals, and only
+ * given for a single activity type.
+ * @param {Object} totals - Totals
+ * @param {string} units - Unit system
+ * @param {?string} [type] - Activity type the totals are for
+ * @returns {Object}
+ */
+function totalsWithDisplay(totals, units, type = null) {
+    const speed = positive(totals.distance) && positive(totals.moving_time)
+        ? totals.distance / totals.moving_time
+        : null;
+    return { ...totals, display: displayValues({ ...totals, speed }, type && speedKind(type), units) };
+}
+
+module.exports = {
+    UNIT_SYSTEMS,
+    DEFAULT_UNITS,
+    speedKind,
+    formatDuration,
+    resolveUnits,
+    activityDisplay,
+    withDisplay,
+    totalsWithDisplay
+};
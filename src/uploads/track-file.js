@@ -0,0 +1,214 @@
+/**
+ * Parsing of uploaded GPX and TCX activity files, optionally gzipped as in
+ * the `activities/` folder of a Strava account export.
+ * @module uploads/track-file
+ */
+
+const zlib = require('zlib');
+const { XMLParser } = require('fast-xml-parser');
+
+/** Largest decompressed file accepted, so a small gzip cannot expand without bound. */
+const MAX_UNCOMPRESSED_SIZE = 100 * 1024 * 1024;
+
+/** Supported formats by file extension. */
+const FORMATS = ['gpx', 'tcx'];
+
+/** TCX `Sport` values and common GPX `<type>` values mapped to Strava activity types. */
+const ACTIVITY_TYPES = {
+    running: 'Run',
+    run: 'Run',
+    trail_running: 'TrailRun',
+    biking: 'Ride',
+    cycling: 'Ride',
+    ride: 'Ride',
+    road_biking: 'Ride',
+    mountain_biking: 'MountainBikeRide',
+    walking: 'Walk',
+    walk: 'Walk',
+    hiking: 'Hike',
+    hike: 'Hike',
+    swimming: 'Swim',
+    swim: 'Swim'
+};
+
+/**
+ * The file cannot be read as an activity; the message says why.
+ */
+class TrackFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TrackFileError';
+    }
+}
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    isArray: name => ['trk', 'trkseg', 'trkpt', 'Activity', 'Lap', 'Track', 'Trackpoint'].includes(name)
+});
+
+const asArray = value => (value === undefined || value === null ? [] : [].concat(value));
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(typeof value === 'object' ? value['#text'] : value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function toText(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(typeof value === 'object' ? value['#text'] ?? '' : value).trim();
+    return text || null;
+}
+
+function toTime(value) {
+    const text = toText(value);
+    const time = text ? new Date(text).getTime() : NaN;
+    return Number.isNaN(time) ? null : time;
+}
+
+function activityType(value) {
+    const text = toText(value);
+    if (!text) return null;
+    return ACTIVITY_TYPES[text.toLowerCase().replace(/[\s-]+/g, '_')] || null;
+}
+
+/**
+ * Find a value by element name anywhere below a node, e.g. the heart rate
+ * in GPX `<extensions>`, whose nesting depends on the device vendor.
+ */
+function findDeep(node, name) {
+    if (!node || typeof node !== 'object') return undefined;
+    if (node[name] !== undefined) return node[name];
+    for (const child of Object.values(node)) {
+        const found = findDeep(child, name);
+        if (found !== undefined) return found;
+    }
+    return undefined;
+}
+
+function parseGpx(document) {
+    const gpx = document.gpx;
+    if (!gpx) throw new TrackFileError('Not a GPX document');
+
+    const tracks = asArray(gpx.trk);
+    const points = [];
+    for (const track of tracks) {
+        for (const segment of asArray(track.trkseg)) {
+            for (const point of asArray(segment.trkpt)) {
+                points.push({
+                    time: toTime(point.time),
+                    lat: toNumber(point.lat),
+                    lng: toNumber(point.lon),
+                    ele: toNumber(point.ele),
+                    hr: toNumber(findDeep(point.extensions, 'hr')),
+                    distance: null
+                });
+            }
+        }
+    }
+
+    const first = tracks[0] || {};
+    return {
+        name: toText(first.name) || toText(gpx.metadata && gpx.metadata.name),
+        type: activityType(first.type),
+        detail: toText(first.desc),
+        calories: null,
+        points
+    };
+}
+
+function parseTcx(document) {
+    const root = document.TrainingCenterDatabase;
+    const activity = root && root.Activities && asArray(root.Activities.Activity)[0];
+    if (!activity) throw new TrackFileError('Not a TCX document with an activity');
+
+    const laps = asArray(activity.Lap);
+    const points = [];
+    for (const lap of laps) {
+        for (const track of asArray(lap.Track)) {
+            for (const point of asArray(track.Trackpoint)) {
+                const position = point.Position || {};
+                points.push({
+                    time: toTime(point.Time),
+                    lat: toNumber(position.LatitudeDegrees),
+                    lng: toNumber(position.LongitudeDegrees),
+                    ele: toNumber(point.AltitudeMeters),
+                    hr: toNumber(point.HeartRateBpm && point.HeartRateBpm.Value),
+                    distance: toNumber(point.DistanceMeters)
+                });
+            }
+        }
+    }
+
+    const calories = laps.map(lap => toNumber(lap.Calories)).filter(value => value !== null);
+    return {
+        name: null,
+        type: activityType(activity.Sport),
+        detail: toText(activity.Notes),
+        calories: calories.length > 0 ? calories.reduce((sum, value) => sum + value, 0) : null,
+        points
+    };
+}
+
+/**
+ * Detect the format from the file name, ignoring a trailing `.gz`.
+ * @param {string} filename - Uploaded file name
+ * @returns {?string} "gpx", "tcx", or null when unsupported
+ */
+function detectFormat(filename) {
+    const parts = String(filename || '').toLowerCase().split('.');
+    if (parts[parts.length - 1] === 'gz') parts.pop();
+    const extension = parts.length > 1 ? parts[parts.length - 1] : null;
+    return FORMATS.includes(extension) ? extension : null;
+}
+
+/**
+ * Parse an uploaded GPX or TCX file.
+ *
+ * The format is taken from the file name (`.gpx`, `.tcx`, optionally
+ * followed by `.gz`); gzip content is also recognized by its magic bytes.
+ * Points without a valid timestamp are dropped, since every metric depends
+ * on time.
+ * @param {Buffer} buffer - File content
+ * @param {string} filename - Original file name
+ * @returns {{format: string, name: ?string, type: ?string, detail: ?string, calories: ?number,
+ *            points: Array<import('../geo/track').TrackPoint>}}
+ * @throws {TrackFileError} When the file is not a readable GPX or TCX activity
+ */
+function parseTrackFile(buffer, filename) {
+    const format = detectFormat(filename);
+    if (!format) {
+        throw new TrackFileError('File must be a .gpx or .tcx file, optionally gzipped');
+    }
+
+    let content = buffer;
+    if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        try {
+            content = zlib.gunzipSync(buffer, { maxOutputLength: MAX_UNCOMPRESSED_SIZE });
+        } catch (error) {
+            throw new TrackFileError(error.code === 'ERR_BUFFER_TOO_LARGE'
+                ? 'Decompressed file is too large'
+                : 'File is not valid gzip');
+        }
+    }
+
+    let document;
+    try {
+        document = parser.parse(content.toString('utf8'));
+    } catch (error) {
+        throw new TrackFileError(`File is not valid XML: ${error.message}`);
+    }
+
+    const parsed = format === 'gpx' ? parseGpx(document) : parseTcx(document);
+    const points = parsed.points.filter(point => point.time !== null);
+    if (points.length < 2) {
+        throw new TrackFileError('File contains fewer than two trackpoints with timestamps');
+    }
+
+    return { format, ...parsed, points };
+}
+
+module.exports = { TrackFileError, MAX_UNCOMPRESSED_SIZE, detectFormat, parseTrackFile };
@@ -0,0 +1,86 @@
+/**
+ * Creating activities from uploaded GPX and TCX files.
+ * @module uploads/upload
+ */
+
+const { parseTrackFile } = require('./track-file');
+const { summarizeTrack } = require('../geo/track');
+const { simplify } = require('../geo/route');
+const { encodePolyline } = require('../geo/polyline');
+
+/** Simplification tolerance in meters for the stored summary polyline. */
+const POLYLINE_TOLERANCE = 2;
+
+/**
+ * Create the upload service.
+ * @param {Object} options
+ * @param {Object} options.activities - Activity repository from {@link module:storage}
+ * @param {Object} options.maps - Map repository from {@link module:storage}
+ * @param {Object} options.duplicates - Duplicate service from {@link module:activities/duplicates}
+ * @param {Object} [options.gearService] - Gear service from {@link module:gear/gear}, to link the
+ * requested or default gear
+ * @returns {{upload: Function}}
+ */
+function createUploadService({ activities, maps, duplicates, gearService = null }) {
+    /**
+     * Create an activity, and a map when the file has positions, from an
+     * uploaded file. A file recording an activity the user already has is
+     * handled by the duplicate policy; after a merge the kept activity is
+     * returned.
+     * @param {string} userId - Owner of the new activity
+     * @param {{buffer: Buffer, originalname: string}} file - Uploaded file
+     * @param {Object} [fields] - name, type, detail, commute, trainer and private,
+     * overriding what the file says
+     * @returns {Promise<{activity: Object, duplicate: ?Object, merged: boolean}>} See
+     * {@link module:activities/duplicates~admit}
+     * @throws {module:uploads/track-file~TrackFileError} When the file cannot be read
+     * @throws {module:activities/duplicates~DuplicateActivityError} When the user already has
+     * this activity and the policy is reject
+     */
+    async function upload(userId, file, fields = {}) {
+        const track = parseTrackFile(file.buffer, file.originalname);
+        const summary = summarizeTrack(track.points);
+
+        const type = fields.type || track.type || 'Workout';
+        const gear = gearService
+            ? await gearService.linkFields(userId, { type, gear_id: fields.gear_id }, { useDefault: true })
+            : {};
+        const row = {
+            ...summary,
+            user_id: userId,
+            external_id: null,
+            name: fields.name || track.name || type,
+            type,
+            detail: fields.detail ?? track.detail,
+            calories: track.calories,
+            commute: fields.commute ?? false,
+            trainer: fields.trainer ?? false,
+            private: fields.private ?? false,
+            ...gear,
+            manual: false,
+            version: 1,
+            deleted_at: null
+        };
+
+        const positions = track.points
+            .filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lng))
+            .map(point => [point.lat, point.lng]);
+
+        return duplicates.admit(row, async checked => {
+            const stored = await activities.insert(checked);
+            if (positions.length >= 2) {
+                await maps.insert({
+                    activity_id: stored.id,
+                    user_id: userId,
+                    summary_polyline: encodePolyline(simplify(positions, POLYLINE_TOLERANCE)),
+                    created_at: new Date().toISOString()
+                });
+            }
+            return stored;
+        });
+    }
+
+    return { upload };
+}
+
+module.exports = { createUploadService };
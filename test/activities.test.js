@@ -0,0 +1,111 @@
+const assert = require('node:assert/strict');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const { tempDir, seedStorage, startServer } = require('./helpers');
+
+/** Seven runs of user-1, two of them with the same distance, and one of user-2. */
+const activities = [
+    ...[5000, 8000, 8000, 3000, 12000, 6000, 10000].map((distance, i) => ({
+        id: i + 1,
+        user_id: 'user-1',
+        name: `Run ${i + 1}`,
+        type: 'Run',
+        distance,
+        moving_time: distance / 3,
+        start_date: `2024-05-0${i + 1}T06:00:00Z`,
+        version: 1,
+        deleted_at: null
+    })),
+    { id: 8, user_id: 'user-2', name: 'Ride', type: 'Ride', distance: 40000, start_date: '2024-05-03T06:00:00Z', version: 1, deleted_at: null }
+];
+
+describe('activities API', () => {
+    let server;
+
+    before(async () => {
+        const storage = path.join(tempDir(), 'storage.json');
+        seedStorage(storage, { activities });
+        server = await startServer(storage);
+    });
+
+    after(() => server.stop());
+
+    describe('ETag and If-Match', () => {
+        it('rejects writes without If-Match or with a stale ETag', async () => {
+            const read = await server.request('GET', '/activities/1');
+            assert.equal(read.status, 200);
+            const etag = read.headers.get('ETag');
+            assert.equal(etag, '"1.1"');
+
+            const missing = await server.request('PATCH', '/activities/1', { body: { name: 'Tempo run' } });
+            assert.equal(missing.status, 428);
+
+            const updated = await server.request('PATCH', '/activities/1', {
+                headers: { 'If-Match': etag },
+                body: { name: 'Tempo run' }
+            });
+            assert.equal(updated.status, 200);
+            assert.equal(updated.body.name, 'Tempo run');
+            assert.equal(updated.headers.get('ETag'), '"1.2"');
+
+            const stale = await server.request('PATCH', '/activities/1', {
+                headers: { 'If-Match': etag },
+                body: { name: 'Lost edit' }
+            });
+            assert.equal(stale.status, 412);
+            assert.equal(stale.headers.get('ETag'), '"1.2"');
+
+            const current = await server.request('GET', '/activities/1');
+            assert.equal(current.body.name, 'Tempo run');
+        });
+
+        it('honours If-Match on delete', async () => {
+            const stale = await server.request('DELETE', '/activities/2', { headers: { 'If-Match': '"2.0"' } });
+            assert.equal(stale.status, 412);
+
+            const read = await server.request('GET', '/activities/2');
+            assert.equal(read.status, 200);
+        });
+    });
+
+    describe('pagination', () => {
+        /** Follow `next` from the first page, returning the pages' ids. */
+        async function allPages(query) {
+            const pages = [];
+            let cursor = null;
+            do {
+                const suffix = cursor ? `&cursor=${encodeURIComponent(cursor)}` : '';
+                const response = await server.request('GET', `/activities?user_id=user-1&${query}${suffix}`);
+                assert.equal(response.status, 200);
+                pages.push(response.body.data.map(activity => activity.id));
+                cursor = response.body.next;
+            } while (cursor && pages.length < 10);
+            return pages;
+        }
+
+        it('returns every activity once, newest first by default', async () => {
+            const pages = await allPages('limit=3');
+
+            assert.deepEqual(pages, [[7, 6, 5], [4, 3, 2], [1]]);
+        });
+
+        it('breaks ties on the sort field by id', async () => {
+            const pages = await allPages('limit=2&sort=distance');
+
+            assert.deepEqual(pages.flat(), [4, 1, 6, 2, 3, 7, 5]);
+            assert.ok(pages.every(page => page.length <= 2));
+        });
+
+        it('keeps filters across pages', async () => {
+            const pages = await allPages('limit=2&min_distance=6000&fields=id,distance');
+
+            assert.deepEqual(pages.flat().sort(), [2, 3, 5, 6, 7]);
+        });
+
+        it('rejects a malformed cursor', async () => {
+            const response = await server.request('GET', '/activities?user_id=user-1&cursor=not-a-cursor');
+
+            assert.equal(response.status, 400);
+        });
+    });
+});
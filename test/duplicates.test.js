@@ -0,0 +1,82 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+const { createMemoryRepositories } = require('../src/storage/memory');
+const { createActivityLifecycle } = require('../src/activities/lifecycle');
+const { DuplicateActivityError, createDuplicateService } = require('../src/activities/duplicates');
+
+const run = {
+    user_id: 'user-1',
+    name: 'Morning run',
+    type: 'Run',
+    start_date: '2024-05-01T06:00:00Z',
+    distance: 10000,
+    moving_time: 3000,
+    elapsed_time: 3100
+};
+
+describe('duplicate policy', () => {
+    let repositories;
+    let stored;
+
+    beforeEach(async () => {
+        repositories = createMemoryRepositories();
+        stored = await repositories.activities.insert({ ...run, external_id: '111', average_heart_rate: 150 });
+    });
+
+    function service(policy) {
+        const activityLifecycle = createActivityLifecycle({ activities: repositories.activities, maps: repositories.maps });
+        return createDuplicateService({ activities: repositories.activities, maps: repositories.maps, activityLifecycle, policy });
+    }
+
+    const store = row => repositories.activities.insert(row);
+
+    // The same workout recorded by a watch upload: 20 s later, slightly shorter
+    const upload = { ...run, name: 'Run', start_date: '2024-05-01T06:00:20Z', distance: 9900, moving_time: 2980, calories: 700 };
+
+    it('stores activities that duplicate nothing under every policy', async () => {
+        const policies = ['reject', 'flag', 'merge'];
+        for (const [day, policy] of policies.entries()) {
+            const other = { ...run, start_date: `2024-05-0${day + 2}T06:00:00Z` };
+            const result = await service(policy).admit(other, store);
+            assert.equal(result.duplicate, null);
+            assert.equal(result.merged, false);
+        }
+    });
+
+    it('treats a different type as a different workout', async () => {
+        const result = await service('reject').admit({ ...upload, type: 'Ride' }, store);
+        assert.equal(result.duplicate, null);
+    });
+
+    it('rejects a duplicate with the stored activity', async () => {
+        await assert.rejects(service('reject').admit(upload, store), error => {
+            assert.ok(error instanceof DuplicateActivityError);
+            assert.equal(error.activity.id, stored.id);
+            return true;
+        });
+        assert.equal((await repositories.activities.listForUser('user-1', '*')).length, 1);
+    });
+
+    it('stores a flagged duplicate pointing at the stored activity', async () => {
+        const result = await service('flag').admit(upload, store);
+
+        assert.equal(result.activity.duplicate_of, stored.id);
+        assert.equal(result.merged, false);
+        assert.equal((await repositories.activities.listForUser('user-1', '*')).length, 2);
+    });
+
+    it('merges a duplicate into the richer activity', async () => {
+        const result = await service('merge').admit(upload, store);
+
+        assert.equal(result.merged, true);
+        assert.equal(result.activity.id, stored.id);
+        assert.equal(result.activity.calories, 700);
+        assert.equal(result.activity.name, 'Morning run');
+
+        const [remaining] = await repositories.activities.listForUser('user-1', '*');
+        assert.equal(remaining.id, stored.id);
+        const merged = await repositories.activities.find({ name: 'Run' });
+        assert.equal(merged.merged_into, stored.id);
+        assert.ok(merged.deleted_at);
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * Helpers shared by the tests: the API server and the importer run as
+ * child processes on the memory storage backend, seeded from a temporary
+ * STORAGE_FILE, so no Supabase project is needed.
+ * @module test/helpers
+ */
+
+const { execFile, spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+/** HS256 secret the server under test verifies tokens with. */
+const JWT_SECRET = 'test-secret';
+
+/** Service credential of the server under test. */
+const SERVICE_KEY = 'test-service-key';
+
+/** Directories made by {@link tempDir}, removed when the process exits. */
+const tempDirs = [];
+process.on('exit', () => {
+    for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * A fresh temporary directory, removed when the process exits.
+ * @returns {string} Path
+ */
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runaway-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+/**
+ * Write a memory storage file.
+ * @param {string} file - Path
+ * @param {Object<string, Array<Object>>} [tables] - Rows per table
+ */
+function seedStorage(file, tables = {}) {
+    fs.writeFileSync(file, JSON.stringify({ tables }));
+}
+
+/**
+ * Read back the tables of a memory storage file.
+ * @param {string} file - Path
+ * @returns {Object<string, Array<Object>>}
+ */
+function readStorage(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).tables;
+}
+
+/**
+ * Environment of the server and the importer for a storage file.
+ * @param {string} file - STORAGE_FILE
+ * @param {Object} [extra] - Further variables
+ * @returns {Object}
+ */
+function storageEnv(file, extra = {}) {
+    return {
+        PATH: process.env.PATH,
+        STORAGE_BACKEND: 'memory',
+        STORAGE_FILE: file,
+        SUPABASE_URL: 'http://127.0.0.1:9',
+        SUPABASE_KEY: 'unused',
+        LOG_LEVEL: 'error',
+        ...extra
+    };
+}
+
+/** A TCP port nothing listens on right now. */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Sign a token the server under test accepts.
+ * @param {string} sub - Supabase auth id
+ * @returns {string} HS256 JWT valid for an hour
+ */
+function signJwt(sub) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ sub, exp: Math.floor(Date.now() / 1000) + 3600 })}`;
+    return `${input}.${crypto.createHmac('sha256', JWT_SECRET).update(input).digest('base64url')}`;
+}
+
+/**
+ * Start the API server on a storage file, without the job worker.
+ * @param {string} file - STORAGE_FILE, seeded beforehand
+ * @returns {Promise<{request: Function, stop: Function}>} `request(method, path, {headers, body})`
+ * resolves to `{status, headers, body}`; requests use the service credential unless
+ * `headers` carry an Authorization header
+ */
+async function startServer(file) {
+    const port = await freePort();
+    const key = crypto.randomBytes(32).toString('base64');
+    const child = spawn(process.execPath, ['index.js'], {
+        cwd: ROOT,
+        env: storageEnv(file, {
+            PORT: String(port),
+            LOG_LEVEL: 'info',
+            JOB_WORKER: 'false',
+            SUPABASE_JWT_SECRET: JWT_SECRET,
+            SERVICE_API_KEY: SERVICE_KEY,
+            TOKEN_ENCRYPTION_KEYS: `k1:${key}`,
+            TOKEN_ENCRYPTION_KEY_ID: 'k1'
+        }),
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+        const collect = chunk => {
+            output += chunk;
+            if (output.includes('Server is running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with ${code}:\n${output}`));
+        });
+    });
+
+    async function request(method, urlPath, { headers = {}, body } = {}) {
+        const auth = headers.Authorization ? {} : { 'X-Service-Key': SERVICE_KEY };
+        const response = await fetch(`http://127.0.0.1:${port}${urlPath}`, {
+            method,
+            headers: {
+                ...auth,
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    }
+
+    function stop() {
+        child.removeAllListeners('exit');
+        return new Promise(resolve => {
+            child.once('exit', resolve);
+            child.kill();
+        });
+    }
+
+    return { request, stop };
+}
+
+/**
+ * Run the importer to completion.
+ * @param {string} file - STORAGE_FILE
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function runImporter(file, args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, ['import-activities.js', ...args], {
+            cwd: ROOT,
+            env: storageEnv(file),
+            timeout: 60000
+        }, (error, stdout, stderr) => {
+            resolve({ code: error ? (error.code ?? 1) : 0, stdout, stderr });
+        });
+    });
+}
+
+module.exports = {
+    ROOT,
+    tempDir,
+    seedStorage,
+    readStorage,
+    freePort,
+    signJwt,
+    startServer,
+    runImporter
+};
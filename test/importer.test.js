@@ -0,0 +1,95 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const { ROOT, tempDir, seedStorage, readStorage, runImporter } = require('./helpers');
+
+const exported = JSON.parse(fs.readFileSync(path.join(ROOT, 'assets/activities.json'), 'utf8'));
+
+describe('import-activities', () => {
+    let dir;
+    let storage;
+
+    beforeEach(() => {
+        dir = tempDir();
+        storage = path.join(dir, 'storage.json');
+        seedStorage(storage);
+    });
+
+    /** Import records as JSON for a user, returning the rejection report. */
+    async function importRecords(records, userId = 'user-1') {
+        const file = path.join(dir, 'activities.json');
+        const report = path.join(dir, 'report.json');
+        fs.writeFileSync(file, JSON.stringify(records));
+        const result = await runImporter(storage, [
+            '--user-id', userId,
+            '--file', file,
+            '--checkpoint', path.join(dir, 'checkpoint.json'),
+            '--report', report,
+            '--delay', '0'
+        ]);
+        assert.equal(result.code, 0, result.stdout + result.stderr);
+        return JSON.parse(fs.readFileSync(report, 'utf8')).rejected;
+    }
+
+    it('stores every record with its route', async () => {
+        const rejected = await importRecords(exported);
+
+        assert.deepEqual(rejected, []);
+        const { activities, maps } = readStorage(storage);
+        assert.deepEqual(
+            activities.map(activity => activity.external_id).sort(),
+            exported.map(record => String(record.id)).sort()
+        );
+        assert.ok(activities.every(activity => activity.user_id === 'user-1' && activity.version === 1));
+
+        const routed = exported.filter(record => record.map && record.map.summary_polyline);
+        assert.equal(maps.length, routed.length);
+        for (const record of routed) {
+            const activity = activities.find(row => row.external_id === String(record.id));
+            const map = maps.find(row => row.activity_id === activity.id);
+            assert.equal(map.summary_polyline, record.map.summary_polyline);
+            assert.equal(map.user_id, 'user-1');
+        }
+        assert.equal(fs.existsSync(path.join(dir, 'checkpoint.json')), false);
+    });
+
+    it('leaves activities untouched when the same export is imported again', async () => {
+        await importRecords(exported);
+        const before = readStorage(storage);
+
+        await importRecords(exported);
+
+        const after = readStorage(storage);
+        assert.deepEqual(after.activities.map(row => row.version), before.activities.map(row => row.version));
+        assert.equal(after.maps.length, before.maps.length);
+    });
+
+    it('updates changed records and bumps their version', async () => {
+        await importRecords(exported);
+
+        const renamed = exported.map((record, index) => (index === 0 ? { ...record, name: 'Renamed' } : record));
+        await importRecords(renamed);
+
+        const activity = readStorage(storage).activities.find(row => row.external_id === String(exported[0].id));
+        assert.equal(activity.name, 'Renamed');
+        assert.equal(activity.version, 2);
+    });
+
+    it('rejects records of another user instead of moving them', async () => {
+        await importRecords(exported, 'user-1');
+
+        const rejected = await importRecords(exported.slice(0, 1), 'user-2');
+
+        assert.deepEqual(rejected.map(entry => entry.external_id), [String(exported[0].id)]);
+        const activities = readStorage(storage).activities;
+        assert.ok(activities.every(activity => activity.user_id === 'user-1'));
+    });
+
+    it('reports records that cannot be mapped by their index', async () => {
+        const rejected = await importRecords([exported[0], null, exported[1]]);
+
+        assert.deepEqual(rejected.map(entry => entry.index), [1]);
+        assert.equal(readStorage(storage).activities.length, 2);
+    });
+});
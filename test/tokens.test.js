@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { describe, it } = require('node:test');
+const { createMemoryRepositories } = require('../src/storage/memory');
+const { createTokenCipher, parseKeyring } = require('../src/tokens/encryption');
+const { createTokenStore } = require('../src/tokens/store');
+
+const key = () => crypto.randomBytes(32).toString('base64');
+
+describe('token encryption', () => {
+    const keys = parseKeyring(`old:${key()},new:${key()}`);
+
+    it('decrypts what it encrypted, under the same context only', () => {
+        const cipher = createTokenCipher({ keys, currentKeyId: 'new' });
+        const encrypted = cipher.encrypt('secret-token', 'user-1:access_token');
+
+        assert.notEqual(encrypted, 'secret-token');
+        assert.equal(cipher.decrypt(encrypted, 'new', 'user-1:access_token'), 'secret-token');
+        assert.throws(() => cipher.decrypt(encrypted, 'new', 'user-2:access_token'));
+        assert.throws(() => cipher.decrypt(encrypted, 'old', 'user-1:access_token'));
+    });
+
+    it('decrypts values of a previous key after rotation', () => {
+        const before = createTokenCipher({ keys, currentKeyId: 'old' });
+        const after = createTokenCipher({ keys, currentKeyId: 'new' });
+
+        const encrypted = before.encrypt('secret-token', 'user-1:refresh_token');
+
+        assert.equal(after.decrypt(encrypted, 'old', 'user-1:refresh_token'), 'secret-token');
+    });
+
+    it('stores tokens encrypted and reads them back in plain text', async () => {
+        const repositories = createMemoryRepositories();
+        const store = createTokenStore({
+            tokens: repositories.tokens,
+            cipher: createTokenCipher({ keys, currentKeyId: 'new' })
+        });
+        const expiresAt = Math.floor(Date.now() / 1000) + 3600;
+
+        await store.save({ user_id: 'user-1', refresh_token: 'refresh', access_token: 'access', expires_at: expiresAt });
+
+        const stored = await repositories.tokens.get('user-1', ['refresh_token', 'access_token', 'key_id']);
+        assert.equal(stored.key_id, 'new');
+        assert.notEqual(stored.refresh_token, 'refresh');
+        assert.notEqual(stored.access_token, 'access');
+
+        const read = await store.find('user-1', ['refresh_token', 'access_token', 'expires_at']);
+        assert.deepEqual(read, {
+            refresh_token: 'refresh',
+            access_token: 'access',
+            expires_at: new Date(expiresAt * 1000).toISOString()
+        });
+    });
+});